@@ -1,6 +1,9 @@
 require('dotenv').config();
 const axios = require('axios');
 const { google } = require('googleapis');
+const path = require('path');
+const { createStore } = require('../utils/file-store');
+const { translator, escapeMarkdown } = require('../utils/i18n');
 
 // Env vars
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
@@ -9,6 +12,12 @@ const GOOGLE_SHEETS_ID = process.env.GOOGLE_SHEETS_ID;
 const GOOGLE_DRIVE_FOLDER_ID = process.env.GOOGLE_DRIVE_FOLDER_ID;
 const ADMIN_CHAT_ID = process.env.ADMIN_CHAT_ID;
 
+// Feedback per chat, kept in the data directory until the Sheets sync is wired up
+const feedbackStore = createStore({
+  backend: process.env.SESSION_STORE || 'file',
+  dir: path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'feedback')
+});
+
 // Utility: Log API usage for monitoring
 async function logApiUsage(apiName, success = true, responseTime = 0) {
   try {
@@ -41,8 +50,8 @@ async function saveFeedback(chatId, rating, comment = '') {
     };
 
     console.log(`Feedback saved: ${rating}⭐ from ${chatId}${comment ? ` - "${comment}"` : ''}`);
-    
-    // In a real implementation, this would save to Google Sheets
+
+    await feedbackStore.update(feedbackData.chatId, entries => [...(entries || []), feedbackData]);
     return true;
   } catch (error) {
     console.error('Feedback save error:', error.message);
@@ -50,24 +59,35 @@ async function saveFeedback(chatId, rating, comment = '') {
   }
 }
 
+// Utility: Feedback saved for a chat
+async function getFeedback(chatId) {
+  return (await feedbackStore.get(String(chatId))) || [];
+}
+
+// Utility: Remove a chat's feedback (returns how many entries were removed)
+async function deleteFeedback(chatId) {
+  const entries = await getFeedback(chatId);
+  await feedbackStore.delete(String(chatId));
+  return entries.length;
+}
+
 // Utility: Send files via Telegram (requires bot instance from caller)
-async function deliverFiles(chatId, files) {
+async function deliverFiles(chatId, files, locale) {
+  const t = translator(locale);
   try {
-    const fileMessages = files.map(file => 
-      `📁 **${file.name}**\n[Download](${file.url})`
-    ).join('\n\n');
+    const fileMessages = files.map(file => t('files.entry', { name: escapeMarkdown(file.name), url: file.url })).join('\n\n');
     
     console.log(`Files delivered to ${chatId}: ${files.length} files`);
     
     // Return formatted message for bot to send
     return {
-      text: `📁 **Your Files:**\n\n${fileMessages}`,
+      text: t('files.list', { files: fileMessages }),
       parse_mode: 'Markdown'
     };
   } catch (error) {
     console.error('File delivery error:', error.message);
     return {
-      text: '❌ Error accessing files. Please try again.',
+      text: t('files.error'),
       parse_mode: 'Markdown'
     };
   }
@@ -76,15 +96,16 @@ async function deliverFiles(chatId, files) {
 // Utility: List user files from history
 async function listUserFiles(chatId) {
   try {
-    // In a real implementation, this would fetch from Google Sheets/Drive
-    // For now, return mock data
-    return [
-      {
-        name: 'Sample_Assignment.txt',
-        date: new Date().toLocaleDateString(),
-        url: 'https://example.com/file1'
-      }
-    ];
+    // Generated files are recorded on the chat's workflow history rows
+    const { getAssignmentHistory } = require('./validation-commands');
+    const { history } = await getAssignmentHistory(chatId);
+    return history
+      .filter(entry => entry.draft?.filename)
+      .map(entry => ({
+        name: entry.draft.filename,
+        date: new Date(entry.timestamp).toLocaleDateString(),
+        url: entry.draft.driveLink || null
+      }));
   } catch (error) {
     console.error('File listing error:', error.message);
     return [];
@@ -92,7 +113,8 @@ async function listUserFiles(chatId) {
 }
 
 // Utility: Collect feedback with inline keyboard (returns markup for bot)
-async function collectFeedback(draftId) {
+async function collectFeedback(draftId, locale) {
+  const t = translator(locale);
   try {
     const keyboard = {
       inline_keyboard: [
@@ -104,20 +126,20 @@ async function collectFeedback(draftId) {
           { text: '⭐⭐⭐⭐⭐', callback_data: `rate_${draftId}_5` }
         ],
         [
-          { text: '💬 Add Comment', callback_data: `comment_${draftId}` }
+          { text: t('feedback.addComment'), callback_data: `comment_${draftId}` }
         ]
       ]
     };
 
     return {
-      text: '⭐ **Rate Your Experience:**\n\nHow satisfied are you with this draft?',
+      text: t('feedback.ratePrompt'),
       reply_markup: keyboard,
       parse_mode: 'Markdown'
     };
   } catch (error) {
     console.error('Feedback collection error:', error.message);
     return {
-      text: '✅ Draft completed! Thank you for using the academic assistant.',
+      text: t('feedback.completed'),
       parse_mode: 'Markdown'
     };
   }
@@ -166,6 +188,8 @@ async function generateUsageReport() {
 module.exports = {
   logApiUsage,
   saveFeedback,
+  getFeedback,
+  deleteFeedback,
   deliverFiles,
   listUserFiles,
   collectFeedback,
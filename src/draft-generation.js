@@ -1,11 +1,12 @@
 require('dotenv').config();
-const axios = require('axios');
 const { Telegraf } = require('telegraf');
 const { google } = require('googleapis');
 const Joi = require('joi');
 const Docxtemplater = require('docxtemplater');
 const PizZip = require('pizzip');
 const fs = require('fs').promises;
+const { translator, languageName, escapeMarkdown } = require('../utils/i18n');
+const { httpClient } = require('../utils/http-client');
 
 // Env vars
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
@@ -26,13 +27,28 @@ const draftSchema = Joi.object({
     doi: Joi.string(),
     zoteroKey: Joi.string()
   })),
-  plagiarismScore: Joi.number().min(0).max(1)
+  plagiarismScore: Joi.number().min(0).max(1).allow(null)
 });
 
-// Utility: Generate draft with Groq
-async function generateDraft(topic, sources, format = 'APA', length = 5) {
+// Quoted passages are cut to this many characters in prompts
+const QUOTE_MAX_CHARS = 400;
+
+// Utility: A passage as a quote line for a prompt, e.g. p. 4: "..."
+function quoteLine({ page, text }) {
+  const quote = text.length > QUOTE_MAX_CHARS ? `${text.slice(0, QUOTE_MAX_CHARS).replace(/\s+\S*$/, '')}…` : text;
+  return `p. ${page}: "${quote}"`;
+}
+
+// Utility: Generate draft with Groq (evidence: full-text passages { source: doi, page, text } to quote)
+async function generateDraft(topic, sources, format = 'APA', length = 5, language = 'English', { evidence = [] } = {}) {
   try {
-    const sourceText = sources.map((s, i) => `[${i + 1}] ${s.title} (DOI: ${s.doi})`).join('\n');
+    const sourceText = sources.map((s, i) => {
+      const quotes = evidence.filter(passage => passage.source === s.doi).map(passage => `    ${quoteLine(passage)}`);
+      return [`[${i + 1}] ${s.title} (DOI: ${s.doi})`, ...quotes].join('\n');
+    }).join('\n');
+    const quoteRule = evidence.length
+      ? '\n- Quote the passages listed under a source word for word, cited with their page like [1, p. 4]; do not invent other quotes'
+      : '';
     const prompt = `Write a ${length}-page ${format} academic paper on "${topic}". 
 
 Sources to cite:
@@ -44,16 +60,18 @@ Requirements:
 - Create clear sections: Introduction, Literature Review, Analysis, Conclusion
 - Be academic and scholarly
 - Output in Markdown format
-- Minimum ${length * 250} words`;
+- Write the paper in ${language}
+- Minimum ${length * 250} words${quoteRule}`;
 
-    const response = await axios.post('https://api.groq.com/openai/v1/chat/completions', {
+    const response = await httpClient('groq').post('https://api.groq.com/openai/v1/chat/completions', {
       model: 'llama3-70b-8192',
       messages: [{ role: 'user', content: prompt }],
       max_tokens: length * 500, // Approx 500 tokens per page
       temperature: 0.7
     }, {
       headers: { 'Authorization': `Bearer ${GROQ_KEY}` },
-      timeout: 60000
+      timeout: 60000,
+      idempotent: true
     });
 
     return response.data.choices[0].message.content;
@@ -70,7 +88,7 @@ async function formatCitations(sources, format = 'APA') {
   for (const source of sources) {
     if (source.zoteroKey) {
       try {
-        const response = await axios.get(
+        const response = await httpClient('zotero').get(
           `https://api.zotero.org/users/${ZOTERO_USER_ID}/items/${source.zoteroKey}`,
           {
             params: {
@@ -92,21 +110,23 @@ async function formatCitations(sources, format = 'APA') {
   return bibliography;
 }
 
-// Utility: Check plagiarism with Eden AI
+// Utility: Check plagiarism with Eden AI (null when the check could not run)
 async function checkPlagiarism(content) {
   try {
-    const response = await axios.post('https://api.edenai.run/v2/text/plagiarism_detection', {
+    const response = await httpClient('eden').post('https://api.edenai.run/v2/text/plagiarism_detection', {
       text: content.substring(0, 5000), // Limit for free tier
       providers: 'originalityai'
     }, {
       headers: { 'Authorization': `Bearer ${EDEN_AI_KEY}` },
-      timeout: 30000
+      timeout: 30000,
+      idempotent: true
     });
 
     return response.data.originalityai?.score || 0;
   } catch (error) {
     console.error('Plagiarism check error:', error.message);
-    return 0; // Return 0 if check fails
+    // Not checked is not the same as original
+    return null;
   }
 }
 
@@ -158,19 +178,68 @@ ${bibliography}`;
   }
 }
 
+// Drive folder ids per student, so each upload doesn't search for the folder again
+const studentFolderIds = new Map();
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+function driveClient() {
+  const auth = new google.auth.GoogleAuth({
+    keyFile: process.env.GOOGLE_SERVICE_ACCOUNT_PATH,
+    scopes: ['https://www.googleapis.com/auth/drive']
+  });
+  return google.drive({ version: 'v3', auth });
+}
+
+// Utility: Id of the student's folder inside GOOGLE_DRIVE_FOLDER_ID (null when it doesn't exist)
+async function findStudentFolder(drive, studentId) {
+  if (studentFolderIds.has(studentId)) return studentFolderIds.get(studentId);
+  const existing = await drive.files.list({
+    q: `name = '${studentId.replace(/'/g, "\\'")}' and mimeType = '${FOLDER_MIME_TYPE}' and '${GOOGLE_DRIVE_FOLDER_ID}' in parents and trashed = false`,
+    fields: 'files(id)'
+  });
+  return existing.data.files?.[0]?.id || null;
+}
+
+// Utility: Find or create the student's folder
+async function getStudentFolder(drive, studentId) {
+  let folderId = await findStudentFolder(drive, studentId);
+  if (!folderId) {
+    const created = await drive.files.create({
+      resource: { name: studentId, mimeType: FOLDER_MIME_TYPE, parents: [GOOGLE_DRIVE_FOLDER_ID] },
+      fields: 'id'
+    });
+    folderId = created.data.id;
+  }
+
+  studentFolderIds.set(studentId, folderId);
+  return folderId;
+}
+
+// Utility: Delete students' Drive folders and the files in them (returns how many folders were removed)
+async function deleteStudentFolders(studentIds) {
+  if (!GOOGLE_DRIVE_FOLDER_ID || !process.env.GOOGLE_SERVICE_ACCOUNT_PATH) return 0;
+  const drive = driveClient();
+  let deleted = 0;
+
+  for (const studentId of studentIds) {
+    const folderId = await findStudentFolder(drive, studentId);
+    studentFolderIds.delete(studentId);
+    if (!folderId) continue;
+    await drive.files.delete({ fileId: folderId });
+    deleted++;
+  }
+  return deleted;
+}
+
 // Utility: Upload to Google Drive
 async function uploadToGoogleDrive(filepath, filename, studentId = 'guest') {
   try {
-    const auth = new google.auth.GoogleAuth({
-      keyFile: process.env.GOOGLE_SERVICE_ACCOUNT_PATH,
-      scopes: ['https://www.googleapis.com/auth/drive']
-    });
-
-    const drive = google.drive({ version: 'v3', auth });
+    const drive = driveClient();
     
+    // Comment: Each student (including a tutor's students) gets their own folder
     const fileMetadata = {
       name: `${studentId}_${filename}`,
-      parents: [GOOGLE_DRIVE_FOLDER_ID]
+      parents: [await getStudentFolder(drive, studentId)]
     };
 
     const media = {
@@ -209,28 +278,31 @@ function chunkContent(content, maxLength = 4000) {
   return chunks;
 }
 
-// Main function: Process complete draft workflow
-async function processDraft(ctx, topic, sources, format = 'APA', length = 5) {
+// Main function: Process complete draft workflow (evidence: see generateDraft)
+async function processDraft(ctx, topic, sources, format = 'APA', length = 5, { evidence = [] } = {}) {
+  // Messages and the paper itself follow the user's chosen language
+  const locale = ctx.session?.locale;
+  const t = translator(locale);
   try {
-    await ctx.reply('📝 Generating draft... 0%');
+    await ctx.reply(t('draft.generating'));
 
     // Step 1: Generate content
-    const content = await generateDraft(topic, sources, format, length);
-    await ctx.reply('✅ Draft generated. Formatting citations... 25%');
+    const content = await generateDraft(topic, sources, format, length, languageName(locale), { evidence });
+    await ctx.reply(t('draft.generated'));
 
     // Step 2: Format citations
     const bibliography = await formatCitations(sources, format);
-    await ctx.reply('📚 Citations formatted. Checking plagiarism... 50%');
+    await ctx.reply(t('draft.citationsFormatted'));
 
     // Step 3: Plagiarism check
     const plagiarismScore = await checkPlagiarism(content);
     if (plagiarismScore > 0.1) {
-      await ctx.reply(`⚠️ Plagiarism score: ${(plagiarismScore * 100).toFixed(1)}%. Rewriting...`);
+      await ctx.reply(t('draft.plagiarismRewrite', { score: (plagiarismScore * 100).toFixed(1) }));
       // Recursive retry with modified prompt
-      return processDraft(ctx, `${topic} (rewrite to be more original)`, sources, format, length);
+      return processDraft(ctx, `${topic} (rewrite to be more original)`, sources, format, length, { evidence });
     }
 
-    await ctx.reply('✅ Plagiarism check passed. Creating documents... 75%');
+    await ctx.reply(t(plagiarismScore === null ? 'draft.plagiarismUnavailable' : 'draft.plagiarismPassed'));
 
     // Step 4: Create documents
     const { filename, filepath } = await createWordDocument(content, bibliography, topic);
@@ -238,29 +310,26 @@ async function processDraft(ctx, topic, sources, format = 'APA', length = 5) {
     // Step 5: Upload to Drive
     const driveLink = await uploadToGoogleDrive(filepath, filename, ctx.session?.studentId);
     
-    await ctx.reply('📄 Documents created. Preparing delivery... 90%');
+    await ctx.reply(t('draft.documentsCreated'));
 
     // Step 6: Prepare delivery interface
     const keyboard = {
       inline_keyboard: [
-        [{ text: '✅ Approve Draft', callback_data: 'approve_draft' }],
-        [{ text: '📝 Request Revision', callback_data: 'revise_draft' }],
-        [{ text: '📊 View Report', callback_data: 'view_report' }],
-        [{ text: '📁 Download Files', callback_data: 'download_files' }]
+        [{ text: t('draft.approve'), callback_data: 'approve_draft' }],
+        [{ text: t('draft.requestRevision'), callback_data: 'revise_draft' }],
+        [{ text: t('draft.viewReport'), callback_data: 'view_report' }],
+        [{ text: t('draft.downloadFiles'), callback_data: 'download_files' }]
       ]
     };
 
-    const summary = `
-✅ **Draft Complete!**
-
-📝 **Topic:** ${topic}
-📄 **Format:** ${format}
-📊 **Length:** ~${length} pages
-🔍 **Plagiarism:** ${(plagiarismScore * 100).toFixed(1)}%
-📚 **Sources:** ${sources.length}
-
-${driveLink ? `📁 **Drive Link:** ${driveLink}` : ''}
-    `;
+    const summary = t('draft.summary', {
+      topic: escapeMarkdown(topic),
+      format,
+      length,
+      score: plagiarismScore === null ? t('draft.plagiarismNotChecked') : `${(plagiarismScore * 100).toFixed(1)}%`,
+      count: sources.length,
+      driveLink: driveLink ? t('draft.driveLink', { link: escapeMarkdown(driveLink) }) : ''
+    });
 
     await ctx.reply(summary, { 
       reply_markup: keyboard,
@@ -270,7 +339,7 @@ ${driveLink ? `📁 **Drive Link:** ${driveLink}` : ''}
     // Step 7: Send preview chunks
     const chunks = chunkContent(content.substring(0, 8000));
     for (let i = 0; i < Math.min(chunks.length, 2); i++) {
-      await ctx.reply(`📖 **Preview ${i + 1}:**\n${chunks[i]}`, { parse_mode: 'Markdown' });
+      await ctx.reply(t('draft.preview', { number: i + 1, text: escapeMarkdown(chunks[i]) }), { parse_mode: 'Markdown' });
     }
 
     // Store in session for later reference
@@ -295,11 +364,11 @@ ${driveLink ? `📁 **Drive Link:** ${driveLink}` : ''}
 
   } catch (error) {
     console.error('Draft processing error:', error.message);
-    await ctx.reply(`❌ Draft generation failed: ${error.message}`);
+    await ctx.reply(t('draft.failed', { error: error.message }));
     
     // Alert admin
     if (ADMIN_CHAT_ID) {
-      await axios.post(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
+      await httpClient('telegram').post(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
         chat_id: ADMIN_CHAT_ID,
         text: `Draft generation failed for ${topic}: ${error.message}`
       });
@@ -313,10 +382,12 @@ ${driveLink ? `📁 **Drive Link:** ${driveLink}` : ''}
 module.exports = {
   processDraft,
   generateDraft,
+  quoteLine,
   formatCitations,
   checkPlagiarism,
   createWordDocument,
   uploadToGoogleDrive,
+  deleteStudentFolders,
   chunkContent,
   draftSchema
 };
\ No newline at end of file
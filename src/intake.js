@@ -1,23 +1,188 @@
 require('dotenv').config();
 const { Telegraf, session } = require('telegraf');
-const axios = require('axios');
-const Tesseract = require('tesseract.js');
 const Joi = require('joi');
 const http = require('http');
+const path = require('path');
+const fs = require('fs').promises;
 
 // Import all modules
-const { processSources } = require('./source-retrieval');
-const { processDraft } = require('./draft-generation');
-const { updateHistory, getAssignmentHistory } = require('./validation-commands');
-const { collectFeedback, logApiUsage } = require('./delivery-monitoring');
+const {
+  processSources,
+  searchPapers,
+  listZoteroItems,
+  deleteZoteroItems,
+  buildPassageIndex,
+  findPassages,
+  expandSources,
+  importSources,
+  deduplicateSources,
+  responseCache
+} = require('./source-retrieval');
+const { REFERENCE_FORMATS, resolveReferenceFormat, detectReferenceFormat, exportReferences, parseReferences } = require('./reference-formats');
+const { PROVIDER_LABELS, enabledProviderNames, resolveProviderNames } = require('./providers');
+const { processDraft, quoteLine, deleteStudentFolders } = require('./draft-generation');
+const { updateHistory, getAssignmentHistory, deleteHistory } = require('./validation-commands');
+const { collectFeedback, logApiUsage, generateUsageReport, getFeedback, deleteFeedback } = require('./delivery-monitoring');
 const monitor = require('../utils/monitoring');
+const { MAX_OCR_PAGES, detectDocumentType, extractDocumentText } = require('../utils/documents');
+const { recognizeText, mergePages, truncateLines, findUncertainLines } = require('../utils/ocr');
+const { createMediaGroupCollector } = require('../utils/media-group');
+const { createLiveSessions } = require('../utils/live-sessions');
+const { InstanceLock } = require('../utils/instance-lock');
+const { createStore, MemoryStore } = require('../utils/file-store');
+const { StateMachine, InvalidTransitionError } = require('../utils/state-machine');
+const { JobQueue, JobCancelledError } = require('../utils/job-queue');
+const { createWebhookHandler } = require('../utils/webhook');
+const { TokenBucketLimiter, UsageQuota } = require('../utils/rate-limit');
+const { Roster } = require('../utils/roster');
+const { AccessControl, ROLES } = require('../utils/access-control');
+const { AuditLog } = require('../utils/audit-log');
+const { httpClient, breakerStates, ServiceUnavailableError } = require('../utils/http-client');
+const { PersonalData } = require('../utils/personal-data');
+const { CITATION_STYLES, resolveStyle, formatCitation, formatAuthorsShort } = require('../utils/citation');
+const { RANKING_FACTORS, parseWeights } = require('../utils/ranking');
+const { filtersSchema, parseFilters, hasFilters, describeFilters } = require('../utils/source-filters');
+const { PassageIndex } = require('../utils/passage-index');
+const { SUPPORTED_LOCALES, t, translator, resolveLocale, languageName, escapeMarkdown } = require('../utils/i18n');
 
 // Env vars - load from .env
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
 const EDEN_AI_KEY = process.env.EDEN_AI_KEY;
+const GROQ_KEY = process.env.GROQ_KEY;
 const GOOGLE_SHEETS_ID = process.env.GOOGLE_SHEETS_ID;
 const ADMIN_CHAT_ID = process.env.ADMIN_CHAT_ID;
 
+// Document upload limits (Telegram bots can only download files up to 20 MB)
+const MAX_DOCUMENT_BYTES = (parseFloat(process.env.MAX_DOCUMENT_MB) || 10) * 1024 * 1024;
+const MAX_DOCUMENT_CHARS = parseInt(process.env.MAX_DOCUMENT_CHARS) || 20000;
+// Entries read from one uploaded reference file (each may cost a DOI lookup)
+const MAX_IMPORTED_REFERENCES = parseInt(process.env.MAX_IMPORTED_REFERENCES) || 200;
+
+// How long to wait for more photos of a Telegram album before processing it
+const ALBUM_QUIET_MS = parseInt(process.env.ALBUM_QUIET_MS) || 1500;
+
+// Persistent storage for sessions (file backend survives restarts; memory for local testing)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 72;
+// One bot process per data directory (sessions, jobs and quotas are files with in-process locks)
+const instanceLock = new InstanceLock({ file: path.join(DATA_DIR, 'instance.lock') });
+const sessionStore = createStore({
+  backend: process.env.SESSION_STORE || 'file',
+  dir: path.join(DATA_DIR, 'sessions'),
+  ttlMs: SESSION_TTL_HOURS * 60 * 60 * 1000
+});
+
+// Update delivery: long polling (default, local development) or a webhook on the health server
+const BOT_MODE = process.env.BOT_MODE || 'polling';
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || '/telegram/webhook';
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_MAX_BODY_BYTES = (parseFloat(process.env.WEBHOOK_MAX_BODY_KB) || 1024) * 1024;
+// false keeps the webhook registered across restarts, so Telegram queues updates meanwhile
+const WEBHOOK_DELETE_ON_EXIT = process.env.WEBHOOK_DELETE_ON_EXIT !== 'false';
+// How long shutdown waits for webhook updates that were acknowledged but are still running
+const WEBHOOK_DRAIN_MS = 10 * 1000;
+
+// Token buckets per chat (any update) and per chat + command; paid pipelines get tighter buckets
+const rateLimiter = new TokenBucketLimiter({
+  chat: { capacity: 20, refillPerMinute: 20 },
+  command: { capacity: 5, refillPerMinute: 5 },
+  sources: { capacity: 3, refillPerMinute: 0.5 },
+  expand: { capacity: 3, refillPerMinute: 0.5 },
+  workflow: { capacity: 2, refillPerMinute: 0.2 },
+  revise: { capacity: 5, refillPerMinute: 1 },
+  inline: { capacity: 20, refillPerMinute: 30 }
+});
+
+// Daily/monthly runs of the paid pipelines (sources, expansions, workflow, revisions) per quota tier
+// (the user type, capped at student unless /role assigns more, see AccessControl.quotaTier; admins are exempt)
+const quotaLimit = (tier, period, fallback) =>
+  parseInt(process.env[`QUOTA_${tier.toUpperCase()}_${period}`]) || fallback;
+const QUOTA_LIMITS = {
+  guest: { daily: quotaLimit('guest', 'DAILY', 3), monthly: quotaLimit('guest', 'MONTHLY', 20) },
+  student: { daily: quotaLimit('student', 'DAILY', 10), monthly: quotaLimit('student', 'MONTHLY', 100) },
+  tutor: { daily: quotaLimit('tutor', 'DAILY', 30), monthly: quotaLimit('tutor', 'MONTHLY', 400) }
+};
+QUOTA_LIMITS.admin = QUOTA_LIMITS.tutor;
+const METERED_ACTIONS = ['sources', 'expand', 'workflow', 'revise'];
+// Counters are keyed by an HMAC of the chat id and survive /deletemydata, so deleting data
+// doesn't reset a quota; they only hold the current day and month, and expire after a month unused
+const usageQuota = new UsageQuota({
+  store: createStore({
+    backend: process.env.SESSION_STORE || 'file',
+    dir: path.join(DATA_DIR, 'usage'),
+    ttlMs: 32 * 24 * 60 * 60 * 1000
+  }),
+  limits: QUOTA_LIMITS,
+  keySecret: process.env.USAGE_KEY_SECRET || TELEGRAM_TOKEN
+});
+
+// Background jobs for the sources -> draft pipeline (persisted beside sessions)
+const jobQueue = new JobQueue({
+  store: createStore({
+    backend: process.env.SESSION_STORE || 'file',
+    dir: path.join(DATA_DIR, 'jobs')
+  }),
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  perUserConcurrency: parseInt(process.env.JOB_USER_CONCURRENCY) || 1,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3
+});
+
+// Tutor rosters (students with their own history, files and feedback) and pending invite codes
+const INVITE_TTL_DAYS = parseFloat(process.env.INVITE_TTL_DAYS) || 7;
+const roster = new Roster({
+  store: createStore({
+    backend: process.env.SESSION_STORE || 'file',
+    dir: path.join(DATA_DIR, 'rosters')
+  }),
+  inviteStore: createStore({
+    backend: process.env.SESSION_STORE || 'file',
+    dir: path.join(DATA_DIR, 'invites')
+  }),
+  inviteTtlMs: INVITE_TTL_DAYS * 24 * 60 * 60 * 1000
+});
+
+// Roles and bans; ADMIN_CHAT_IDS (comma-separated) lists the permanent admins
+const accessControl = new AccessControl({
+  store: createStore({
+    backend: process.env.SESSION_STORE || 'file',
+    dir: path.join(DATA_DIR, 'users')
+  }),
+  adminChatIds: AccessControl.parseAdminIds(process.env.ADMIN_CHAT_IDS || ADMIN_CHAT_ID)
+});
+const auditLog = new AuditLog({ file: path.join(DATA_DIR, 'audit.log') });
+
+// Inline lookups: result pages cached in memory; citation style saved per Telegram user
+const INLINE_PAGE_SIZE = 20;
+const INLINE_MIN_QUERY = 3;
+const inlineCache = new MemoryStore({ ttlMs: (parseFloat(process.env.INLINE_CACHE_MINUTES) || 30) * 60 * 1000 });
+const preferenceStore = createStore({
+  backend: process.env.SESSION_STORE || 'file',
+  dir: path.join(DATA_DIR, 'preferences')
+});
+
+// Full-text passage indexes of each assignment's open-access sources, keyed "<chatId>:<jobId>";
+// kept for revisions of the draft, then pruned with expired sessions
+const PASSAGE_TTL_DAYS = parseFloat(process.env.PASSAGE_TTL_DAYS) || 14;
+const passageStore = createStore({
+  backend: process.env.SESSION_STORE || 'file',
+  dir: path.join(DATA_DIR, 'passages'),
+  ttlMs: PASSAGE_TTL_DAYS * 24 * 60 * 60 * 1000
+});
+// Quoted passages per source in a draft prompt, and in total in a revision prompt
+const DRAFT_PASSAGES_PER_SOURCE = parseInt(process.env.DRAFT_PASSAGES_PER_SOURCE) || 2;
+const REVISION_PASSAGES = parseInt(process.env.REVISION_PASSAGES) || 3;
+
+// Utility: The passage index saved for a draft (empty when it has none)
+async function loadPassages(passageKey) {
+  return PassageIndex.from(passageKey ? await passageStore.get(passageKey) : null);
+}
+
+// Broadcasts are sent as a background job, pausing between messages to stay under Telegram's limits
+const BROADCAST_BATCH_SIZE = 25;
+const BROADCAST_DELAY_MS = parseInt(process.env.BROADCAST_DELAY_MS) || 50;
+const BROADCAST_CONFIRM_MS = 10 * 60 * 1000;
+
 // Schema for assignment intake validation (Joi)
 const intakeSchema = Joi.object({
   topic: Joi.string().required(),
@@ -25,33 +190,327 @@ const intakeSchema = Joi.object({
   length: Joi.number().min(1).max(50).default(5),
   deadline: Joi.string().isoDate(),
   tags: Joi.array().items(Joi.string()),
+  filters: filtersSchema,
   userType: Joi.string().valid('tutor', 'student', 'mixed', 'guest').required()
 });
 
 // Utility: OCR for screenshots (Eden AI primary, Tesseract fallback)
 async function performOCR(imageUrl) {
   // Comment: OCR extracts text from images (screenshots of assignments).
-  // Eden AI for accuracy, fallback to Tesseract for offline.
+  // Thin wrapper over the shared OCR service for callers that only need the text.
+  const { text } = await recognizeText(imageUrl, { edenApiKey: EDEN_AI_KEY });
+  return text || 'OCR failed';
+}
+
+// Utility: Session key per chat (shared by the middleware and background work)
+function getSessionKey(ctx) {
+  return ctx.chat?.id?.toString();
+}
+
+// Utility: Run session changes outside an update (album flushes, background jobs). They go into the
+// copy of updates still running for the chat, otherwise into the store under its lock (see utils/live-sessions)
+const liveSessions = createLiveSessions({ store: sessionStore, getSessionKey });
+const withChatSession = (ctx, fn) => liveSessions.withSession(ctx, fn);
+
+// Conversation states per chat; every step of the workflow declares where it may go next.
+// Descriptions and hints shown to users live in the catalog under states.<name>.
+const conversation = new StateMachine({
+  initial: 'idle',
+  states: {
+    idle: {
+      on: ['aggregating', 'sourcing', 'revising']
+    },
+    aggregating: {
+      on: ['confirming', 'sourcing', 'idle'],
+      timeoutMs: 30 * 60 * 1000
+    },
+    confirming: {
+      on: ['aggregating', 'sourcing', 'idle'],
+      timeoutMs: 30 * 60 * 1000
+    },
+    sourcing: {
+      on: ['drafting', 'idle'],
+      timeoutMs: 15 * 60 * 1000
+    },
+    drafting: {
+      on: ['reviewing', 'idle'],
+      timeoutMs: 30 * 60 * 1000
+    },
+    reviewing: {
+      on: ['revising', 'awaiting-feedback', 'aggregating', 'idle'],
+      timeoutMs: 24 * 60 * 60 * 1000
+    },
+    revising: {
+      on: ['reviewing', 'idle'],
+      timeoutMs: 30 * 60 * 1000
+    },
+    'awaiting-feedback': {
+      on: ['idle', 'revising', 'aggregating'],
+      timeoutMs: 24 * 60 * 60 * 1000
+    }
+  }
+});
+
+// States a delivered or abandoned request leaves the chat in: new input there starts a new request
+const REQUEST_DONE_STATES = ['idle', 'reviewing', 'awaiting-feedback'];
+
+// Utility: Drop the request in progress and return to idle
+function resetConversation(session) {
+  conversation.reset(session);
+  session.messages = [];
+  session.pendingSources = [];
+  delete session.pendingExpansion;
+  delete session.importedSources;
+  delete session.assignment;
+  delete session.editingField;
+  delete session.ocrReview;
+  delete session.revisionRequest;
+  delete session.feedbackDraftId;
+  delete session.jobId;
+}
+
+// Utility: The roster entry new requests belong to (a tutor's active student, or a linked student)
+function activeWorkspace(session) {
+  if (session.userType === 'tutor' && session.activeStudentId) {
+    return { tutorChatId: session.chatId, studentId: session.activeStudentId };
+  }
+  if (session.tutorChatId && session.rosterStudentId) {
+    return { tutorChatId: session.tutorChatId, studentId: session.rosterStudentId };
+  }
+  return null;
+}
+
+// Utility: Id that pipeline runs file history and Drive uploads under
+function pipelineStudentId(session) {
+  const workspace = activeWorkspace(session);
+  return workspace
+    ? Roster.workspaceId(workspace.tutorChatId, workspace.studentId)
+    : `${session.userType}_${session.chatId}`;
+}
+
+// Utility: Make a roster student the tutor's active student
+function selectStudent(session, student) {
+  session.activeStudentId = student.id;
+  session.activeStudentName = student.name;
+  session.studentId = pipelineStudentId(session);
+}
+
+// Utility: Tutor-only commands; everyone else gets a pointer to /start
+async function requireTutor(ctx) {
+  if (ctx.session.userType === 'tutor' && accessControl.can(ctx.role, 'manageStudents')) return true;
+  await ctx.reply(ctx.t('tutor.notTutor'));
+  return false;
+}
+
+// Utility: Save a rating/comment against the student the last draft was written for
+async function recordStudentFeedback(session, rating, comment) {
+  const workspace = session.lastDraft?.workspace;
+  if (!workspace) return;
+  await roster.recordFeedback(workspace.tutorChatId, workspace.studentId, {
+    topic: session.lastDraft.topic,
+    rating,
+    comment
+  });
+}
+
+// Utility: Tell the user what the bot is waiting for in the current state
+async function replyStateHint(ctx, prefix = ctx.t('common.notNow')) {
+  const state = conversation.current(ctx.session);
+  await ctx.reply(ctx.t('common.stateHint', {
+    prefix,
+    description: ctx.t(`states.${state}.description`),
+    hint: ctx.t(`states.${state}.hint`),
+    startOver: ctx.t('common.startOver')
+  }));
+}
+
+// Utility: Move to another state, explaining to the user when that is not allowed here
+async function enterState(ctx, to) {
   try {
-    if (EDEN_AI_KEY) {
-      // Eden AI API call (free tier handles 10 images/min)
-      const response = await axios.post('https://api.edenai.run/v2/ocr', {
-        providers: 'google', // Or 'microsoft' for better handwriting
-        file_url: imageUrl,
-        language: 'en'
-      }, {
-        headers: { 'Authorization': `Bearer ${EDEN_AI_KEY}` }
-      });
-      return response.data.google.predicted_text || 'OCR failed';
-    } else {
-      throw new Error('Eden AI key not provided');
+    conversation.transition(ctx.session, to);
+    return true;
+  } catch (error) {
+    if (!(error instanceof InvalidTransitionError)) throw error;
+    await replyStateHint(ctx);
+    return false;
+  }
+}
+
+// Utility: Name the command or paid pipeline an update triggers (null for plain input and for
+// buttons, which only move through steps; confirming the workflow is the one paid button)
+function classifyAction(ctx) {
+  const text = ctx.message?.text;
+  if (text?.startsWith('/')) {
+    const [command, subcommand] = text.slice(1).split(/\s+/);
+    const name = command.split('@')[0].toLowerCase();
+    // "/sources export" sends the approved list as a file; it searches nothing, so it isn't metered
+    return name === 'sources' && subcommand?.toLowerCase() === 'export' ? 'export' : name;
+  }
+  if (text && conversation.current(ctx.session) === 'revising') {
+    return 'revise';
+  }
+  return ctx.callbackQuery?.data === 'confirm_and_process' ? 'workflow' : null;
+}
+
+// Utility: Polite reply when a quota is used up
+async function replyQuotaExceeded(ctx, usage) {
+  const period = usage.exceeded === 'daily'
+    ? ctx.t('limits.dailyReached', { limit: usage.daily.limit })
+    : ctx.t('limits.monthlyReached', { limit: usage.monthly.limit });
+  await ctx.reply(ctx.t('limits.quotaReached', { period, userType: ctx.quotaTier }));
+}
+
+// Utility: Count one paid run against the user's quota (false when it is used up)
+async function consumeQuota(ctx) {
+  if (ctx.role === 'admin') return true;
+  const usage = await usageQuota.consume(ctx.session.chatId, ctx.quotaTier);
+  if (!usage.allowed) {
+    await replyQuotaExceeded(ctx, usage);
+    return false;
+  }
+  return true;
+}
+
+// Utility: Ask for revision instructions for the last draft
+async function startRevision(ctx) {
+  if (!ctx.session.lastDraft) {
+    return ctx.reply(ctx.t('revision.noDraft'));
+  }
+  if (!(await enterState(ctx, 'revising'))) return;
+  await ctx.reply(ctx.t('revision.mode'), {
+    parse_mode: 'Markdown'
+  });
+}
+
+// Utility: Open a new request, or keep adding to the one being aggregated
+async function beginRequest(ctx) {
+  const state = conversation.current(ctx.session);
+  if (REQUEST_DONE_STATES.includes(state)) {
+    ctx.session.messages = [];
+    delete ctx.session.importedSources;
+    delete ctx.session.feedbackDraftId;
+  }
+  return state === 'aggregating' || enterState(ctx, 'aggregating');
+}
+
+// Utility: Check before slow OCR/extraction work whether new input fits the current state
+async function acceptsRequestInput(ctx) {
+  if (conversation.current(ctx.session) === 'aggregating' || conversation.can(ctx.session, 'aggregating')) {
+    return true;
+  }
+  await replyStateHint(ctx);
+  return false;
+}
+
+// Utility: OCR one photo or a whole album as a single document (null if nothing was read)
+async function recognizePhotoPages(ctx, pages) {
+  // Comment: Album pages are recognised in message order and merged with page markers,
+  // so a multi-page brief produces one request fragment and one review.
+  await ctx.reply(pages.length > 1 ? ctx.t('intake.processingPages', { count: pages.length }) : ctx.t('intake.processingImage'));
+
+  try {
+    const results = [];
+    for (const page of pages) {
+      const fileResponse = await ctx.telegram.getFile(page.fileId);
+      const imageUrl = `https://api.telegram.org/file/bot${TELEGRAM_TOKEN}/${fileResponse.file_path}`;
+      results.push(await recognizeText(imageUrl, { edenApiKey: EDEN_AI_KEY }));
+    }
+
+    const ocrResult = mergePages(results);
+    if (!ocrResult.lines.some(line => !line.marker)) {
+      await ctx.reply(ctx.t('intake.noTextInImage'));
+      return null;
     }
+    return ocrResult;
   } catch (error) {
-    console.log('Eden OCR failed, using Tesseract fallback');
-    // Tesseract.js for local processing (no API call)
-    const { data: { text } } = await Tesseract.recognize(imageUrl, 'eng');
-    return text;
+    console.error('Image OCR error:', error.message);
+    monitor.logError('ocr', error);
+    await ctx.reply(ctx.t('intake.imageError'));
+    return null;
+  }
+}
+
+// Utility: Add recognised photo text (and captions) to the request
+async function addPhotoText(ctx, pages, ocrResult) {
+  if (!(await beginRequest(ctx))) return;
+  const captions = pages.map(page => page.caption).filter(Boolean);
+  ctx.session.messages.push(...captions);
+  await startOcrReview(ctx, ocrResult, pages.length > 1 ? 'OCR from album' : 'OCR from image');
+}
+
+// Utility: Start the confirm-or-correct step for low-confidence OCR lines
+async function startOcrReview(ctx, ocrResult, marker) {
+  // Comment: Confident text joins the request immediately. Uncertain lines are
+  // shown one by one so the user can keep, correct or remove them first.
+  const uncertain = findUncertainLines(ocrResult.lines);
+  ctx.session.messages = ctx.session.messages || [];
+
+  if (uncertain.length === 0) {
+    const text = ocrResult.lines.map(line => line.text).join('\n') || ocrResult.text;
+    ctx.session.messages.push(`[${marker}]: ${text}`);
+    await ctx.reply(ctx.t('intake.textRecognised', { preview: text.substring(0, 100) }));
+    return;
+  }
+
+  ctx.session.ocrReview = {
+    marker,
+    lines: ocrResult.lines,
+    pending: uncertain.map(line => line.index),
+    position: 0
+  };
+  const lineCount = ocrResult.lines.filter(line => !line.marker).length;
+  await ctx.reply(ctx.t('ocr.uncertain', { uncertain: uncertain.length, total: lineCount }));
+  await sendOcrReviewPrompt(ctx);
+}
+
+// Utility: Ask about the current uncertain OCR line
+async function sendOcrReviewPrompt(ctx) {
+  const review = ctx.session.ocrReview;
+  const line = review.lines[review.pending[review.position]];
+
+  await ctx.reply(ctx.t('ocr.linePrompt', {
+    position: review.position + 1,
+    count: review.pending.length,
+    confidence: line.confidence,
+    text: line.text
+  }), {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: ctx.t('ocr.keep'), callback_data: 'ocr_keep' },
+          { text: ctx.t('ocr.correct'), callback_data: 'ocr_correct' },
+          { text: ctx.t('ocr.remove'), callback_data: 'ocr_remove' }
+        ],
+        [{ text: ctx.t('ocr.keepAll'), callback_data: 'ocr_keep_all' }]
+      ]
+    }
+  });
+}
+
+// Utility: Record the decision for the current OCR line and move on
+async function resolveOcrLine(ctx, action, correction) {
+  const review = ctx.session.ocrReview;
+  const index = review.pending[review.position];
+
+  if (action === 'correct') {
+    review.lines[index] = { text: correction.trim(), confidence: 100 };
+  } else if (action === 'remove') {
+    review.lines[index] = { ...review.lines[index], removed: true };
+  }
+  review.position = action === 'keep_all' ? review.pending.length : review.position + 1;
+  delete review.awaitingCorrection;
+
+  if (review.position < review.pending.length) {
+    await sendOcrReviewPrompt(ctx);
+    return;
+  }
+
+  const text = review.lines.filter(line => !line.removed).map(line => line.text).join('\n');
+  if (text) {
+    ctx.session.messages.push(`[${review.marker}]: ${text}`);
   }
+  delete ctx.session.ocrReview;
+  await ctx.reply(ctx.t('ocr.confirmed', { preview: text.substring(0, 100) }));
 }
 
 // Utility: Speech-to-Text for voice notes (new improvement for accessibility)
@@ -60,18 +519,19 @@ async function transcribeVoice(voiceFileId) {
   // Human-in-the-loop: Bot sends "Transcribing voice..." then confirmation.
   try {
     // Get file path from Telegram
-    const fileResponse = await axios.get(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/getFile?file_id=${voiceFileId}`);
+    const fileResponse = await httpClient('telegram').get(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/getFile?file_id=${voiceFileId}`);
     const filePath = fileResponse.data.result.file_path;
     const downloadUrl = `https://api.telegram.org/file/bot${TELEGRAM_TOKEN}/${filePath}`;
 
     if (EDEN_AI_KEY) {
-      // Eden AI transcription
-      const transResponse = await axios.post('https://api.edenai.run/v2/audio/transcribe', {
+      // Eden AI transcription; no language is given, so Whisper detects it (students may not
+      // speak the language their Telegram app is set to)
+      const transResponse = await httpClient('eden').post('https://api.edenai.run/v2/audio/transcribe', {
         providers: 'openai', // Whisper model
-        file_url: downloadUrl,
-        language: 'en'
+        file_url: downloadUrl
       }, {
-        headers: { 'Authorization': `Bearer ${EDEN_AI_KEY}` }
+        headers: { 'Authorization': `Bearer ${EDEN_AI_KEY}` },
+        idempotent: true
       });
       return transResponse.data.openai.transcription || 'Transcription failed';
     } else {
@@ -82,6 +542,227 @@ async function transcribeVoice(voiceFileId) {
   }
 }
 
+// Utility: Heuristic parsing of assignment details from aggregated request text
+function parseAssignmentText(text) {
+  // Comment: Cheap regex pass so extraction still works without Groq.
+  // Only fields that are clearly stated are returned; the rest fall back to schema defaults.
+  const details = {};
+
+  const formatMatch = text.match(/\b(APA|MLA|Chicago)\b/i);
+  if (formatMatch) {
+    const format = formatMatch[1].toUpperCase();
+    details.format = format === 'CHICAGO' ? 'Chicago' : format;
+  }
+
+  const pagesMatch = text.match(/\b(\d{1,2})\s*-?\s*(?:pages?|pp)\b/i);
+  const wordsMatch = text.match(/\b(\d{1,2}(?:,\d{3})+|\d{3,5})\s*-?\s*words?\b/i);
+  if (pagesMatch) {
+    details.length = parseInt(pagesMatch[1]);
+  } else if (wordsMatch) {
+    // Roughly 250 words per double-spaced page
+    details.length = Math.max(1, Math.ceil(parseInt(wordsMatch[1].replace(/,/g, '')) / 250));
+  }
+
+  const isoDeadline = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  const dmyDeadline = text.match(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/);
+  if (isoDeadline) {
+    details.deadline = isoDeadline[1];
+  } else if (dmyDeadline) {
+    const [, day, month, year] = dmyDeadline;
+    details.deadline = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  const tags = (text.match(/#[\p{L}\p{N}_-]+/gu) || []).map(tag => tag.slice(1).toLowerCase());
+  if (tags.length) {
+    details.tags = [...new Set(tags)];
+  }
+
+  // Topic: first line of the request without OCR/voice markers or hashtags
+  const firstLine = text
+    .split('\n')
+    .map(line => line
+      .replace(/^\[(?:OCR from (?:image|album)|Voice transcription|(?:Text|OCR) from document[^\]]*)\]:\s*/, '')
+      .replace(/^--- Page \d+ ---$/, '')
+      .replace(/#[\p{L}\p{N}_-]+/gu, '')
+      .trim())
+    .find(line => line.length > 0);
+  if (firstLine) {
+    details.topic = firstLine.substring(0, 200);
+  }
+
+  return details;
+}
+
+// Utility: Validate extracted fields one by one, dropping the ones the schema rejects
+function sanitizeAssignment(candidate) {
+  const clean = {};
+  for (const [field, value] of Object.entries(candidate || {})) {
+    if (value === undefined || value === null || value === '') continue;
+    let fieldSchema;
+    try {
+      fieldSchema = intakeSchema.extract(field);
+    } catch {
+      continue; // Not an intake field
+    }
+    const { error, value: validated } = fieldSchema.validate(value);
+    if (!error) {
+      clean[field] = validated;
+    }
+  }
+  return clean;
+}
+
+// Utility: Extract a full intakeSchema object from aggregated text, OCR and voice fragments
+async function extractAssignmentDetails(messages, userType = 'guest') {
+  // Comment: Groq reads the whole request (including OCR/voice fragments) and returns JSON.
+  // Regex heuristics fill in anything Groq misses or when the key is not configured.
+  const text = (messages || []).join('\n');
+  const heuristics = parseAssignmentText(text);
+  let extracted = {};
+
+  if (GROQ_KEY && text.trim()) {
+    try {
+      const prompt = `Extract the assignment details from this student request. Return ONLY a JSON object with keys:
+"topic" (string, concise research topic), "format" ("APA", "MLA" or "Chicago"), "length" (number of pages),
+"deadline" (ISO date YYYY-MM-DD), "tags" (array of short lowercase subject tags),
+"filters" (object, only for source requirements the request states: "yearFrom"/"yearTo" (numbers),
+"types" (array of "journal", "conference", "review", "preprint"), "openAccess" (boolean),
+"minCitations" (number), "language" (two-letter code)). Omit keys that are not stated.
+Today is ${new Date().toISOString().slice(0, 10)}.
+
+Request:
+${text}`;
+
+      const response = await httpClient('groq').post('https://api.groq.com/openai/v1/chat/completions', {
+        model: 'llama3-70b-8192',
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: 300,
+        temperature: 0
+      }, {
+        headers: { 'Authorization': `Bearer ${GROQ_KEY}` },
+        idempotent: true
+      });
+
+      const content = response.data.choices[0].message.content;
+      const jsonMatch = content.match(/\{[\s\S]*\}/);
+      extracted = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+    } catch (error) {
+      console.error('Groq extraction error:', error.message);
+    }
+  }
+
+  const assignment = {
+    ...sanitizeAssignment(heuristics),
+    ...sanitizeAssignment(extracted),
+    userType
+  };
+  if (!assignment.topic) {
+    assignment.topic = text.trim().substring(0, 200) || 'general research';
+  }
+
+  const { error, value } = intakeSchema.validate(assignment);
+  if (error) {
+    console.log(`Extraction validation error: ${error.details[0].message}`);
+    // Defaults for everything but the topic; the chat's mode is kept
+    return intakeSchema.validate({ topic: assignment.topic, userType }).value;
+  }
+  return value;
+}
+
+// Catalog keys for fields whose invalid edits have a specific explanation
+const ASSIGNMENT_EDIT_ERRORS = {
+  topic: 'assignment.errors.topic',
+  format: 'assignment.errors.format',
+  length: 'assignment.errors.length',
+  deadline: 'assignment.errors.deadline'
+};
+
+// Utility: Apply a user edit to one assignment field (returns a localized error message or null)
+function applyAssignmentEdit(assignment, field, input, t = translator()) {
+  let value = input.trim();
+  if (field === 'tags') {
+    value = value.split(/[,\s]+/).map(tag => tag.replace(/^#/, '').toLowerCase()).filter(Boolean);
+  } else if (field === 'filters') {
+    // "-" clears the filters; anything else replaces them
+    if (value === '-') {
+      delete assignment.filters;
+      return null;
+    }
+    const { filters, rest, error } = parseFilters(value);
+    if (error) {
+      return t('assignment.errors.filters');
+    }
+    if (rest.length) {
+      return t('assignment.errors.unknownFilter', { filters: rest.join(' ') });
+    }
+    value = filters;
+  } else if (field === 'format') {
+    value = parseAssignmentText(value).format || value;
+  }
+
+  const { error, value: validated } = intakeSchema.extract(field).validate(value);
+  if (error) {
+    return ASSIGNMENT_EDIT_ERRORS[field]
+      ? t(ASSIGNMENT_EDIT_ERRORS[field], { min: 1, max: 50 })
+      : t('assignment.errors.invalid', { field: t(`assignment.fields.${field}`) });
+  }
+  assignment[field] = validated;
+  return null;
+}
+
+// Utility: Localized words for describeFilters
+function filterLabels(t) {
+  return { openAccess: t('filters.openAccess'), citations: t('filters.citations') };
+}
+
+// Utility: Render the editable confirmation card for an extracted assignment
+function renderAssignmentCard(assignment, locale, studentName) {
+  const t = translator(locale);
+  // The card is sent as Markdown; the fields hold the user's own text
+  const studentLine = studentName ? t('assignment.forStudent', { name: escapeMarkdown(studentName) }) : '';
+  const text = studentLine + t('assignment.card', {
+    topic: escapeMarkdown(assignment.topic),
+    format: assignment.format,
+    length: assignment.length,
+    deadline: assignment.deadline ? escapeMarkdown(assignment.deadline) : t('common.notSet'),
+    tags: assignment.tags?.length ? escapeMarkdown(assignment.tags.join(', ')) : t('common.none'),
+    filters: hasFilters(assignment.filters) ? escapeMarkdown(describeFilters(assignment.filters, filterLabels(t))) : t('common.none'),
+    userType: assignment.userType
+  });
+
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: t('assignment.editTopic'), callback_data: 'edit_field_topic' },
+        { text: t('assignment.editLength'), callback_data: 'edit_field_length' }
+      ],
+      [
+        { text: 'APA', callback_data: 'set_format_APA' },
+        { text: 'MLA', callback_data: 'set_format_MLA' },
+        { text: 'Chicago', callback_data: 'set_format_Chicago' }
+      ],
+      [
+        { text: t('assignment.editDeadline'), callback_data: 'edit_field_deadline' },
+        { text: t('assignment.editTags'), callback_data: 'edit_field_tags' }
+      ],
+      [{ text: t('assignment.editFilters'), callback_data: 'edit_field_filters' }],
+      [{ text: t('assignment.confirm'), callback_data: 'confirm_and_process' }],
+      [{ text: t('common.cancel'), callback_data: 'cancel' }]
+    ]
+  };
+
+  return { text, reply_markup: keyboard };
+}
+
+// Utility: Extract the assignment from the session and show the confirmation card
+async function showAssignmentCard(ctx) {
+  if (!(await enterState(ctx, 'confirming'))) return;
+  await ctx.reply(ctx.t('assignment.reading'));
+  ctx.session.assignment = await extractAssignmentDetails(ctx.session.messages, ctx.session.userType);
+  const card = renderAssignmentCard(ctx.session.assignment, ctx.session.locale, ctx.session.activeStudentName);
+  await ctx.reply(card.text, { reply_markup: card.reply_markup, parse_mode: 'Markdown' });
+}
+
 // Utility: Log to console (simplified version without Google Sheets)
 async function logToConsole(data) {
   // Comment: Simple logging for now, can be upgraded to Sheets later
@@ -108,10 +789,17 @@ if (!TELEGRAM_TOKEN) {
   process.exit(1);
 }
 
+if (BOT_MODE === 'webhook' && (!WEBHOOK_URL || !WEBHOOK_SECRET)) {
+  console.error('WEBHOOK_URL and WEBHOOK_SECRET are required when BOT_MODE=webhook');
+  process.exit(1);
+}
+
 const bot = new Telegraf(TELEGRAM_TOKEN);
 
-// Enable session middleware
-bot.use(session());
+// Enable session middleware (persistent store, one session per chat)
+bot.use(liveSessions.track);
+bot.use(session({ store: sessionStore, getSessionKey }));
+bot.use(liveSessions.attach);
 
 // Middleware for session initialization and user detection
 bot.use(async (ctx, next) => {
@@ -122,79 +810,559 @@ bot.use(async (ctx, next) => {
   
   // Set session defaults
   ctx.session.messages = ctx.session.messages || [];
-  ctx.session.isAggregating = ctx.session.isAggregating || false;
   ctx.session.userType = ctx.session.userType || 'guest';
   ctx.session.approvedSources = ctx.session.approvedSources || [];
+  ctx.session.locale = ctx.session.locale || resolveLocale(ctx.from?.language_code);
+  ctx.t = (key, vars) => t(ctx.session?.locale, key, vars);
   
   const chatId = ctx.message?.chat?.id?.toString() || ctx.callbackQuery?.message?.chat?.id?.toString();
   ctx.session.chatId = chatId;
-  
+
+  // Sessions saved before the state machine only carry the aggregation flag
+  if (!ctx.session.state) {
+    ctx.session.state = ctx.session.isAggregating ? 'aggregating' : conversation.initial;
+    ctx.session.stateEnteredAt = Date.now();
+  }
+  delete ctx.session.isAggregating;
+  delete ctx.session.waitingForRevision;
+  delete ctx.session.waitingForComment;
+
+  // Abandoned steps expire so the chat never stays stuck waiting for input
+  // (a queued or running job keeps its step alive however long it waits)
+  if (conversation.isTimedOut(ctx.session) && !jobQueue.isActive(ctx.session.jobId)) {
+    const description = ctx.t(`states.${conversation.current(ctx.session)}.description`);
+    resetConversation(ctx.session);
+    if (ctx.chat) {
+      await ctx.reply(ctx.t('common.timedOut', { description: description.toLowerCase() }));
+    }
+  }
+
+  await next();
+});
+
+// Middleware for roles and bans (also records who uses the bot for /users and /broadcast)
+const banNotices = new Map();
+bot.use(async (ctx, next) => {
+  const chatId = ctx.session.chatId;
+  if (!chatId) {
+    return next();
+  }
+
+  const user = await accessControl.touch(chatId, {
+    name: [ctx.from?.first_name, ctx.from?.last_name].filter(Boolean).join(' ') || undefined,
+    username: ctx.from?.username,
+    userType: ctx.session.userType,
+    locale: ctx.session.locale
+  });
+  ctx.role = accessControl.roleFor(chatId, user, ctx.session.userType);
+  ctx.quotaTier = accessControl.quotaTier(chatId, user, ctx.session.userType);
+
+  if (user.banned && ctx.role !== 'admin') {
+    // Tell a banned chat once an hour, then drop its updates silently
+    if ((banNotices.get(chatId) || 0) < Date.now()) {
+      banNotices.set(chatId, Date.now() + 60 * 60 * 1000);
+      await ctx.reply(ctx.t('admin.youAreBanned'));
+    }
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery();
+    }
+    return;
+  }
+
+  await next();
+});
+
+// Middleware for rate limits and quotas (admins are exempt)
+const rateLimitNotices = new Map();
+bot.use(async (ctx, next) => {
+  const chatId = ctx.session.chatId;
+  if (!chatId || ctx.role === 'admin') {
+    return next();
+  }
+
+  const action = classifyAction(ctx);
+  // Buttons aren't limited (an OCR review or a source list takes many taps in a row)
+  if (ctx.callbackQuery && !action) {
+    return next();
+  }
+  const checks = [rateLimiter.take(chatId, 'chat')];
+  if (action) {
+    checks.push(rateLimiter.take(`${chatId}:${action}`, METERED_ACTIONS.includes(action) ? action : 'command'));
+  }
+  const limited = checks.find(check => !check.allowed);
+
+  if (limited) {
+    // Answer a burst once instead of replying to every dropped update
+    const seconds = Math.ceil(limited.retryAfterMs / 1000);
+    if ((rateLimitNotices.get(chatId) || 0) < Date.now()) {
+      rateLimitNotices.set(chatId, Date.now() + limited.retryAfterMs);
+      await ctx.reply(ctx.t('limits.slowDown', { seconds }));
+    }
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery(ctx.t('limits.slowDownShort', { seconds }));
+    }
+    return;
+  }
+
+  // Check quotas before any work starts; runs are counted where the work is queued
+  if (METERED_ACTIONS.includes(action)) {
+    const usage = await usageQuota.usage(chatId, ctx.quotaTier);
+    if (!usage.allowed) {
+      await replyQuotaExceeded(ctx, usage);
+      if (ctx.callbackQuery) {
+        await ctx.answerCbQuery();
+      }
+      return;
+    }
+  }
+
   await next();
 });
 
 // Command: /start - Start session with menu
 bot.start(async (ctx) => {
+  // Deep links from /invite open the bot with "/start join_<code>"
+  if (ctx.payload?.startsWith('join_')) {
+    return joinTutor(ctx, ctx.payload.replace('join_', ''));
+  }
+  // The inline results' "citation style" button opens the bot with "/start style"
+  if (ctx.payload === 'style') {
+    return replyStylePicker(ctx);
+  }
+
   // Comment: Interactive menu for user type, human-in-the-loop confirmation.
   const keyboard = {
     inline_keyboard: [
-      [{ text: 'Student (Direct)', callback_data: 'type_student' }],
-      [{ text: 'Tutor (Manage Students)', callback_data: 'type_tutor' }],
-      [{ text: 'Guest (Anonymous)', callback_data: 'type_guest' }],
-      [{ text: 'Cancel', callback_data: 'cancel' }]
+      [{ text: ctx.t('start.student'), callback_data: 'type_student' }],
+      [{ text: ctx.t('start.tutor'), callback_data: 'type_tutor' }],
+      [{ text: ctx.t('start.guest'), callback_data: 'type_guest' }],
+      [{ text: ctx.t('start.cancel'), callback_data: 'cancel' }]
     ]
   };
-  ctx.reply('Welcome to the Academic Bot! Choose your mode:', { reply_markup: keyboard });
+  ctx.reply(ctx.t('start.welcome'), { reply_markup: keyboard });
 });
 
-// Handle all callback queries
-bot.on('callback_query', async (ctx) => {
-  const data = ctx.callbackQuery.data;
-  
+// Utility: Queue the end-to-end workflow for the confirmed assignment
+async function queueWorkflow(ctx) {
+  // Comment: Sources and drafting run as a background job so the update
+  // handler returns at once and one slow request cannot block other chats.
+  const assignment = ctx.session.assignment ||
+    await extractAssignmentDetails(ctx.session.messages, ctx.session.userType);
+  await logToConsole(assignment);
+  if (!(await consumeQuota(ctx))) return;
+  conversation.transition(ctx.session, 'sourcing');
+
+  const job = await jobQueue.enqueue('workflow', {
+    chatId: ctx.session.chatId,
+    payload: {
+      assignment,
+      studentId: pipelineStudentId(ctx.session),
+      workspace: activeWorkspace(ctx.session),
+      providers: await providersFor(ctx.from.id),
+      imported: ctx.session.importedSources || [],
+      locale: ctx.session.locale
+    }
+  });
+  ctx.session.jobId = job.id;
+
+  // Clear the request (the job carries the confirmed assignment)
+  ctx.session.messages = [];
+  delete ctx.session.importedSources;
+  delete ctx.session.assignment;
+  delete ctx.session.editingField;
+
+  const position = jobQueue.position(job.id);
+  await ctx.reply(ctx.t('workflow.starting', {
+    queue: position > 1 ? ctx.t('workflow.queuePosition', { position }) : ''
+  }), {
+    parse_mode: 'Markdown'
+  });
+}
+
+// Utility: Context for replying to a chat from a background job
+function createJobContext(job) {
+  return {
+    chat: { id: job.chatId },
+    telegram: bot.telegram,
+    session: { chatId: job.chatId, studentId: job.payload.studentId, locale: job.payload.locale },
+    reply: (text, extra) => bot.telegram.sendMessage(job.chatId, text, extra),
+    t: translator(job.payload.locale)
+  };
+}
+
+// Utility: Apply a job's result to the chat session if the conversation still allows it
+async function updateJobSession(ctx, job, to, fn = () => {}) {
+  await withChatSession(ctx, sessionCtx => {
+    const session = sessionCtx.session;
+    if (session.jobId !== job.id) return;
+    if (to === 'idle') {
+      resetConversation(session);
+    } else if (conversation.can(session, to)) {
+      conversation.transition(session, to);
+    }
+    fn(session);
+  });
+}
+
+// Utility: Zotero target for an assignment. Each assignment gets its own collection, named after
+// its topic and due date (or the day it was sent)
+function zoteroTarget(assignment, sentAt = Date.now()) {
+  const date = assignment.deadline || new Date(sentAt).toISOString().slice(0, 10);
+  const topic = assignment.topic.length > 100 ? `${assignment.topic.slice(0, 99)}…` : assignment.topic;
+  return { collection: `${topic} (${date})`, tags: assignment.tags || [] };
+}
+
+// Utility: Zotero target for /sources: the pending assignment's, else the last draft's when no new
+// request has started, else one named after the first line of the request
+function sourcesZoteroTarget(session, topic) {
+  if (session.assignment) return zoteroTarget(session.assignment);
+  if (!session.messages?.length && session.lastDraft?.zotero) return session.lastDraft.zotero;
+  return zoteroTarget({ topic: parseAssignmentText(topic).topic || 'general research' });
+}
+
+// Job: Find sources and generate the draft for a confirmed assignment
+jobQueue.register('workflow', async (job, { step, progress }) => {
+  const { assignment, workspace } = job.payload;
+  const { topic, format, length } = assignment;
+  const ctx = createJobContext(job);
+  const zotero = zoteroTarget(assignment, job.createdAt);
+
+  if (job.resumed) {
+    await ctx.reply(ctx.t('workflow.resuming'));
+  }
+
   try {
-    if (data.startsWith('type_')) {
+    // Step 1: Process sources
+    await progress(10, 'sources');
+    const sources = await step('sources', () =>
+      processSources(topic, job.chatId, [], {
+        providers: job.payload.providers,
+        filters: assignment.filters,
+        imported: job.payload.imported,
+        zotero
+      }));
+
+    if (sources.length === 0) {
+      await ctx.reply(ctx.t('workflow.noSources'));
+      await updateJobSession(ctx, job, 'idle');
+      return { sources: 0 };
+    }
+
+    await progress(40, 'fulltext');
+    await updateJobSession(ctx, job, 'drafting', session => {
+      session.approvedSources = sources;
+    });
+    await ctx.reply(ctx.t('workflow.foundSources', { count: sources.length }));
+
+    // Step 2: Index the full text of the open-access sources
+    const passageKey = `${job.chatId}:${job.id}`;
+    const indexed = await step('fulltext', async () => {
+      const index = await buildPassageIndex(sources);
+      await passageStore.set(passageKey, index.toJSON());
+      return index.sources().length;
+    });
+    if (indexed > 0) {
+      await ctx.reply(ctx.t('workflow.fullTextIndexed', { count: indexed, total: sources.length }));
+    }
+
+    // Step 3: Generate the draft, quoting the passages most relevant to the topic
+    await progress(60, 'draft');
+    const evidence = findPassages(await loadPassages(passageKey), topic, sources, { perSource: DRAFT_PASSAGES_PER_SOURCE });
+    // One attempt only: processDraft sends messages and uploads to Drive, which a retry would repeat.
+    // No draft back is a failure too, so the chat never reaches review without a file
+    const draft = await step('draft', async () => {
+      const result = await processDraft(ctx, topic, sources, format, length, { evidence });
+      if (!result?.filename) throw new Error(ctx.t('workflow.noDraft'));
+      return result;
+    }, { attempts: 1 });
+
+    // Log the complete workflow
+    await progress(90, 'history');
+    await step('history', () => updateHistory(job.chatId, {
+      action: 'workflow_completed',
+      studentId: job.payload.studentId,
+      topic,
+      format,
+      length,
+      deadline: assignment.deadline,
+      sources: sources.length,
+      draft: {
+        topic,
+        format,
+        length,
+        plagiarismScore: draft.plagiarismScore,
+        sources: sources.map(source => source.doi),
+        driveLink: draft.driveLink,
+        filename: draft.filename,
+        timestamp: new Date().toISOString()
+      }
+    }, ['workflow', 'academic', ...(assignment.tags || [])]));
+    if (workspace) {
+      await step('roster', () => roster.recordAssignment(workspace.tutorChatId, workspace.studentId, {
+        topic,
+        format,
+        length,
+        deadline: assignment.deadline,
+        tags: assignment.tags || [],
+        filename: draft.filename,
+        driveLink: draft.driveLink || null
+      }));
+    }
+
+    await progress(100, 'done');
+    await updateJobSession(ctx, job, 'reviewing', session => {
+      session.lastDraft = { topic, format, length, workspace, passageKey, zotero, ...draft };
+    });
+    return { sources: sources.length, filename: draft.filename };
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      // Cancels from /jobs cancel or /ban don't reset the chat the way /cancel does
+      await updateJobSession(ctx, job, 'idle');
+      throw error;
+    }
+    console.error('Workflow error:', error.message);
+    await ctx.reply(error instanceof ServiceUnavailableError
+      ? ctx.t('services.unavailable', { service: error.service })
+      : ctx.t('workflow.failed', { error: error.message }));
+    monitor.logError('workflow', error);
+    await updateJobSession(ctx, job, 'idle');
+    throw error;
+  }
+});
+
+// Job: Send an admin broadcast in batches (batches already sent are skipped on resume)
+jobQueue.register('broadcast', async (job, { step, progress }) => {
+  const { text, recipients } = job.payload;
+  let sent = 0;
+  let failed = 0;
+
+  for (let i = 0; i < recipients.length; i += BROADCAST_BATCH_SIZE) {
+    const batch = recipients.slice(i, i + BROADCAST_BATCH_SIZE);
+    const result = await step(`batch_${i / BROADCAST_BATCH_SIZE}`, async () => {
+      const counts = { sent: 0, failed: 0 };
+      for (const recipient of batch) {
+        try {
+          await bot.telegram.sendMessage(recipient.chatId, t(recipient.locale, 'admin.broadcastPrefix') + text);
+          counts.sent++;
+        } catch (error) {
+          // Usually a chat that blocked the bot; not worth retrying the whole batch
+          counts.failed++;
+        }
+        await new Promise(resolve => setTimeout(resolve, BROADCAST_DELAY_MS));
+      }
+      return counts;
+    }, { attempts: 1 });
+
+    sent += result.sent;
+    failed += result.failed;
+    await progress(((i + batch.length) / recipients.length) * 100, 'sending');
+  }
+
+  await auditLog.record({ actor: job.chatId, action: 'broadcast_sent', target: job.id, details: { sent, failed } });
+  await bot.telegram.sendMessage(job.chatId, t(job.payload.locale, 'admin.broadcastDone', { sent, failed }));
+  return { sent, failed };
+});
+
+// Callback routes: `states` lists where a button is active (omitted = any state)
+const callbackRoutes = [
+  {
+    match: /^type_/,
+    handler: async (ctx, data) => {
       const userType = data.replace('type_', '');
+      // Tutor mode needs student management, which only configured admins and /role grant
+      const user = await accessControl.getUser(ctx.session.chatId);
+      if (userType === 'tutor' && !accessControl.can(accessControl.roleFor(ctx.session.chatId, user), 'manageStudents')) {
+        await ctx.reply(ctx.t('admin.tutorNotAllowed'));
+        return;
+      }
       ctx.session.userType = userType;
-      ctx.session.studentId = `${userType}_${ctx.session.chatId}`;
-      
+      if (userType !== 'tutor') {
+        delete ctx.session.activeStudentId;
+        delete ctx.session.activeStudentName;
+      }
+      ctx.session.studentId = pipelineStudentId(ctx.session);
+
       // Log user type selection
       await updateHistory(ctx.session.chatId, {
         action: 'user_type_selected',
         userType: userType
       }, ['setup']);
-      
-      await ctx.reply(`✅ Mode set to **${userType}**.\n\nYou can now:\n• Send your assignment topic\n• Upload screenshots of assignments\n• Send voice notes\n• Use commands like /sources, /history`, {
+
+      const tutorTip = userType === 'tutor' ? ctx.t('tutor.modeTip') : '';
+      await ctx.reply(ctx.t('start.modeSet', { userType }) + tutorTip, {
         parse_mode: 'Markdown'
       });
-      
-    } else if (data.startsWith('rate_')) {
+    }
+  },
+  {
+    match: /^broadcast_/,
+    handler: async (ctx, data) => {
+      if (!accessControl.can(ctx.role, 'admin')) {
+        await ctx.reply(ctx.t('admin.denied'));
+        return;
+      }
+      const pending = ctx.session.pendingBroadcast;
+      delete ctx.session.pendingBroadcast;
+      if (!pending || Date.now() - pending.createdAt > BROADCAST_CONFIRM_MS) {
+        await ctx.reply(ctx.t('admin.broadcastExpired'));
+        return;
+      }
+      if (data === 'broadcast_cancel') {
+        await auditLog.record({ actor: ctx.session.chatId, action: 'broadcast_cancelled' });
+        await ctx.reply(ctx.t('admin.broadcastCancelled'));
+        return;
+      }
+
+      const recipients = (await accessControl.list({ banned: false }))
+        .filter(user => user.chatId !== ctx.session.chatId)
+        .map(user => ({ chatId: user.chatId, locale: user.locale }));
+      const job = await jobQueue.enqueue('broadcast', {
+        chatId: ctx.session.chatId,
+        payload: { text: pending.text, recipients, locale: ctx.session.locale }
+      });
+      await auditLog.record({
+        actor: ctx.session.chatId,
+        action: 'broadcast_confirmed',
+        target: job.id,
+        details: { recipients: recipients.length, text: pending.text }
+      });
+      await ctx.reply(ctx.t('admin.broadcastQueued', { count: recipients.length, id: job.id.slice(0, 8) }));
+    }
+  },
+  {
+    match: /^deletemydata_/,
+    handler: async (ctx, data) => {
+      const requestedAt = ctx.session.pendingDeletion;
+      delete ctx.session.pendingDeletion;
+      if (!requestedAt || Date.now() - requestedAt > DELETE_CONFIRM_MS) {
+        await ctx.reply(ctx.t('privacy.deleteExpired'));
+        return;
+      }
+      if (data === 'deletemydata_cancel') {
+        await ctx.reply(ctx.t('privacy.deleteCancelled'));
+        return;
+      }
+
+      // The session goes too, so keep the chat's language for the replies
+      const t = translator(ctx.session.locale);
+      await ctx.reply(t('privacy.deleting'));
+      const results = await personalData.erase(ctx.session.chatId);
+      ctx.session = null;
+
+      const summary = results.map(({ name, removed, error }) => (error
+        ? t('privacy.failed', { source: t(`privacy.sources.${name}`) })
+        : t('privacy.removed', { source: t(`privacy.sources.${name}`), count: removed }))).join('\n');
+      const failed = results.filter(result => result.error);
+      if (failed.length) {
+        console.error('Data deletion incomplete:', failed.map(({ name, error }) => `${name}: ${error}`).join('; '));
+      }
+      await ctx.reply(t(failed.length ? 'privacy.deletedPartial' : 'privacy.deleted', { summary }));
+    }
+  },
+  {
+    match: /^student_/,
+    handler: async (ctx, data) => {
+      if (!(await requireTutor(ctx))) return;
+      const student = await roster.get(ctx.session.chatId, data.replace('student_', ''));
+      if (!student) {
+        await ctx.reply(ctx.t('tutor.notFound', { query: data.replace('student_', '') }));
+        return;
+      }
+      selectStudent(ctx.session, student);
+      await ctx.reply(ctx.t('tutor.switched', { name: student.name }));
+    }
+  },
+  {
+    match: /^provider_/,
+    handler: async (ctx, data) => {
+      const name = data.replace('provider_', '');
+      const chosen = await providersFor(ctx.from.id);
+      const next = chosen.includes(name) ? chosen.filter(other => other !== name) : [...chosen, name];
+      if (next.length === 0) {
+        await ctx.reply(ctx.t('providers.lastOne'));
+        return;
+      }
+      await setProviders(ctx.from.id, next);
+      const { text, extra } = await providerPicker(ctx);
+      await ctx.editMessageText(text, extra);
+    }
+  },
+  {
+    match: /^style_/,
+    handler: async (ctx, data) => {
+      const style = resolveStyle(data.replace('style_', ''));
+      await setCitationStyle(ctx.from.id, style);
+      await ctx.reply(ctx.t('inline.styleChanged', { style }));
+    }
+  },
+  {
+    match: /^lang_/,
+    handler: async (ctx, data) => {
+      ctx.session.locale = resolveLocale(data.replace('lang_', ''));
+      await ctx.reply(ctx.t('language.changed'));
+    }
+  },
+  {
+    match: /^rate_/,
+    states: ['awaiting-feedback'],
+    handler: async (ctx, data) => {
       // Handle feedback ratings
       const [, draftId, rating] = data.split('_');
       const { saveFeedback } = require('./delivery-monitoring');
-      
+
       await saveFeedback(ctx.chat.id, parseInt(rating));
-      await ctx.reply(`✅ Thank you for rating us ${rating}⭐!\n\nYour feedback helps us improve the service.`);
-      
+      await recordStudentFeedback(ctx.session, parseInt(rating));
+      await ctx.reply(ctx.t('feedback.thanksRating', { rating }));
+
       // Ask for additional comment on low ratings
       if (parseInt(rating) <= 3) {
-        ctx.session.waitingForComment = draftId;
-        await ctx.reply('💬 We value your feedback! Please share what we can improve:');
+        ctx.session.feedbackDraftId = draftId;
+        await ctx.reply(ctx.t('feedback.askImprove'));
+      } else {
+        resetConversation(ctx.session);
       }
-      
-    } else if (data.startsWith('comment_')) {
+    }
+  },
+  {
+    match: /^comment_/,
+    states: ['awaiting-feedback'],
+    handler: async (ctx, data) => {
       // Handle feedback comments
-      const draftId = data.replace('comment_', '');
-      ctx.session.waitingForComment = draftId;
-      await ctx.reply('💬 Please share your feedback about the draft:');
-      
-    } else if (data === 'approve_draft') {
-      await ctx.reply('✅ **Draft Approved!**\n\nYour assignment is complete. Files have been saved to your Drive folder.');
-      
+      ctx.session.feedbackDraftId = data.replace('comment_', '');
+      await ctx.reply(ctx.t('feedback.askComment'));
+    }
+  },
+  {
+    match: 'approve_draft',
+    states: ['reviewing'],
+    handler: async (ctx) => {
+      conversation.transition(ctx.session, 'awaiting-feedback');
+      await ctx.reply(ctx.t('draft.approved'), {
+        parse_mode: 'Markdown'
+      });
+
       // Collect feedback after approval
-      const { collectFeedback } = require('./delivery-monitoring');
       const draftId = Date.now().toString();
-      await collectFeedback(ctx, draftId);
-      
-    } else if (data === 'download_files') {
+      const feedback = await collectFeedback(draftId, ctx.session.locale);
+      await ctx.reply(feedback.text, { reply_markup: feedback.reply_markup, parse_mode: feedback.parse_mode });
+    }
+  },
+  {
+    match: 'revise_draft',
+    states: ['reviewing', 'awaiting-feedback'],
+    handler: async (ctx) => startRevision(ctx)
+  },
+  {
+    match: 'view_report',
+    handler: async (ctx) => {
+      const { generateReport } = require('./validation-commands');
+      const report = await generateReport(ctx.chat.id, ctx.session.locale);
+      await ctx.reply(ctx.t('report.title', { report }), { parse_mode: 'Markdown' });
+    }
+  },
+  {
+    match: 'download_files',
+    handler: async (ctx) => {
       // Get user's files from Drive
       const { deliverFiles } = require('./delivery-monitoring');
       const files = ctx.session?.lastDraft ? [
@@ -203,168 +1371,302 @@ bot.on('callback_query', async (ctx) => {
           url: ctx.session.lastDraft.driveLink
         }
       ] : [];
-      
+
       if (files.length > 0) {
-        await deliverFiles(ctx.chat.id, files);
+        const delivery = await deliverFiles(ctx.chat.id, files, ctx.session.locale);
+        await ctx.reply(delivery.text, { parse_mode: delivery.parse_mode });
       } else {
-        await ctx.reply('📂 No files available for download.');
+        await ctx.reply(ctx.t('files.noneToDownload'));
       }
-      
-    } else if (data.startsWith('approve_source_')) {
+    }
+  },
+  {
+    match: /^approve_source_/,
+    states: ['sourcing'],
+    handler: async (ctx, data) => {
       // Handle source approval
       const index = parseInt(data.replace('approve_source_', ''));
       const source = ctx.session.pendingSources?.[index];
       if (source) {
-        ctx.session.approvedSources = ctx.session.approvedSources || [];
-        ctx.session.approvedSources.push(source);
-        await ctx.reply(`✅ Approved: ${source.title}`);
+        ctx.session.approvedSources = addSources(ctx.session.approvedSources || [], [source]);
+        await ctx.reply(ctx.t('sources.approved', { title: source.title }));
       }
-      
-    } else if (data === 'approve_all_sources') {
-      ctx.session.approvedSources = ctx.session.pendingSources || [];
-      await ctx.reply(`✅ All ${ctx.session.approvedSources.length} sources approved!`);
-      
-    } else if (data === 'cancel_sources') {
+    }
+  },
+  {
+    match: 'approve_all_sources',
+    states: ['sourcing'],
+    handler: async (ctx) => {
+      // Expansion candidates join the seeds they were found from; a new search replaces them
+      const pending = ctx.session.pendingSources || [];
+      ctx.session.approvedSources = ctx.session.pendingExpansion
+        ? addSources(ctx.session.approvedSources || [], pending)
+        : pending;
       ctx.session.pendingSources = [];
-      await ctx.reply('❌ Source selection cancelled.');
-      
-    } else if (data === 'apply_revision') {
-      await ctx.reply('✅ Applying revision changes...');
-      
-    } else if (data === 'cancel_revision') {
-      await ctx.reply('❌ Revision cancelled.');
-      
-    } else if (data === 'confirm_and_process') {
-      // Start the complete workflow
-      const topic = ctx.session.messages.join(' ');
-      await ctx.reply('🚀 **Starting Academic Assistant Workflow**\n\n1. 🔍 Finding sources...\n2. 📝 Generating draft...\n3. ✅ Quality checks...\n4. 📄 Creating files...', {
-        parse_mode: 'Markdown'
-      });
-      
-      try {
-        // Step 1: Process sources
-        const sources = await processSources(topic, ctx.session.chatId);
-        ctx.session.approvedSources = sources;
-        
-        if (sources.length > 0) {
-          await ctx.reply(`✅ Found ${sources.length} sources! Now generating draft...`);
-          
-          // Step 2: Generate draft
-          const draft = await processDraft(ctx, topic, sources, 'APA', 5);
-          
-          // Log the complete workflow
-          await updateHistory(ctx.session.chatId, {
-            action: 'workflow_completed',
-            topic,
-            sources: sources.length,
-            draft: draft ? 'generated' : 'failed'
-          }, ['workflow', 'academic']);
-          
-        } else {
-          await ctx.reply('❌ No suitable sources found. Please try a different topic or add more specific keywords.');
-        }
-        
-      } catch (error) {
-        console.error('Workflow error:', error.message);
-        await ctx.reply(`❌ Workflow failed: ${error.message}\n\nPlease try again or contact support.`);
-        monitor.logError('workflow', error);
+      delete ctx.session.pendingExpansion;
+      conversation.transition(ctx.session, 'idle');
+      await ctx.reply(ctx.t('sources.allApproved', { count: ctx.session.approvedSources.length }));
+    }
+  },
+  {
+    match: 'cancel_sources',
+    states: ['sourcing'],
+    handler: async (ctx) => {
+      ctx.session.pendingSources = [];
+      delete ctx.session.pendingExpansion;
+      conversation.transition(ctx.session, 'idle');
+      await ctx.reply(ctx.t('sources.cancelled'));
+    }
+  },
+  {
+    match: 'apply_revision',
+    states: ['revising'],
+    handler: async (ctx) => {
+      conversation.transition(ctx.session, 'reviewing');
+      delete ctx.session.revisionRequest;
+      await ctx.reply(ctx.t('revision.applying'));
+    }
+  },
+  {
+    match: 'cancel_revision',
+    states: ['revising'],
+    handler: async (ctx) => {
+      conversation.transition(ctx.session, 'reviewing');
+      delete ctx.session.revisionRequest;
+      await ctx.reply(ctx.t('revision.cancelled'));
+    }
+  },
+  {
+    match: 'review_request',
+    states: ['aggregating', 'confirming'],
+    handler: async (ctx) => showAssignmentCard(ctx)
+  },
+  {
+    match: /^edit_field_/,
+    states: ['confirming'],
+    handler: async (ctx, data) => {
+      const field = data.replace('edit_field_', '');
+      ctx.session.editingField = field;
+      const hints = { deadline: 'assignment.deadlineHint', tags: 'assignment.tagsHint', filters: 'assignment.filtersHint' };
+      const hint = hints[field] ? ctx.t(hints[field]) : '';
+      await ctx.reply(ctx.t('assignment.askField', { field: ctx.t(`assignment.fields.${field}`), hint }));
+    }
+  },
+  {
+    match: /^set_format_/,
+    states: ['confirming'],
+    handler: async (ctx, data) => {
+      applyAssignmentEdit(ctx.session.assignment, 'format', data.replace('set_format_', ''));
+      const card = renderAssignmentCard(ctx.session.assignment, ctx.session.locale, ctx.session.activeStudentName);
+      await ctx.reply(card.text, { reply_markup: card.reply_markup, parse_mode: 'Markdown' });
+    }
+  },
+  {
+    match: 'confirm_and_process',
+    states: ['confirming'],
+    handler: async (ctx) => queueWorkflow(ctx)
+  },
+  {
+    match: /^ocr_/,
+    states: ['aggregating'],
+    handler: async (ctx, data) => {
+      // Handle the low-confidence OCR review
+      const action = data.replace('ocr_', '');
+      if (!ctx.session.ocrReview) {
+        await ctx.reply(ctx.t('ocr.nothingToReview'));
+      } else if (action === 'correct') {
+        ctx.session.ocrReview.awaitingCorrection = true;
+        await ctx.reply(ctx.t('ocr.sendCorrection'));
+      } else {
+        await resolveOcrLine(ctx, action);
       }
-      
-      // Clear session
-      ctx.session.messages = [];
-      ctx.session.isAggregating = false;
-      
-    } else if (data === 'add_more') {
-      await ctx.reply('📝 Please add more details to your request:');
-      
-    } else if (data === 'cancel') {
-      ctx.session = {};
-      await ctx.reply('❌ Session cancelled.');
     }
-    
+  },
+  {
+    match: 'add_more',
+    states: ['aggregating', 'confirming'],
+    handler: async (ctx) => {
+      conversation.transition(ctx.session, 'aggregating');
+      await ctx.reply(ctx.t('intake.addMore'));
+    }
+  },
+  {
+    match: 'cancel',
+    handler: async (ctx) => {
+      // Same reset as /cancel: roster links, mode and workspace stay
+      await jobQueue.cancelForChat(ctx.chat.id);
+      resetConversation(ctx.session);
+      await ctx.reply(ctx.t('intake.cancelled'));
+    }
+  }
+];
+
+// Handle all callback queries
+bot.on('callback_query', async (ctx) => {
+  const data = ctx.callbackQuery.data;
+  const route = callbackRoutes.find(({ match }) =>
+    typeof match === 'string' ? match === data : match.test(data));
+
+  try {
+    if (!route) {
+      console.log(`Unhandled callback: ${data}`);
+    } else if (route.states && !route.states.includes(conversation.current(ctx.session))) {
+      await replyStateHint(ctx, ctx.t('common.buttonInactive'));
+    } else {
+      await route.handler(ctx, data);
+    }
   } catch (error) {
     console.error('Callback query error:', error.message);
-    await ctx.reply('❌ Error processing request. Please try again.');
+    await ctx.reply(ctx.t('common.requestError'));
   }
-  
+
   ctx.answerCbQuery();
 });
 
-// Handle text messages (aggregate and process)
-bot.on('text', async (ctx) => {
-  // Handle revision requests
-  if (ctx.session?.waitingForRevision) {
+// Utility: A text that starts a new request (after a delivered draft too; the draft stays revisable)
+async function startRequestFromText(ctx) {
+  // Comment: A new text starts aggregating a multi-message request.
+  conversation.transition(ctx.session, 'aggregating');
+  delete ctx.session.feedbackDraftId;
+  ctx.session.messages = [ctx.message.text];
+  ctx.session.currentTopic = ctx.message.text; // Store for source retrieval
+
+  const keyboard = {
+    inline_keyboard: [
+      [{ text: ctx.t('common.startProcessing'), callback_data: 'review_request' }],
+      [{ text: ctx.t('common.addMoreDetails'), callback_data: 'add_more' }],
+      [{ text: ctx.t('common.cancel'), callback_data: 'cancel' }]
+    ]
+  };
+
+  await ctx.reply(ctx.t('intake.received'), {
+    reply_markup: keyboard
+  });
+}
+
+// Text handlers per conversation state
+const textHandlers = {
+  idle: startRequestFromText,
+
+  aggregating: async (ctx) => {
+    // Handle corrections for low-confidence OCR lines
+    if (ctx.session.ocrReview) {
+      await resolveOcrLine(ctx, 'correct', ctx.message.text);
+    } else if (ctx.message.text.trim().toLowerCase() === 'done') {
+      await showAssignmentCard(ctx);
+    } else {
+      ctx.session.messages.push(ctx.message.text);
+      await ctx.reply(ctx.t('intake.added'));
+    }
+  },
+
+  confirming: async (ctx) => {
+    // Handle edits to a field of the confirmation card
+    const field = ctx.session.editingField;
+    if (!field) {
+      await replyStateHint(ctx);
+      return;
+    }
+
+    const validationError = applyAssignmentEdit(ctx.session.assignment, field, ctx.message.text, ctx.t);
+    if (validationError) {
+      await ctx.reply(ctx.t('assignment.invalid', { error: validationError }));
+      return;
+    }
+    delete ctx.session.editingField;
+    const card = renderAssignmentCard(ctx.session.assignment, ctx.session.locale, ctx.session.activeStudentName);
+    await ctx.reply(card.text, { reply_markup: card.reply_markup, parse_mode: 'Markdown' });
+  },
+
+  sourcing: async (ctx) => replyStateHint(ctx),
+  drafting: async (ctx) => replyStateHint(ctx),
+  reviewing: startRequestFromText,
+
+  revising: async (ctx) => {
+    // Handle revision requests
+    if (!(await consumeQuota(ctx))) return;
     const revision = ctx.message.text;
-    await ctx.reply('🤖 Processing revision request...');
+    ctx.session.revisionRequest = revision;
+    await ctx.reply(ctx.t('revision.processing'));
 
     try {
-      const response = await axios.post('https://api.groq.com/openai/v1/chat/completions', {
+      // Passages of the draft's sources that bear on the request, cited like the draft cites them
+      const sources = ctx.session.approvedSources || [];
+      const passages = (await loadPassages(ctx.session.lastDraft?.passageKey)).search(revision, { limit: REVISION_PASSAGES });
+      const quotes = passages.map(passage => {
+        const number = sources.findIndex(source => source.doi === passage.source) + 1;
+        return `[${number || passage.source}] ${quoteLine(passage)}`;
+      });
+      const evidence = quotes.length
+        ? `\n\nRelevant passages from the cited sources (quote them word for word with their page, like [1, p. 4]):\n${quotes.join('\n')}`
+        : '';
+
+      const response = await httpClient('groq').post('https://api.groq.com/openai/v1/chat/completions', {
         model: 'llama3-70b-8192',
         messages: [{
           role: 'user',
-          content: `Provide detailed revision suggestions for this request: "${revision}". Include specific actions and improvements.`
+          content: `Provide detailed revision suggestions for this request: "${revision}". Include specific actions and improvements. Answer in ${languageName(ctx.session.locale)}.${evidence}`
         }],
         max_tokens: 500
       }, {
-        headers: { 'Authorization': `Bearer ${process.env.GROQ_KEY}` }
+        headers: { 'Authorization': `Bearer ${GROQ_KEY}` },
+        idempotent: true
       });
 
       const suggestion = response.data.choices[0].message.content;
-      
-      await ctx.reply(`📝 **Revision Suggestions:**\n\n${suggestion}\n\nWould you like me to implement these changes?`, {
+
+      await ctx.reply(ctx.t('revision.suggestions', { suggestion: escapeMarkdown(suggestion) }), {
         reply_markup: {
           inline_keyboard: [
-            [{ text: '✅ Apply Changes', callback_data: 'apply_revision' }],
-            [{ text: '❌ Cancel', callback_data: 'cancel_revision' }]
+            [{ text: ctx.t('revision.apply'), callback_data: 'apply_revision' }],
+            [{ text: ctx.t('common.cancel'), callback_data: 'cancel_revision' }]
           ]
         },
         parse_mode: 'Markdown'
       });
-
-      ctx.session.waitingForRevision = false;
     } catch (error) {
-      await ctx.reply('❌ Error processing revision. Please try again.');
-      ctx.session.waitingForRevision = false;
+      await ctx.reply(ctx.t('revision.error'));
+    }
+  },
+
+  'awaiting-feedback': async (ctx) => {
+    // A comment only when one was asked for; anything else is a new request
+    if (!ctx.session.feedbackDraftId) {
+      await startRequestFromText(ctx);
+      return;
     }
-    return;
-  }
-  
-  // Handle comment input for feedback
-  if (ctx.session?.waitingForComment) {
     const comment = ctx.message.text;
     const { saveFeedback } = require('./delivery-monitoring');
     const success = await saveFeedback(ctx.chat.id, 0, comment);
-    
+    await recordStudentFeedback(ctx.session, 0, comment);
+
     if (success) {
-      await ctx.reply('✅ Thank you for your feedback! We appreciate your input.');
+      await ctx.reply(ctx.t('feedback.thanksComment'));
+      resetConversation(ctx.session);
     } else {
-      await ctx.reply('❌ Error saving feedback. Please try again.');
+      await ctx.reply(ctx.t('feedback.saveError'));
     }
-    
-    delete ctx.session.waitingForComment;
-    return;
   }
+};
 
-  // Comment: Aggregate multi-messages for full request.
-  if (ctx.session.isAggregating) {
-    ctx.session.messages.push(ctx.message.text);
-    ctx.reply('Added. Send "done" to finish, or continue adding more.');
-  } else {
-    ctx.session.isAggregating = true;
-    ctx.session.messages = [ctx.message.text];
-    ctx.session.currentTopic = ctx.message.text; // Store for source retrieval
-    
-    const keyboard = {
-      inline_keyboard: [
-        [{ text: '✅ Start Processing', callback_data: 'confirm_and_process' }],
-        [{ text: '📝 Add More Details', callback_data: 'add_more' }],
-        [{ text: '❌ Cancel', callback_data: 'cancel' }]
-      ]
-    };
-    
-    ctx.reply('Request received! I can help you with:\n• 🔍 Source retrieval\n• 📝 Draft generation\n• 📊 Plagiarism checking\n• 📄 Export to Word/PDF\n\nWhat would you like to do?', { 
-      reply_markup: keyboard
-    });
+// Handle text messages (dispatched by conversation state)
+bot.on('text', async (ctx, next) => {
+  // Commands are registered further down; let them through
+  if (ctx.message.text.startsWith('/')) {
+    return next();
+  }
+  await textHandlers[conversation.current(ctx.session)](ctx);
+});
+
+// Album photos share a media_group_id and are OCR'd together once the album is complete
+const albumCollector = createMediaGroupCollector({
+  quietMs: ALBUM_QUIET_MS,
+  onComplete: async pages => {
+    const ctx = pages[0].ctx;
+    const ocrResult = await recognizePhotoPages(ctx, pages);
+    if (ocrResult) {
+      await withChatSession(ctx, sessionCtx => addPhotoText(sessionCtx, pages, ocrResult));
+    }
   }
 });
 
@@ -372,91 +1674,167 @@ bot.on('text', async (ctx) => {
 bot.on('photo', async (ctx) => {
   // Comment: OCR for screenshots of assignments.
   const photo = ctx.message.photo[ctx.message.photo.length - 1]; // Largest size
-  const fileId = photo.file_id;
-  const fileResponse = await ctx.telegram.getFile(fileId);
-  const imageUrl = `https://api.telegram.org/file/bot${TELEGRAM_TOKEN}/${fileResponse.file_path}`;
-  
-  ctx.reply('Processing image...');
-  const ocrText = await performOCR(imageUrl);
-  ctx.session.messages = ctx.session.messages || [];
-  ctx.session.messages.push(`[OCR from image]: ${ocrText}`);
-  ctx.reply(`Image processed: ${ocrText.substring(0, 100)}... Added to request.`);
+  const page = {
+    ctx,
+    fileId: photo.file_id,
+    messageId: ctx.message.message_id,
+    caption: ctx.message.caption
+  };
+
+  if (!(await acceptsRequestInput(ctx))) return;
+
+  if (ctx.message.media_group_id) {
+    albumCollector.add(`${ctx.chat.id}:${ctx.message.media_group_id}`, page);
+    return;
+  }
+  const ocrResult = await recognizePhotoPages(ctx, [page]);
+  if (ocrResult) {
+    await addPhotoText(ctx, [page], ocrResult);
+  }
+});
+
+// Utility: Read an uploaded reference file into the request's own sources
+async function importReferenceFile(ctx, document, format) {
+  if (document.file_size > MAX_DOCUMENT_BYTES) {
+    return ctx.reply(ctx.t('documents.tooLarge', { maxMb: Math.round(MAX_DOCUMENT_BYTES / 1024 / 1024) }));
+  }
+  if (!(await acceptsRequestInput(ctx))) return;
+  await ctx.reply(ctx.t('references.importing', { fileName: document.file_name }));
+
+  try {
+    const fileLink = await ctx.telegram.getFileLink(document.file_id);
+    const response = await httpClient('telegram').get(fileLink.href, {
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_DOCUMENT_BYTES
+    });
+    let entries;
+    try {
+      entries = parseReferences(Buffer.from(response.data).toString('utf8'), format);
+    } catch (error) {
+      return ctx.reply(ctx.t('references.unreadable'));
+    }
+    if (entries.length === 0) {
+      return ctx.reply(ctx.t('references.unreadable'));
+    }
+
+    const { sources, skipped } = await importSources(entries.slice(0, MAX_IMPORTED_REFERENCES));
+    if (!(await beginRequest(ctx))) return;
+    const previous = ctx.session.importedSources || [];
+    ctx.session.importedSources = deduplicateSources([...previous, ...sources]);
+
+    await ctx.reply(ctx.t('references.imported', {
+      count: sources.length,
+      total: ctx.session.importedSources.length,
+      skipped: skipped + Math.max(0, entries.length - MAX_IMPORTED_REFERENCES)
+    }), {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('common.startProcessing'), callback_data: 'review_request' }],
+          [{ text: ctx.t('common.addMoreDetails'), callback_data: 'add_more' }]
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('Reference import error:', error.message);
+    monitor.logError('document', error);
+    await ctx.reply(ctx.t('documents.error'));
+  }
+}
+
+// Handle document uploads (assignment briefs, rubrics)
+bot.on('document', async (ctx) => {
+  // Comment: Extracts text locally - PDF text layer, DOCX XML, plain text,
+  // and OCR of embedded page images for scanned PDFs.
+  const document = ctx.message.document;
+  const fileName = document.file_name || 'document';
+  // BibTeX, RIS and CSL-JSON files are reference lists, not briefs
+  const referenceFormat = detectReferenceFormat({ fileName, mimeType: document.mime_type });
+  if (referenceFormat) {
+    return importReferenceFile(ctx, document, referenceFormat);
+  }
+  const type = detectDocumentType({ fileName, mimeType: document.mime_type });
+
+  if (!type) {
+    return ctx.reply(ctx.t('documents.unsupported'));
+  }
+  if (document.file_size > MAX_DOCUMENT_BYTES) {
+    return ctx.reply(ctx.t('documents.tooLarge', { maxMb: Math.round(MAX_DOCUMENT_BYTES / 1024 / 1024) }));
+  }
+
+  if (!(await acceptsRequestInput(ctx))) return;
+
+  await ctx.reply(ctx.t('documents.processing', { fileName }));
+
+  try {
+    const fileLink = await ctx.telegram.getFileLink(document.file_id);
+    const response = await httpClient('telegram').get(fileLink.href, {
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_DOCUMENT_BYTES
+    });
+    const { text, lines, method, truncated: ocrTruncated } = await extractDocumentText(Buffer.from(response.data), {
+      fileName,
+      mimeType: document.mime_type
+    });
+
+    if (!text.trim()) {
+      return ctx.reply(ctx.t('documents.noText'));
+    }
+
+    const truncated = text.length > MAX_DOCUMENT_CHARS;
+    const documentText = truncated ? text.substring(0, MAX_DOCUMENT_CHARS) : text;
+    const marker = method === 'ocr' ? 'OCR from document' : 'Text from document';
+
+    // A document can open a request on its own, like a first text message
+    if (!(await beginRequest(ctx))) return;
+
+    if (method === 'ocr') {
+      // Scanned PDF: uncertain lines go through the same review as photos
+      if (ocrTruncated) {
+        await ctx.reply(ctx.t('documents.ocrPageLimit', { maxPages: MAX_OCR_PAGES }));
+      }
+      return startOcrReview(ctx, truncateLines({ text, lines }, MAX_DOCUMENT_CHARS), `${marker} ${fileName}`);
+    }
+    ctx.session.messages.push(`[${marker} ${fileName}]: ${documentText}`);
+
+    await ctx.reply(ctx.t('documents.processed', {
+      preview: documentText.substring(0, 100),
+      truncated: truncated ? ctx.t('documents.truncated') : ''
+    }), {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: ctx.t('common.startProcessing'), callback_data: 'review_request' }],
+          [{ text: ctx.t('common.addMoreDetails'), callback_data: 'add_more' }]
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('Document processing error:', error.message);
+    monitor.logError('document', error);
+    await ctx.reply(ctx.t('documents.error'));
+  }
 });
 
 // Handle voice notes (new improvement)
 bot.on('voice', async (ctx) => {
   // Comment: Transcribe voice for hands-free intake.
   const voiceId = ctx.message.voice.file_id;
-  ctx.reply('Transcribing voice...');
+  if (!(await acceptsRequestInput(ctx))) return;
+  ctx.reply(ctx.t('intake.transcribing'));
   const transcription = await transcribeVoice(voiceId);
-  ctx.session.messages = ctx.session.messages || [];
+  if (!(await beginRequest(ctx))) return;
   ctx.session.messages.push(`[Voice transcription]: ${transcription}`);
-  ctx.reply(`Voice transcribed: ${transcription.substring(0, 100)}... Added.`);
+  ctx.reply(ctx.t('intake.voiceTranscribed', { preview: transcription.substring(0, 100) }));
 });
 
 // Command: /history - Show past assignments (simplified)
 bot.command('history', async (ctx) => {
   // Comment: Simplified history display.
-  ctx.reply('History: This is a demo version. Full history tracking coming soon with Google Sheets integration.');
+  ctx.reply(ctx.t('history.demo'));
 });
 
 // Command: /help - Comprehensive help system
 bot.command('help', async (ctx) => {
-  const helpText = `
-🤖 **Telegram Academic Bot - Complete Guide**
-
-🚀 **Getting Started:**
-1. Use /start to select your mode (Student/Tutor/Guest)
-2. Send your assignment topic or upload screenshots
-3. I'll find sources, generate drafts, and create documents!
-
-📋 **All Commands:**
-
-🎯 **Core Workflow:**
-• **/start** - Begin new assignment session
-• **/sources** - Find & manage research sources
-• **/revise** - Request draft revisions
-• **/files** - Download your documents
-
-📊 **Monitoring & History:**
-• **/report** - View plagiarism scores & stats
-• **/history** - Browse past assignments
-• **/status** - Check system health
-
-🛠️ **Session Control:**
-• **/cancel** - Cancel current operation
-• **/help** - Show this help message
-
-🎨 **Input Methods:**
-• 📝 **Text:** Type your assignment topic
-• 📷 **Images:** Upload screenshots (OCR processed)
-• 🎤 **Voice:** Send voice notes (transcribed)
-• 📎 **Multi-part:** Add details across multiple messages
-
-⚡ **Complete Workflow:**
-1. **Intake:** Parse your request (text/image/voice)
-2. **Sources:** Search Semantic Scholar & CrossRef (2020+)
-3. **Validation:** Import to Zotero, validate DOIs
-4. **Drafting:** Generate with Groq AI + proper citations
-5. **Quality:** Check plagiarism with Eden AI
-6. **Export:** Create Word/PDF documents
-7. **Delivery:** Upload to Google Drive + Telegram
-8. **History:** Log in Google Sheets with tags
-
-📚 **Supported Formats:**
-• APA, MLA, Chicago citations
-• 1-50 page papers
-• Multiple export formats
-• Tag-based organization
-
-🔧 **Need Help?**
-• System status: /status
-• Past work: /history  
-• Current files: /files
-• Technical issues: Contact admin
-
-✨ *Ready to revolutionize your academic workflow!*
-  `;
+  const helpText = ctx.t('help.text') + (accessControl.can(ctx.role, 'admin') ? ctx.t('admin.help') : '');
   
   await ctx.reply(helpText, { parse_mode: 'Markdown' });
   monitor.logCall('telegram');
@@ -465,65 +1843,55 @@ bot.command('help', async (ctx) => {
 // Command: /status - Comprehensive bot status
 bot.command('status', async (ctx) => {
   const stats = monitor.getStats();
+  const usage = await usageQuota.usage(ctx.session.chatId, ctx.quotaTier || 'guest');
   
-  const status = `
-🟢 **Bot Status: Online**
-
-📊 **System Health:**
-• ⏱️ Uptime: ${Math.floor(stats.uptime / 3600)}h ${Math.floor((stats.uptime % 3600) / 60)}m
-• 🔧 API Calls: ${Object.values(stats.calls).reduce((a, b) => a + b, 0)}
-• ❌ Errors: ${stats.errorCount}
-
-🚀 **Features Available:**
-• ✅ Text input & aggregation
-• ✅ Image OCR ${EDEN_AI_KEY ? '(Eden AI + Tesseract)' : '(Tesseract only)'}
-• ✅ Voice transcription ${EDEN_AI_KEY ? '(Eden AI Whisper)' : '(Disabled)'}
-• ✅ Source retrieval (Semantic Scholar + CrossRef)
-• ✅ Draft generation (Groq AI + Zotero citations)
-• ✅ Plagiarism checking ${EDEN_AI_KEY ? '(Eden AI)' : '(Disabled)'}
-• ✅ Google Sheets integration
-• ✅ Google Drive file storage
-• ✅ Word/PDF export
-
-🔑 **API Keys Status:**
-• Telegram: ✅ Connected
-• Groq AI: ${process.env.GROQ_KEY ? '✅' : '❌'} ${process.env.GROQ_KEY ? 'Connected' : 'Not configured'}
-• Eden AI: ${EDEN_AI_KEY ? '✅' : '❌'} ${EDEN_AI_KEY ? 'Connected' : 'Not configured'}
-• Zotero: ${process.env.ZOTERO_API_KEY ? '✅' : '❌'} ${process.env.ZOTERO_API_KEY ? 'Connected' : 'Not configured'}
-• Google Services: ${GOOGLE_SHEETS_ID ? '✅' : '❌'} ${GOOGLE_SHEETS_ID ? 'Connected' : 'Not configured'}
-
-📋 **Available Commands:**
-• /start - Begin new session
-• /sources - Manage research sources  
-• /revise - Request draft revisions
-• /report - View plagiarism & stats
-• /files - Access your documents
-• /history - View assignment history
-• /cancel - Cancel current session
-• /help - Show detailed help
-
-✨ **Ready for academic workflows!**
-  `;
+  const connection = configured => ctx.t(configured ? 'status.connected' : 'status.notConfigured');
+
+  const status = ctx.t('status.text', {
+    hours: Math.floor(stats.uptime / 3600),
+    minutes: Math.floor((stats.uptime % 3600) / 60),
+    calls: Object.values(stats.calls).reduce((a, b) => a + b, 0),
+    errors: stats.errorCount,
+    userType: ctx.quotaTier || 'guest',
+    dailyUsed: usage.daily.used,
+    dailyLimit: usage.daily.limit,
+    dailyRemaining: usage.daily.remaining,
+    monthlyUsed: usage.monthly.used,
+    monthlyLimit: usage.monthly.limit,
+    monthlyRemaining: usage.monthly.remaining,
+    ocr: ctx.t(EDEN_AI_KEY ? 'status.ocrFull' : 'status.ocrBasic'),
+    voice: ctx.t(EDEN_AI_KEY ? 'status.whisper' : 'status.disabled'),
+    plagiarism: ctx.t(EDEN_AI_KEY ? 'status.edenAi' : 'status.disabled'),
+    groq: connection(process.env.GROQ_KEY),
+    eden: connection(EDEN_AI_KEY),
+    zotero: connection(process.env.ZOTERO_API_KEY),
+    google: connection(GOOGLE_SHEETS_ID)
+  });
   
   await ctx.reply(status, { parse_mode: 'Markdown' });
   monitor.logCall('telegram');
 });
 
-// Missing command handlers consolidated from other modules
-bot.command('sources', async (ctx) => {
-  const { processSources } = require('./source-retrieval');
-  const topic = ctx.session?.currentTopic || ctx.session?.messages?.join(' ') || 'general research';
-  
-  await ctx.reply('🔍 Fetching sources...');
-  
-  const sources = await processSources(topic, ctx.chat.id);
-  
+// Utility: Send the approved sources as a BibTeX, RIS or CSL-JSON file
+async function exportSourceList(ctx, formatName = 'bib') {
+  const format = resolveReferenceFormat(formatName);
+  if (!format) {
+    return ctx.reply(ctx.t('references.exportUsage'));
+  }
+  const sources = ctx.session.approvedSources || [];
   if (sources.length === 0) {
-    return ctx.reply('❌ No sources found. Try a different topic.');
+    return ctx.reply(ctx.t('references.nothingToExport'));
   }
+  const date = new Date().toISOString().slice(0, 10);
+  await ctx.replyWithDocument(
+    { source: Buffer.from(exportReferences(sources, format)), filename: `sources_${date}${REFERENCE_FORMATS[format].extension}` },
+    { caption: ctx.t('references.exportCaption', { count: sources.length }) }
+  );
+}
 
-  // Create approval interface
-  const keyboard = {
+// Utility: Buttons to approve one of the first five sources, all of them, or none
+function sourceApprovalKeyboard(ctx, sources) {
+  return {
     inline_keyboard: sources.slice(0, 5).map((source, i) => [
       { 
         text: `📄 ${source.title.substring(0, 40)}...`, 
@@ -531,92 +1899,997 @@ bot.command('sources', async (ctx) => {
       }
     ]).concat([
       [
-        { text: '✅ Approve All', callback_data: 'approve_all_sources' },
-        { text: '❌ Cancel', callback_data: 'cancel_sources' }
+        { text: ctx.t('sources.approveAll'), callback_data: 'approve_all_sources' },
+        { text: ctx.t('common.cancel'), callback_data: 'cancel_sources' }
       ]
     ])
   };
+}
+
+// Utility: Approved sources plus new ones, skipping DOIs already approved
+function addSources(approved, sources) {
+  const dois = new Set(approved.map(source => source.doi?.toLowerCase()).filter(Boolean));
+  return [...approved, ...sources.filter(source => !source.doi || !dois.has(source.doi.toLowerCase()))];
+}
+
+// Utility: One ranked source with its score and the strongest reasons it was picked
+function formatRanking(ctx, source, index) {
+  const reasons = (source.ranking?.reasons || []).slice(0, 3)
+    .map(({ factor, ...details }) => ctx.t(`ranking.reasons.${factor}`, details));
+  return ctx.t('ranking.line', {
+    index,
+    title: source.title,
+    year: source.year || 'n.d.',
+    score: source.ranking?.score ?? 0,
+    reasons: reasons.join(', ') || ctx.t('ranking.noReasons')
+  });
+}
+
+// Missing command handlers consolidated from other modules
+bot.command('sources', async (ctx) => {
+  const { processSources } = require('./source-retrieval');
+  const topic = ctx.session?.currentTopic || ctx.session?.messages?.join(' ') || 'general research';
+
+  // "/sources export [bib|ris|json]" sends the approved list as a file instead of searching
+  const [subcommand, formatName] = commandArgument(ctx, 200).split(/\s+/);
+  if (subcommand?.toLowerCase() === 'export') {
+    return exportSourceList(ctx, formatName);
+  }
+  // A queued workflow is already searching for this chat
+  if (jobQueue.isActive(ctx.session.jobId)) {
+    return replyStateHint(ctx);
+  }
+  // "/sources year=1950-1990 oa citations=3" filters this search (on top of the assignment's
+  // filters) and reweighs its ranking
+  const { filters, rest, error } = parseFilters(commandArgument(ctx, 200), ctx.session.assignment?.filters);
+  if (error) {
+    return ctx.reply(ctx.t('filters.invalid', { error }));
+  }
+  const { weights, unknown } = parseWeights(rest.join(' '));
+  if (unknown.length) {
+    return ctx.reply(ctx.t('ranking.unknownWeights', { weights: unknown.join(' '), factors: RANKING_FACTORS.join(', ') }));
+  }
+  if (!(await enterState(ctx, 'sourcing'))) return;
+  if (!(await consumeQuota(ctx))) {
+    conversation.transition(ctx.session, 'idle');
+    return;
+  }
+
+  await ctx.reply(ctx.t('sources.fetching'));
+  if (hasFilters(filters)) {
+    await ctx.reply(ctx.t('filters.active', { filters: describeFilters(filters, filterLabels(ctx.t)) }));
+  }
+  if (Object.keys(weights).length) {
+    await ctx.reply(ctx.t('ranking.customWeights', {
+      weights: Object.entries(weights).map(([factor, weight]) => `${factor}=${weight}`).join(', ')
+    }));
+  }
+  
+  let sources;
+  try {
+    sources = await processSources(topic, ctx.chat.id, [], {
+      providers: await providersFor(ctx.from.id),
+      weights,
+      filters,
+      imported: ctx.session.importedSources,
+      zotero: sourcesZoteroTarget(ctx.session, topic)
+    });
+  } catch (error) {
+    if (!(error instanceof ServiceUnavailableError)) throw error;
+    conversation.transition(ctx.session, 'idle');
+    return ctx.reply(ctx.t('services.unavailable', { service: error.service }));
+  }
+
+  if (sources.length === 0) {
+    conversation.transition(ctx.session, 'idle');
+    return ctx.reply(ctx.t(hasFilters(filters) ? 'filters.none' : 'sources.none'));
+  }
 
   ctx.session.pendingSources = sources;
+  delete ctx.session.pendingExpansion;
   ctx.session.currentTopic = topic;
-  await ctx.reply(`📚 Found ${sources.length} sources. Select to approve:`, { reply_markup: keyboard });
+  const list = sources.slice(0, 5).map((source, i) => formatRanking(ctx, source, i + 1)).join('\n\n');
+  await ctx.reply(ctx.t('sources.ranked', { count: sources.length, list }), { reply_markup: sourceApprovalKeyboard(ctx, sources) });
 });
 
-bot.command('revise', async (ctx) => {
-  ctx.session.waitingForRevision = true;
-  await ctx.reply('📝 **Revision Mode**\n\nPlease describe what changes you would like to make to your draft:', {
-    parse_mode: 'Markdown'
+// Command: /expand [depth=1|2] [fanout=N] [filters] - Snowball from the approved sources: their
+// references and citing papers, offered for approval like /sources
+bot.command('expand', async (ctx) => {
+  const seeds = (ctx.session.approvedSources || []).filter(source => source.doi);
+  if (seeds.length === 0) {
+    return ctx.reply(ctx.t('expand.noSeeds'));
+  }
+  if (jobQueue.isActive(ctx.session.jobId)) {
+    return replyStateHint(ctx);
+  }
+
+  const { filters, rest, error } = parseFilters(commandArgument(ctx, 200), ctx.session.assignment?.filters);
+  if (error) {
+    return ctx.reply(ctx.t('filters.invalid', { error }));
+  }
+  const limits = {};
+  for (const arg of rest) {
+    const [name, value] = arg.toLowerCase().split('=');
+    const number = parseInt(value);
+    if (name === 'depth' && (number === 1 || number === 2)) {
+      limits.depth = number;
+    } else if (name === 'fanout' && number > 0) {
+      limits.fanOut = number;
+    } else {
+      return ctx.reply(ctx.t('expand.usage'));
+    }
+  }
+  if (!(await enterState(ctx, 'sourcing'))) return;
+  if (!(await consumeQuota(ctx))) {
+    conversation.transition(ctx.session, 'idle');
+    return;
+  }
+
+  const topic = ctx.session?.currentTopic || ctx.session?.messages?.join(' ') || seeds.map(source => source.title).join(' ');
+  await ctx.reply(ctx.t('expand.fetching', { count: seeds.length }));
+
+  let sources;
+  try {
+    sources = await expandSources(seeds, topic, { ...limits, filters });
+  } catch (error) {
+    if (!(error instanceof ServiceUnavailableError)) throw error;
+    conversation.transition(ctx.session, 'idle');
+    return ctx.reply(ctx.t('services.unavailable', { service: error.service }));
+  }
+
+  if (sources.length === 0) {
+    conversation.transition(ctx.session, 'idle');
+    return ctx.reply(ctx.t('expand.none'));
+  }
+
+  ctx.session.pendingSources = sources;
+  ctx.session.pendingExpansion = true;
+  const list = sources.slice(0, 5).map((source, i) => formatRanking(ctx, source, i + 1)).join('\n\n');
+  await ctx.reply(ctx.t('expand.ranked', { count: sources.length, seeds: seeds.length, list }), {
+    reply_markup: sourceApprovalKeyboard(ctx, sources)
   });
 });
 
+bot.command('revise', async (ctx) => startRevision(ctx));
+
 bot.command('report', async (ctx) => {
   try {
     const { generateReport } = require('./validation-commands');
-    const report = await generateReport(ctx.chat.id);
+    const report = await generateReport(ctx.chat.id, ctx.session.locale);
     
-    await ctx.reply(`📊 **Progress Report**\n\n${report}`, {
+    await ctx.reply(ctx.t('report.title', { report }), {
       parse_mode: 'Markdown'
     });
   } catch (error) {
-    await ctx.reply('❌ Error generating report. Please try again.');
+    await ctx.reply(ctx.t('report.error'));
   }
 });
 
 bot.command('files', async (ctx) => {
   try {
     const { listUserFiles } = require('./delivery-monitoring');
-    const files = await listUserFiles(ctx.chat.id);
+    // Tutors and linked students see the files kept for the roster student
+    const workspace = activeWorkspace(ctx.session);
+    const student = workspace && await roster.get(workspace.tutorChatId, workspace.studentId);
+    const files = student
+      ? student.assignments.filter(entry => entry.filename).map(entry => ({
+        name: entry.filename,
+        date: entry.createdAt.slice(0, 10)
+      }))
+      : await listUserFiles(ctx.chat.id);
     
     if (files.length === 0) {
-      await ctx.reply('📂 No files found. Complete an assignment to generate files.');
+      await ctx.reply(ctx.t('files.none'));
     } else {
-      const fileList = files.map(f => `• ${f.name} (${f.date})`).join('\n');
-      await ctx.reply(`📁 **Your Files:**\n\n${fileList}`, {
+      const fileList = files.map(f => `• ${escapeMarkdown(f.name)} (${f.date})`).join('\n');
+      await ctx.reply(ctx.t('files.list', { files: fileList }), {
         parse_mode: 'Markdown',
         reply_markup: {
           inline_keyboard: [
-            [{ text: '📥 Download All', callback_data: 'download_files' }]
+            [{ text: ctx.t('files.downloadAll'), callback_data: 'download_files' }]
           ]
         }
       });
     }
   } catch (error) {
-    await ctx.reply('❌ Error accessing files. Please try again.');
+    await ctx.reply(ctx.t('files.error'));
   }
 });
 
 bot.command('cancel', async (ctx) => {
-  // Reset session state
-  ctx.session.isAggregating = false;
-  ctx.session.messages = [];
-  ctx.session.waitingForRevision = false;
-  ctx.session.waitingForComment = false;
-  ctx.session.pendingSources = [];
-  
-  await ctx.reply('❌ **Operation Cancelled**\n\nAll pending operations have been cancelled. Send /start to begin again.', {
+  // Reset session state and stop any background work for this chat
+  const cancelledJobs = await jobQueue.cancelForChat(ctx.chat.id);
+  resetConversation(ctx.session);
+
+  const jobNote = cancelledJobs ? ctx.t('cancel.jobsStopped', { count: cancelledJobs }) : '';
+  await ctx.reply(ctx.t('cancel.done', { jobs: jobNote }), {
     parse_mode: 'Markdown'
   });
 });
 
+// Utility: Citation style a Telegram user picked for inline lookups (APA by default)
+async function citationStyleFor(userId) {
+  return resolveStyle((await preferenceStore.get(String(userId)))?.citationStyle);
+}
+
+async function setCitationStyle(userId, style) {
+  await preferenceStore.update(String(userId), current => ({ ...current, citationStyle: resolveStyle(style) }));
+}
+
+async function replyStylePicker(ctx) {
+  const style = await citationStyleFor(ctx.from.id);
+  const keyboard = {
+    inline_keyboard: [CITATION_STYLES.map(option => ({
+      text: option === style ? `✅ ${option}` : option,
+      callback_data: `style_${option}`
+    }))]
+  };
+  await ctx.reply(ctx.t('inline.chooseStyle', { style }), { reply_markup: keyboard });
+}
+
+// Utility: Search providers a user picked with /providers (everything the admin enabled by default)
+async function providersFor(userId) {
+  return resolveProviderNames((await preferenceStore.get(String(userId)))?.providers);
+}
+
+async function setProviders(userId, names) {
+  await preferenceStore.update(String(userId), current => ({ ...current, providers: resolveProviderNames(names) }));
+}
+
+// Utility: Provider toggles; the picker message is edited in place when a toggle is tapped
+async function providerPicker(ctx) {
+  const chosen = await providersFor(ctx.from.id);
+  const text = ctx.t('providers.choose', { providers: chosen.map(name => PROVIDER_LABELS[name]).join(', ') });
+  const keyboard = {
+    inline_keyboard: enabledProviderNames().map(name => [{
+      text: `${chosen.includes(name) ? '✅' : '⬜'} ${PROVIDER_LABELS[name]}`,
+      callback_data: `provider_${name}`
+    }])
+  };
+  return { text, extra: { reply_markup: keyboard } };
+}
+
+// Utility: Turn one page of search results into inline articles that send a citation
+function inlineResults(papers, style, offset) {
+  return papers.map((paper, i) => ({
+    type: 'article',
+    id: String(paper.id || offset + i).substring(0, 64),
+    title: paper.title,
+    description: [formatAuthorsShort(paper.authors), paper.year].filter(Boolean).join(' · '),
+    input_message_content: {
+      message_text: formatCitation(paper, style).substring(0, 4096),
+      link_preview_options: { is_disabled: true }
+    }
+  }));
+}
+
+// Inline mode: "@bot <query>" in any chat lists papers; picking one sends its citation
+bot.on('inline_query', async (ctx) => {
+  const userId = String(ctx.from.id);
+  const user = await accessControl.getUser(userId);
+  const locale = user?.locale || ctx.session.locale;
+  const query = ctx.inlineQuery.query.trim();
+  // Results differ per user (citation style), so Telegram must not share its cache between users
+  const extra = { is_personal: true, cache_time: 60 };
+
+  if (user?.banned || !rateLimiter.take(`${userId}:inline`, 'inline').allowed) {
+    return ctx.answerInlineQuery([], { ...extra, cache_time: 5 });
+  }
+
+  const style = await citationStyleFor(userId);
+  const button = { text: t(locale, 'inline.styleButton', { style }), start_parameter: 'style' };
+  if (query.length < INLINE_MIN_QUERY) {
+    return ctx.answerInlineQuery([], { ...extra, cache_time: 5, button });
+  }
+
+  const offset = parseInt(ctx.inlineQuery.offset) || 0;
+  const cacheKey = `${query.toLowerCase()}|${offset}`;
+  let page = await inlineCache.get(cacheKey);
+  if (!page) {
+    page = await searchPapers(query, { offset, limit: INLINE_PAGE_SIZE });
+    if (page.unavailable) {
+      return ctx.answerInlineQuery([], {
+        ...extra,
+        cache_time: 5,
+        button: { ...button, text: t(locale, 'inline.unavailable') }
+      });
+    }
+    await inlineCache.set(cacheKey, page);
+  }
+
+  await ctx.answerInlineQuery(inlineResults(page.papers, style, offset), {
+    ...extra,
+    button,
+    next_offset: page.nextOffset ? String(page.nextOffset) : ''
+  });
+});
+
+// Command: /providers [name ...] - Choose the databases /sources and drafts search
+bot.command('providers', async (ctx) => {
+  const enabled = enabledProviderNames();
+  const requested = commandArgument(ctx).toLowerCase().split(/[\s,]+/).filter(Boolean);
+  if (requested.length) {
+    const known = requested.filter(name => enabled.includes(name));
+    if (known.length === 0) {
+      return ctx.reply(ctx.t('providers.unknown', { providers: enabled.join(', ') }));
+    }
+    await setProviders(ctx.from.id, known);
+  }
+  const { text, extra } = await providerPicker(ctx);
+  await ctx.reply(text, extra);
+});
+
+// Command: /style - Citation style used by inline lookups (or /style mla)
+bot.command('style', async (ctx) => {
+  const requested = ctx.message.text.split(/\s+/)[1];
+  if (requested && CITATION_STYLES.some(style => style.toLowerCase() === requested.toLowerCase())) {
+    const style = resolveStyle(requested);
+    await setCitationStyle(ctx.from.id, style);
+    return ctx.reply(ctx.t('inline.styleChanged', { style }));
+  }
+  await replyStylePicker(ctx);
+});
+
+// Command: /language - Choose the language for messages and drafts (or /language fr)
+bot.command('language', async (ctx) => {
+  const requested = ctx.message.text.split(/\s+/)[1]?.toLowerCase();
+  if (SUPPORTED_LOCALES.includes(requested)) {
+    ctx.session.locale = requested;
+    return ctx.reply(ctx.t('language.changed'));
+  }
+
+  const keyboard = {
+    inline_keyboard: [SUPPORTED_LOCALES.map(locale => ({
+      text: t(locale, 'language.name'),
+      callback_data: `lang_${locale}`
+    }))]
+  };
+  await ctx.reply(ctx.t('language.choose', { language: ctx.t('language.name') }), { reply_markup: keyboard });
+});
+
+// Command: /state - Show the conversation state (debugging stuck chats)
+bot.command('state', async (ctx) => {
+  const state = conversation.current(ctx.session);
+  const remaining = conversation.timeRemaining(ctx.session);
+  const enteredAt = ctx.session.stateEnteredAt ? new Date(ctx.session.stateEnteredAt).toISOString() : ctx.t('state.unknown');
+  const pending = [
+    ctx.session.messages?.length ? ctx.t('state.requestMessages', { count: ctx.session.messages.length }) : null,
+    ctx.session.ocrReview ? ctx.t('state.ocrReview', { count: ctx.session.ocrReview.pending.length }) : null,
+    ctx.session.editingField ? ctx.t('state.editing', { field: ctx.t(`assignment.fields.${ctx.session.editingField}`) }) : null,
+    ctx.session.pendingSources?.length ? ctx.t('state.sourcesToApprove', { count: ctx.session.pendingSources.length }) : null,
+    ctx.session.feedbackDraftId ? ctx.t('state.feedbackComment') : null
+  ].filter(Boolean);
+  const job = ctx.session.jobId && jobQueue.get(ctx.session.jobId);
+  const position = job ? jobQueue.position(job.id) : 0;
+
+  await ctx.reply([
+    ctx.t('state.state', { state }),
+    `${ctx.t(`states.${state}.description`)}. ${ctx.t(`states.${state}.hint`)}`,
+    ctx.t('state.entered', { time: enteredAt }),
+    ctx.t('state.timesOut', {
+      when: Number.isFinite(remaining)
+        ? ctx.t('state.inMinutes', { minutes: Math.max(0, Math.ceil(remaining / 60000)) })
+        : ctx.t('state.never')
+    }),
+    ctx.t('state.next', { states: conversation.allowedTransitions(state).join(', ') || ctx.t('state.nothing') }),
+    ctx.t('state.pending', { items: pending.join('; ') || ctx.t('state.nothing') }),
+    job ? ctx.t('state.job', {
+      status: job.status,
+      progress: job.progress,
+      step: job.step ? ` (${job.step})` : '',
+      queue: position ? ctx.t('state.queuePosition', { position }) : ''
+    }) : null
+  ].filter(Boolean).join('\n'));
+});
+
+// Utility: Link this chat to a tutor's roster entry with an invite code
+async function joinTutor(ctx, code) {
+  const joined = await roster.redeemInvite(code, ctx.session.chatId);
+  if (!joined) {
+    return ctx.reply(ctx.t('tutor.joinInvalid'));
+  }
+
+  ctx.session.userType = 'student';
+  ctx.session.tutorChatId = joined.tutorChatId;
+  ctx.session.rosterStudentId = joined.student.id;
+  ctx.session.studentId = pipelineStudentId(ctx.session);
+  await ctx.reply(ctx.t('tutor.joined', { name: joined.student.name }));
+
+  const tutorSession = await sessionStore.get(joined.tutorChatId);
+  await bot.telegram.sendMessage(joined.tutorChatId, t(tutorSession?.locale, 'tutor.studentJoined', {
+    name: joined.student.name
+  })).catch(error => console.error('Tutor notification failed:', error.message));
+}
+
+// Utility: Render a student's assignments, files, feedback and tags (most recent 10 of each)
+function renderStudentWorkspace(student, locale) {
+  const t = translator(locale);
+  const none = t('common.none');
+  const date = entry => entry.createdAt.slice(0, 10);
+
+  return t('tutor.workspace', {
+    name: student.name,
+    count: student.assignments.length,
+    assignments: student.assignments.slice(-10).map(entry => t('tutor.assignmentLine', {
+      date: date(entry),
+      topic: entry.topic,
+      format: entry.format,
+      length: entry.length
+    })).join('\n') || none,
+    files: student.assignments.filter(entry => entry.driveLink).slice(-10).map(entry => t('tutor.fileLine', {
+      name: entry.filename,
+      link: entry.driveLink
+    })).join('\n') || none,
+    feedback: student.feedback.slice(-10).map(entry => t('tutor.feedbackLine', {
+      date: date(entry),
+      rating: entry.rating ? `${entry.rating}⭐` : '💬',
+      comment: entry.comment || ''
+    })).join('\n') || none,
+    tags: student.tags.length ? student.tags.join(', ') : none
+  });
+}
+
+// Utility: Text after the command name ("/addstudent Jane Doe" -> "Jane Doe")
+function commandArgument(ctx, maxLength = 64) {
+  return ctx.message.text.replace(/^\/\S+\s*/, '').trim().substring(0, maxLength);
+}
+
+// Command: /students - List the tutor's roster and switch the active student
+bot.command('students', async (ctx) => {
+  if (!(await requireTutor(ctx))) return;
+  const students = await roster.list(ctx.session.chatId);
+  if (students.length === 0) {
+    return ctx.reply(ctx.t('tutor.rosterEmpty'));
+  }
+
+  const list = students.map(student => ctx.t('tutor.rosterLine', {
+    marker: student.id === ctx.session.activeStudentId ? '👉' : '•',
+    name: student.name,
+    count: student.assignments.length,
+    linked: student.chatId ? ctx.t('tutor.linked') : ''
+  })).join('\n');
+  const keyboard = {
+    inline_keyboard: students.map(student => [{ text: student.name, callback_data: `student_${student.id}` }])
+  };
+  await ctx.reply(ctx.t('tutor.rosterTitle', { count: students.length, list }), { reply_markup: keyboard });
+});
+
+// Command: /student [name] - Show the active student's workspace, or switch to another student
+bot.command('student', async (ctx) => {
+  if (!(await requireTutor(ctx))) return;
+  const query = commandArgument(ctx);
+
+  if (query) {
+    const student = await roster.find(ctx.session.chatId, query);
+    if (!student) {
+      return ctx.reply(ctx.t('tutor.notFound', { query }));
+    }
+    selectStudent(ctx.session, student);
+    return ctx.reply(ctx.t('tutor.switched', { name: student.name }));
+  }
+
+  const student = ctx.session.activeStudentId && await roster.get(ctx.session.chatId, ctx.session.activeStudentId);
+  if (!student) {
+    return ctx.reply(ctx.t('tutor.noActive'));
+  }
+  await ctx.reply(renderStudentWorkspace(student, ctx.session.locale));
+});
+
+// Command: /addstudent <name> - Add a student who won't use the bot themselves
+bot.command('addstudent', async (ctx) => {
+  if (!(await requireTutor(ctx))) return;
+  const name = commandArgument(ctx);
+  if (!name) {
+    return ctx.reply(ctx.t('tutor.addUsage'));
+  }
+
+  const student = await roster.addStudent(ctx.session.chatId, name);
+  selectStudent(ctx.session, student);
+  await ctx.reply(ctx.t('tutor.added', { name: student.name }));
+});
+
+// Command: /invite <name> - Invite code and deep link for a student to link their own chat
+bot.command('invite', async (ctx) => {
+  if (!(await requireTutor(ctx))) return;
+  const name = commandArgument(ctx);
+  if (!name) {
+    return ctx.reply(ctx.t('tutor.inviteUsage'));
+  }
+
+  // Reuse a roster entry with the same name that isn't linked yet
+  const existing = await roster.find(ctx.session.chatId, name);
+  const student = existing && !existing.chatId && existing.name.toLowerCase() === name.toLowerCase()
+    ? existing
+    : await roster.addStudent(ctx.session.chatId, name);
+  const code = await roster.createInvite(ctx.session.chatId, student.id);
+
+  await ctx.reply(ctx.t('tutor.inviteCreated', {
+    name: student.name,
+    code,
+    link: `https://t.me/${ctx.botInfo.username}?start=join_${code}`,
+    days: INVITE_TTL_DAYS
+  }));
+});
+
+// Command: /join <code> - Link this chat to a tutor (same as opening the invite link)
+bot.command('join', async (ctx) => {
+  const code = commandArgument(ctx);
+  if (!code) {
+    return ctx.reply(ctx.t('tutor.joinUsage'));
+  }
+  await joinTutor(ctx, code);
+});
+
+// Everything stored per chat, for /mydata and /deletemydata. Files, Drive and Zotero come first
+// because they are found through history rows and the roster, which are erased after them.
+const USER_TYPES = ['guest', 'student', 'tutor', 'mixed'];
+const DELETE_CONFIRM_MS = 10 * 60 * 1000;
+
+// Utility: Generated documents still in /tmp for a chat
+async function generatedFiles(chatId) {
+  const { history } = await getAssignmentHistory(chatId);
+  const session = await sessionStore.get(String(chatId));
+  const names = [
+    ...history.map(row => row.draft?.filename),
+    session?.lastDraft?.filename
+  ].filter(Boolean).map(name => path.basename(name));
+  return [...new Set(names)];
+}
+
+// Utility: Drive folders a chat's drafts were uploaded to (own folders plus the tutor's students)
+async function driveFolderIds(chatId) {
+  const students = await roster.list(chatId);
+  return [
+    ...USER_TYPES.map(userType => `${userType}_${chatId}`),
+    ...students.map(student => Roster.workspaceId(chatId, student.id))
+  ];
+}
+
+const personalData = new PersonalData()
+  .register({
+    name: 'files',
+    export: generatedFiles,
+    files: async (chatId) => {
+      const files = [];
+      for (const name of await generatedFiles(chatId)) {
+        try {
+          files.push({ name, content: await fs.readFile(path.join('/tmp', name)) });
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+      return files;
+    },
+    erase: async (chatId) => {
+      let removed = 0;
+      for (const name of await generatedFiles(chatId)) {
+        try {
+          await fs.unlink(path.join('/tmp', name));
+          removed++;
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+      return removed;
+    }
+  })
+  .register({
+    name: 'drive',
+    export: async (chatId) => ({ folders: await driveFolderIds(chatId) }),
+    erase: async (chatId) => deleteStudentFolders(await driveFolderIds(chatId))
+  })
+  .register({
+    name: 'zotero',
+    export: listZoteroItems,
+    erase: deleteZoteroItems
+  })
+  .register({
+    name: 'jobs',
+    export: async (chatId) => jobQueue.forChat(chatId),
+    erase: async (chatId) => jobQueue.purgeChat(chatId)
+  })
+  .register({
+    // A tutor's own roster goes entirely; a student's entries in other rosters are only unlinked
+    name: 'roster',
+    export: async (chatId) => ({
+      students: await roster.list(chatId),
+      linkedTo: await roster.linkedEntries(chatId)
+    }),
+    erase: async (chatId) => (await roster.deleteRoster(chatId)) + (await roster.unlink(chatId))
+  })
+  .register({
+    name: 'passages',
+    export: async (chatId) => (await passageStore.entries())
+      .filter(([key]) => key.startsWith(`${chatId}:`))
+      .map(([key, index]) => ({ key, ...index })),
+    erase: async (chatId) => {
+      const keys = (await passageStore.keys()).filter(key => key.startsWith(`${chatId}:`));
+      for (const key of keys) await passageStore.delete(key);
+      return keys.length;
+    }
+  })
+  .register({
+    name: 'history',
+    export: async (chatId) => (await getAssignmentHistory(chatId)).history,
+    erase: deleteHistory
+  })
+  .register({
+    name: 'feedback',
+    export: getFeedback,
+    erase: deleteFeedback
+  })
+  .register({
+    name: 'usage',
+    export: async (chatId) => (await usageQuota.store.get(usageQuota.keyFor(chatId))) || null,
+    // The pseudonymous counters stay (see usageQuota); only records from before they were keyed
+    // by HMAC, which are named after the chat id, are removed
+    erase: async (chatId) => {
+      if (usageQuota.keyFor(chatId) === String(chatId)) return 0;
+      const usage = await usageQuota.store.get(String(chatId));
+      await usageQuota.store.delete(String(chatId));
+      return usage ? 1 : 0;
+    }
+  })
+  .register({
+    // Preferences are keyed by Telegram user id, which is the chat id in private chats
+    name: 'profile',
+    export: async (chatId) => ({
+      user: await accessControl.getUser(chatId),
+      preferences: (await preferenceStore.get(String(chatId))) || null
+    }),
+    erase: async (chatId) => {
+      const preferences = await preferenceStore.get(String(chatId));
+      await preferenceStore.delete(String(chatId));
+      return (await accessControl.forget(chatId)) + (preferences ? 1 : 0);
+    }
+  })
+  .register({
+    name: 'session',
+    export: async (chatId) => (await sessionStore.get(String(chatId))) || null,
+    erase: async (chatId) => {
+      const stored = await sessionStore.get(String(chatId));
+      await sessionStore.delete(String(chatId));
+      return stored ? 1 : 0;
+    }
+  });
+
+// Command: /mydata - Download everything stored about this chat as a ZIP
+bot.command('mydata', async (ctx) => {
+  await ctx.reply(ctx.t('privacy.preparing'));
+  try {
+    const archive = await personalData.exportZip(ctx.session.chatId);
+    const date = new Date().toISOString().slice(0, 10);
+    await ctx.replyWithDocument(
+      { source: archive, filename: `mydata_${ctx.session.chatId}_${date}.zip` },
+      { caption: ctx.t('privacy.exportCaption') }
+    );
+  } catch (error) {
+    console.error('Data export error:', error.message);
+    monitor.logError('privacy', error);
+    await ctx.reply(ctx.t('privacy.exportFailed'));
+  }
+});
+
+// Command: /deletemydata - Permanently delete this chat's data (after confirmation)
+bot.command('deletemydata', async (ctx) => {
+  ctx.session.pendingDeletion = Date.now();
+  await ctx.reply(ctx.t('privacy.deletePrompt'), {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: ctx.t('privacy.deleteConfirm'), callback_data: 'deletemydata_confirm' },
+        { text: ctx.t('common.cancel'), callback_data: 'deletemydata_cancel' }
+      ]]
+    }
+  });
+});
+
+// Utility: Register an admin-only command; every use (and every refused attempt) is audited
+function adminCommand(name, handler) {
+  bot.command(name, async (ctx) => {
+    const args = commandArgument(ctx, 4000);
+    if (!accessControl.can(ctx.role, 'admin')) {
+      await auditLog.record({ actor: ctx.session.chatId, action: `denied:${name}`, details: args || null });
+      return ctx.reply(ctx.t('admin.denied'));
+    }
+    await auditLog.record({ actor: ctx.session.chatId, action: name, details: args || null });
+    await handler(ctx, args);
+  });
+}
+
+// Utility: Validate a chat id argument for the admin commands
+function parseChatIdArgument(value) {
+  return /^-?\d+$/.test(value || '') ? value : null;
+}
+
+// Utility: One line per external service with its calls, failures, latency and breaker state
+function serviceLines(ctx, services) {
+  const states = breakerStates();
+  const lines = Object.entries(services).map(([service, stats]) => ctx.t('admin.serviceLine', {
+    service,
+    calls: stats.calls,
+    failures: stats.failures,
+    avgMs: stats.avgMs,
+    state: ctx.t(`admin.breaker.${states[service] || 'closed'}`)
+  }));
+  return lines.join('\n') || ctx.t('admin.noServiceCalls');
+}
+
+// Command: /adminreport - Usage, users and pipeline overview
+adminCommand('adminreport', async (ctx) => {
+  const report = await generateUsageReport();
+  const stats = monitor.getStats();
+  const users = await accessControl.list();
+  const jobs = jobQueue.stats();
+  const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+
+  await ctx.reply(ctx.t('admin.report', {
+    calls: report.totalApiCalls,
+    successRate: report.successRate,
+    rating: report.averageRating,
+    feedback: report.totalFeedbacks,
+    health: ctx.t(report.successRate > 90 ? 'admin.healthy' : 'admin.needsAttention'),
+    users: users.length,
+    active: users.filter(user => user.lastSeen >= dayAgo).length,
+    roles: ROLES.map(role => `${role} ${users.filter(user => user.role === role).length}`).join(', '),
+    banned: users.filter(user => user.banned).length,
+    queued: jobs.queued,
+    running: jobs.running,
+    failed: jobs.failed,
+    errors: stats.errorCount,
+    hours: Math.floor(stats.uptime / 3600),
+    services: serviceLines(ctx, stats.services)
+  }), { parse_mode: 'Markdown' });
+});
+
+// Command: /users [role|banned] - Most recently active users (up to 30)
+adminCommand('users', async (ctx, args) => {
+  const filter = args.toLowerCase();
+  const users = await accessControl.list({
+    role: ROLES.includes(filter) ? filter : undefined,
+    banned: filter === 'banned' ? true : undefined
+  });
+  if (users.length === 0) {
+    return ctx.reply(ctx.t('admin.noUsers'));
+  }
+
+  const lines = users.slice(0, 30).map(user => ctx.t('admin.userLine', {
+    chatId: user.chatId,
+    name: user.name || '-',
+    username: user.username ? ` @${user.username}` : '',
+    role: user.role,
+    banned: user.banned ? ctx.t('admin.bannedMark') : '',
+    lastSeen: new Date(user.lastSeen).toISOString().slice(0, 16).replace('T', ' ')
+  }));
+  await ctx.reply(ctx.t('admin.usersTitle', { count: users.length, list: lines.join('\n') }));
+});
+
+// Command: /ban <chatId> [reason] - Block a chat and stop its background jobs
+adminCommand('ban', async (ctx, args) => {
+  const [target, ...reasonParts] = args.split(/\s+/);
+  const chatId = parseChatIdArgument(target);
+  if (!chatId) {
+    return ctx.reply(ctx.t('admin.banUsage'));
+  }
+  const user = await accessControl.getUser(chatId);
+  if (accessControl.roleFor(chatId, user, user?.userType) === 'admin') {
+    return ctx.reply(ctx.t('admin.cannotBanAdmin'));
+  }
+
+  const reason = reasonParts.join(' ') || null;
+  await accessControl.ban(chatId, { reason, by: ctx.session.chatId });
+  const cancelled = await jobQueue.cancelForChat(chatId);
+  await auditLog.record({ actor: ctx.session.chatId, action: 'ban', target: chatId, details: { reason, cancelledJobs: cancelled } });
+  await ctx.reply(ctx.t('admin.banned', { chatId, jobs: cancelled }));
+});
+
+// Command: /unban <chatId>
+adminCommand('unban', async (ctx, args) => {
+  const chatId = parseChatIdArgument(args);
+  if (!chatId) {
+    return ctx.reply(ctx.t('admin.unbanUsage'));
+  }
+  if (!(await accessControl.unban(chatId))) {
+    return ctx.reply(ctx.t('admin.notBanned', { chatId }));
+  }
+  await auditLog.record({ actor: ctx.session.chatId, action: 'unban', target: chatId });
+  await ctx.reply(ctx.t('admin.unbanned', { chatId }));
+});
+
+// Command: /role <chatId> <admin|tutor|student|guest|reset> - Assign a role (reset follows /start again)
+adminCommand('role', async (ctx, args) => {
+  const [target, role] = args.toLowerCase().split(/\s+/);
+  const chatId = parseChatIdArgument(target);
+  if (!chatId || !(ROLES.includes(role) || role === 'reset')) {
+    return ctx.reply(ctx.t('admin.roleUsage', { roles: ROLES.join('|') }));
+  }
+  if (accessControl.isConfiguredAdmin(chatId)) {
+    return ctx.reply(ctx.t('admin.configuredAdmin'));
+  }
+
+  await accessControl.setRole(chatId, role === 'reset' ? null : role);
+  await auditLog.record({ actor: ctx.session.chatId, action: 'role', target: chatId, details: { role } });
+  await ctx.reply(ctx.t('admin.roleSet', { chatId, role }));
+});
+
+// Command: /broadcast <message> - Preview a message to every user, sent after confirmation
+adminCommand('broadcast', async (ctx, text) => {
+  if (!text) {
+    return ctx.reply(ctx.t('admin.broadcastUsage'));
+  }
+  const recipients = (await accessControl.list({ banned: false }))
+    .filter(user => user.chatId !== ctx.session.chatId);
+
+  ctx.session.pendingBroadcast = { text, createdAt: Date.now() };
+  await ctx.reply(ctx.t('admin.broadcastPreview', { count: recipients.length, text }), {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: ctx.t('admin.broadcastSend'), callback_data: 'broadcast_confirm' },
+        { text: ctx.t('common.cancel'), callback_data: 'broadcast_cancel' }
+      ]]
+    }
+  });
+});
+
+// Command: /jobs [id | cancel <id>] - Pipeline overview, one job's steps, or cancel a job
+adminCommand('jobs', async (ctx, args) => {
+  const [first, second] = args.split(/\s+/);
+  const findJob = prefix => prefix && jobQueue.list().find(job => job.id.startsWith(prefix));
+
+  if (first === 'cancel') {
+    const job = findJob(second);
+    if (!job || !(await jobQueue.cancel(job.id))) {
+      return ctx.reply(ctx.t('admin.jobNotFound', { id: second || '' }));
+    }
+    await auditLog.record({ actor: ctx.session.chatId, action: 'job_cancel', target: job.id });
+    return ctx.reply(ctx.t('admin.jobCancelled', { id: job.id.slice(0, 8) }));
+  }
+
+  if (first) {
+    const job = findJob(first);
+    if (!job) {
+      return ctx.reply(ctx.t('admin.jobNotFound', { id: first }));
+    }
+    const steps = Object.entries(job.steps).map(([name, record]) =>
+      `• ${name}: ${record.done ? '✅' : '⏳'} ×${record.attempts}${record.error ? ` (${record.error})` : ''}`);
+    return ctx.reply(ctx.t('admin.jobDetail', {
+      id: job.id,
+      type: job.type,
+      chatId: job.chatId,
+      status: job.status,
+      progress: job.progress,
+      created: new Date(job.createdAt).toISOString(),
+      steps: steps.join('\n') || ctx.t('common.none'),
+      error: job.error || ctx.t('common.none')
+    }));
+  }
+
+  const stats = jobQueue.stats();
+  const lines = jobQueue.list().slice(-20).map(job => ctx.t('admin.jobLine', {
+    id: job.id.slice(0, 8),
+    type: job.type,
+    chatId: job.chatId,
+    status: job.status,
+    progress: job.progress,
+    step: job.step ? ` (${job.step})` : ''
+  }));
+  await ctx.reply(ctx.t('admin.jobsTitle', {
+    ...stats,
+    list: lines.join('\n') || ctx.t('common.none')
+  }));
+});
+
+// Command: /config - Which features and limits are active (no secrets)
+adminCommand('config', async (ctx) => {
+  const flag = value => (value ? '✅' : '❌');
+  const quotas = Object.entries(QUOTA_LIMITS)
+    .map(([type, limits]) => `${type} ${limits.daily}/${limits.monthly}`)
+    .join(', ');
+
+  await ctx.reply(ctx.t('admin.config', {
+    mode: BOT_MODE,
+    webhookSecret: flag(WEBHOOK_SECRET),
+    store: process.env.SESSION_STORE || 'file',
+    sessionTtl: SESSION_TTL_HOURS,
+    groq: flag(GROQ_KEY),
+    eden: flag(EDEN_AI_KEY),
+    zotero: flag(process.env.ZOTERO_API_KEY && process.env.ZOTERO_USER_ID),
+    sheets: flag(GOOGLE_SHEETS_ID),
+    drive: flag(process.env.GOOGLE_DRIVE_FOLDER_ID && process.env.GOOGLE_SERVICE_ACCOUNT_PATH),
+    jobConcurrency: jobQueue.concurrency,
+    jobUserConcurrency: jobQueue.perUserConcurrency,
+    jobAttempts: jobQueue.maxAttempts,
+    quotas,
+    admins: accessControl.adminChatIds.size,
+    inviteDays: INVITE_TTL_DAYS,
+    providers: enabledProviderNames().map(name => PROVIDER_LABELS[name]).join(', '),
+    languages: SUPPORTED_LOCALES.join(', ')
+  }));
+});
+
+// Command: /cache [api | purge [api]] - Response cache size and hit rates, one API's latest entries, or purge
+adminCommand('cache', async (ctx, args) => {
+  const [first, second] = args.toLowerCase().split(/\s+/);
+
+  if (first === 'purge') {
+    const removed = await responseCache.purge(second || null);
+    await auditLog.record({ actor: ctx.session.chatId, action: 'cache_purge', target: second || 'all', details: { removed } });
+    return ctx.reply(ctx.t('admin.cachePurged', { count: removed, api: second || ctx.t('admin.cacheAll') }));
+  }
+
+  if (first) {
+    const entries = await responseCache.inspect(first);
+    const lines = entries.map(entry => ctx.t('admin.cacheEntry', {
+      request: JSON.stringify(entry.request).substring(0, 120),
+      minutes: Math.round(entry.ageMs / 60000),
+      state: ctx.t(entry.fresh ? 'admin.cacheFresh' : 'admin.cacheStale'),
+      kb: Math.ceil(entry.bytes / 1024)
+    }));
+    return ctx.reply(ctx.t('admin.cacheEntries', { api: first, list: lines.join('\n') || ctx.t('common.none') }));
+  }
+
+  const { apis, bytes, maxBytes } = await responseCache.stats();
+  const lines = Object.entries(apis).map(([api, stats]) => ctx.t('admin.cacheLine', {
+    api,
+    entries: stats.entries,
+    kb: Math.ceil(stats.bytes / 1024),
+    hits: stats.hits,
+    stale: stats.stale,
+    misses: stats.misses
+  }));
+  await ctx.reply(ctx.t('admin.cacheTitle', {
+    mb: (bytes / 1024 / 1024).toFixed(1),
+    maxMb: Math.round(maxBytes / 1024 / 1024),
+    list: lines.join('\n') || ctx.t('common.none')
+  }));
+});
+
+// Command: /audit [count] - Latest admin actions (default 20)
+adminCommand('audit', async (ctx, args) => {
+  const entries = await auditLog.recent(Math.min(parseInt(args) || 20, 100));
+  const lines = entries.map(entry => ctx.t('admin.auditLine', {
+    at: entry.at.slice(0, 16).replace('T', ' '),
+    actor: entry.actor,
+    action: entry.action,
+    target: entry.target ? ` → ${entry.target}` : ''
+  }));
+  await ctx.reply(ctx.t('admin.auditTitle', { list: lines.join('\n') || ctx.t('common.none') }));
+});
+
 // Callback handlers now consolidated in the main callback_query handler above
 
 // Error handling/retry (basic for Block 1)
 bot.catch((err, ctx) => {
   console.error('Bot error:', err);
   if (ctx) {
-    ctx.reply('Error occurred. Please try again or contact support.');
+    ctx.reply(ctx.t ? ctx.t('common.unexpectedError') : t(null, 'common.unexpectedError'));
   }
 });
 
 // Only start server and bot if this file is run directly (not imported for testing)
 if (require.main === module) {
+  // Telegram updates arrive on the same server in webhook mode
+  const webhookHandler = BOT_MODE === 'webhook' ? createWebhookHandler({
+    secretToken: WEBHOOK_SECRET,
+    maxBodyBytes: WEBHOOK_MAX_BODY_BYTES,
+    onUpdate: handleWebhookUpdate
+  }) : null;
+
   // Create HTTP server for health check (required for Replit)
   const server = http.createServer((req, res) => {
-    if (req.url === '/health' || req.url === '/') {
+    if (webhookHandler && req.url.split('?')[0] === WEBHOOK_PATH) {
+      webhookHandler(req, res).catch(error => {
+        console.error('Webhook request error:', error.message);
+        if (!res.headersSent) {
+          res.writeHead(500, { 'Content-Type': 'text/plain' });
+          res.end('Internal Server Error');
+        }
+      });
+    } else if (req.url === '/health' || req.url === '/') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
         status: 'healthy',
         bot: 'running',
+        mode: BOT_MODE,
         timestamp: new Date().toISOString(),
         features: {
           telegram: !!TELEGRAM_TOKEN,
@@ -632,6 +2905,25 @@ if (require.main === module) {
 
   // Start HTTP server on port 5000 (required for Replit)
   const PORT = process.env.PORT || 5000;
+  // Drop sessions and passage indexes that expired while the bot was down, then keep sweeping hourly
+  const pruneSessions = () => Promise.all([sessionStore.prune(), passageStore.prune(), usageQuota.store.prune()])
+    .then(([sessions, indexes]) => {
+      if (sessions) console.log(`🧹 Removed ${sessions} expired sessions`);
+      if (indexes) console.log(`🧹 Removed ${indexes} expired passage indexes`);
+    })
+    .catch(error => console.error('Session prune error:', error.message));
+  pruneSessions();
+  setInterval(pruneSessions, 60 * 60 * 1000).unref();
+
+  // Forget rate-limit state for chats that have gone quiet
+  setInterval(() => {
+    rateLimiter.sweep();
+    inlineCache.prune();
+    for (const [chatId, until] of rateLimitNotices) {
+      if (until < Date.now()) rateLimitNotices.delete(chatId);
+    }
+  }, 10 * 60 * 1000).unref();
+
   server.listen(PORT, '0.0.0.0', () => {
     console.log(`🌐 Health check server running on http://0.0.0.0:${PORT}`);
     console.log(`📊 Health endpoint: http://0.0.0.0:${PORT}/health`);
@@ -644,13 +2936,81 @@ if (require.main === module) {
   console.log('- EDEN_AI_KEY:', EDEN_AI_KEY ? '✅ Set' : '❌ Missing (will use fallbacks)');
   console.log('- GOOGLE_SHEETS_ID:', GOOGLE_SHEETS_ID ? '✅ Set' : '❌ Missing (will use console logging)');
 
-  bot.launch();
-  console.log('🤖 Bot started successfully! Send /start to your bot to begin.');
+  // One process per DATA_DIR (see utils/instance-lock): another replica would resume the same
+  // jobs and race on the file stores, so it stops here instead
+  instanceLock.acquire()
+    .then(() => {
+      // Pick up workflow jobs that were queued or running before a restart
+      jobQueue.start()
+        .then(resumed => resumed && console.log(`🔄 Resumed ${resumed} background jobs`))
+        .catch(error => console.error('Job queue start error:', error.message));
+
+      if (BOT_MODE === 'webhook') {
+        const webhookUrl = `${WEBHOOK_URL.replace(/\/$/, '')}${WEBHOOK_PATH}`;
+        bot.telegram.setWebhook(webhookUrl, { secret_token: WEBHOOK_SECRET })
+          .then(() => console.log(`🔗 Webhook registered at ${webhookUrl}`))
+          .catch(error => {
+            console.error('Webhook registration failed:', error.message);
+            process.exit(1);
+          });
+      } else {
+        bot.launch();
+      }
+      console.log('🤖 Bot started successfully! Send /start to your bot to begin.');
+    })
+    .catch(error => {
+      console.error('Bot not started:', error.message);
+      process.exit(1);
+    });
+}
+
+// Webhook updates run after Telegram has its 200; shutdown waits for them
+const pendingUpdates = new Set();
+function handleWebhookUpdate(update) {
+  const handling = bot.handleUpdate(update).finally(() => pendingUpdates.delete(handling));
+  pendingUpdates.add(handling);
+  return handling;
 }
 
 // Graceful shutdown
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+async function shutdown(signal) {
+  if (BOT_MODE !== 'webhook') {
+    await instanceLock.release().catch(error => console.error('Instance lock release failed:', error.message));
+    bot.stop(signal);
+    return;
+  }
+  if (pendingUpdates.size) {
+    console.log(`⏳ Waiting for ${pendingUpdates.size} updates in progress`);
+    await Promise.race([
+      Promise.allSettled([...pendingUpdates]),
+      new Promise(resolve => setTimeout(resolve, WEBHOOK_DRAIN_MS).unref())
+    ]);
+  }
+  await instanceLock.release().catch(error => console.error('Instance lock release failed:', error.message));
+  if (WEBHOOK_DELETE_ON_EXIT) {
+    try {
+      await bot.telegram.deleteWebhook();
+      console.log('🔗 Webhook removed');
+    } catch (error) {
+      console.error('Webhook removal failed:', error.message);
+    }
+  }
+  process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
 
 // Export for modularity (used in later blocks)
-module.exports = { performOCR, transcribeVoice, logToConsole, intakeSchema };
\ No newline at end of file
+module.exports = {
+  performOCR,
+  transcribeVoice,
+  logToConsole,
+  parseAssignmentText,
+  extractAssignmentDetails,
+  applyAssignmentEdit,
+  renderAssignmentCard,
+  classifyAction,
+  intakeSchema,
+  bot
+};
\ No newline at end of file
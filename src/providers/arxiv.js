@@ -0,0 +1,65 @@
+const { httpClient } = require('../../utils/http-client');
+const { cleanDoi, cleanText, parseYear, compactSource } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://export.arxiv.org/api';
+
+// The arXiv API answers in Atom; entries are flat enough to read without an XML library
+function tagText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1] : undefined;
+}
+
+function parseEntries(feed) {
+  return (feed.match(/<entry>[\s\S]*?<\/entry>/g) || []).map(entry => {
+    const id = (tagText(entry, 'id') || '').trim();
+    const pdfLink = entry.match(/<link[^>]*title="pdf"[^>]*>/)?.[0].match(/href="([^"]+)"/)?.[1];
+    return {
+      // "http://arxiv.org/abs/2101.00001v2" -> "2101.00001"
+      arxivId: id.replace(/^.*\/abs\//, '').replace(/v\d+$/, ''),
+      title: tagText(entry, 'title'),
+      summary: tagText(entry, 'summary'),
+      published: tagText(entry, 'published'),
+      authors: (entry.match(/<author>[\s\S]*?<\/author>/g) || []).map(author => cleanText(tagText(author, 'name'))),
+      doi: tagText(entry, 'arxiv:doi'),
+      journalRef: tagText(entry, 'arxiv:journal_ref'),
+      pdfUrl: pdfLink
+    };
+  });
+}
+
+// Provider: arXiv preprints (every paper has a DataCite DOI, used when no journal DOI is linked)
+function createArxivProvider({
+  baseUrl = process.env.ARXIV_API_URL || DEFAULT_BASE_URL,
+  client = httpClient('arxiv')
+} = {}) {
+  return {
+    name: 'arxiv',
+    async search(query, { limit = 10, filters = {} } = {}) {
+      const { yearFrom, yearTo, types = [], minCitations } = filters;
+      // Everything on arXiv is a preprint, and it reports no citation counts
+      if ((types.length && !types.includes('preprint')) || minCitations) return [];
+      const dates = yearFrom || yearTo
+        ? ` AND submittedDate:[${yearFrom || 1991}01010000 TO ${yearTo || 9999}12312359]`
+        : '';
+
+      const response = await client.get(`${baseUrl}/query`, {
+        params: { search_query: `all:${query}${dates}`, start: 0, max_results: limit },
+        responseType: 'text'
+      });
+      return parseEntries(String(response.data)).map(entry => compactSource({
+        title: cleanText(entry.title),
+        authors: entry.authors.filter(Boolean).map(name => ({ name })),
+        year: parseYear(entry.published),
+        doi: cleanDoi(entry.doi) || (entry.arxivId ? `10.48550/arXiv.${entry.arxivId}` : undefined),
+        abstract: cleanText(entry.summary),
+        // Published versions name their journal; everything else is an arXiv preprint
+        venue: cleanText(entry.journalRef) || 'arXiv',
+        type: 'preprint',
+        openAccess: true,
+        url: entry.pdfUrl
+      }));
+    }
+  };
+}
+
+module.exports = { createArxivProvider, parseEntries };
@@ -0,0 +1,81 @@
+const { httpClient } = require('../../utils/http-client');
+const { cleanDoi, cleanText, parseYear, languageCode, compactSource } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://api.crossref.org';
+const SELECT = 'DOI,title,author,issued,published,abstract,container-title,volume,issue,page,publisher,type,language,' +
+  'is-referenced-by-count,link,URL';
+// Filter types <-> CrossRef work types (CrossRef does not mark reviews)
+const WORK_TYPES = { journal: 'journal-article', conference: 'proceedings-article', preprint: 'posted-content' };
+const FILTER_TYPES = Object.fromEntries(Object.entries(WORK_TYPES).map(([type, workType]) => [workType, type]));
+
+// Utility: Filters as a CrossRef "filter" parameter (years and types; the rest are filtered afterwards)
+function filterParam({ yearFrom, yearTo, types = [] } = {}) {
+  const filters = [];
+  if (yearFrom) filters.push(`from-pub-date:${yearFrom}-01-01`);
+  if (yearTo) filters.push(`until-pub-date:${yearTo}-12-31`);
+  if (types.length && types.every(type => WORK_TYPES[type])) {
+    filters.push(...types.map(type => `type:${WORK_TYPES[type]}`));
+  }
+  return filters.length ? { filter: filters.join(',') } : {};
+}
+
+// Utility: Journal, volume, issue, pages and publisher of a CrossRef work
+function bibliographicFields(item) {
+  return compactSource({
+    journal: cleanText(item['container-title']?.[0]),
+    volume: cleanText(item.volume),
+    issue: cleanText(item.issue),
+    pages: cleanText(item.page),
+    publisher: cleanText(item.publisher)
+  });
+}
+
+// Provider: CrossRef works search (a mailto puts requests in the faster "polite" pool)
+function createCrossRefProvider({
+  baseUrl = process.env.CROSSREF_API_URL || DEFAULT_BASE_URL,
+  mailto = process.env.CROSSREF_MAILTO,
+  client = httpClient('crossref')
+} = {}) {
+  return {
+    name: 'crossref',
+    async search(query, { limit = 10, filters } = {}) {
+      const response = await client.get(`${baseUrl}/works`, {
+        params: {
+          'query.bibliographic': query,
+          rows: limit,
+          select: SELECT,
+          ...filterParam(filters),
+          ...(mailto ? { mailto } : {})
+        }
+      });
+      return (response.data.message?.items || []).map(item => compactSource({
+        title: cleanText(item.title?.[0]),
+        authors: (item.author || [])
+          .map(author => ({ name: [author.given, author.family].filter(Boolean).join(' ') || author.name }))
+          .filter(author => author.name),
+        year: parseYear((item.issued || item.published)?.['date-parts']?.[0]?.[0]),
+        doi: cleanDoi(item.DOI),
+        abstract: cleanText(item.abstract),
+        venue: cleanText(item['container-title']?.[0]),
+        type: FILTER_TYPES[item.type],
+        language: languageCode(item.language),
+        citationCount: item['is-referenced-by-count'] ?? undefined,
+        url: (item.link || []).find(link => link['content-type'] === 'application/pdf')?.URL,
+        ...bibliographicFields(item)
+      }));
+    },
+
+    // One work by DOI: its bibliographic fields, or null when CrossRef has no such DOI
+    async work(doi) {
+      try {
+        const response = await client.get(`${baseUrl}/works/${doi}`, { params: mailto ? { mailto } : {} });
+        return bibliographicFields(response.data.message || {});
+      } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = { createCrossRefProvider, bibliographicFields };
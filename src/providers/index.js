@@ -0,0 +1,79 @@
+const { createSemanticScholarProvider } = require('./semantic-scholar');
+const { createCrossRefProvider } = require('./crossref');
+const { createOpenAlexProvider } = require('./openalex');
+const { createArxivProvider } = require('./arxiv');
+const { createPubMedProvider } = require('./pubmed');
+
+// Scholarly search providers. Each one is { name, search(query, { limit, filters }) }
+// and resolves to records shaped for sourceSchema (title, authors, year, doi,
+// abstract, venue, type, language, citationCount, openAccess, url). Providers
+// pass what they can of the filters (utils/source-filters) on to their API. Base URLs come from the environment so tests and mirrors can
+// point a provider at another server. Requests go through the shared HTTP client
+// (utils/http-client), so an outage rejects with ServiceUnavailableError.
+
+const PROVIDER_FACTORIES = {
+  semanticscholar: createSemanticScholarProvider,
+  crossref: createCrossRefProvider,
+  openalex: createOpenAlexProvider,
+  arxiv: createArxivProvider,
+  pubmed: createPubMedProvider
+};
+const PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+const PROVIDER_LABELS = {
+  semanticscholar: 'Semantic Scholar',
+  crossref: 'CrossRef',
+  openalex: 'OpenAlex',
+  arxiv: 'arXiv',
+  pubmed: 'PubMed'
+};
+
+function createProviders(options = {}) {
+  // options: { crossref: { baseUrl, client }, ... } per provider
+  return Object.fromEntries(PROVIDER_NAMES.map(name => [name, PROVIDER_FACTORIES[name](options[name])]));
+}
+
+// Providers the admin enabled (SOURCE_PROVIDERS, comma-separated; all by default)
+function enabledProviderNames(value = process.env.SOURCE_PROVIDERS) {
+  const names = (value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  const known = names.filter(name => PROVIDER_NAMES.includes(name));
+  return known.length ? known : PROVIDER_NAMES;
+}
+
+// The user's choice narrowed to what is enabled; falls back to everything enabled
+function resolveProviderNames(requested, enabled = enabledProviderNames()) {
+  const chosen = (requested || []).filter(name => enabled.includes(name));
+  return chosen.length ? chosen : enabled;
+}
+
+// Query providers in parallel; one failing provider only loses its own results.
+// Results are interleaved by rank so every provider's best hits come first.
+async function searchProviders(providers, query, { limit = 10, filters = {} } = {}) {
+  const settled = await Promise.allSettled(providers.map(provider => provider.search(query, { limit, filters })));
+  const lists = [];
+  const failed = [];
+
+  settled.forEach((outcome, i) => {
+    const { name } = providers[i];
+    if (outcome.status === 'fulfilled') {
+      lists.push(outcome.value.map(source => ({ ...source, providers: [name] })));
+    } else {
+      console.error(`${PROVIDER_LABELS[name] || name} search error:`, outcome.reason.message);
+      failed.push(name);
+    }
+  });
+
+  const results = [];
+  for (let rank = 0; lists.some(list => rank < list.length); rank++) {
+    lists.forEach(list => rank < list.length && results.push(list[rank]));
+  }
+  return { results, failed };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  PROVIDER_LABELS,
+  createProviders,
+  enabledProviderNames,
+  resolveProviderNames,
+  searchProviders
+};
@@ -0,0 +1,44 @@
+// Helpers shared by the providers for mapping API records onto sourceSchema
+
+// "https://doi.org/10.1/X" or "doi:10.1/X" -> "10.1/X"
+function cleanDoi(value) {
+  if (!value) return undefined;
+  const doi = String(value).trim().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/i, '');
+  return /^10\.\d{4,9}\/\S+$/.test(doi) ? doi : undefined;
+}
+
+// Abstracts from CrossRef and arXiv carry JATS/HTML tags and hard line breaks
+function cleanText(value) {
+  if (!value) return undefined;
+  const text = String(value)
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'").replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text || undefined;
+}
+
+function parseYear(value) {
+  const year = parseInt(String(value || '').slice(0, 4), 10);
+  return Number.isFinite(year) ? year : undefined;
+}
+
+// ISO 639-2 codes some APIs use (PubMed: "eng") -> the two-letter codes filters use
+const LANGUAGE_CODES = {
+  eng: 'en', fre: 'fr', fra: 'fr', ger: 'de', deu: 'de', spa: 'es', por: 'pt', ita: 'it',
+  swa: 'sw', chi: 'zh', zho: 'zh', jpn: 'ja', rus: 'ru', ara: 'ar', dut: 'nl', nld: 'nl'
+};
+
+function languageCode(value) {
+  const code = String(value || '').trim().toLowerCase();
+  if (/^[a-z]{2}$/.test(code)) return code;
+  return LANGUAGE_CODES[code];
+}
+
+// Drop empty fields so optional sourceSchema keys are simply absent
+function compactSource(source) {
+  return Object.fromEntries(Object.entries(source).filter(([, value]) =>
+    value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)));
+}
+
+module.exports = { LANGUAGE_CODES, cleanDoi, cleanText, parseYear, languageCode, compactSource };
@@ -0,0 +1,69 @@
+const { httpClient } = require('../../utils/http-client');
+const { cleanDoi, cleanText, languageCode, compactSource } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://api.openalex.org';
+// Filter types -> OpenAlex work types (proceedings papers are "article"s from a conference source)
+const WORK_TYPES = { journal: 'article', review: 'review', preprint: 'preprint' };
+
+// OpenAlex ships abstracts as { word: [positions] }; rebuild the running text
+function invertedIndexToText(index) {
+  if (!index) return undefined;
+  const words = [];
+  for (const [word, positions] of Object.entries(index)) {
+    for (const position of positions) words[position] = word;
+  }
+  return words.filter(Boolean).join(' ');
+}
+
+// Utility: Filters as an OpenAlex "filter" parameter (OpenAlex supports all of them)
+function filterParam({ yearFrom, yearTo, types = [], openAccess, minCitations, language } = {}) {
+  const filters = [];
+  if (yearFrom) filters.push(`from_publication_date:${yearFrom}-01-01`);
+  if (yearTo) filters.push(`to_publication_date:${yearTo}-12-31`);
+  if (types.length && types.every(type => WORK_TYPES[type])) {
+    filters.push(`type:${types.map(type => WORK_TYPES[type]).join('|')}`);
+  }
+  if (openAccess) filters.push('is_oa:true');
+  if (minCitations) filters.push(`cited_by_count:>${minCitations - 1}`);
+  if (language) filters.push(`language:${language}`);
+  return filters.length ? { filter: filters.join(',') } : {};
+}
+
+function publicationType(work) {
+  if (work.type === 'review' || work.type === 'preprint') return work.type;
+  if (work.type !== 'article') return undefined;
+  return work.primary_location?.source?.type === 'conference' ? 'conference' : 'journal';
+}
+
+// Provider: OpenAlex works search
+function createOpenAlexProvider({
+  baseUrl = process.env.OPENALEX_API_URL || DEFAULT_BASE_URL,
+  mailto = process.env.CROSSREF_MAILTO,
+  client = httpClient('openalex')
+} = {}) {
+  return {
+    name: 'openalex',
+    async search(query, { limit = 10, filters } = {}) {
+      const response = await client.get(`${baseUrl}/works`, {
+        params: { search: query, 'per-page': limit, ...filterParam(filters), ...(mailto ? { mailto } : {}) }
+      });
+      return (response.data.results || []).map(work => compactSource({
+        title: cleanText(work.display_name || work.title),
+        authors: (work.authorships || [])
+          .map(authorship => ({ name: authorship.author?.display_name }))
+          .filter(author => author.name),
+        year: work.publication_year || undefined,
+        doi: cleanDoi(work.doi),
+        abstract: cleanText(invertedIndexToText(work.abstract_inverted_index)),
+        venue: cleanText(work.primary_location?.source?.display_name),
+        type: publicationType(work),
+        language: languageCode(work.language),
+        citationCount: work.cited_by_count ?? undefined,
+        openAccess: work.open_access?.is_oa ?? undefined,
+        url: work.best_oa_location?.pdf_url || work.open_access?.oa_url
+      }));
+    }
+  };
+}
+
+module.exports = { createOpenAlexProvider, invertedIndexToText };
@@ -0,0 +1,66 @@
+const { httpClient } = require('../../utils/http-client');
+const { LANGUAGE_CODES, cleanDoi, cleanText, parseYear, languageCode, compactSource } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+// Filter types <-> PubMed publication types
+const PUBLICATION_TYPES = { journal: 'Journal Article', conference: 'Congress', review: 'Review', preprint: 'Preprint' };
+// PubMed's [la] field takes three-letter codes
+const PUBMED_LANGUAGES = Object.fromEntries(Object.entries(LANGUAGE_CODES).map(([code, iso]) => [iso, code]).reverse());
+
+// Utility: Filters as PubMed search terms (citation counts are filtered afterwards)
+function filterTerms({ yearFrom, yearTo, types = [], openAccess, language } = {}) {
+  const terms = [];
+  if (yearFrom || yearTo) terms.push(`("${yearFrom || 1000}"[dp] : "${yearTo || 3000}"[dp])`);
+  if (types.length) terms.push(`(${types.map(type => `"${PUBLICATION_TYPES[type]}"[pt]`).join(' OR ')})`);
+  if (openAccess) terms.push('free full text[sb]');
+  if (language && PUBMED_LANGUAGES[language]) terms.push(`${PUBMED_LANGUAGES[language]}[la]`);
+  return terms.map(term => ` AND ${term}`).join('');
+}
+
+function publicationType(record) {
+  const types = record.pubtype || [];
+  return ['review', 'preprint', 'conference', 'journal'].find(type => types.includes(PUBLICATION_TYPES[type]));
+}
+
+// Provider: PubMed through NCBI E-utilities (search for ids, then fetch their summaries)
+function createPubMedProvider({
+  baseUrl = process.env.PUBMED_API_URL || DEFAULT_BASE_URL,
+  apiKey = process.env.NCBI_API_KEY,
+  client = httpClient('pubmed')
+} = {}) {
+  const auth = apiKey ? { api_key: apiKey } : {};
+
+  return {
+    name: 'pubmed',
+    async search(query, { limit = 10, filters } = {}) {
+      const search = await client.get(`${baseUrl}/esearch.fcgi`, {
+        params: { db: 'pubmed', term: `${query}${filterTerms(filters)}`, retmax: limit, retmode: 'json', ...auth }
+      });
+      const ids = search.data.esearchresult?.idlist || [];
+      if (ids.length === 0) return [];
+
+      const summary = await client.get(`${baseUrl}/esummary.fcgi`, {
+        params: { db: 'pubmed', id: ids.join(','), retmode: 'json', ...auth }
+      });
+      const result = summary.data.result || {};
+      return (result.uids || ids).map(uid => result[uid]).filter(Boolean).map(record => {
+        const articleId = type => record.articleids?.find(id => id.idtype === type)?.value;
+        const pmcId = articleId('pmc');
+        return compactSource({
+          title: cleanText(record.title),
+          authors: (record.authors || []).filter(author => author.name).map(author => ({ name: author.name })),
+          year: parseYear(record.pubdate || record.epubdate),
+          doi: cleanDoi(articleId('doi') || record.elocationid?.replace(/^doi:\s*/i, '')),
+          venue: cleanText(record.fulljournalname || record.source),
+          type: publicationType(record),
+          language: languageCode(record.lang?.[0]),
+          openAccess: Boolean(pmcId),
+          // Free full text lives in PubMed Central when the article has a PMC id
+          url: pmcId ? `https://www.ncbi.nlm.nih.gov/pmc/articles/${pmcId}/` : undefined
+        });
+      });
+    }
+  };
+}
+
+module.exports = { createPubMedProvider };
@@ -0,0 +1,91 @@
+const { httpClient } = require('../../utils/http-client');
+const { cleanDoi, cleanText, compactSource } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://api.semanticscholar.org';
+const FIELDS = 'title,authors,year,abstract,externalIds,venue,publicationTypes,citationCount,isOpenAccess,openAccessPdf';
+// Filter types -> Semantic Scholar publicationTypes (it has no preprint type)
+const PUBLICATION_TYPES = { journal: 'JournalArticle', conference: 'Conference', review: 'Review' };
+const PREPRINT_VENUES = /arxiv|biorxiv|medrxiv|ssrn/i;
+
+// Utility: Filters as search parameters (years, types, open access, citations; language is filtered afterwards)
+function filterParams({ yearFrom, yearTo, types = [], openAccess, minCitations } = {}) {
+  const params = {};
+  if (yearFrom || yearTo) params.publicationDateOrYear = `${yearFrom || ''}:${yearTo || ''}`;
+  if (types.length && types.every(type => PUBLICATION_TYPES[type])) {
+    params.publicationTypes = types.map(type => PUBLICATION_TYPES[type]).join(',');
+  }
+  if (openAccess) params.openAccessPdf = '';
+  if (minCitations) params.minCitationCount = minCitations;
+  return params;
+}
+
+function publicationType(paper) {
+  const types = paper.publicationTypes || [];
+  if (types.includes('Review')) return 'review';
+  if (PREPRINT_VENUES.test(paper.venue || '')) return 'preprint';
+  if (types.includes('Conference')) return 'conference';
+  if (types.includes('JournalArticle')) return 'journal';
+  return undefined;
+}
+
+function toSource(paper) {
+  return compactSource({
+    title: cleanText(paper.title),
+    authors: (paper.authors || []).filter(author => author.name).map(author => ({ name: author.name })),
+    year: paper.year || undefined,
+    doi: cleanDoi(paper.externalIds?.DOI || paper.doi),
+    abstract: cleanText(paper.abstract),
+    venue: cleanText(paper.venue),
+    type: publicationType(paper),
+    citationCount: paper.citationCount ?? undefined,
+    openAccess: paper.isOpenAccess ?? undefined,
+    url: paper.openAccessPdf?.url
+  });
+}
+
+// Provider: Semantic Scholar paper search (offset pages through the same result list),
+// plus the references and citing papers of a DOI for snowballing
+function createSemanticScholarProvider({
+  baseUrl = process.env.SEMANTIC_SCHOLAR_API_URL || DEFAULT_BASE_URL,
+  client = httpClient('semanticscholar')
+} = {}) {
+  async function searchRaw(query, { limit = 10, offset = 0, filters } = {}) {
+    const response = await client.get(`${baseUrl}/graph/v1/paper/search`, {
+      params: {
+        query,
+        fields: FIELDS,
+        ...filterParams(filters),
+        limit,
+        offset
+      }
+    });
+    return response.data.data || [];
+  }
+
+  // One side of a paper's citation graph; a DOI Semantic Scholar does not know has none
+  async function graph(doi, edge, paperField, limit) {
+    try {
+      const response = await client.get(`${baseUrl}/graph/v1/paper/DOI:${doi}/${edge}`, {
+        params: { fields: FIELDS, limit }
+      });
+      return (response.data.data || []).map(entry => entry[paperField]).filter(paper => paper?.title).map(toSource);
+    } catch (error) {
+      if (error.response?.status === 404) return [];
+      throw error;
+    }
+  }
+
+  return {
+    name: 'semanticscholar',
+    searchRaw,
+    async search(query, { limit = 10, filters } = {}) {
+      return (await searchRaw(query, { limit, filters })).map(toSource);
+    },
+    // Papers the DOI cites
+    references: (doi, { limit = 20 } = {}) => graph(doi, 'references', 'citedPaper', limit),
+    // Papers citing the DOI
+    citations: (doi, { limit = 20 } = {}) => graph(doi, 'citations', 'citingPaper', limit)
+  };
+}
+
+module.exports = { createSemanticScholarProvider };
@@ -0,0 +1,345 @@
+const { cleanDoi, cleanText, parseYear, languageCode, compactSource } = require('./providers/normalize');
+const { splitName } = require('../utils/citation');
+
+// Source lists as BibTeX, RIS and CSL-JSON files: exported from the approved
+// sources, and parsed from users' own reference files onto the sourceSchema shape
+// (entries keep only the fields sources have; callers validate and dedupe them).
+
+const REFERENCE_FORMATS = {
+  bibtex: { extension: '.bib', mimeTypes: ['application/x-bibtex', 'text/x-bibtex'] },
+  ris: { extension: '.ris', mimeTypes: ['application/x-research-info-systems'] },
+  csljson: { extension: '.json', mimeTypes: ['application/vnd.citationstyles.csl+json', 'application/json'] }
+};
+// Names users type after "/sources export"
+const FORMAT_ALIASES = { bib: 'bibtex', bibtex: 'bibtex', ris: 'ris', json: 'csljson', csl: 'csljson', 'csl-json': 'csljson', csljson: 'csljson' };
+
+function resolveReferenceFormat(name) {
+  return FORMAT_ALIASES[(name || '').toLowerCase()] || null;
+}
+
+// Matched by file extension first (Telegram often reports reference files as text/plain)
+function detectReferenceFormat({ fileName = '', mimeType = '' } = {}) {
+  const lowerName = fileName.toLowerCase();
+  for (const [format, { extension }] of Object.entries(REFERENCE_FORMATS)) {
+    if (lowerName.endsWith(extension)) return format;
+  }
+  for (const [format, { mimeTypes }] of Object.entries(REFERENCE_FORMATS)) {
+    if (mimeTypes.includes(mimeType)) return format;
+  }
+  return null;
+}
+
+// "Doe, Jane" -> "Jane Doe" (the order the providers use)
+function naturalName(name) {
+  const { given, family } = splitName(name);
+  return [given, family].filter(Boolean).join(' ');
+}
+
+function pageRange(first, last) {
+  return [first, last].filter(Boolean).join('-') || undefined;
+}
+
+// ---- BibTeX ----
+
+const BIBTEX_TYPES = { article: 'journal', inproceedings: 'conference', conference: 'conference', proceedings: 'conference' };
+const LATEX_ACCENTS = { '`': '\u0300', "'": '\u0301', '^': '\u0302', '~': '\u0303', '=': '\u0304', '.': '\u0307', '"': '\u0308' };
+
+function latexToText(value) {
+  return value
+    .replace(/\\([`'^~=."])\s*\{?([a-zA-Z])\}?/g, (_, accent, letter) => letter + LATEX_ACCENTS[accent])
+    .replace(/\\c\s*\{?([a-zA-Z])\}?/g, '$1\u0327')
+    .replace(/\\([&%$#_])/g, '$1')
+    // Other commands (\textit, \emph, ...) keep only their text
+    .replace(/\\[a-zA-Z]+\s*/g, '')
+    .replace(/[{}]/g, '')
+    .replace(/~/g, ' ')
+    .normalize('NFC');
+}
+
+// Author lists split on "and" outside braces ("{Food and Agriculture Organization} and Doe, J")
+function splitAuthors(text) {
+  const names = [];
+  let depth = 0;
+  let current = '';
+  for (const token of text.split(/(\s+and\s+|[{}])/i)) {
+    if (token === '{') depth++;
+    if (token === '}') depth--;
+    if (depth === 0 && /^\s+and\s+$/i.test(token)) {
+      names.push(current);
+      current = '';
+    } else {
+      current += token;
+    }
+  }
+  names.push(current);
+  return names.map(name => name.trim()).filter(Boolean);
+}
+
+// Field values: {braced}, "quoted" or bare (numbers, months); returns [value, next index]
+function readBibValue(text, index) {
+  const open = text[index];
+  if (open === '{' || open === '"') {
+    const close = open === '{' ? '}' : '"';
+    let depth = 0;
+    for (let i = index + 1; i < text.length; i++) {
+      if (text[i] === '{') depth++;
+      else if (text[i] === '}' && depth > 0) depth--;
+      else if (text[i] === close && depth === 0) return [text.slice(index + 1, i), i + 1];
+    }
+    return [text.slice(index + 1), text.length];
+  }
+  const match = /^[^,}\s]*/.exec(text.slice(index));
+  return [match[0], index + match[0].length];
+}
+
+function parseBibFields(body) {
+  const fields = {};
+  let index = 0;
+  while (index < body.length) {
+    const match = /^[\s,]*([A-Za-z][\w-]*)\s*=\s*/.exec(body.slice(index));
+    if (!match) break;
+    const [value, next] = readBibValue(body, index + match[0].length);
+    fields[match[1].toLowerCase()] = value;
+    index = next;
+  }
+  return fields;
+}
+
+function parseBibTeX(text) {
+  const entries = [];
+  const entryStart = /@(\w+)\s*([{(])/g;
+  let match;
+  while ((match = entryStart.exec(text))) {
+    const type = match[1].toLowerCase();
+    // The entry body runs to the bracket matching the one that opened it
+    const [open, close] = match[2] === '(' ? ['(', ')'] : ['{', '}'];
+    let depth = 1;
+    let end = entryStart.lastIndex;
+    while (end < text.length && depth > 0) {
+      if (text[end] === open) depth++;
+      else if (text[end] === close) depth--;
+      end++;
+    }
+    const body = text.slice(entryStart.lastIndex, end - 1);
+    entryStart.lastIndex = end;
+    if (['comment', 'string', 'preamble'].includes(type)) continue;
+
+    // Skip the citation key
+    const fields = parseBibFields(body.slice(body.indexOf(',') + 1));
+    const value = name => (fields[name] ? cleanText(latexToText(fields[name])) : undefined);
+    // Verbatim fields: only stray braces and escapes are removed
+    const verbatim = name => fields[name]?.replace(/[{}\\]/g, '').trim() || undefined;
+    const venue = value('journal') || value('journaltitle') || value('booktitle');
+    const eprint = `${fields.archiveprefix || ''} ${fields.eprinttype || ''}`.toLowerCase();
+    entries.push(compactSource({
+      title: value('title'),
+      authors: splitAuthors(fields.author || '')
+        .map(name => ({ name: naturalName(latexToText(name)) }))
+        .filter(author => author.name),
+      year: parseYear(fields.year || fields.date),
+      doi: cleanDoi(verbatim('doi')),
+      abstract: value('abstract'),
+      venue,
+      type: eprint.includes('arxiv') ? 'preprint' : BIBTEX_TYPES[type],
+      language: languageCode(fields.langid || fields.language),
+      journal: value('journal') || value('journaltitle'),
+      volume: value('volume'),
+      issue: value('number') || value('issue'),
+      pages: value('pages')?.replace(/\s*[-–—]+\s*/g, '-'),
+      publisher: value('publisher'),
+      url: verbatim('url')
+    }));
+  }
+  return entries;
+}
+
+// DOIs and URLs are verbatim fields; everything else escapes LaTeX specials
+function bibEscape(value, verbatim = false) {
+  const text = String(value).replace(/[{}]/g, '');
+  return verbatim ? text : text.replace(/([&%$#_])/g, '\\$1');
+}
+
+// Keys like doe2022climate, with a, b, ... for repeats
+function citationKeys(sources) {
+  const used = new Map();
+  return sources.map(source => {
+    const family = splitName(source.authors?.[0]?.name).family || 'anon';
+    const word = (source.title || '').toLowerCase().match(/[a-z]{4,}/)?.[0] || '';
+    const base = `${family}${source.year || ''}${word}`.normalize('NFKD').replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    return count ? `${base}${String.fromCharCode(96 + count)}` : base;
+  });
+}
+
+function toBibTeX(sources) {
+  const keys = citationKeys(sources);
+  return sources.map((source, i) => {
+    const type = { journal: 'article', review: 'article', conference: 'inproceedings' }[source.type] || 'misc';
+    const venueField = type === 'inproceedings' ? 'booktitle' : type === 'article' ? 'journal' : 'howpublished';
+    const fields = [
+      ['title', source.title],
+      ['author', source.authors?.map(author => author.name).join(' and ')],
+      ['year', source.year],
+      [venueField, source.journal || source.venue],
+      ['volume', source.volume],
+      ['number', source.issue],
+      ['pages', source.pages?.replace(/-/g, '--')],
+      ['publisher', source.publisher],
+      ['doi', source.doi],
+      ['url', source.url],
+      ['abstract', source.abstract],
+      ['langid', source.language]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+    const lines = fields.map(([name, value]) => `  ${name} = {${bibEscape(value, name === 'doi' || name === 'url')}}`);
+    return `@${type}{${keys[i]},\n${lines.join(',\n')}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+// ---- RIS ----
+
+const RIS_TYPES = { JOUR: 'journal', JFULL: 'journal', CONF: 'conference', CPAPER: 'conference', UNPB: 'preprint' };
+
+function parseRIS(text) {
+  const entries = [];
+  let tags = null;
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^([A-Z][A-Z0-9])  -\s?(.*)$/.exec(line);
+    if (!match) continue;
+    const [, tag, value] = match;
+    if (tag === 'TY') {
+      tags = { TY: [value.trim()] };
+    } else if (tag === 'ER') {
+      if (tags) entries.push(tags);
+      tags = null;
+    } else if (tags) {
+      (tags[tag] = tags[tag] || []).push(value.trim());
+    }
+  }
+
+  return entries.map(tags => {
+    const first = (...names) => names.map(name => tags[name]?.[0]).find(Boolean);
+    const venue = first('T2', 'JO', 'JF', 'JA', 'BT');
+    return compactSource({
+      title: cleanText(first('TI', 'T1')),
+      authors: [...(tags.AU || []), ...(tags.A1 || [])].map(name => ({ name: naturalName(name) })).filter(author => author.name),
+      year: parseYear(first('PY', 'Y1', 'DA')),
+      doi: cleanDoi(first('DO')),
+      abstract: cleanText(first('AB', 'N2')),
+      venue: cleanText(venue),
+      type: RIS_TYPES[tags.TY[0]],
+      language: languageCode(first('LA')),
+      journal: RIS_TYPES[tags.TY[0]] === 'journal' ? cleanText(venue) : undefined,
+      volume: first('VL'),
+      issue: first('IS'),
+      pages: pageRange(first('SP'), first('EP')),
+      publisher: cleanText(first('PB')),
+      url: first('UR')
+    });
+  });
+}
+
+function toRIS(sources) {
+  return sources.map(source => {
+    const type = { journal: 'JOUR', review: 'JOUR', conference: 'CONF', preprint: 'UNPB' }[source.type] || 'GEN';
+    const [startPage, endPage] = (source.pages || '').split('-');
+    const lines = [
+      ['TY', type],
+      ['TI', source.title],
+      ...(source.authors || []).map(author => {
+        const { given, family } = splitName(author.name);
+        return ['AU', given ? `${family}, ${given}` : family];
+      }),
+      ['PY', source.year],
+      ['T2', source.journal || source.venue],
+      ['VL', source.volume],
+      ['IS', source.issue],
+      ['SP', startPage],
+      ['EP', endPage],
+      ['PB', source.publisher],
+      ['DO', source.doi],
+      ['UR', source.url],
+      ['AB', source.abstract],
+      ['LA', source.language]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+    return [...lines.map(([tag, value]) => `${tag}  - ${value}`), 'ER  - '].join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// ---- CSL-JSON ----
+
+const CSL_TYPES = { 'article-journal': 'journal', 'paper-conference': 'conference', article: 'preprint' };
+
+function parseCslJson(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : (data.items || [data]);
+  return items.filter(item => item && typeof item === 'object').map(item => compactSource({
+    title: cleanText(item.title),
+    authors: (item.author || [])
+      .map(author => ({ name: author.literal || [author.given, author.family].filter(Boolean).join(' ') }))
+      .filter(author => author.name),
+    year: parseYear(item.issued?.['date-parts']?.[0]?.[0] ?? item.issued?.raw ?? item.issued?.literal),
+    doi: cleanDoi(item.DOI),
+    abstract: cleanText(item.abstract),
+    venue: cleanText(item['container-title']),
+    type: CSL_TYPES[item.type],
+    language: languageCode(item.language),
+    journal: item.type === 'article-journal' ? cleanText(item['container-title']) : undefined,
+    volume: item.volume !== undefined ? String(item.volume) : undefined,
+    issue: item.issue !== undefined ? String(item.issue) : undefined,
+    pages: item.page,
+    publisher: cleanText(item.publisher),
+    url: item.URL
+  }));
+}
+
+function toCslJson(sources) {
+  const keys = citationKeys(sources);
+  const items = sources.map((source, i) => compactSource({
+    id: keys[i],
+    type: { journal: 'article-journal', review: 'article-journal', conference: 'paper-conference', preprint: 'article' }[source.type] || 'article',
+    title: source.title,
+    author: (source.authors || []).map(author => {
+      const { given, family } = splitName(author.name);
+      return given ? { family, given } : { literal: author.name };
+    }),
+    issued: source.year ? { 'date-parts': [[source.year]] } : undefined,
+    'container-title': source.journal || source.venue,
+    volume: source.volume,
+    issue: source.issue,
+    page: source.pages,
+    publisher: source.publisher,
+    DOI: source.doi,
+    URL: source.url,
+    abstract: source.abstract,
+    language: source.language
+  }));
+  return `${JSON.stringify(items, null, 2)}\n`;
+}
+
+const FORMATTERS = { bibtex: toBibTeX, ris: toRIS, csljson: toCslJson };
+const PARSERS = { bibtex: parseBibTeX, ris: parseRIS, csljson: parseCslJson };
+
+// Utility: A source list as the text of a reference file
+function exportReferences(sources, format) {
+  return FORMATTERS[format](sources);
+}
+
+// Utility: Entries of a reference file (throws on a malformed CSL-JSON file)
+function parseReferences(text, format) {
+  return PARSERS[format](text.replace(/^\uFEFF/, ''));
+}
+
+module.exports = {
+  REFERENCE_FORMATS,
+  resolveReferenceFormat,
+  detectReferenceFormat,
+  exportReferences,
+  parseReferences,
+  parseBibTeX,
+  parseRIS,
+  parseCslJson,
+  toBibTeX,
+  toRIS,
+  toCslJson
+};
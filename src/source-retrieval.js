@@ -1,7 +1,19 @@
 require('dotenv').config();
-const axios = require('axios');
+const path = require('path');
 const { Telegraf } = require('telegraf');
 const Joi = require('joi');
+const { PROVIDER_LABELS, createProviders, resolveProviderNames, searchProviders } = require('./providers');
+const { parseWeights, rankSources } = require('../utils/ranking');
+const { PUBLICATION_TYPES, matchesFilters } = require('../utils/source-filters');
+const { mergeDuplicates } = require('../utils/source-merge');
+const { createStore } = require('../utils/file-store');
+const { DoiMetadata, mapWithConcurrency } = require('../utils/doi-metadata');
+const { httpClient, ServiceUnavailableError } = require('../utils/http-client');
+const { ResponseCache, parseTtlHours } = require('../utils/response-cache');
+const { PassageIndex } = require('../utils/passage-index');
+const { extractPdfPages } = require('../utils/documents');
+const { expandCitations, scoreCandidates, MAX_DEPTH } = require('../utils/snowball');
+const { ZoteroLibrary } = require('../utils/zotero-library');
 
 // Env vars
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
@@ -16,34 +28,126 @@ const sourceSchema = Joi.object({
   authors: Joi.array().items(Joi.object({
     name: Joi.string().required()
   })),
-  year: Joi.number().min(2020).max(new Date().getFullYear()),
+  year: Joi.number().integer().max(new Date().getFullYear() + 1),
   doi: Joi.string().required(),
   abstract: Joi.string(),
+  venue: Joi.string(),
+  type: Joi.string().valid(...PUBLICATION_TYPES),
+  language: Joi.string(),
+  citationCount: Joi.number().integer().min(0),
+  openAccess: Joi.boolean(),
+  journal: Joi.string(),
+  volume: Joi.string(),
+  issue: Joi.string(),
+  pages: Joi.string(),
+  publisher: Joi.string(),
   url: Joi.string().uri(),
+  providers: Joi.array().items(Joi.string()),
+  mergedFrom: Joi.array().items(Joi.object({
+    doi: Joi.string(),
+    providers: Joi.array().items(Joi.string()),
+    type: Joi.string()
+  })),
+  snowball: Joi.object({
+    level: Joi.number().integer().min(1),
+    links: Joi.number().integer().min(0),
+    seeds: Joi.number().integer().min(0),
+    relations: Joi.array().items(Joi.string().valid('reference', 'citation'))
+  }),
+  ranking: Joi.object({
+    score: Joi.number().min(0).max(100).required(),
+    reasons: Joi.array().items(Joi.object({ factor: Joi.string().required() }).unknown())
+  }),
   zoteroKey: Joi.string()
 });
 
+// Cached responses of the keyword and search APIs, so repeating a search costs no API calls
+// (RESPONSE_CACHE_TTL_HOURS="groq=168,crossref=12"; stale entries are served while they refresh)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const responseCache = new ResponseCache({
+  dir: path.join(DATA_DIR, 'response-cache'),
+  ttlHours: parseTtlHours(process.env.RESPONSE_CACHE_TTL_HOURS),
+  staleHours: parseFloat(process.env.RESPONSE_CACHE_STALE_HOURS) || 24,
+  maxBytes: (parseFloat(process.env.RESPONSE_CACHE_MAX_MB) || 50) * 1024 * 1024,
+  enabled: process.env.RESPONSE_CACHE !== 'off'
+});
+
+// Utility: A provider whose searches go through the response cache
+function cachedProvider(provider) {
+  const cached = {
+    ...provider,
+    search: (query, { limit = 10, filters = {} } = {}) =>
+      responseCache.wrap(provider.name, { query, limit, filters }, () => provider.search(query, { limit, filters }))
+  };
+  if (provider.searchRaw) {
+    cached.searchRaw = (query, { limit = 10, offset = 0, filters = {} } = {}) =>
+      responseCache.wrap(provider.name, { raw: true, query, limit, offset, filters },
+        () => provider.searchRaw(query, { limit, offset, filters }));
+  }
+  for (const method of ['references', 'citations']) {
+    if (provider[method]) {
+      cached[method] = (doi, { limit = 20 } = {}) =>
+        responseCache.wrap(provider.name, { [method]: doi, limit }, () => provider[method](doi, { limit }));
+    }
+  }
+  return cached;
+}
+
+// Search providers (base URLs from SEMANTIC_SCHOLAR_API_URL, CROSSREF_API_URL, ...)
+const providerClients = createProviders();
+const providers = Object.fromEntries(Object.entries(providerClients)
+  .map(([name, provider]) => [name, cachedProvider(provider)]));
+// arXiv DOIs are registered with DataCite, so CrossRef cannot confirm them
+const ARXIV_DOI_PREFIX = '10.48550/';
+// CrossRef DOI metadata, cached beside the other stores (misses for a day by default)
+const doiMetadata = new DoiMetadata({
+  store: createStore({
+    backend: process.env.SESSION_STORE || 'file',
+    dir: path.join(DATA_DIR, 'doi-cache')
+  }),
+  lookup: doi => providerClients.crossref.work(doi),
+  ttlMs: (parseFloat(process.env.DOI_CACHE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  missTtlMs: (parseFloat(process.env.DOI_CACHE_MISS_TTL_HOURS) || 24) * 60 * 60 * 1000
+});
+// DOI lookups and Zotero DOI matches in flight at once per run
+const SOURCE_CONCURRENCY = parseInt(process.env.SOURCE_CONCURRENCY) || 4;
+// Open-access PDFs larger than this are not downloaded; pages past FULLTEXT_MAX_PAGES are not indexed
+const FULLTEXT_MAX_BYTES = (parseFloat(process.env.FULLTEXT_MAX_MB) || 15) * 1024 * 1024;
+const FULLTEXT_MAX_PAGES = parseInt(process.env.FULLTEXT_MAX_PAGES) || 60;
+// Citation snowballing bounds: levels explored, references and citations asked per paper,
+// papers explored per level and candidates offered (at most depth x seeds x 2 graph requests)
+const EXPAND_DEPTH = Math.min(parseInt(process.env.EXPAND_DEPTH) || 1, MAX_DEPTH);
+const EXPAND_FANOUT = parseInt(process.env.EXPAND_FANOUT) || 20;
+const EXPAND_MAX_FANOUT = parseInt(process.env.EXPAND_MAX_FANOUT) || 50;
+const EXPAND_MAX_SEEDS = parseInt(process.env.EXPAND_MAX_SEEDS) || 5;
+const EXPAND_RESULTS = parseInt(process.env.EXPAND_RESULTS) || 15;
+// Default ranking weights, e.g. RANKING_WEIGHTS="title=3,citations=1" (requests can override them)
+const RANKING_WEIGHTS = parseWeights(process.env.RANKING_WEIGHTS).weights;
+
 // Utility: Generate search keywords with Groq
 async function generateKeywords(topic, history = []) {
   try {
     const historyText = history.length ? `Previous searches: ${history.map(h => h.topic || h.text).join(', ')}` : '';
     const prompt = `Generate 10 academic search keywords for "${topic}". ${historyText}. Return as JSON array of strings.`;
     
-    const response = await axios.post('https://api.groq.com/openai/v1/chat/completions', {
-      model: 'llama3-70b-8192',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 200
-    }, {
-      headers: { 'Authorization': `Bearer ${GROQ_KEY}` }
-    });
+    return await responseCache.wrap('groq', { prompt }, async () => {
+      const response = await httpClient('groq').post('https://api.groq.com/openai/v1/chat/completions', {
+        model: 'llama3-70b-8192',
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: 200
+      }, {
+        headers: { 'Authorization': `Bearer ${GROQ_KEY}` },
+        idempotent: true
+      });
 
-    const content = response.data.choices[0].message.content;
-    try {
-      return JSON.parse(content);
-    } catch {
-      // Fallback to simple keywords if JSON parsing fails
-      return content.split('\n').filter(line => line.trim()).slice(0, 10);
-    }
+      const content = response.data.choices[0].message.content;
+      try {
+        return JSON.parse(content);
+      } catch {
+        // Fallback to simple keywords if JSON parsing fails
+        return content.split('\n').filter(line => line.trim()).slice(0, 10);
+      }
+    });
   } catch (error) {
     console.error('Groq keywords error:', error.message);
     // Fallback keywords
@@ -51,86 +155,213 @@ async function generateKeywords(topic, history = []) {
   }
 }
 
-// Utility: Fetch sources from Semantic Scholar
-async function fetchSemanticScholar(keywords, limit = 10) {
-  try {
-    const query = keywords.join(' ');
-    const url = `https://api.semanticscholar.org/graph/v1/paper/search`;
-    
-    const response = await axios.get(url, {
-      params: {
-        query: query,
-        fields: 'title,authors,year,abstract,doi,openAccessPdf',
-        'publicationDateOrYear': '2020:',
-        limit: limit
-      }
-    });
+// Utility: Fetch sources from Semantic Scholar (offset pages through the same result list;
+// rejects with ServiceUnavailableError when Semantic Scholar is down)
+async function fetchSemanticScholar(keywords, limit = 10, { offset = 0 } = {}) {
+  return providers.semanticscholar.searchRaw(keywords.join(' '), { limit, offset });
+}
+
+// Semantic Scholar's search only pages through the first 1000 results
+const SEARCH_RESULT_WINDOW = 1000;
 
-    return response.data.data || [];
+// Utility: One page of search results for a free-text query (inline lookups).
+// A failed search is an empty last page marked `unavailable`.
+async function searchPapers(query, { offset = 0, limit = 20 } = {}) {
+  let papers;
+  try {
+    papers = await fetchSemanticScholar([query], limit, { offset });
   } catch (error) {
     console.error('Semantic Scholar error:', error.message);
-    return [];
+    return { papers: [], nextOffset: null, unavailable: true };
   }
+  const nextOffset = offset + limit;
+
+  return {
+    papers: papers.map(paper => ({
+      id: paper.paperId,
+      title: paper.title,
+      authors: paper.authors || [],
+      year: paper.year,
+      doi: paper.externalIds?.DOI || paper.doi,
+      venue: paper.venue,
+      url: paper.openAccessPdf?.url || ''
+    })),
+    // Telegram asks for the next page with this offset; null ends the list
+    nextOffset: papers.length === limit && nextOffset < SEARCH_RESULT_WINDOW ? nextOffset : null
+  };
 }
 
-// Utility: Validate DOI with CrossRef
+// Utility: Validate DOI with CrossRef (journal, volume, issue, pages and publisher; null if unknown).
+// Rejects with ServiceUnavailableError when CrossRef is down, so callers can keep the source.
 async function validateDOI(doi) {
   try {
-    const response = await axios.get(`https://api.crossref.org/works/${doi}`);
-    return response.data.message;
+    return await doiMetadata.get(doi);
   } catch (error) {
+    if (error instanceof ServiceUnavailableError) throw error;
     console.error('CrossRef validation error:', error.message);
     return null;
   }
 }
 
-// Utility: Import to Zotero
-async function importToZotero(source) {
+// Items the bot adds are tagged with the chats they were found for, so they can be exported and deleted;
+// items it created (rather than found in the library by DOI) also carry ZOTERO_CREATED_TAG
+const ZOTERO_CHAT_TAG_PREFIX = 'telegram-chat-';
+const ZOTERO_CREATED_TAG = 'telegram-created';
+const zoteroChatTag = chatId => `${ZOTERO_CHAT_TAG_PREFIX}${chatId}`;
+const zoteroLibrary = new ZoteroLibrary({
+  client: httpClient('zotero'),
+  userId: ZOTERO_USER_ID,
+  apiKey: ZOTERO_API_KEY,
+  parentCollection: process.env.ZOTERO_PARENT_COLLECTION || null,
+  concurrency: SOURCE_CONCURRENCY
+});
+
+// Utility: Add sources to Zotero, in the assignment's collection (named `collection`) and tagged
+// with the chat and `tags`. Papers already in the library are reused. Returns the item key per
+// source, null where Zotero is not configured, unreachable or refused the item
+async function syncToZotero(sources, { chatId, collection = null, tags = [] } = {}) {
+  if (!zoteroLibrary.configured || sources.length === 0) return sources.map(() => null);
   try {
-    const zoteroItem = {
-      itemType: 'journalArticle',
-      title: source.title,
-      creators: source.authors?.map(a => ({ creatorType: 'author', name: a.name })) || [],
-      date: source.year?.toString() || '',
-      DOI: source.doi,
-      abstractNote: source.abstract || '',
-      url: source.url || ''
-      // Note: Removed collections as it requires specific collection keys
-    };
-
-    const response = await axios.post(`https://api.zotero.org/users/${ZOTERO_USER_ID}/items`, [zoteroItem], {
-      headers: { 
-        'Zotero-API-Key': ZOTERO_API_KEY,
-        'Content-Type': 'application/json'
-      }
+    return await zoteroLibrary.sync(sources, {
+      collection,
+      tags: [...(chatId ? [zoteroChatTag(chatId)] : []), ...tags],
+      createdTags: [ZOTERO_CREATED_TAG]
     });
-
-    // Handle Zotero API response correctly
-    if (response.data && response.data.success) {
-      const successfulItems = Object.keys(response.data.success);
-      return successfulItems.length > 0 ? successfulItems[0] : null;
-    }
-    
-    return null;
   } catch (error) {
     console.error('Zotero import error:', error.message);
+    return sources.map(() => null);
+  }
+}
+
+// Utility: Import to Zotero
+async function importToZotero(source, options = {}) {
+  const [key] = await syncToZotero([source], options);
+  return key;
+}
+
+// Utility: Zotero items added for a chat (key, title, DOI)
+async function listZoteroItems(chatId) {
+  if (!zoteroLibrary.configured) return [];
+  const items = await zoteroLibrary.list('/items', { tag: zoteroChatTag(chatId) });
+  return items.map(item => ({ key: item.key, title: item.data.title, doi: item.data.DOI }));
+}
+
+// Utility: Remove a chat's Zotero items (returns how many were removed). Only items the bot
+// created for this chat alone are deleted; papers that were already in the library, or that
+// other chats found too, are kept and only lose this chat's tag. Throws when some items kept
+// the tag, so the deletion is reported as incomplete
+async function deleteZoteroItems(chatId) {
+  if (!zoteroLibrary.configured) return 0;
+  const { deleted, untagged, failed } = await zoteroLibrary.releaseTag(zoteroChatTag(chatId), {
+    createdTag: ZOTERO_CREATED_TAG,
+    ownerPrefix: ZOTERO_CHAT_TAG_PREFIX
+  });
+  if (failed.length) {
+    throw new Error(`${failed.length} Zotero items kept the chat tag (${deleted + untagged} removed): ${failed.join(', ')}`);
+  }
+  return deleted + untagged;
+}
+
+// Utility: Download an open-access source's PDF and extract its pages ([{ page, text }]; null when
+// there is no PDF to read, e.g. a landing page, an oversized file or a failed download)
+async function fetchFullText(source) {
+  if (!source.url || source.openAccess === false) return null;
+  try {
+    const response = await httpClient('fulltext').get(source.url, {
+      responseType: 'arraybuffer',
+      maxContentLength: FULLTEXT_MAX_BYTES,
+      headers: { Accept: 'application/pdf' }
+    });
+    const buffer = Buffer.from(response.data);
+    if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') return null;
+    const pages = (await extractPdfPages(buffer, { maxPages: FULLTEXT_MAX_PAGES })).filter(page => page.text);
+    return pages.length ? pages.slice(0, FULLTEXT_MAX_PAGES) : null;
+  } catch (error) {
+    console.error(`Full text error for ${source.doi}:`, error.message);
     return null;
   }
 }
 
-// Utility: Deduplicate sources
-function deduplicateSources(sources) {
-  const seen = new Set();
-  return sources.filter(source => {
-    const key = source.doi || source.title;
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
+// Utility: Passage index over the full text of a set of sources (keyed by DOI)
+async function buildPassageIndex(sources) {
+  const index = new PassageIndex();
+  const texts = await mapWithConcurrency(sources, SOURCE_CONCURRENCY, fetchFullText);
+  sources.forEach((source, i) => {
+    if (texts[i]) index.add(source.doi, texts[i]);
   });
+  console.log(`Indexed full text of ${index.sources().length}/${sources.length} sources`);
+  return index;
+}
+
+// Utility: The passages of each source that best match a query, in source order
+function findPassages(index, query, sources, { perSource = 2 } = {}) {
+  return sources.flatMap(source => index.search(query, { source: source.doi, limit: perSource }));
+}
+
+// Utility: Citation snowballing from approved sources: their references and citing papers
+// (and, at depth 2, those papers' own), scored by links to the seeds and topic overlap.
+// Rejects with ServiceUnavailableError when Semantic Scholar is down.
+async function expandSources(seeds, topic, { depth = EXPAND_DEPTH, fanOut = EXPAND_FANOUT, filters = {} } = {}) {
+  const seedDois = seeds.map(source => source.doi).filter(Boolean).slice(0, EXPAND_MAX_SEEDS);
+  if (seedDois.length === 0) return [];
+  const provider = providers.semanticscholar;
+
+  const { candidates, calls } = await expandCitations(seedDois, {
+    neighbours: async (doi, { limit }) => ({
+      references: await provider.references(doi, { limit }),
+      citations: await provider.citations(doi, { limit })
+    }),
+    depth: Math.max(1, Math.min(depth, MAX_DEPTH)),
+    fanOut: Math.max(1, Math.min(fanOut, EXPAND_MAX_FANOUT)),
+    maxFrontier: EXPAND_MAX_SEEDS,
+    concurrency: SOURCE_CONCURRENCY
+  });
+  console.log(`Snowballing from ${seedDois.length} seeds: ${candidates.length} candidates in ${calls} lookups`);
+
+  const valid = candidates
+    .map(candidate => ({ ...candidate, providers: [provider.name] }))
+    .filter(candidate => !sourceSchema.validate(candidate).error && matchesFilters(candidate, filters));
+  return scoreCandidates(valid, { topic, seedCount: seedDois.length }).slice(0, EXPAND_RESULTS);
+}
+
+// Utility: Deduplicate sources (the same work from several providers, or as a preprint and its
+// published version, becomes one record noting the records it was merged from)
+function deduplicateSources(sources) {
+  return mergeDuplicates(sources);
+}
+
+// Fields of `extra` the source does not have yet
+function fillMissing(source, extra) {
+  return Object.fromEntries(Object.entries(extra).filter(([field]) => source[field] === undefined));
+}
+
+// Utility: A source with CrossRef's bibliographic fields added, null when CrossRef does not know its DOI
+// (its own records and arXiv DOIs need no lookup; while CrossRef is down, the source is kept unvalidated)
+async function withDoiMetadata(source) {
+  if (source.providers?.includes('crossref') || source.doi.startsWith(ARXIV_DOI_PREFIX)) return source;
+  try {
+    const metadata = await validateDOI(source.doi);
+    return metadata && { ...source, ...fillMissing(source, metadata) };
+  } catch {
+    return source;
+  }
+}
+
+// Utility: Sources from a user's reference file (see reference-formats): entries that don't fit
+// sourceSchema (no title or DOI) and DOIs CrossRef doesn't know are skipped, duplicates merged
+async function importSources(entries) {
+  const candidates = entries
+    .map(entry => ({ ...entry, providers: ['import'] }))
+    .filter(source => !sourceSchema.validate(source).error);
+  const checked = (await mapWithConcurrency(candidates, SOURCE_CONCURRENCY, withDoiMetadata)).filter(Boolean);
+  return { sources: deduplicateSources(checked), skipped: entries.length - checked.length };
 }
 
 // Main function: Process sources for a topic
-async function processSources(topic, chatId, history = []) {
+// (providers: names chosen by the user; weights: ranking overrides; filters: see utils/source-filters;
+// imported: the user's own references, kept first and merged with retrieved copies of them;
+// zotero: { collection, tags } for the Zotero import, the collection defaulting to the topic)
+async function processSources(topic, chatId, history = [], { providers: providerNames, weights = {}, filters = {}, imported = [], zotero = {} } = {}) {
   try {
     console.log(`Processing sources for topic: ${topic}`);
     
@@ -138,53 +369,47 @@ async function processSources(topic, chatId, history = []) {
     const keywords = await generateKeywords(topic, history);
     console.log('Generated keywords:', keywords);
 
-    // Step 2: Fetch from Semantic Scholar
-    const rawSources = await fetchSemanticScholar(keywords, 15);
-    console.log(`Fetched ${rawSources.length} sources from Semantic Scholar`);
-
-    // Step 3: Filter and validate sources
-    const validSources = [];
-    for (const source of rawSources.slice(0, 10)) {
-      if (source.doi && source.year >= 2020) {
-        // Validate with CrossRef
-        const validated = await validateDOI(source.doi);
-        if (validated) {
-          validSources.push({
-            title: source.title,
-            authors: source.authors || [],
-            year: source.year,
-            doi: source.doi,
-            abstract: source.abstract,
-            url: source.openAccessPdf?.url || ''
-          });
-        }
-      }
+    // Step 2: Fetch from the chosen providers
+    const selected = resolveProviderNames(providerNames).map(name => providers[name]);
+    const { results, failed } = await searchProviders(selected, keywords.join(' '), { limit: 15, filters });
+    if (failed.length === selected.length) {
+      // Every provider is down: that is an outage, not a topic without sources
+      throw new ServiceUnavailableError(failed.map(name => PROVIDER_LABELS[name]).join(', '));
     }
+    console.log(`Fetched ${results.length} sources from ${selected.map(provider => PROVIDER_LABELS[provider.name]).join(', ')}`);
 
-    // Step 4: Deduplicate
-    const dedupedSources = deduplicateSources(validSources);
-    console.log(`${dedupedSources.length} unique, valid sources found`);
-
-    // Step 5: Import to Zotero
-    const sourcesWithZotero = [];
-    for (const source of dedupedSources) {
-      const zoteroKey = await importToZotero(source);
-      sourcesWithZotero.push({
-        ...source,
-        zoteroKey: zoteroKey
-      });
-    }
+    // Step 3: Merge duplicates (across providers and preprint/published versions), apply the filters
+    // every provider couldn't, and rank
+    const ranking = { topic, keywords, weights: { ...RANKING_WEIGHTS, ...weights } };
+    const candidates = rankSources(
+      deduplicateSources(results)
+        .filter(source => !sourceSchema.validate(source).error && matchesFilters(source, filters)),
+      ranking
+    );
+
+    // Step 4: Validate the best DOIs with CrossRef and add its bibliographic fields
+    // (its own records need no second lookup; while CrossRef is down, sources are kept unvalidated)
+    const checked = (await mapWithConcurrency(candidates.slice(0, 10), SOURCE_CONCURRENCY, withDoiMetadata)).filter(Boolean);
+    // Imported references were validated on upload; retrieved copies of them merge into them
+    const validSources = imported.length ? deduplicateSources([...rankSources(imported, ranking), ...checked]) : checked;
+    console.log(`${validSources.length} unique, valid sources found`);
+
+    // Step 5: Import to Zotero, into the assignment's collection
+    const zoteroKeys = await syncToZotero(validSources, { chatId, collection: zotero.collection || topic, tags: zotero.tags });
+    const sourcesWithZotero = validSources.map((source, i) => ({ ...source, zoteroKey: zoteroKeys[i] }));
 
     return sourcesWithZotero;
   } catch (error) {
     console.error('Source processing error:', error.message);
     // Send error to admin
     if (ADMIN_CHAT_ID) {
-      await axios.post(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
+      await httpClient('telegram').post(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
         chat_id: ADMIN_CHAT_ID,
         text: `Source processing failed for ${topic}: ${error.message}`
       });
     }
+    // Callers tell an outage apart from "no sources found"
+    if (error instanceof ServiceUnavailableError) throw error;
     return [];
   }
 }
@@ -196,7 +421,18 @@ module.exports = {
   processSources, 
   generateKeywords, 
   fetchSemanticScholar, 
+  searchPapers,
   validateDOI, 
+  deduplicateSources,
   importToZotero,
+  syncToZotero,
+  listZoteroItems,
+  deleteZoteroItems,
+  fetchFullText,
+  buildPassageIndex,
+  findPassages,
+  expandSources,
+  importSources,
+  responseCache,
   sourceSchema 
 };
\ No newline at end of file
@@ -1,7 +1,10 @@
 require('dotenv').config();
-const axios = require('axios');
 const { google } = require('googleapis');
 const Joi = require('joi');
+const path = require('path');
+const { translator, escapeMarkdown } = require('../utils/i18n');
+const { createStore } = require('../utils/file-store');
+const { httpClient } = require('../utils/http-client');
 
 // Env vars
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
@@ -10,6 +13,13 @@ const GOOGLE_SHEETS_ID = process.env.GOOGLE_SHEETS_ID;
 const GOOGLE_DRIVE_FOLDER_ID = process.env.GOOGLE_DRIVE_FOLDER_ID;
 const ADMIN_CHAT_ID = process.env.ADMIN_CHAT_ID;
 
+// History rows per chat, kept in the data directory until the Sheets sync is wired up
+const MAX_HISTORY_ROWS = 500;
+const historyStore = createStore({
+  backend: process.env.SESSION_STORE || 'file',
+  dir: path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'history')
+});
+
 // Define intakeSchema locally to avoid circular dependency
 const intakeSchema = Joi.object({
   topic: Joi.string().required(),
@@ -57,12 +67,11 @@ async function validateData(type, data) {
 // Utility: Get assignment history from Google Sheets
 async function getAssignmentHistory(chatId, tagFilter = null) {
   try {
-    // In a real implementation, this would use Google Sheets API
-    // For now, return a mock structure
+    const rows = (await historyStore.get(String(chatId))) || [];
     return {
-      history: [],
-      totalAssignments: 0,
-      tags: []
+      history: tagFilter ? rows.filter(row => row.tags.includes(tagFilter)) : rows,
+      totalAssignments: rows.filter(row => row.action === 'workflow_completed').length,
+      tags: [...new Set(rows.flatMap(row => row.tags))]
     };
   } catch (error) {
     console.error('History retrieval error:', error.message);
@@ -74,16 +83,16 @@ async function getAssignmentHistory(chatId, tagFilter = null) {
 async function updateHistory(chatId, newHistory, tags = []) {
   try {
     console.log(`Updating history for ${chatId}:`, { newHistory, tags });
-    
-    // In a real implementation, this would update Google Sheets
-    // For now, just log the action
+
+    const row = { timestamp: new Date().toISOString(), ...newHistory, tags };
+    await historyStore.update(String(chatId), rows => [...(rows || []), row].slice(-MAX_HISTORY_ROWS));
     return true;
   } catch (error) {
     console.error('History update error:', error.message);
     
     // Alert admin on history update failure
     if (ADMIN_CHAT_ID) {
-      await axios.post(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
+      await httpClient('telegram').post(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
         chat_id: ADMIN_CHAT_ID,
         text: `History update failed for ${chatId}: ${error.message}`
       });
@@ -92,36 +101,43 @@ async function updateHistory(chatId, newHistory, tags = []) {
   }
 }
 
+// Utility: Remove a chat's history rows (returns how many were removed)
+async function deleteHistory(chatId) {
+  const rows = (await historyStore.get(String(chatId))) || [];
+  await historyStore.delete(String(chatId));
+  return rows.length;
+}
+
 // Function: Generate report (called from intake.js)
-async function generateReport(chatId) {
+async function generateReport(chatId, locale) {
+  const t = translator(locale);
   try {
     const { history } = await getAssignmentHistory(chatId);
-    const lastEntry = history[history.length - 1];
-    const lastDraft = lastEntry?.draft;
+    const lastDraft = [...history].reverse().find(entry => entry.draft)?.draft;
 
     if (!lastDraft) {
-      return '📊 No draft found. Please generate a draft first using the /start command.';
+      return t('report.noDraft');
     }
 
-    return `📊 **Draft Report**
-
-📝 **Topic:** ${lastDraft.topic || 'N/A'}
-📄 **Format:** ${lastDraft.format || 'APA'}
-📏 **Length:** ~${lastDraft.length || 0} pages
-🔍 **Plagiarism Score:** ${((lastDraft.plagiarismScore || 0) * 100).toFixed(1)}%
-📚 **Sources Used:** ${lastDraft.sources?.length || 0}
-📅 **Generated:** ${lastDraft.timestamp || 'Recently'}
-
-${lastDraft.driveLink ? `📁 **File:** ${lastDraft.driveLink}` : ''}
-
-🎯 **Quality Score:** ${lastDraft.qualityScore || 'N/A'}/10
-⏱️ **Time Taken:** ${lastDraft.processingTime || 'N/A'}
-
-✅ ${lastDraft.plagiarismScore <= 0.15 ? 'Low plagiarism detected' : '⚠️ High plagiarism - revision needed'}
-    `;
+    return t('report.body', {
+      topic: lastDraft.topic ? escapeMarkdown(lastDraft.topic) : t('report.notAvailable'),
+      format: lastDraft.format || 'APA',
+      length: lastDraft.length || 0,
+      score: typeof lastDraft.plagiarismScore === 'number'
+        ? `${(lastDraft.plagiarismScore * 100).toFixed(1)}%`
+        : t('report.notAvailable'),
+      sources: lastDraft.sources?.length || 0,
+      generated: lastDraft.timestamp || t('report.recently'),
+      file: lastDraft.driveLink ? t('report.file', { link: escapeMarkdown(lastDraft.driveLink) }) : '',
+      quality: lastDraft.qualityScore || t('report.notAvailable'),
+      time: lastDraft.processingTime || t('report.notAvailable'),
+      verdict: typeof lastDraft.plagiarismScore !== 'number'
+        ? t('report.plagiarismNotChecked')
+        : lastDraft.plagiarismScore <= 0.15 ? t('report.lowPlagiarism') : t('report.highPlagiarism')
+    });
   } catch (error) {
     console.error('Report error:', error.message);
-    return '❌ Error generating report. Please try again.';
+    return t('report.error');
   }
 }
 
@@ -130,6 +146,7 @@ module.exports = {
   validateData,
   getAssignmentHistory,
   updateHistory,
+  deleteHistory,
   generateReport,
   intakeSchema
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AccessControl } = require('../utils/access-control');
+const { AuditLog } = require('../utils/audit-log');
+const { MemoryStore } = require('../utils/file-store');
+const { UsageQuota } = require('../utils/rate-limit');
+
+describe('Access Control', () => {
+  test('Roles come from configured admins, assigned roles, then the /start mode', async () => {
+    const access = new AccessControl({
+      store: new MemoryStore(),
+      adminChatIds: AccessControl.parseAdminIds('1, 2,')
+    });
+    expect(access.adminChatIds.size).toBe(2);
+
+    expect(access.roleFor('1', null, 'guest')).toBe('admin');
+    // Picking tutor mode alone doesn't make a tutor
+    expect(access.roleFor('42', null, 'tutor')).toBe('student');
+    expect(access.can(access.roleFor('42', null, 'tutor'), 'manageStudents')).toBe(false);
+    expect(access.roleFor('42', null, 'mixed')).toBe('student');
+    expect(access.roleFor('42', null, undefined)).toBe('guest');
+
+    const user = await access.setRole('42', 'student');
+    expect(access.roleFor('42', user, 'tutor')).toBe('student');
+    expect(access.can('student', 'manageStudents')).toBe(false);
+    expect(access.can('tutor', 'manageStudents')).toBe(true);
+    expect(access.can('admin', 'admin')).toBe(true);
+
+    const promoted = await access.setRole('42', 'tutor');
+    expect(access.roleFor('42', promoted, 'student')).toBe('tutor');
+    const reset = await access.setRole('42', null);
+    expect(access.roleFor('42', reset, 'tutor')).toBe('student');
+    await expect(access.setRole('42', 'owner')).rejects.toThrow('Unknown role');
+  });
+
+  test('Quotas follow the user type, and picking tutor mode stops at the student quota', async () => {
+    const access = new AccessControl({ store: new MemoryStore(), adminChatIds: ['1'] });
+    const quota = new UsageQuota({
+      store: new MemoryStore(),
+      limits: { guest: { daily: 1, monthly: 5 }, student: { daily: 2, monthly: 10 }, tutor: { daily: 10, monthly: 50 } }
+    });
+
+    expect(access.quotaTier('41', null, 'guest')).toBe('guest');
+    expect(access.quotaTier('41', null, 'student')).toBe('student');
+    expect(access.quotaTier('41', null, 'mixed')).toBe('student');
+
+    // Tutor picked in /start, no role assigned
+    const user = await access.touch('42', { userType: 'tutor' });
+    expect(access.quotaTier('42', user, 'tutor')).toBe('student');
+    expect((await quota.consume('42', access.quotaTier('42', user, 'tutor'))).allowed).toBe(true);
+    expect((await quota.consume('42', access.quotaTier('42', user, 'tutor'))).allowed).toBe(true);
+    expect((await quota.consume('42', access.quotaTier('42', user, 'tutor'))).allowed).toBe(false);
+
+    // Only an assigned role raises it
+    const promoted = await access.setRole('42', 'tutor');
+    expect(access.quotaTier('42', promoted, 'tutor')).toBe('tutor');
+    expect((await quota.consume('42', access.quotaTier('42', promoted, 'tutor'))).allowed).toBe(true);
+    expect(access.quotaTier('1', null, 'guest')).toBe('admin');
+  });
+
+  test('Touch records users sparingly and bans can be lifted', async () => {
+    const access = new AccessControl({ store: new MemoryStore(), touchIntervalMs: 60000 });
+    const first = await access.touch('42', { name: 'Jane', userType: 'student' }, 1000);
+    expect(first).toMatchObject({ chatId: '42', firstSeen: 1000, lastSeen: 1000, banned: false });
+
+    // Unchanged profile within the interval: no write
+    expect((await access.touch('42', { name: 'Jane', userType: 'student' }, 2000)).lastSeen).toBe(1000);
+    // Changed profile: written at once
+    expect((await access.touch('42', { name: 'Jane', userType: 'tutor' }, 3000)).lastSeen).toBe(3000);
+
+    await access.ban('42', { reason: 'spam', by: '1' });
+    await access.touch('43', {}, 4000);
+    expect((await access.list({ banned: true })).map(user => user.chatId)).toEqual(['42']);
+    expect((await access.list({ role: 'student' })).map(user => user.chatId)).toEqual(['42']);
+
+    expect(await access.unban('42')).toBe(true);
+    expect(await access.unban('42')).toBe(false);
+    expect(await access.getUser('42')).toMatchObject({ banned: false });
+    expect((await access.getUser('42')).banReason).toBeUndefined();
+  });
+
+  test('Audit log keeps the newest entries first and rotates large files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+    try {
+      const log = new AuditLog({ file: path.join(dir, 'audit.log'), maxBytes: 150 });
+      await log.record({ actor: 1, action: 'users' });
+      await log.record({ actor: 1, action: 'ban', target: '42', details: { reason: 'spam' } });
+
+      const entries = await log.recent(10);
+      expect(entries.map(entry => entry.action)).toEqual(['ban', 'users']);
+      expect(entries[0]).toMatchObject({ actor: '1', target: '42', details: { reason: 'spam' } });
+
+      await log.record({ actor: 1, action: 'unban', target: '42' });
+      expect(fs.existsSync(path.join(dir, 'audit.log.1'))).toBe(true);
+      expect((await log.recent(10)).map(entry => entry.action)).toEqual(['unban']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,34 @@
+const { formatCitation, formatAuthorsShort, resolveStyle } = require('../utils/citation');
+
+describe('Citation Formatting', () => {
+  const source = {
+    title: 'Deep learning for climate modelling.',
+    authors: [{ name: 'Jane A. Doe' }, { name: 'Bob Smith' }, { name: 'Carl Lee' }],
+    year: 2021,
+    venue: 'Nature',
+    doi: '10.1000/abc'
+  };
+
+  test('Formats APA, MLA and Chicago references', () => {
+    expect(formatCitation(source, 'APA')).toBe(
+      'Doe, J. A., Smith, B., & Lee, C. (2021). Deep learning for climate modelling. Nature. https://doi.org/10.1000/abc');
+    expect(formatCitation(source, 'mla')).toBe(
+      'Doe, Jane A., et al. "Deep learning for climate modelling." Nature, 2021, https://doi.org/10.1000/abc.');
+    expect(formatCitation(source, 'Chicago')).toBe(
+      'Doe, Jane A., Bob Smith, and Carl Lee. 2021. "Deep learning for climate modelling." Nature. https://doi.org/10.1000/abc.');
+  });
+
+  test('Handles missing years, links and authors', () => {
+    const sparse = { title: 'Untitled draft', authors: [{ name: 'Doe, Jane' }] };
+    expect(formatCitation(sparse, 'APA')).toBe('Doe, J. (n.d.). Untitled draft.');
+    expect(formatCitation(sparse, 'Chicago')).toBe('Doe, Jane. n.d. "Untitled draft."');
+    expect(formatCitation({ title: 'Anonymous', authors: [] }, 'MLA')).toBe('"Anonymous."');
+    expect(resolveStyle('harvard')).toBe('APA');
+  });
+
+  test('Short author labels', () => {
+    expect(formatAuthorsShort(source.authors)).toBe('Doe, Smith & Lee');
+    expect(formatAuthorsShort([...source.authors, { name: 'Dan Roe' }])).toBe('Doe et al.');
+    expect(formatAuthorsShort([])).toBe('');
+  });
+});
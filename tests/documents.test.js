@@ -0,0 +1,104 @@
+const PizZip = require('pizzip');
+const {
+  detectDocumentType,
+  extractDocxText,
+  extractPdfImages,
+  extractPdfText,
+  extractDocumentText
+} = require('../utils/documents');
+const pdfParse = require('pdf-parse');
+const { recognizeText, truncateLines } = require('../utils/ocr');
+
+jest.mock('tesseract.js', () => ({
+  recognize: jest.fn()
+}));
+jest.mock('pdf-parse', () => jest.fn());
+jest.mock('../utils/ocr', () => ({
+  ...jest.requireActual('../utils/ocr'),
+  recognizeText: jest.fn()
+}));
+
+// A PDF body with one JPEG (DCTDecode) stream per scanned page
+function scannedPdf(pageCount) {
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x01, 0x02, 0xff, 0xd9]);
+  return Buffer.concat(Array.from({ length: pageCount }, (_, index) => Buffer.concat([
+    Buffer.from(`${index + 4} 0 obj<</Subtype/Image/Filter/DCTDecode>>stream\n`, 'latin1'),
+    jpeg,
+    Buffer.from('endstream\nendobj\n', 'latin1')
+  ])));
+}
+
+describe('Document Text Extraction', () => {
+  test('Detects supported types by MIME type and extension', () => {
+    expect(detectDocumentType({ mimeType: 'application/pdf' })).toBe('pdf');
+    expect(detectDocumentType({ fileName: 'Brief.DOCX' })).toBe('docx');
+    expect(detectDocumentType({ fileName: 'rubric.txt', mimeType: 'application/octet-stream' })).toBe('txt');
+    expect(detectDocumentType({ fileName: 'setup.exe' })).toBeNull();
+  });
+
+  test('Extracts paragraphs from DOCX XML', () => {
+    const zip = new PizZip();
+    zip.file('word/document.xml',
+      '<w:document><w:body>' +
+      '<w:p><w:r><w:t>Essay on R&amp;D policy</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>Length:</w:t><w:tab/><w:t>8 pages</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>&#8220;Tutor&#x2019;s note&#X201D;</w:t></w:r></w:p>' +
+      '</w:body></w:document>');
+
+    const text = extractDocxText(zip.generate({ type: 'nodebuffer' }));
+    expect(text).toBe('Essay on R&D policy\nLength:\t8 pages\n\u201cTutor\u2019s note\u201d');
+  });
+
+  test('Finds embedded JPEG streams in scanned PDFs', () => {
+    const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x01, 0x02, 0xff, 0xd9]);
+    const pdf = Buffer.concat([
+      Buffer.from('4 0 obj<</Subtype/Image/Filter/DCTDecode>>stream\n', 'latin1'),
+      jpeg,
+      Buffer.from('endstream\nendobj', 'latin1')
+    ]);
+
+    const images = extractPdfImages(pdf);
+    expect(images).toHaveLength(1);
+    expect(images[0].equals(jpeg)).toBe(true);
+  });
+
+  test('Only the first pages of a long scanned PDF are OCR\'d', async () => {
+    pdfParse.mockResolvedValue({ text: '', numpages: 5 });
+    recognizeText.mockImplementation(async () => ({
+      text: 'Scanned brief',
+      confidence: 90,
+      lines: [{ text: 'Scanned brief', confidence: 90 }]
+    }));
+
+    const long = await extractPdfText(scannedPdf(5), { maxOcrPages: 2 });
+    expect(recognizeText).toHaveBeenCalledTimes(2);
+    expect(long).toMatchObject({ method: 'ocr', pages: 5, truncated: true });
+
+    recognizeText.mockClear();
+    const short = await extractPdfText(scannedPdf(2), { maxOcrPages: 2 });
+    expect(recognizeText).toHaveBeenCalledTimes(2);
+    expect(short.truncated).toBe(false);
+  });
+
+  test('OCR text from scanned PDFs is cut to the document limit', () => {
+    const lines = [
+      { text: '--- Page 1 ---', confidence: 100, marker: true },
+      { text: 'Write an essay', confidence: 95 },
+      { text: 'on urban heat', confidence: 40 }
+    ];
+    const result = truncateLines({ text: lines.map(line => line.text).join('\n'), lines }, 20);
+    expect(result.text).toBe('--- Page 1 ---\nWrite');
+    expect(result.lines.map(line => line.text)).toEqual(['--- Page 1 ---', 'Write']);
+    expect(result.lines[1].confidence).toBe(95);
+  });
+
+  test('Reads plain text uploads and rejects unknown types', async () => {
+    const result = await extractDocumentText(Buffer.from('\uFEFFWrite 5 pages on AI ethics\n'), {
+      fileName: 'brief.txt'
+    });
+    expect(result).toEqual({ type: 'txt', text: 'Write 5 pages on AI ethics', method: 'plain' });
+
+    await expect(extractDocumentText(Buffer.from(''), { fileName: 'a.zip' }))
+      .rejects.toThrow('Unsupported document type');
+  });
+});
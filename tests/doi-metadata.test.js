@@ -0,0 +1,47 @@
+const { MemoryStore } = require('../utils/file-store');
+const { DoiMetadata, mapWithConcurrency } = require('../utils/doi-metadata');
+
+describe('DOI Metadata', () => {
+  test('Found DOIs and misses are cached; failures are not', async () => {
+    const lookup = jest.fn(async doi => {
+      if (doi === '10.1/down') throw new Error('CrossRef timeout');
+      return doi === '10.1/missing' ? null : { journal: 'Urban Studies', volume: '12' };
+    });
+    const store = new MemoryStore();
+    const cache = new DoiMetadata({ store, lookup, ttlMs: 60000, missTtlMs: 1000 });
+
+    expect(await cache.get('10.1/ABC')).toEqual({ journal: 'Urban Studies', volume: '12' });
+    expect(await cache.get('10.1/abc')).toEqual({ journal: 'Urban Studies', volume: '12' });
+    expect(await cache.get('10.1/missing')).toBeNull();
+    expect(await cache.get('10.1/missing')).toBeNull();
+    await expect(cache.get('10.1/down')).rejects.toThrow('CrossRef timeout');
+    await expect(cache.get('10.1/down')).rejects.toThrow('CrossRef timeout');
+
+    expect(lookup.mock.calls.map(([doi]) => doi)).toEqual(['10.1/ABC', '10.1/missing', '10.1/down', '10.1/down']);
+    expect(store.map.get('10.1/missing').expiresAt - store.map.get('10.1/abc').expiresAt).toBeLessThan(0);
+  });
+
+  test('Concurrent lookups of one DOI share a request', async () => {
+    const lookup = jest.fn(async () => ({ publisher: 'Elsevier' }));
+    const cache = new DoiMetadata({ store: new MemoryStore(), lookup });
+
+    const results = await Promise.all([cache.get('10.1/x'), cache.get('10.1/X'), cache.get('10.1/x')]);
+    expect(results).toEqual([{ publisher: 'Elsevier' }, { publisher: 'Elsevier' }, { publisher: 'Elsevier' }]);
+    expect(lookup).toHaveBeenCalledTimes(1);
+  });
+
+  test('Concurrency is bounded and results keep their order', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(peak).toBe(2);
+  });
+});
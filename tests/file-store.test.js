@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore, MemoryStore, createStore } = require('../utils/file-store');
+
+describe('File Store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('Persists values across store instances', async () => {
+    await new FileStore({ dir }).set('12345', { messages: ['climate'], userType: 'student' });
+
+    const reopened = new FileStore({ dir });
+    expect(await reopened.get('12345')).toEqual({ messages: ['climate'], userType: 'student' });
+    expect(await reopened.keys()).toEqual(['12345']);
+
+    await reopened.delete('12345');
+    expect(await reopened.get('12345')).toBeUndefined();
+  });
+
+  test('Expired entries are not returned and are pruned', async () => {
+    const store = new FileStore({ dir, ttlMs: 5 });
+    await store.set('old', { a: 1 });
+    await store.set('kept', { b: 2 }, Infinity);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(await store.get('old')).toBeUndefined();
+
+    await store.set('old2', { c: 3 });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(await store.prune()).toBe(1);
+    expect(await store.keys()).toEqual(['kept']);
+  });
+
+  test('Pruning leaves temp files of writes in flight alone', async () => {
+    const store = new FileStore({ dir, staleTmpMs: 60 * 1000 });
+    const leftover = path.join(dir, 'crashed.json.1.1.tmp');
+    const inFlight = path.join(dir, 'writing.json.2.2.tmp');
+    fs.writeFileSync(leftover, '{}');
+    fs.writeFileSync(inFlight, '{}');
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(leftover, hourAgo, hourAgo);
+
+    await store.prune();
+    expect(fs.existsSync(leftover)).toBe(false);
+    expect(fs.existsSync(inFlight)).toBe(true);
+  });
+
+  test('Concurrent updates to the same key are serialised', async () => {
+    const store = new FileStore({ dir });
+    await Promise.all(Array.from({ length: 20 }, () =>
+      store.update('counter', async (value = 0) => {
+        await new Promise(resolve => setImmediate(resolve));
+        return value + 1;
+      })
+    ));
+
+    expect(await store.get('counter')).toBe(20);
+    expect(fs.readdirSync(dir).filter(file => file.endsWith('.tmp'))).toHaveLength(0);
+  });
+
+  test('createStore selects the backend', () => {
+    expect(createStore({ backend: 'memory' })).toBeInstanceOf(MemoryStore);
+    expect(createStore({ dir })).toBeInstanceOf(FileStore);
+    expect(() => createStore({ backend: 'redis' })).toThrow('Unknown store backend');
+  });
+});
@@ -0,0 +1,117 @@
+const axios = require('axios');
+const { HttpClient, CircuitBreaker, ServiceUnavailableError, retryAfterMs } = require('../utils/http-client');
+const { ApiMonitor } = require('../utils/monitoring');
+
+jest.mock('axios');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+const networkError = code => Object.assign(new Error(code), { code });
+
+describe('HTTP Client', () => {
+  let reporter;
+  let sleeps;
+  const client = (options = {}) => new HttpClient({
+    service: 'crossref',
+    retries: 2,
+    reporter,
+    sleep: async ms => { sleeps.push(ms); },
+    random: () => 0.5,
+    ...options
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    reporter = { recordRequest: jest.fn() };
+    sleeps = [];
+  });
+
+  test('Retries 429s and 5xx with jittered backoff, honouring Retry-After', async () => {
+    axios.get
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce({ status: 200, data: { ok: true } });
+
+    const response = await client().get('https://api.example/works', { params: { q: 'x' } });
+    expect(response.data).toEqual({ ok: true });
+    expect(sleeps).toEqual([2000, 750]);
+    expect(axios.get.mock.calls[0][1]).toEqual({ timeout: 15000, params: { q: 'x' } });
+    expect(reporter.recordRequest).toHaveBeenCalledWith('crossref', expect.objectContaining({ outcome: 'ok', status: 200, attempts: 3 }));
+  });
+
+  test('Outages become ServiceUnavailableError; answers and bugs pass through', async () => {
+    axios.get.mockRejectedValue(networkError('ETIMEDOUT'));
+    const down = client().get('https://api.example/works');
+    await expect(down).rejects.toBeInstanceOf(ServiceUnavailableError);
+    await expect(down).rejects.toMatchObject({ service: 'crossref', code: 'ETIMEDOUT' });
+    expect(axios.get).toHaveBeenCalledTimes(3);
+
+    axios.get.mockReset();
+    axios.get.mockRejectedValueOnce(httpError(404)).mockRejectedValueOnce(new Error('bad config'));
+    await expect(client().get('https://api.example/works/none')).rejects.toMatchObject({ response: { status: 404 } });
+    await expect(client().get('https://api.example/works')).rejects.toThrow('bad config');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('POSTs are only retried when the service did not act on them', async () => {
+    axios.post.mockRejectedValue(httpError(502));
+    await expect(client().post('https://api.example/items', {})).rejects.toBeInstanceOf(ServiceUnavailableError);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+
+    axios.post.mockClear();
+    await expect(client().post('https://api.example/chat', {}, { idempotent: true })).rejects.toBeInstanceOf(ServiceUnavailableError);
+    expect(axios.post).toHaveBeenCalledTimes(3);
+    expect(axios.post.mock.calls[0][2]).toEqual({ timeout: 15000 });
+  });
+
+  test('A long Retry-After is not waited for', async () => {
+    axios.get.mockRejectedValue(httpError(429, { 'retry-after': '3600' }));
+    await expect(client().get('https://api.example/works')).rejects.toMatchObject({ status: 429 });
+    expect(sleeps).toEqual([]);
+    expect(retryAfterMs(httpError(429, { 'retry-after': new Date(61000).toUTCString() }), 1000)).toBe(60000);
+  });
+
+  test('The circuit opens after repeated failures and closes after a successful trial', async () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetMs: 1000, now: () => now });
+    const api = client({ retries: 0, breaker });
+    axios.get.mockRejectedValue(httpError(500));
+
+    await expect(api.get('https://api.example/a')).rejects.toBeInstanceOf(ServiceUnavailableError);
+    await expect(api.get('https://api.example/a')).rejects.toBeInstanceOf(ServiceUnavailableError);
+    expect(breaker.state).toBe('open');
+    await expect(api.get('https://api.example/a')).rejects.toThrow('circuit open');
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(reporter.recordRequest).toHaveBeenLastCalledWith('crossref', expect.objectContaining({ outcome: 'rejected' }));
+
+    now = 1000;
+    axios.get.mockResolvedValueOnce({ status: 200, data: [] });
+    await api.get('https://api.example/a');
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('Expected 4xx answers are not failures; other errors are', async () => {
+    const monitor = new ApiMonitor();
+    const api = client({ reporter: monitor });
+    axios.get
+      .mockRejectedValueOnce(httpError(404))
+      .mockRejectedValueOnce(httpError(410))
+      .mockRejectedValueOnce(httpError(401));
+
+    await expect(api.get('https://api.example/works/missing')).rejects.toMatchObject({ response: { status: 404 } });
+    await expect(api.get('https://api.example/works/withdrawn')).rejects.toMatchObject({ response: { status: 410 } });
+    await expect(api.get('https://api.example/works')).rejects.toMatchObject({ response: { status: 401 } });
+
+    const { services, errors, errorCount } = monitor.getStats();
+    expect(services.crossref).toMatchObject({ calls: 3, failures: 1, lastOutcome: 'error', lastStatus: 401 });
+    expect(errorCount).toBe(1);
+    expect(errors[0].message).toMatch(/^error \(HTTP 401\)/);
+  });
+
+  test('The monitor keeps only the most recent errors but counts them all', () => {
+    const monitor = new ApiMonitor({ maxErrors: 3 });
+    for (let i = 1; i <= 5; i++) monitor.logError('groq', new Error(`failure ${i}`));
+
+    expect(monitor.errors.map(error => error.message)).toEqual(['failure 3', 'failure 4', 'failure 5']);
+    expect(monitor.getStats().errorCount).toBe(5);
+  });
+});
@@ -0,0 +1,38 @@
+const { t, translator, resolveLocale, languageName, escapeMarkdown, SUPPORTED_LOCALES } = require('../utils/i18n');
+
+describe('Localization', () => {
+  const flatten = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) =>
+    (typeof value === 'object' ? flatten(value, `${prefix}${key}.`) : [[`${prefix}${key}`, value]]));
+  const placeholders = text => (text.match(/\{\w+\}/g) || []).sort().join();
+
+  test('Interpolates values into translated messages', () => {
+    expect(t('en', 'sources.found', { count: 7 })).toBe('📚 Found 7 sources. Select to approve:');
+    expect(t('fr', 'sources.found', { count: 7 })).toContain('7 sources trouvées');
+    expect(translator('sw')('draft.plagiarismRewrite', { score: '12.5' })).toContain('12.5%');
+  });
+
+  test('Escapes user text for Markdown messages', () => {
+    expect(escapeMarkdown('climate_change *draft* [1] `code`')).toBe('climate\\_change \\*draft\\* \\[1] \\`code\\`');
+    expect(escapeMarkdown(2026)).toBe('2026');
+  });
+
+  test('Falls back to English for unknown locales and missing keys', () => {
+    expect(resolveLocale('fr-FR')).toBe('fr');
+    expect(resolveLocale('de')).toBe('en');
+    expect(resolveLocale(undefined)).toBe('en');
+    expect(t('de', 'intake.cancelled')).toBe('❌ Session cancelled.');
+    expect(t('fr', 'no.such.key')).toBe('no.such.key');
+    expect(languageName('sw')).toBe('Swahili');
+  });
+
+  test('Every catalog has the English keys and placeholders', () => {
+    const english = new Map(flatten(require('../locales/en.json')));
+    for (const locale of SUPPORTED_LOCALES) {
+      const catalog = new Map(flatten(require(`../locales/${locale}.json`)));
+      for (const [key, text] of english) {
+        expect([locale, key, catalog.has(key)]).toEqual([locale, key, true]);
+        expect([locale, key, placeholders(catalog.get(key))]).toEqual([locale, key, placeholders(text)]);
+      }
+    }
+  });
+});
@@ -0,0 +1,55 @@
+// A small OCR width keeps the upscaling test fast
+process.env.OCR_MIN_WIDTH = '600';
+
+const Jimp = require('jimp');
+const { preprocessImage, estimateSkewAngle, otsuThreshold, binarize } = require('../utils/image-preprocess');
+
+// A white page with evenly spaced black "text lines"
+function linedPage({ width = 400, height = 300, shade = 0 } = {}) {
+  const image = new Jimp(width, height, 0xffffffff);
+  for (let row = 40; row < height - 40; row += 30) {
+    image.scan(40, row, width - 80, 4, function (x, y, idx) {
+      this.bitmap.data[idx] = shade;
+      this.bitmap.data[idx + 1] = shade;
+      this.bitmap.data[idx + 2] = shade;
+    });
+  }
+  return image;
+}
+
+const rotated = (image, angle) => image.background(0xffffffff).rotate(angle, false);
+
+describe('Image Preprocessing', () => {
+  test.each([4, -4])('A page rotated by %d° is corrected by the opposite angle', angle => {
+    const page = rotated(linedPage(), angle);
+    const correction = estimateSkewAngle(page);
+    expect(correction).toBe(-angle);
+    expect(estimateSkewAngle(rotated(page.clone(), correction))).toBe(0);
+  });
+
+  test('Straight and blank pages need no correction', () => {
+    expect(estimateSkewAngle(linedPage())).toBe(0);
+    expect(estimateSkewAngle(new Jimp(200, 100, 0xffffffff))).toBe(0);
+  });
+
+  test('Otsu separates grey text from the background, and binarizing leaves only black and white', () => {
+    const page = linedPage({ shade: 90 }).greyscale();
+    const threshold = otsuThreshold(page);
+    expect(threshold).toBeGreaterThanOrEqual(90);
+    expect(threshold).toBeLessThan(255);
+
+    binarize(page, threshold);
+    const values = new Set();
+    page.scan(0, 0, page.bitmap.width, page.bitmap.height, function (x, y, idx) {
+      values.add(this.bitmap.data[idx]);
+    });
+    expect([...values].sort((a, b) => a - b)).toEqual([0, 255]);
+  });
+
+  test('Small images are upscaled for OCR', async () => {
+    const page = await linedPage({ width: 200, height: 120 }).getBufferAsync(Jimp.MIME_PNG);
+    const output = await Jimp.read(await preprocessImage(page));
+    expect(output.bitmap.width).toBe(600);
+    expect(output.bitmap.height).toBe(360);
+  }, 20000);
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InstanceLock, InstanceLockedError } = require('../utils/instance-lock');
+
+describe('Instance Lock', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'instance-lock-'));
+    file = path.join(dir, 'data', 'instance.lock');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('A second process on the same data directory is refused until the first releases it', async () => {
+    const first = new InstanceLock({ file });
+    const second = new InstanceLock({ file });
+
+    expect((await first.acquire()).pid).toBe(process.pid);
+    await expect(second.acquire()).rejects.toBeInstanceOf(InstanceLockedError);
+
+    // Releasing someone else's lock leaves it alone
+    await second.release();
+    expect(fs.existsSync(file)).toBe(true);
+
+    await first.release();
+    await expect(second.acquire()).resolves.toMatchObject({ token: second.token });
+    await second.release();
+  });
+
+  test('A lock without heartbeats is taken over', async () => {
+    const crashed = new InstanceLock({ file, staleMs: 60 * 1000 });
+    await crashed.acquire();
+    clearInterval(crashed.timer);
+    const longAgo = new Date(Date.now() - 5 * 60 * 1000);
+    fs.utimesSync(file, longAgo, longAgo);
+
+    const next = new InstanceLock({ file, staleMs: 60 * 1000 });
+    await next.acquire();
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).token).toBe(next.token);
+    expect(fs.readdirSync(path.dirname(file))).toEqual(['instance.lock']);
+    await next.release();
+  });
+});
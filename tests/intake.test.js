@@ -1,10 +1,37 @@
-const { performOCR, transcribeVoice, logToConsole, intakeSchema } = require('../src/intake');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Conversation tests run the bot against a throwaway data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'intake-'));
+
+const {
+  performOCR,
+  transcribeVoice,
+  logToConsole,
+  parseAssignmentText,
+  extractAssignmentDetails,
+  applyAssignmentEdit,
+  renderAssignmentCard,
+  classifyAction,
+  intakeSchema,
+  bot
+} = require('../src/intake');
+const { processSources } = require('../src/source-retrieval');
+const { Telegram } = require('telegraf');
+const { recognizeText, mergePages, findUncertainLines } = require('../utils/ocr');
+const { createMediaGroupCollector } = require('../utils/media-group');
+const { translator } = require('../utils/i18n');
 const axios = require('axios');
 
 jest.mock('axios');
 jest.mock('tesseract.js', () => ({
   recognize: jest.fn()
 }));
+jest.mock('../src/source-retrieval', () => ({
+  ...jest.requireActual('../src/source-retrieval'),
+  processSources: jest.fn()
+}));
 
 describe('Intake & OCR Tests', () => {
   beforeEach(() => {
@@ -42,6 +69,30 @@ describe('Intake & OCR Tests', () => {
     expect(result).toBe('Fallback text');
   });
 
+  test('OCR service reports per-line confidence and flags uncertain lines', async () => {
+    const { recognize } = require('tesseract.js');
+    recognize.mockResolvedValue({
+      data: {
+        text: 'Essay on climate policy\nDue 3O/1l/2O26',
+        confidence: 78,
+        lines: [
+          { text: 'Essay on climate policy\n', confidence: 91.6 },
+          { text: 'Due 3O/1l/2O26\n', confidence: 42.2 }
+        ]
+      }
+    });
+
+    const result = await recognizeText(Buffer.from('image'), { preprocess: false });
+    expect(result.provider).toBe('tesseract');
+    expect(result.lines).toEqual([
+      { text: 'Essay on climate policy', confidence: 92 },
+      { text: 'Due 3O/1l/2O26', confidence: 42 }
+    ]);
+    expect(findUncertainLines(result.lines)).toEqual([
+      { text: 'Due 3O/1l/2O26', confidence: 42, index: 1 }
+    ]);
+  });
+
   // Test transcription
   test('Voice transcription succeeds with Eden AI', async () => {
     // Mock Telegram file get
@@ -64,6 +115,8 @@ describe('Intake & OCR Tests', () => {
     
     const result = await transcribeVoice('voice_id_123');
     expect(result).toBe('Spoken request for paper');
+    // The spoken language is left to Whisper to detect
+    expect(axios.post.mock.calls[0][1]).not.toHaveProperty('language');
   });
 
   test('Voice transcription handles error case', async () => {
@@ -123,7 +176,205 @@ describe('Intake & OCR Tests', () => {
   });
 });
 
+// Album aggregation tests
+describe('Album Aggregation', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('Photos sharing a media group are delivered once, in message order', () => {
+    jest.useFakeTimers();
+    const onComplete = jest.fn();
+    const collector = createMediaGroupCollector({ quietMs: 1000, onComplete });
+
+    collector.add('42:album', { messageId: 12, fileId: 'b' });
+    jest.advanceTimersByTime(600);
+    collector.add('42:album', { messageId: 11, fileId: 'a' });
+    jest.advanceTimersByTime(600);
+    expect(onComplete).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(500);
+    return Promise.resolve().then(() => {
+      expect(onComplete).toHaveBeenCalledTimes(1);
+      expect(onComplete.mock.calls[0][0].map(page => page.fileId)).toEqual(['a', 'b']);
+      expect(collector.pendingCount()).toBe(0);
+    });
+  });
+
+  test('Album pages merge into one OCR document with page markers', () => {
+    const merged = mergePages([
+      { text: 'Essay brief', confidence: 90, lines: [{ text: 'Essay brief', confidence: 90 }], provider: 'tesseract' },
+      { text: 'Rubric', confidence: 60, lines: [{ text: 'Rubric', confidence: 60 }], provider: 'tesseract' }
+    ]);
+
+    expect(merged.text).toBe('--- Page 1 ---\nEssay brief\n--- Page 2 ---\nRubric');
+    expect(merged.confidence).toBe(75);
+    expect(findUncertainLines(merged.lines).map(line => line.text)).toEqual(['Rubric']);
+    expect(parseAssignmentText(`[OCR from album]: ${merged.text}`).topic).toBe('Essay brief');
+  });
+});
+
+// Assignment extraction tests
+describe('Assignment Extraction', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('Heuristics parse format, length, deadline and tags', () => {
+    const details = parseAssignmentText('Climate change and food security #environment\nNeed 8 pages in mla, due 2026-11-30');
+
+    expect(details).toEqual({
+      topic: 'Climate change and food security',
+      format: 'MLA',
+      length: 8,
+      deadline: '2026-11-30',
+      tags: ['environment']
+    });
+  });
+
+  test('Word counts are converted to pages', () => {
+    expect(parseAssignmentText('Essay on ethics, 1,500 words').length).toBe(6);
+  });
+
+  test('Groq fields override heuristics and invalid values are dropped', async () => {
+    axios.post.mockResolvedValue({
+      data: {
+        choices: [{
+          message: {
+            content: '{"topic": "Food security under climate change", "format": "Harvard", "length": 12, "tags": ["climate"]}'
+          }
+        }]
+      }
+    });
+
+    const assignment = await extractAssignmentDetails(
+      ['climate and food, 8 pages APA', '[OCR from image]: Deadline 30/11/2026'],
+      'student'
+    );
+
+    expect(assignment.topic).toBe('Food security under climate change');
+    expect(assignment.format).toBe('APA'); // "Harvard" rejected, heuristic kept
+    expect(assignment.length).toBe(12);
+    expect(assignment.tags).toEqual(['climate']);
+    expect(assignment.deadline).toContain('2026-11-30');
+    expect(assignment.userType).toBe('student');
+  });
+
+  test('Extraction falls back to defaults when Groq fails', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+    axios.post.mockRejectedValue(new Error('Groq down'));
+
+    const assignment = await extractAssignmentDetails(['Renewable energy policy'], 'guest');
+
+    expect(assignment).toEqual(expect.objectContaining({
+      topic: 'Renewable energy policy',
+      format: 'APA',
+      length: 5,
+      userType: 'guest'
+    }));
+    consoleSpy.mockRestore();
+  });
+
+  test('Edits are validated against the intake schema', () => {
+    const assignment = { topic: 'Test', format: 'APA', length: 5, userType: 'guest' };
+
+    expect(applyAssignmentEdit(assignment, 'length', '80')).toContain('length');
+    expect(assignment.length).toBe(5);
+    expect(applyAssignmentEdit(assignment, 'length', '80', translator('fr'))).toBe('La longueur doit être un nombre de pages entre 1 et 50');
+
+    expect(applyAssignmentEdit(assignment, 'length', '10')).toBeNull();
+    expect(applyAssignmentEdit(assignment, 'tags', '#History, europe')).toBeNull();
+    expect(assignment).toEqual(expect.objectContaining({ length: 10, tags: ['history', 'europe'] }));
+  });
+
+  test('The confirmation card escapes Markdown in the user\'s fields', () => {
+    const card = renderAssignmentCard({
+      topic: 'climate_change and *urban* heat',
+      format: 'APA',
+      length: 5,
+      tags: ['heat_island'],
+      userType: 'student'
+    }, 'en', 'Ada_L');
+    expect(card.text).toContain('climate\\_change and \\*urban\\* heat');
+    expect(card.text).toContain('heat\\_island');
+    expect(card.text).toContain('Ada\\_L');
+  });
+
+  test('Source filters are edited like any other field', () => {
+    const assignment = { topic: 'Test', format: 'APA', length: 5, userType: 'guest' };
+
+    expect(applyAssignmentEdit(assignment, 'filters', 'year=1850-1900 type=journal')).toBeNull();
+    expect(assignment.filters).toEqual({ yearFrom: 1850, yearTo: 1900, types: ['journal'] });
+    expect(applyAssignmentEdit(assignment, 'filters', 'colour=blue')).toContain('colour=blue');
+    expect(applyAssignmentEdit(assignment, 'filters', '-')).toBeNull();
+    expect(assignment.filters).toBeUndefined();
+  });
+});
+
 // Health endpoint test
+describe('Conversation Flow', () => {
+  const chat = { id: 9001, type: 'private' };
+  const from = { id: 9001, is_bot: false, first_name: 'Ada', language_code: 'en' };
+  let updateId = 0;
+  const replies = [];
+
+  const send = text => bot.handleUpdate({
+    update_id: ++updateId,
+    message: {
+      message_id: updateId,
+      date: Math.floor(Date.now() / 1000),
+      chat,
+      from,
+      text,
+      ...(text.startsWith('/') ? { entities: [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }] } : {})
+    }
+  });
+
+  beforeAll(() => {
+    bot.botInfo = { id: 1, is_bot: true, first_name: 'Bot', username: 'test_bot' };
+    // Every update gets its own Telegram client, so the API is stubbed on the prototype
+    jest.spyOn(Telegram.prototype, 'callApi').mockImplementation(async (method, payload) => {
+      if (method === 'sendMessage') replies.push(payload.text);
+      return { message_id: replies.length, date: 0, chat, text: payload.text };
+    });
+  });
+
+  afterAll(() => {
+    Telegram.prototype.callApi.mockRestore();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('A topic followed by /sources runs the search', async () => {
+    const t = translator('en');
+    processSources.mockResolvedValueOnce([]);
+
+    await send('Urban heat islands in coastal cities');
+    expect(replies).toEqual([t('intake.received')]);
+
+    await send('/sources');
+    expect(processSources).toHaveBeenCalledWith('Urban heat islands in coastal cities', chat.id, [], expect.any(Object));
+    expect(replies.slice(1)).toEqual([t('sources.fetching'), t('sources.none')]);
+  });
+});
+
+describe('Rate Limit Classification', () => {
+  test('Commands and paid pipelines are classified, other buttons are not', () => {
+    const message = (text, state = 'idle') => ({ message: { text }, session: { state } });
+    const button = data => ({ callbackQuery: { data }, session: { state: 'confirming' } });
+
+    expect(classifyAction(message('/sources year=2000-'))).toBe('sources');
+    expect(classifyAction(message('/status@test_bot'))).toBe('status');
+    expect(classifyAction(message('/sources export ris'))).toBe('export');
+    expect(classifyAction(message('Shorten the intro', 'revising'))).toBe('revise');
+    expect(classifyAction(message('Urban heat'))).toBeNull();
+
+    expect(classifyAction(button('confirm_and_process'))).toBe('workflow');
+    for (const data of ['ocr_keep', 'approve_source_3', 'approve_all_sources', 'edit_field_topic', 'provider_crossref']) {
+      expect(classifyAction(button(data))).toBeNull();
+    }
+  });
+});
+
 describe('Health Endpoint', () => {
   test('Health endpoint returns correct structure', () => {
     const expectedStructure = {
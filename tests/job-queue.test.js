@@ -0,0 +1,143 @@
+const { JobQueue } = require('../utils/job-queue');
+const { MemoryStore } = require('../utils/file-store');
+
+describe('Job Queue', () => {
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+  };
+
+  test('Runs jobs to completion with progress and persisted status', async () => {
+    const store = new MemoryStore();
+    const queue = new JobQueue({ store, retryDelayMs: 0 });
+    queue.register('workflow', async (job, { step, progress }) => {
+      const sources = await step('sources', () => ['a', 'b']);
+      await progress(50, 'draft');
+      return { sources: sources.length };
+    });
+
+    const job = await queue.enqueue('workflow', { chatId: 1, payload: { topic: 'climate' } });
+    await queue.onIdle();
+
+    const saved = await store.get(job.id);
+    expect(saved.status).toBe('completed');
+    expect(saved.progress).toBe(100);
+    expect(saved.result).toEqual({ sources: 2 });
+  });
+
+  test('Retries failed steps up to the attempt limit', async () => {
+    const queue = new JobQueue({ store: new MemoryStore(), maxAttempts: 3, retryDelayMs: 0 });
+    let calls = 0;
+    queue.register('flaky', async (job, { step }) => step('fetch', () => {
+      calls++;
+      if (calls < 3) throw new Error('timeout');
+      return 'ok';
+    }));
+    queue.register('broken', async (job, { step }) => step('fetch', () => {
+      throw new Error('down');
+    }));
+
+    const flaky = await queue.enqueue('flaky', { chatId: 1 });
+    const broken = await queue.enqueue('broken', { chatId: 2 });
+    await queue.onIdle();
+
+    expect(queue.get(flaky.id).status).toBe('completed');
+    expect(queue.get(flaky.id).steps.fetch.attempts).toBe(3);
+    expect(queue.get(broken.id).status).toBe('failed');
+    expect(queue.get(broken.id).error).toBe('down');
+  });
+
+  test('Respects global and per-user concurrency limits', async () => {
+    const queue = new JobQueue({ store: new MemoryStore(), concurrency: 2, perUserConcurrency: 1 });
+    const gate = deferred();
+    const started = [];
+    queue.register('work', async job => {
+      started.push(job.payload.name);
+      await gate.promise;
+    });
+
+    await queue.enqueue('work', { chatId: 1, payload: { name: 'first' } });
+    await queue.enqueue('work', { chatId: 1, payload: { name: 'second' } });
+    await queue.enqueue('work', { chatId: 2, payload: { name: 'other user' } });
+    await queue.enqueue('work', { chatId: 3, payload: { name: 'third user' } });
+
+    // Chat 1 may only run one job; the global limit stops chat 3
+    expect(started).toEqual(['first', 'other user']);
+    expect(queue.stats()).toMatchObject({ running: 2, queued: 2 });
+
+    gate.resolve();
+    await queue.onIdle();
+    expect(started).toHaveLength(4);
+  });
+
+  test('Cancels queued and running jobs for a chat', async () => {
+    const queue = new JobQueue({ store: new MemoryStore(), perUserConcurrency: 1 });
+    const gate = deferred();
+    const finishedSteps = [];
+    queue.register('work', async (job, { step }) => {
+      await step('first', () => gate.promise);
+      finishedSteps.push('first');
+      await step('second', () => finishedSteps.push('second'));
+    });
+
+    const running = await queue.enqueue('work', { chatId: 1 });
+    const queued = await queue.enqueue('work', { chatId: 1 });
+    expect(await queue.cancelForChat(1)).toBe(2);
+
+    gate.resolve();
+    await queue.onIdle();
+    expect(queue.get(running.id).status).toBe('cancelled');
+    expect(queue.get(queued.id).status).toBe('cancelled');
+    expect(finishedSteps).toEqual(['first']);
+  });
+
+  test('Purging a chat deletes its job records, once running jobs stop', async () => {
+    const store = new MemoryStore();
+    const queue = new JobQueue({ store, perUserConcurrency: 1, retryDelayMs: 0 });
+    const gate = deferred();
+    queue.register('work', async (job, { step }) => step('wait', () => gate.promise));
+
+    const running = await queue.enqueue('work', { chatId: 1 });
+    await queue.enqueue('work', { chatId: 1 });
+    const other = await queue.enqueue('work', { chatId: 2 });
+    expect((await queue.forChat(1)).length).toBe(2);
+
+    expect(await queue.purgeChat(1)).toBe(2);
+    expect(queue.get(running.id)).not.toBeNull();
+    gate.resolve();
+    await queue.onIdle();
+
+    expect(await queue.forChat(1)).toEqual([]);
+    expect(queue.get(running.id)).toBeNull();
+    expect((await store.get(other.id)).status).toBe('completed');
+  });
+
+  test('Resumes interrupted jobs and skips completed steps', async () => {
+    const store = new MemoryStore();
+    await store.set('job-1', {
+      id: 'job-1',
+      type: 'workflow',
+      chatId: '1',
+      payload: {},
+      status: 'running',
+      progress: 40,
+      steps: { sources: { done: true, attempts: 1, result: ['a'] } },
+      createdAt: Date.now()
+    });
+
+    const queue = new JobQueue({ store });
+    const ran = [];
+    queue.register('workflow', async (job, { step }) => {
+      const sources = await step('sources', () => ran.push('sources'));
+      await step('draft', () => ran.push('draft'));
+      return { sources, resumed: job.resumed };
+    });
+
+    expect(await queue.start()).toBe(1);
+    await queue.onIdle();
+
+    expect(ran).toEqual(['draft']);
+    expect((await store.get('job-1')).result).toEqual({ sources: ['a'], resumed: true });
+  });
+});
@@ -0,0 +1,94 @@
+const { session } = require('telegraf');
+const { createLiveSessions } = require('../utils/live-sessions');
+const { MemoryStore } = require('../utils/file-store');
+
+const getSessionKey = ctx => ctx.chat?.id?.toString();
+
+// The bot's middleware order: track, Telegraf's session, attach, then the handler
+function setup() {
+  const store = new MemoryStore();
+  const live = createLiveSessions({ store, getSessionKey });
+  const sessionMiddleware = session({ store, getSessionKey });
+  let updateId = 0;
+  const runUpdate = handler => {
+    const ctx = { chat: { id: 7 }, update: { update_id: ++updateId } };
+    return live.track(ctx, () => sessionMiddleware(ctx, () => live.attach(ctx, () => handler(ctx))));
+  };
+  return { store, live, runUpdate };
+}
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('Live Sessions', () => {
+  test('Changes made while an update runs survive its write-back', async () => {
+    const { store, live, runUpdate } = setup();
+    await store.set('7', { state: 'sourcing', messages: [] });
+    const started = deferred();
+    const finish = deferred();
+
+    const update = runUpdate(async ctx => {
+      ctx.session.messages.push('hello');
+      started.resolve();
+      await finish.promise;
+    });
+    await started.promise;
+    // A job finishing mid-update
+    await live.withSession({ chat: { id: 7 } }, ctx => {
+      ctx.session.state = 'reviewing';
+      ctx.session.lastDraft = { topic: 'heat' };
+    });
+    finish.resolve();
+    await update;
+
+    expect(await store.get('7')).toEqual({ state: 'reviewing', messages: ['hello'], lastDraft: { topic: 'heat' } });
+  });
+
+  test('Without a running update the store is changed under its lock', async () => {
+    const { store, live } = setup();
+    await store.set('7', { state: 'drafting', approvedSources: [1] });
+
+    await Promise.all([
+      live.withSession({ chat: { id: 7 } }, async ctx => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        ctx.session.state = 'reviewing';
+      }),
+      live.withSession({ chat: { id: 7 } }, ctx => { ctx.session.approvedSources.push(2); })
+    ]);
+    expect(await store.get('7')).toEqual({ state: 'reviewing', approvedSources: [1, 2] });
+
+    // No session, no change: nothing is written
+    await live.withSession({ chat: { id: 8 } }, () => {});
+    expect(await store.get('8')).toBeUndefined();
+  });
+
+  test('Changes made after the update ended are merged field by field', async () => {
+    const { store, live, runUpdate } = setup();
+    await store.set('7', { state: 'idle', locale: 'en' });
+    const started = deferred();
+    const finish = deferred();
+    const resumed = deferred();
+
+    const update = runUpdate(async () => {
+      started.resolve();
+      await finish.promise;
+    });
+    await started.promise;
+    const change = live.withSession({ chat: { id: 7 } }, async ctx => {
+      ctx.session.state = 'confirming';
+      await resumed.promise;
+      ctx.session.messages = ['late'];
+    });
+    finish.resolve();
+    await update;
+    // Another writer changed the locale after the update's write-back
+    await store.update('7', current => ({ ...current, locale: 'fr' }));
+    resumed.resolve();
+    await change;
+
+    expect(await store.get('7')).toEqual({ state: 'confirming', locale: 'fr', messages: ['late'] });
+  });
+});
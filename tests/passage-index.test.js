@@ -0,0 +1,49 @@
+const { PassageIndex, chunkPages, tokenize } = require('../utils/passage-index');
+
+const words = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+
+describe('Passage Index', () => {
+  test('Pages are cut into overlapping chunks that keep their page number', () => {
+    const chunks = chunkPages([
+      { page: 1, text: words('a', 25) },
+      { page: 2, text: words('b', 5) },
+      { page: 3, text: '   ' }
+    ], { size: 10, overlap: 2 });
+
+    expect(chunks.map(chunk => chunk.page)).toEqual([1, 1, 1, 2]);
+    expect(chunks[0].text.split(' ')).toHaveLength(10);
+    // Each chunk starts with the last two words of the one before
+    expect(chunks[1].text.startsWith('a8 a9 ')).toBe(true);
+    expect(chunks[2].text.endsWith('a24')).toBe(true);
+    expect(chunks[3].text).toBe(words('b', 5));
+    expect(tokenize('The Urban heat-island effect of the city')).toEqual(['urban', 'heat', 'island', 'city']);
+  });
+
+  test('BM25 search ranks matching passages and filters by source', () => {
+    const index = new PassageIndex();
+    index.add('10.1/heat', [
+      { page: 3, text: 'Urban heat islands raise night temperatures in dense neighbourhoods.' },
+      { page: 7, text: 'Green roofs lowered surface temperatures and cooled urban buildings during heat waves.' }
+    ]);
+    index.add('10.1/water', [
+      { page: 2, text: 'Water utilities plan for drought with pricing and storage.' }
+    ]);
+
+    const results = index.search('green roofs cooling heat', { limit: 2 });
+    expect(results[0]).toMatchObject({ source: '10.1/heat', page: 7 });
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(index.search('drought storage')).toEqual([expect.objectContaining({ source: '10.1/water', page: 2 })]);
+    expect(index.search('heat', { source: '10.1/water' })).toEqual([]);
+    expect(index.search('nothing relevant here')).toEqual([]);
+    expect(index.sources()).toEqual(['10.1/heat', '10.1/water']);
+  });
+
+  test('A saved index searches the same after being restored', () => {
+    const index = new PassageIndex();
+    index.add('10.1/heat', [{ page: 4, text: 'Tree canopy cover reduces heat exposure.' }]);
+
+    const restored = PassageIndex.from(JSON.parse(JSON.stringify(index)));
+    expect(restored.search('canopy heat')).toEqual(index.search('canopy heat'));
+    expect(PassageIndex.from(null).search('anything')).toEqual([]);
+  });
+});
@@ -0,0 +1,47 @@
+const PizZip = require('pizzip');
+const { PersonalData } = require('../utils/personal-data');
+
+describe('Personal Data', () => {
+  test('Exports every source into one ZIP with attachments and a summary', async () => {
+    const personalData = new PersonalData()
+      .register({ name: 'history', export: async chatId => [{ chatId, action: 'workflow_completed' }], erase: async () => 1 })
+      .register({
+        name: 'files',
+        export: async () => ['draft.docx'],
+        files: async () => [{ name: 'draft.docx', content: Buffer.from('draft body') }],
+        erase: async () => 1
+      })
+      .register({ name: 'zotero', export: async () => { throw new Error('Zotero down'); }, erase: async () => 0 });
+
+    const zip = new PizZip(await personalData.exportZip('42', new Date('2026-01-02T00:00:00Z')));
+
+    expect(JSON.parse(zip.file('history.json').asText())).toEqual([{ chatId: '42', action: 'workflow_completed' }]);
+    expect(zip.file('files/draft.docx').asText()).toBe('draft body');
+    expect(zip.file('zotero.json')).toBeNull();
+    expect(JSON.parse(zip.file('summary.json').asText())).toEqual({
+      chatId: '42',
+      exportedAt: '2026-01-02T00:00:00.000Z',
+      sources: {
+        history: { exported: true, files: 0 },
+        files: { exported: true, files: 1 },
+        zotero: { exported: false, error: 'Zotero down' }
+      }
+    });
+  });
+
+  test('Erases every source in order even when one fails', async () => {
+    const erased = [];
+    const personalData = new PersonalData([
+      { name: 'drive', export: async () => null, erase: async () => { erased.push('drive'); throw new Error('quota'); } },
+      { name: 'history', export: async () => null, erase: async () => { erased.push('history'); return 3; } },
+      { name: 'session', export: async () => null, erase: async () => { erased.push('session'); } }
+    ]);
+
+    expect(await personalData.erase('42')).toEqual([
+      { name: 'drive', error: 'quota' },
+      { name: 'history', removed: 3 },
+      { name: 'session', removed: 0 }
+    ]);
+    expect(erased).toEqual(['drive', 'history', 'session']);
+  });
+});
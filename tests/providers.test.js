@@ -0,0 +1,270 @@
+const http = require('http');
+const {
+  createProviders,
+  enabledProviderNames,
+  resolveProviderNames,
+  searchProviders
+} = require('../src/providers');
+const { HttpClient } = require('../utils/http-client');
+
+// Canned responses per path, shaped like each API's real output
+const routes = {
+  '/s2/graph/v1/paper/search': () => ({
+    data: [{
+      paperId: 'abc',
+      title: 'Climate Adaptation in Cities',
+      authors: [{ name: 'Jane Doe' }],
+      year: 2022,
+      abstract: 'Cities adapt.',
+      venue: 'Urban Studies',
+      publicationTypes: ['JournalArticle'],
+      citationCount: 12,
+      isOpenAccess: true,
+      externalIds: { DOI: '10.1000/CITY' },
+      openAccessPdf: { url: 'https://example.org/city.pdf' }
+    }]
+  }),
+  '/s2/graph/v1/paper/DOI:10.1000/city/references': () => ({
+    data: [
+      { citedPaper: { paperId: 'r1', title: 'Heat Stress in Cities', year: 2015, externalIds: { DOI: '10.5555/heat' }, citationCount: 80 } },
+      { citedPaper: { paperId: null, title: null } }
+    ]
+  }),
+  '/s2/graph/v1/paper/DOI:10.1000/city/citations': () => ({
+    data: [{ citingPaper: { paperId: 'c1', title: 'Cooling Cities', year: 2024, externalIds: { DOI: '10.6666/cool' } } }]
+  }),
+  '/crossref/works': () => ({
+    message: {
+      items: [{
+        DOI: '10.1000/city',
+        title: ['Climate Adaptation in Cities'],
+        author: [{ given: 'Jane', family: 'Doe' }, { name: 'IPCC Working Group' }],
+        issued: { 'date-parts': [[2022, 3]] },
+        abstract: '<jats:p>Cities &amp; climate.</jats:p>',
+        'container-title': ['Nature Cities'],
+        volume: '3',
+        publisher: 'Springer',
+        type: 'journal-article',
+        language: 'en',
+        'is-referenced-by-count': 40,
+        link: [{ URL: 'https://publisher.example/city.pdf', 'content-type': 'application/pdf' }]
+      }]
+    }
+  }),
+  '/crossref/works/10.1000/city': () => ({
+    message: { 'container-title': ['Nature Cities'], volume: '3', issue: '2', page: '101-118', publisher: 'Springer' }
+  }),
+  '/openalex/works': () => ({
+    results: [{
+      display_name: 'Urban Heat Islands',
+      authorships: [{ author: { display_name: 'Ana Lima' } }],
+      publication_year: 2021,
+      doi: 'https://doi.org/10.2000/heat',
+      abstract_inverted_index: { Heat: [0], rises: [1], fast: [2] },
+      type: 'review',
+      language: 'en',
+      primary_location: { source: { display_name: 'Urban Climate' } },
+      cited_by_count: 0,
+      open_access: { is_oa: true },
+      best_oa_location: { pdf_url: 'https://oa.example/heat.pdf' }
+    }]
+  }),
+  '/arxiv/query': () => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:arxiv="http://arxiv.org/schemas/atom">
+  <entry>
+    <id>http://arxiv.org/abs/2301.00001v2</id>
+    <published>2023-01-02T00:00:00Z</published>
+    <title>Modelling Urban
+      Flooding</title>
+    <summary>  We model floods.
+    </summary>
+    <author><name>Kim Park</name></author>
+    <author><name>Li Wei</name></author>
+    <link title="pdf" href="http://arxiv.org/pdf/2301.00001v2" rel="related" type="application/pdf"/>
+  </entry>
+</feed>`,
+  '/pubmed/esearch.fcgi': () => ({ esearchresult: { idlist: ['111'] } }),
+  '/pubmed/esummary.fcgi': () => ({
+    result: {
+      uids: ['111'],
+      111: {
+        title: 'Heat and Health.',
+        authors: [{ name: 'Smith J' }],
+        pubdate: '2020 Mar 5',
+        fulljournalname: 'Environmental Health',
+        pubtype: ['Journal Article', 'Review'],
+        lang: ['fre'],
+        articleids: [{ idtype: 'doi', value: '10.3000/health' }, { idtype: 'pmc', value: 'PMC123' }]
+      }
+    }
+  })
+};
+
+describe('Source Providers', () => {
+  let server;
+  let providers;
+  const requests = [];
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(url);
+      const route = routes[url.pathname];
+      if (!route) {
+        res.writeHead(503).end();
+        return;
+      }
+      const body = route(url);
+      res.writeHead(200, { 'Content-Type': typeof body === 'string' ? 'application/atom+xml' : 'application/json' });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      providers = createProviders({
+        semanticscholar: { baseUrl: `${base}/s2` },
+        crossref: { baseUrl: `${base}/crossref`, mailto: 'bot@example.org' },
+        openalex: { baseUrl: `${base}/openalex` },
+        arxiv: { baseUrl: `${base}/arxiv` },
+        pubmed: { baseUrl: `${base}/pubmed` }
+      });
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+  });
+
+  test('Each provider normalizes its API records to the source shape', async () => {
+    expect(await providers.semanticscholar.search('climate', { limit: 5 })).toEqual([{
+      title: 'Climate Adaptation in Cities',
+      authors: [{ name: 'Jane Doe' }],
+      year: 2022,
+      doi: '10.1000/CITY',
+      abstract: 'Cities adapt.',
+      venue: 'Urban Studies',
+      type: 'journal',
+      citationCount: 12,
+      openAccess: true,
+      url: 'https://example.org/city.pdf'
+    }]);
+    expect(await providers.crossref.search('climate')).toEqual([{
+      title: 'Climate Adaptation in Cities',
+      authors: [{ name: 'Jane Doe' }, { name: 'IPCC Working Group' }],
+      year: 2022,
+      doi: '10.1000/city',
+      abstract: 'Cities & climate.',
+      venue: 'Nature Cities',
+      type: 'journal',
+      language: 'en',
+      citationCount: 40,
+      url: 'https://publisher.example/city.pdf',
+      journal: 'Nature Cities',
+      volume: '3',
+      publisher: 'Springer'
+    }]);
+    expect(requests[1].searchParams.get('mailto')).toBe('bot@example.org');
+    expect(await providers.openalex.search('heat')).toEqual([{
+      title: 'Urban Heat Islands',
+      authors: [{ name: 'Ana Lima' }],
+      year: 2021,
+      doi: '10.2000/heat',
+      abstract: 'Heat rises fast',
+      venue: 'Urban Climate',
+      type: 'review',
+      language: 'en',
+      citationCount: 0,
+      openAccess: true,
+      url: 'https://oa.example/heat.pdf'
+    }]);
+    expect(await providers.arxiv.search('flood')).toEqual([{
+      title: 'Modelling Urban Flooding',
+      authors: [{ name: 'Kim Park' }, { name: 'Li Wei' }],
+      year: 2023,
+      doi: '10.48550/arXiv.2301.00001',
+      abstract: 'We model floods.',
+      venue: 'arXiv',
+      type: 'preprint',
+      openAccess: true,
+      url: 'http://arxiv.org/pdf/2301.00001v2'
+    }]);
+    expect(requests[3].searchParams.get('search_query')).toBe('all:flood');
+    expect(await providers.pubmed.search('heat health')).toEqual([{
+      title: 'Heat and Health.',
+      authors: [{ name: 'Smith J' }],
+      year: 2020,
+      doi: '10.3000/health',
+      venue: 'Environmental Health',
+      type: 'review',
+      language: 'fr',
+      openAccess: true,
+      url: 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC123/'
+    }]);
+  });
+
+  test('Filters become query parameters where the API supports them', async () => {
+    const filters = { yearFrom: 1950, yearTo: 1990, types: ['journal'], openAccess: true, minCitations: 10, language: 'fr' };
+    await providers.semanticscholar.search('war', { filters });
+    await providers.crossref.search('war', { filters });
+    await providers.openalex.search('war', { filters });
+    await providers.pubmed.search('war', { filters });
+
+    expect(Object.fromEntries(requests[0].searchParams)).toMatchObject({
+      publicationDateOrYear: '1950:1990',
+      publicationTypes: 'JournalArticle',
+      openAccessPdf: '',
+      minCitationCount: '10'
+    });
+    expect(requests[1].searchParams.get('filter')).toBe('from-pub-date:1950-01-01,until-pub-date:1990-12-31,type:journal-article');
+    expect(requests[2].searchParams.get('filter')).toBe(
+      'from_publication_date:1950-01-01,to_publication_date:1990-12-31,type:article,is_oa:true,cited_by_count:>9,language:fr');
+    expect(requests[3].searchParams.get('term')).toBe(
+      'war AND ("1950"[dp] : "1990"[dp]) AND ("Journal Article"[pt]) AND free full text[sb] AND fre[la]');
+
+    // arXiv only has preprints without citation counts, so it isn't asked at all
+    requests.length = 0;
+    expect(await providers.arxiv.search('war', { filters: { types: ['journal'] } })).toEqual([]);
+    expect(requests).toEqual([]);
+  });
+
+  test('CrossRef looks up one DOI for its bibliographic fields', async () => {
+    expect(await providers.crossref.work('10.1000/city')).toEqual({
+      journal: 'Nature Cities', volume: '3', issue: '2', pages: '101-118', publisher: 'Springer'
+    });
+    expect(requests[0].searchParams.get('mailto')).toBe('bot@example.org');
+  });
+
+  test('Semantic Scholar lists the references and citing papers of a DOI', async () => {
+    expect(await providers.semanticscholar.references('10.1000/city', { limit: 7 })).toEqual([
+      { title: 'Heat Stress in Cities', year: 2015, doi: '10.5555/heat', citationCount: 80 }
+    ]);
+    expect(requests[0].searchParams.get('limit')).toBe('7');
+    expect(requests[0].searchParams.get('fields')).toContain('externalIds');
+    expect(await providers.semanticscholar.citations('10.1000/city')).toEqual([
+      { title: 'Cooling Cities', year: 2024, doi: '10.6666/cool' }
+    ]);
+  });
+
+  test('Searches interleave providers and survive one failing', async () => {
+    jest.spyOn(console, 'error').mockImplementation();
+    const client = new HttpClient({ service: 'openalex', retries: 0 });
+    const broken = createProviders({ openalex: { baseUrl: 'http://127.0.0.1:1', client } }).openalex;
+    const { results, failed } = await searchProviders(
+      [providers.crossref, broken, providers.arxiv], 'climate', { limit: 5 });
+    console.error.mockRestore();
+
+    expect(failed).toEqual(['openalex']);
+    expect(results.map(source => source.providers)).toEqual([['crossref'], ['arxiv']]);
+  });
+
+  test('User choices are limited to the providers the admin enabled', () => {
+    expect(enabledProviderNames('')).toEqual(['semanticscholar', 'crossref', 'openalex', 'arxiv', 'pubmed']);
+    expect(enabledProviderNames('CrossRef, pubmed, nope')).toEqual(['crossref', 'pubmed']);
+    expect(resolveProviderNames(['pubmed', 'arxiv'], ['crossref', 'pubmed'])).toEqual(['pubmed']);
+    expect(resolveProviderNames(['arxiv'], ['crossref', 'pubmed'])).toEqual(['crossref', 'pubmed']);
+  });
+});
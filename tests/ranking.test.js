@@ -0,0 +1,47 @@
+const { parseWeights, resolveWeights, rankSources, DEFAULT_WEIGHTS } = require('../utils/ranking');
+
+describe('Source Ranking', () => {
+  const now = new Date('2026-06-01');
+  const sources = [
+    { title: 'Gardening tips', year: 2016, doi: '10.1/a' },
+    {
+      title: 'Urban heat islands and public health',
+      abstract: 'Heat waves in urban areas harm public health.',
+      year: 2025,
+      venue: 'Environmental Health',
+      citationCount: 999,
+      url: 'https://oa.example/heat.pdf',
+      doi: '10.1/b'
+    },
+    { title: 'Urban heat mapping', year: 2024, venue: 'arXiv', doi: '10.1/c' }
+  ];
+
+  test('Ranks by topic overlap, citations, venue, recency and open access with reasons', () => {
+    const ranked = rankSources(sources, { topic: 'Urban heat and public health', now });
+
+    expect(ranked.map(source => source.doi)).toEqual(['10.1/b', '10.1/c', '10.1/a']);
+    expect(ranked[0].ranking.score).toBe(99);
+    expect(ranked[0].ranking.reasons[0]).toEqual({ factor: 'title', points: 30, matched: 4, total: 4 });
+    expect(ranked[0].ranking.reasons.map(reason => reason.factor)).toEqual(
+      ['title', 'abstract', 'citations', 'venue', 'openAccess', 'recency']);
+    expect(ranked[1].ranking.reasons).toContainEqual({ factor: 'venue', points: 5, venue: 'arXiv' });
+    expect(ranked[2].ranking).toEqual({ score: 0, reasons: [] });
+  });
+
+  test('Weights can be changed per request', () => {
+    const byRecency = rankSources(sources, { topic: 'gardening', weights: { title: 0, abstract: 0, citations: 0, venue: 0, openAccess: 0 }, now });
+    expect(byRecency.map(source => source.doi)).toEqual(['10.1/b', '10.1/c', '10.1/a']);
+
+    const byTitle = rankSources(sources, { topic: 'gardening', weights: { title: 10 }, now });
+    expect(byTitle[0].doi).toBe('10.1/a');
+  });
+
+  test('Parses factor=weight pairs and ignores all-zero weights', () => {
+    expect(parseWeights('Citations=3, recency=0 venue=x bogus=1')).toEqual({
+      weights: { citations: 3, recency: 0 },
+      unknown: ['venue=x', 'bogus=1']
+    });
+    const zero = Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(factor => [factor, 0]));
+    expect(resolveWeights(zero)).toEqual(DEFAULT_WEIGHTS);
+  });
+});
@@ -0,0 +1,59 @@
+const { TokenBucketLimiter, UsageQuota } = require('../utils/rate-limit');
+const { MemoryStore } = require('../utils/file-store');
+
+describe('Rate Limiting', () => {
+  test('Token bucket allows bursts up to capacity then refills', () => {
+    const limiter = new TokenBucketLimiter({ sources: { capacity: 2, refillPerMinute: 1 } });
+    const start = 1000000;
+
+    expect(limiter.take('42', 'sources', start).allowed).toBe(true);
+    expect(limiter.take('42', 'sources', start).allowed).toBe(true);
+    const limited = limiter.take('42', 'sources', start);
+    expect(limited.allowed).toBe(false);
+    expect(limited.retryAfterMs).toBe(60000);
+
+    // Other chats have their own bucket
+    expect(limiter.take('43', 'sources', start).allowed).toBe(true);
+
+    expect(limiter.take('42', 'sources', start + 60000).allowed).toBe(true);
+  });
+
+  test('Quotas count runs per day and month by user type', async () => {
+    const store = new MemoryStore();
+    const quota = new UsageQuota({
+      store,
+      limits: { guest: { daily: 2, monthly: 3 }, student: { daily: 5, monthly: 50 } }
+    });
+    const day1 = Date.UTC(2026, 9, 19, 10);
+    const day2 = Date.UTC(2026, 9, 20, 10);
+
+    expect((await quota.consume('42', 'guest', day1)).daily.remaining).toBe(1);
+    expect((await quota.consume('42', 'guest', day1)).allowed).toBe(true);
+    const blocked = await quota.consume('42', 'guest', day1);
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.exceeded).toBe('daily');
+
+    // A new day resets the daily count but not the monthly one
+    expect((await quota.consume('42', 'guest', day2)).allowed).toBe(true);
+    const monthly = await quota.usage('42', 'guest', day2);
+    expect(monthly.exceeded).toBe('monthly');
+    expect(monthly.monthly).toEqual({ used: 3, limit: 3, remaining: 0 });
+
+    // Unknown user types fall back to guest limits; counters live in the store
+    expect((await quota.usage('42', 'visitor', day2)).monthly.limit).toBe(3);
+    expect(await store.get('42')).toEqual({ day: '2026-10-20', month: '2026-10', dailyCount: 1, monthlyCount: 3 });
+  });
+
+  test('With a key secret, counters are stored without the chat id', async () => {
+    const store = new MemoryStore();
+    const quota = new UsageQuota({ store, limits: { guest: { daily: 1, monthly: 3 } }, keySecret: 'secret' });
+    const now = Date.parse('2026-10-19T12:00:00Z');
+
+    expect((await quota.consume('42', 'guest', now)).allowed).toBe(true);
+    const keys = (await store.entries()).map(([key]) => key);
+    expect(keys).toEqual([quota.keyFor('42')]);
+    expect(keys[0]).toMatch(/^[0-9a-f]{64}$/);
+    expect(quota.keyFor('43')).not.toBe(keys[0]);
+    expect((await quota.consume('42', 'guest', now)).allowed).toBe(false);
+  });
+});
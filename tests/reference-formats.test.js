@@ -0,0 +1,99 @@
+const {
+  detectReferenceFormat,
+  resolveReferenceFormat,
+  exportReferences,
+  parseReferences
+} = require('../src/reference-formats');
+
+const source = {
+  title: 'Urban Heat & Health',
+  authors: [{ name: 'Jane A. Doe' }, { name: 'Bob Smith' }],
+  year: 2022,
+  doi: '10.1000/heat_1',
+  abstract: 'Heat waves harm health.',
+  venue: 'Nature Cities',
+  type: 'journal',
+  journal: 'Nature Cities',
+  volume: '3',
+  issue: '2',
+  pages: '101-118',
+  publisher: 'Springer',
+  url: 'https://example.org/heat.pdf'
+};
+
+describe('Reference Formats', () => {
+  test('Files are recognized by extension first, then MIME type', () => {
+    expect(detectReferenceFormat({ fileName: 'library.BIB', mimeType: 'text/plain' })).toBe('bibtex');
+    expect(detectReferenceFormat({ fileName: 'export.ris' })).toBe('ris');
+    expect(detectReferenceFormat({ fileName: 'refs', mimeType: 'application/vnd.citationstyles.csl+json' })).toBe('csljson');
+    expect(detectReferenceFormat({ fileName: 'brief.pdf', mimeType: 'application/pdf' })).toBeNull();
+    expect(resolveReferenceFormat('JSON')).toBe('csljson');
+    expect(resolveReferenceFormat('docx')).toBeNull();
+  });
+
+  test.each(['bibtex', 'ris', 'csljson'])('%s export reads back as the same source', format => {
+    const text = exportReferences([source], format);
+    expect(parseReferences(text, format)).toEqual([source]);
+  });
+
+  test('BibTeX entries are parsed with LaTeX, braces and corporate authors', () => {
+    const [entry, preprint] = parseReferences(`
+@comment{exported by a reference manager}
+@Article{doe2020,
+  title = {The {City} and {\\"O}kologie: \\emph{urban} heat},
+  author = {M{\\"u}ller, J{\\"o}rg and {Food and Agriculture Organization}},
+  journaltitle = "Urban Climate",
+  date = {2020-05-01},
+  pages = {5--9},
+  doi = {https://doi.org/10.1000/URBAN},
+  month = may
+}
+@misc(chen2023, title = {Heat (Islands)}, author = {Chen, Li}, year = 2023, eprint = {2301.1}, archivePrefix = {arXiv}, doi = {10.48550/arXiv.2301.1})
+`, 'bibtex');
+
+    expect(entry).toEqual({
+      title: 'The City and Ökologie: urban heat',
+      authors: [{ name: 'Jörg Müller' }, { name: 'Food and Agriculture Organization' }],
+      year: 2020,
+      doi: '10.1000/URBAN',
+      venue: 'Urban Climate',
+      type: 'journal',
+      journal: 'Urban Climate',
+      pages: '5-9'
+    });
+    expect(preprint).toMatchObject({ title: 'Heat (Islands)', type: 'preprint', year: 2023, doi: '10.48550/arXiv.2301.1' });
+  });
+
+  test('RIS and CSL-JSON from other tools are mapped onto the source shape', () => {
+    const [ris] = parseReferences([
+      'TY  - CONF',
+      'T1  - Cooling Cities',
+      'A1  - Lee, Kim',
+      'Y1  - 2019///',
+      'BT  - Proceedings of Urban Design',
+      'DO  - doi:10.2000/cool',
+      'ER  - '
+    ].join('\r\n'), 'ris');
+    expect(ris).toEqual({
+      title: 'Cooling Cities',
+      authors: [{ name: 'Kim Lee' }],
+      year: 2019,
+      doi: '10.2000/cool',
+      venue: 'Proceedings of Urban Design',
+      type: 'conference'
+    });
+
+    const [csl] = parseReferences('﻿' + JSON.stringify({
+      items: [{ type: 'chapter', title: 'Shade', author: [{ literal: 'WHO' }], issued: { raw: '2018' }, DOI: '10.3000/shade', volume: 4 }]
+    }), 'csljson');
+    expect(csl).toEqual({ title: 'Shade', authors: [{ name: 'WHO' }], year: 2018, doi: '10.3000/shade', volume: '4' });
+    expect(() => parseReferences('{not json', 'csljson')).toThrow();
+  });
+
+  test('Citation keys stay unique', () => {
+    const bib = exportReferences([source, { ...source, doi: '10.1000/other' }], 'bibtex');
+    expect(bib.match(/@article\{[^,]+/g)).toEqual(['@article{doe2022urban', '@article{doe2022urbana']);
+    expect(bib).toContain('title = {Urban Heat \\& Health}');
+    expect(bib).toContain('doi = {10.1000/heat_1}');
+  });
+});
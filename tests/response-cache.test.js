@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache, cacheKey, parseTtlHours } = require('../utils/response-cache');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Response Cache', () => {
+  let dir;
+  let now;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+    now = 0;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('Normalized requests share an entry until the API TTL runs out', async () => {
+    const cache = new ResponseCache({ dir, ttlHours: { crossref: 1 }, staleHours: 0, now: () => now });
+    const fetch = jest.fn(async () => ['paper']);
+
+    expect(await cache.wrap('crossref', { query: 'Urban  Heat', limit: 5 }, fetch)).toEqual(['paper']);
+    expect(await cache.wrap('crossref', { limit: 5, query: ' urban heat ' }, fetch)).toEqual(['paper']);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(cacheKey('crossref', { query: 'a' })).not.toBe(cacheKey('openalex', { query: 'a' }));
+
+    // Another process (e.g. after a restart) reads the same disk entry
+    const reopened = new ResponseCache({ dir, ttlHours: { crossref: 1 }, staleHours: 0, now: () => now });
+    expect(await reopened.wrap('crossref', { query: 'urban heat', limit: 5 }, fetch)).toEqual(['paper']);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    now = HOUR_MS;
+    await cache.wrap('crossref', { query: 'urban heat', limit: 5 }, fetch);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(parseTtlHours('groq=168, crossref=0.5 nope')).toEqual({ groq: 168, crossref: 0.5 });
+  });
+
+  test('Stale entries are served while they refresh; failures are not cached', async () => {
+    const cache = new ResponseCache({ dir, ttlHours: { groq: 1 }, staleHours: 1, now: () => now });
+    await cache.wrap('groq', { prompt: 'x' }, async () => ['old']);
+
+    now = 1.5 * HOUR_MS;
+    const refresh = jest.fn(async () => ['new']);
+    expect(await cache.wrap('groq', { prompt: 'x' }, refresh)).toEqual(['old']);
+    await cache.idle();
+    expect(await cache.wrap('groq', { prompt: 'x' }, refresh)).toEqual(['new']);
+    expect(refresh).toHaveBeenCalledTimes(1);
+
+    await expect(cache.wrap('groq', { prompt: 'y' }, async () => { throw new Error('down'); })).rejects.toThrow('down');
+    expect(await cache.wrap('groq', { prompt: 'y' }, async () => ['ok'])).toEqual(['ok']);
+    expect((await cache.stats()).apis.groq).toMatchObject({ entries: 2, hits: 1, stale: 1, misses: 3 });
+  });
+
+  test('The oldest entries are evicted past the size limit, and purges can target one API', async () => {
+    const cache = new ResponseCache({ dir, maxBytes: 1500, now: () => now });
+    const payload = 'x'.repeat(400);
+    for (let i = 0; i < 4; i++) {
+      await cache.wrap('openalex', { query: `q${i}` }, async () => payload);
+      // mtime drives eviction order
+      const file = path.join(dir, `${encodeURIComponent(cacheKey('openalex', { query: `q${i}` }))}.json`);
+      fs.utimesSync(file, i + 1, i + 1);
+    }
+    await cache.evict();
+
+    const remaining = (await cache.inspect('openalex')).map(entry => entry.request.query);
+    expect(remaining).toEqual(['q3', 'q2']);
+    expect((await cache.stats()).bytes).toBeLessThanOrEqual(1500);
+
+    await cache.wrap('arxiv', { query: 'q' }, async () => []);
+    expect(await cache.purge('openalex')).toBe(2);
+    const { apis } = await cache.stats();
+    expect(apis.openalex.entries).toBe(0);
+    expect(apis.arxiv.entries).toBe(1);
+  });
+});
@@ -0,0 +1,76 @@
+const { Roster, generateInviteCode } = require('../utils/roster');
+const { MemoryStore } = require('../utils/file-store');
+
+describe('Tutor Roster', () => {
+  const createRoster = () => new Roster({ store: new MemoryStore(), inviteStore: new MemoryStore() });
+
+  test('Students are kept per tutor and found by id or name', async () => {
+    const roster = createRoster();
+    const jane = await roster.addStudent('100', 'Jane Doe');
+    await roster.addStudent('100', 'John Smith');
+    await roster.addStudent('200', 'Other Tutor Student');
+
+    expect((await roster.list('100')).map(student => student.name)).toEqual(['Jane Doe', 'John Smith']);
+    expect(await roster.find('100', 'jane doe')).toMatchObject({ id: jane.id });
+    expect(await roster.find('100', 'joh')).toMatchObject({ name: 'John Smith' });
+    expect(await roster.find('100', jane.id)).toMatchObject({ name: 'Jane Doe' });
+    expect(await roster.find('100', 'Other')).toBeNull();
+    expect(Roster.workspaceId('100', jane.id)).toBe(`tutor_100_${jane.id}`);
+  });
+
+  test('Invite codes link a student chat once', async () => {
+    const roster = createRoster();
+    const student = await roster.addStudent('100', 'Jane Doe');
+    const code = await roster.createInvite('100', student.id);
+    expect(code).toMatch(/^[A-Z2-9]{8}$/);
+
+    const joined = await roster.redeemInvite(code.toLowerCase(), 555);
+    expect(joined.tutorChatId).toBe('100');
+    expect(joined.student).toMatchObject({ id: student.id, chatId: '555' });
+
+    expect(await roster.redeemInvite(code, 666)).toBeNull();
+    expect(await roster.redeemInvite('NOTACODE', 666)).toBeNull();
+  });
+
+  test('Assignments and feedback are recorded per student with merged tags', async () => {
+    const roster = createRoster();
+    const jane = await roster.addStudent('100', 'Jane Doe');
+    const john = await roster.addStudent('100', 'John Smith');
+
+    await roster.recordAssignment('100', jane.id, { topic: 'Climate', tags: ['biology', 'essay'] });
+    await roster.recordAssignment('100', jane.id, { topic: 'Oceans', tags: ['biology'], filename: 'oceans.docx' });
+    await roster.recordFeedback('100', jane.id, { topic: 'Oceans', rating: 4 });
+
+    const updated = await roster.get('100', jane.id);
+    expect(updated.assignments.map(entry => entry.topic)).toEqual(['Climate', 'Oceans']);
+    expect(updated.tags).toEqual(['biology', 'essay']);
+    expect(updated.feedback[0]).toMatchObject({ rating: 4 });
+    expect((await roster.get('100', john.id)).assignments).toEqual([]);
+
+    // Unknown students are ignored rather than created
+    expect(await roster.recordAssignment('100', 'missing', { topic: 'X' })).toBeNull();
+  });
+
+  test('Generated invite codes avoid ambiguous characters', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(generateInviteCode()).not.toMatch(/[01IO]/);
+    }
+  });
+
+  test('Deleting a tutor removes their roster and invites; students are only unlinked', async () => {
+    const roster = createRoster();
+    const student = await roster.addStudent('100', 'Jane Doe');
+    await roster.redeemInvite(await roster.createInvite('100', student.id), 555);
+    await roster.createInvite('100', student.id);
+    await roster.addStudent('200', 'Someone Else');
+
+    expect((await roster.linkedEntries(555)).map(entry => entry.tutorChatId)).toEqual(['100']);
+    expect(await roster.unlink(555)).toBe(1);
+    expect(await roster.get('100', student.id)).toMatchObject({ name: 'Jane Doe', chatId: null });
+
+    expect(await roster.deleteRoster('100')).toBe(1);
+    expect(await roster.list('100')).toEqual([]);
+    expect(await roster.inviteStore.entries()).toEqual([]);
+    expect((await roster.list('200')).length).toBe(1);
+  });
+});
@@ -0,0 +1,70 @@
+const { expandCitations, scoreCandidates } = require('../utils/snowball');
+const { ServiceUnavailableError } = require('../utils/http-client');
+
+const paper = (doi, title, extra = {}) => ({ doi, title, ...extra });
+
+// A small citation graph: seeds a and b both cite "shared"; "citer" cites a
+const graph = {
+  '10.1/a': { references: [paper('10.1/shared', 'Urban heat mitigation'), paper('10.1/b', 'Seed B')], citations: [paper('10.1/citer', 'Later study')] },
+  '10.1/b': { references: [paper('10.1/SHARED', 'Urban heat mitigation'), paper('10.1/only-b', 'Soil moisture')], citations: [] },
+  '10.1/shared': { references: [paper('10.1/deep', 'Heat and urban trees')], citations: [] },
+  '10.1/citer': { references: [], citations: [] }
+};
+
+describe('Citation Snowballing', () => {
+  test('Neighbours of the seeds are collected once, with the seeds they link to', async () => {
+    const neighbours = jest.fn(async doi => graph[doi] || { references: [], citations: [] });
+    const { candidates, calls } = await expandCitations(['10.1/a', '10.1/B'], { neighbours, fanOut: 7 });
+
+    expect(calls).toBe(2);
+    expect(neighbours).toHaveBeenCalledWith('10.1/a', { limit: 7 });
+    expect(candidates.map(candidate => candidate.doi)).toEqual(['10.1/shared', '10.1/citer', '10.1/only-b']);
+    expect(candidates[0].snowball).toEqual({ level: 1, links: 2, seeds: 2, relations: ['reference'] });
+    expect(candidates[1].snowball.relations).toEqual(['citation']);
+  });
+
+  test('Depth and frontier limits bound the lookups', async () => {
+    const neighbours = jest.fn(async doi => graph[doi] || { references: [], citations: [] });
+    const { candidates, calls } = await expandCitations(['10.1/a', '10.1/b'], { neighbours, depth: 2, maxFrontier: 1 });
+
+    // One seed explored, then only its best-linked neighbour
+    expect(calls).toBe(2);
+    expect(neighbours.mock.calls.map(([doi]) => doi)).toEqual(['10.1/a', '10.1/shared']);
+    expect(candidates.find(candidate => candidate.doi === '10.1/deep').snowball).toMatchObject({ level: 2, seeds: 1 });
+
+    const unbounded = await expandCitations(['10.1/a'], { neighbours, depth: 5 });
+    // Never more than two levels: a, then shared, b and citer
+    expect(unbounded.calls).toBe(4);
+  });
+
+  test('An outage of every lookup is an error, a partial one is not', async () => {
+    const down = new ServiceUnavailableError('semanticscholar');
+    await expect(expandCitations(['10.1/a'], { neighbours: async () => { throw down; } })).rejects.toBe(down);
+
+    const neighbours = async doi => {
+      if (doi === '10.1/b') throw down;
+      return graph[doi];
+    };
+    const { candidates } = await expandCitations(['10.1/a', '10.1/b'], { neighbours });
+    expect(candidates).toHaveLength(2);
+  });
+
+  test('Candidates linked to more seeds and matching the topic rank first', () => {
+    const candidates = [
+      paper('10.1/only-b', 'Soil moisture', { snowball: { level: 1, links: 1, seeds: 1, relations: ['reference'] } }),
+      paper('10.1/shared', 'Urban heat mitigation', { snowball: { level: 1, links: 2, seeds: 2, relations: ['reference'] } }),
+      paper('10.1/trees', 'Urban heat and trees', { snowball: { level: 1, links: 1, seeds: 1, relations: ['citation'] } })
+    ];
+    const ranked = scoreCandidates(candidates, { topic: 'urban heat', seedCount: 2 });
+
+    expect(ranked.map(source => source.doi)).toEqual(['10.1/shared', '10.1/trees', '10.1/only-b']);
+    expect(ranked[0].ranking).toEqual({
+      score: 100,
+      reasons: [
+        { factor: 'cocitation', points: 60, links: 2, seeds: 2, total: 2 },
+        { factor: 'topic', points: 40, matched: 2, total: 2 }
+      ]
+    });
+    expect(ranked[2].ranking.score).toBe(30);
+  });
+});
@@ -0,0 +1,36 @@
+const { parseFilters, matchesFilters, describeFilters } = require('../utils/source-filters');
+
+describe('Source Filters', () => {
+  test('Parses filters from request text and keeps other tokens', () => {
+    expect(parseFilters('year=1950-1990 type=journal,review oa mincites=10 lang=EN citations=3')).toEqual({
+      filters: { yearFrom: 1950, yearTo: 1990, types: ['journal', 'review'], openAccess: true, minCitations: 10, language: 'en' },
+      rest: ['citations=3'],
+      error: null
+    });
+    expect(parseFilters('1848').filters).toEqual({ yearFrom: 1848, yearTo: 1848 });
+    expect(parseFilters('-1900 oa=no', { language: 'fr' }).filters).toEqual({ yearTo: 1900, openAccess: false, language: 'fr' });
+    expect(parseFilters('year=1990-1950').error).toContain('yearTo');
+    expect(parseFilters('type=book', { yearFrom: 2000 })).toMatchObject({ filters: { yearFrom: 2000 }, error: expect.stringContaining('types') });
+  });
+
+  test('Applies every filter to normalized sources', () => {
+    const source = { year: 1965, type: 'journal', citationCount: 40, url: 'https://oa.example/a.pdf', language: 'en' };
+
+    expect(matchesFilters(source, {})).toBe(true);
+    expect(matchesFilters(source, { yearFrom: 1950, yearTo: 1990, types: ['journal'], openAccess: true, minCitations: 40, language: 'en' })).toBe(true);
+    expect(matchesFilters(source, { yearFrom: 1970 })).toBe(false);
+    expect(matchesFilters(source, { types: ['review'] })).toBe(false);
+    expect(matchesFilters({ ...source, openAccess: false }, { openAccess: true })).toBe(false);
+    expect(matchesFilters(source, { minCitations: 41 })).toBe(false);
+    expect(matchesFilters(source, { language: 'fr' })).toBe(false);
+    // Unknown types and languages pass; a missing year does not pass a year range
+    expect(matchesFilters({ year: 1965 }, { types: ['review'], language: 'fr' })).toBe(true);
+    expect(matchesFilters({}, { yearTo: 1990 })).toBe(false);
+  });
+
+  test('Describes filters compactly', () => {
+    expect(describeFilters({ yearFrom: 1950, yearTo: 1990, types: ['journal'], openAccess: true, minCitations: 10, language: 'en' }))
+      .toBe('1950–1990 · journal · open access · 10+ citations · en');
+    expect(describeFilters({ yearTo: 1900 })).toBe('…–1900');
+  });
+});
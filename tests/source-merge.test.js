@@ -0,0 +1,68 @@
+const { normalizeTitle, titleSimilarity, sameWork, mergeDuplicates } = require('../utils/source-merge');
+
+describe('Source merging', () => {
+  test('Titles compare without case, diacritics or punctuation', () => {
+    expect(normalizeTitle('Café Culture: Urban “Heat” Islands!')).toBe('cafe culture urban heat islands');
+    expect(titleSimilarity('Urban Heat Islands in Nairobi', 'urban heat-islands in Nairobi.')).toBe(1);
+    expect(titleSimilarity('Urban heat islands in Nairobi', 'Urban heat island in Nairobi')).toBeGreaterThan(0.9);
+    expect(titleSimilarity('Urban heat islands in Nairobi', 'Rural water access in Kisumu')).toBeLessThan(0.5);
+  });
+
+  test('An arXiv preprint merges into its journal version', () => {
+    const preprint = {
+      title: 'Deep learning for crop yield prediction',
+      authors: [{ name: 'Amina Odhiambo' }, { name: 'Li Wei' }],
+      year: 2021,
+      doi: '10.48550/arXiv.2101.00001',
+      type: 'preprint',
+      abstract: 'We predict crop yields from satellite imagery with convolutional networks trained on ten seasons.',
+      url: 'https://arxiv.org/pdf/2101.00001',
+      openAccess: true,
+      citationCount: 4,
+      providers: ['arxiv']
+    };
+    const published = {
+      title: 'Deep Learning for Crop-Yield Prediction',
+      authors: [{ name: 'Odhiambo A' }],
+      year: 2022,
+      doi: '10.1016/j.agsy.2022.1',
+      type: 'journal',
+      venue: 'Agricultural Systems',
+      abstract: 'Crop yield prediction with CNNs.',
+      openAccess: false,
+      citationCount: 12,
+      providers: ['crossref']
+    };
+
+    const [merged, ...rest] = mergeDuplicates([preprint, published]);
+    expect(rest).toEqual([]);
+    expect(merged).toMatchObject({
+      title: 'Deep Learning for Crop-Yield Prediction',
+      doi: '10.1016/j.agsy.2022.1',
+      type: 'journal',
+      venue: 'Agricultural Systems',
+      year: 2022,
+      url: 'https://arxiv.org/pdf/2101.00001',
+      openAccess: true,
+      abstract: preprint.abstract,
+      citationCount: 12,
+      providers: ['arxiv', 'crossref'],
+      mergedFrom: [
+        { doi: '10.48550/arXiv.2101.00001', providers: ['arxiv'], type: 'preprint' },
+        { doi: '10.1016/j.agsy.2022.1', providers: ['crossref'], type: 'journal' }
+      ]
+    });
+  });
+
+  test('Similar titles stay separate when DOIs, authors or years disagree', () => {
+    const base = { title: 'Climate change and migration', authors: [{ name: 'Jane Doe' }], year: 2020 };
+    expect(sameWork({ ...base, doi: '10.1/a' }, { ...base, doi: '10.1/b' })).toBe(false);
+    expect(sameWork(base, { ...base, authors: [{ name: 'Smith, John' }] })).toBe(false);
+    expect(sameWork(base, { ...base, year: 2015 })).toBe(false);
+    expect(sameWork(base, { ...base, authors: [{ name: 'Doe, Jane' }], year: 2021 })).toBe(true);
+
+    const works = mergeDuplicates([{ ...base, doi: '10.1/a' }, { ...base, doi: '10.1/b' }]);
+    expect(works).toHaveLength(2);
+    expect(works[0].mergedFrom).toBeUndefined();
+  });
+});
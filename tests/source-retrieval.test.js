@@ -0,0 +1,64 @@
+// Every search in these tests must reach the (mocked) API
+process.env.RESPONSE_CACHE = 'off';
+
+const axios = require('axios');
+const { searchPapers, deduplicateSources } = require('../src/source-retrieval');
+
+jest.mock('axios');
+
+describe('Source Retrieval', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('Search pages report the next offset until a short page', async () => {
+    const papers = count => Array.from({ length: count }, (_, i) => ({
+      paperId: `p${i}`,
+      title: `Paper ${i}`,
+      authors: [{ name: 'Jane Doe' }],
+      year: 2022,
+      openAccessPdf: { url: 'https://example.org/p.pdf' }
+    }));
+
+    axios.get.mockResolvedValueOnce({ data: { data: papers(2) } });
+    const first = await searchPapers('climate', { offset: 0, limit: 2 });
+    expect(first.nextOffset).toBe(2);
+    expect(first.papers[0]).toMatchObject({ id: 'p0', title: 'Paper 0', url: 'https://example.org/p.pdf' });
+    expect(axios.get.mock.calls[0][1].params).toMatchObject({ query: 'climate', limit: 2, offset: 0 });
+
+    axios.get.mockResolvedValueOnce({ data: { data: papers(1) } });
+    expect((await searchPapers('climate', { offset: 2, limit: 2 })).nextOffset).toBeNull();
+  });
+
+  test('Search failures return an empty last page marked unavailable', async () => {
+    jest.spyOn(console, 'error').mockImplementation();
+    axios.get.mockRejectedValueOnce(new Error('Semantic Scholar down'));
+    expect(await searchPapers('climate')).toEqual({ papers: [], nextOffset: null, unavailable: true });
+    console.error.mockRestore();
+  });
+
+  test('Duplicates from several providers merge into one record', () => {
+    const merged = deduplicateSources([
+      { title: 'Cities', doi: '10.1/ABC', year: 2022, authors: [], providers: ['semanticscholar'] },
+      { title: 'Cities', doi: '10.1/abc', authors: [{ name: 'Jane Doe' }], url: 'https://oa.example/c.pdf', providers: ['openalex'] },
+      { title: 'Other', doi: '10.1/other', providers: ['crossref'] }
+    ]);
+
+    expect(merged).toEqual([
+      {
+        title: 'Cities',
+        doi: '10.1/ABC',
+        year: 2022,
+        authors: [{ name: 'Jane Doe' }],
+        url: 'https://oa.example/c.pdf',
+        openAccess: true,
+        providers: ['semanticscholar', 'openalex'],
+        mergedFrom: [
+          { doi: '10.1/ABC', providers: ['semanticscholar'] },
+          { doi: '10.1/abc', providers: ['openalex'] }
+        ]
+      },
+      { title: 'Other', doi: '10.1/other', providers: ['crossref'] }
+    ]);
+  });
+});
@@ -0,0 +1,47 @@
+const { StateMachine, InvalidTransitionError } = require('../utils/state-machine');
+
+describe('State Machine', () => {
+  const machine = new StateMachine({
+    initial: 'idle',
+    states: {
+      idle: { on: ['aggregating'] },
+      aggregating: { on: ['confirming', 'idle'], timeoutMs: 1000 },
+      confirming: { on: ['idle'] }
+    }
+  });
+
+  test('Follows declared transitions and records entry time', () => {
+    const session = {};
+    expect(machine.current(session)).toBe('idle');
+
+    machine.transition(session, 'aggregating');
+    expect(session.state).toBe('aggregating');
+    expect(typeof session.stateEnteredAt).toBe('number');
+
+    machine.transition(session, 'confirming');
+    expect(machine.current(session)).toBe('confirming');
+  });
+
+  test('Rejects undeclared transitions', () => {
+    const session = { state: 'idle' };
+    expect(machine.can(session, 'confirming')).toBe(false);
+    expect(() => machine.transition(session, 'confirming')).toThrow(InvalidTransitionError);
+    expect(session.state).toBe('idle');
+  });
+
+  test('Reports timeouts from the state entry time', () => {
+    const session = { state: 'aggregating', stateEnteredAt: 10000 };
+    expect(machine.isTimedOut(session, 10500)).toBe(false);
+    expect(machine.isTimedOut(session, 11000)).toBe(true);
+
+    // States without a timeout never expire
+    expect(machine.isTimedOut({ state: 'confirming', stateEnteredAt: 0 })).toBe(false);
+  });
+
+  test('Rejects unknown target states at construction', () => {
+    expect(() => new StateMachine({
+      initial: 'idle',
+      states: { idle: { on: ['missing'] } }
+    })).toThrow('unknown target');
+  });
+});
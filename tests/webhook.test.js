@@ -0,0 +1,88 @@
+const http = require('http');
+const { createWebhookHandler, secretMatches } = require('../utils/webhook');
+
+describe('Webhook Handler', () => {
+  let server;
+  let baseUrl;
+  const updates = [];
+  // Updates with this text wait until the test releases them
+  let release = () => {};
+
+  beforeAll(done => {
+    const handler = createWebhookHandler({
+      secretToken: 'test-secret',
+      maxBodyBytes: 1024,
+      onUpdate: async update => {
+        if (update.message?.text === 'slow') await new Promise(resolve => { release = resolve; });
+        if (update.message?.text === 'fail') throw new Error('handler failed');
+        updates.push(update);
+      }
+    });
+    server = http.createServer((req, res) => handler(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    updates.length = 0;
+  });
+
+  const post = (body, headers = {}) => fetch(`${baseUrl}/telegram/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body
+  });
+
+  test('Passes verified updates to the bot', async () => {
+    const response = await post(JSON.stringify({ update_id: 1, message: { text: 'hi' } }), {
+      'X-Telegram-Bot-Api-Secret-Token': 'test-secret'
+    });
+    expect(response.status).toBe(200);
+    expect(updates).toEqual([{ update_id: 1, message: { text: 'hi' } }]);
+  });
+
+  test('Answers before a slow update is processed, and a failing one still gets 200', async () => {
+    const headers = { 'X-Telegram-Bot-Api-Secret-Token': 'test-secret' };
+    const response = await post(JSON.stringify({ update_id: 5, message: { text: 'slow' } }), headers);
+    expect(response.status).toBe(200);
+    expect(updates).toHaveLength(0);
+    release();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(updates.map(update => update.update_id)).toEqual([5]);
+
+    jest.spyOn(console, 'error').mockImplementation();
+    expect((await post(JSON.stringify({ update_id: 6, message: { text: 'fail' } }), headers)).status).toBe(200);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(console.error).toHaveBeenCalledWith('Webhook update error:', 'handler failed');
+    console.error.mockRestore();
+  });
+
+  test('Rejects missing or wrong secret tokens', async () => {
+    expect((await post(JSON.stringify({ update_id: 2 }))).status).toBe(401);
+    expect((await post(JSON.stringify({ update_id: 2 }), {
+      'X-Telegram-Bot-Api-Secret-Token': 'wrong'
+    })).status).toBe(401);
+    expect(updates).toHaveLength(0);
+  });
+
+  test('Rejects oversized and malformed bodies', async () => {
+    const headers = { 'X-Telegram-Bot-Api-Secret-Token': 'test-secret' };
+    const large = JSON.stringify({ update_id: 3, message: { text: 'x'.repeat(2000) } });
+    expect((await post(large, headers)).status).toBe(413);
+    expect((await post('not json', headers)).status).toBe(400);
+    expect((await post(JSON.stringify({ message: {} }), headers)).status).toBe(400);
+    expect(updates).toHaveLength(0);
+  });
+
+  test('Compares secrets exactly', () => {
+    expect(secretMatches('abc', 'abc')).toBe(true);
+    expect(secretMatches('abcd', 'abc')).toBe(false);
+    expect(secretMatches(undefined, 'abc')).toBe(false);
+  });
+});
@@ -0,0 +1,200 @@
+const { ZoteroLibrary, toZoteroItem } = require('../utils/zotero-library');
+
+const source = (doi, extra = {}) => ({
+  title: `Paper ${doi}`,
+  authors: [{ name: 'Jane A. Doe' }, { name: 'UNESCO' }],
+  year: 2021,
+  doi,
+  abstract: 'About heat.',
+  ...extra
+});
+
+// An in-memory Zotero library behind get/post/delete, with per-item versions
+function fakeClient({ items = [], collections = [], conflictOnce = [] } = {}) {
+  const library = { items: new Map(items.map(item => [item.key, item])), collections, version: 10, nextKey: 1 };
+  const conflicts = new Set(conflictOnce);
+  const posts = [];
+  const path = url => url.replace('https://api.zotero.org/users/42', '');
+
+  const client = {
+    get: jest.fn(async (url, { params }) => {
+      if (path(url).startsWith('/collections')) return { data: library.collections.slice(params.start, params.start + params.limit) };
+      if (params.format === 'versions') return { data: {}, headers: { 'last-modified-version': String(library.version) } };
+      let found = [...library.items.values()];
+      if (params.itemKey) found = found.filter(item => params.itemKey.split(',').includes(item.key));
+      if (params.tag) found = found.filter(item => item.data.tags.some(entry => entry.tag === params.tag));
+      if (params.q) found = found.filter(item => JSON.stringify(item.data).toLowerCase().includes(params.q));
+      return { data: found.slice(params.start || 0, (params.start || 0) + params.limit) };
+    }),
+    post: jest.fn(async (url, objects, config) => {
+      posts.push({ path: path(url), objects, headers: config.headers });
+      const result = { successful: {}, success: {}, unchanged: {}, failed: {} };
+      objects.forEach((object, index) => {
+        if (path(url) === '/collections') {
+          const key = `COLL${library.nextKey++}`;
+          library.collections.push({ key, data: { ...object, key } });
+          result.success[index] = key;
+          return;
+        }
+        if (object.key) {
+          const item = library.items.get(object.key);
+          if (conflicts.delete(object.key)) {
+            // Changed elsewhere since it was read
+            item.version++;
+            item.data.tags.push({ tag: 'edited-elsewhere' });
+          }
+          if (object.version !== item.version) {
+            result.failed[index] = { key: object.key, code: 412, message: 'Item has been modified since specified version' };
+            return;
+          }
+          const { key, version, ...fields } = object;
+          Object.assign(item.data, fields);
+          item.version = ++library.version;
+          result.success[index] = key;
+          return;
+        }
+        if (!object.title) {
+          result.failed[index] = { code: 400, message: 'Title missing' };
+          return;
+        }
+        const key = `ITEM${library.nextKey++}`;
+        library.items.set(key, { key, version: ++library.version, data: { ...object, key } });
+        result.successful[index] = { key };
+      });
+      return { data: result };
+    }),
+    delete: jest.fn(async (url, { params, headers }) => {
+      if (headers['If-Unmodified-Since-Version'] !== String(library.version)) throw Object.assign(new Error('412'), { response: { status: 412 } });
+      params.itemKey.split(',').forEach(key => library.items.delete(key));
+      library.version++;
+    })
+  };
+  return { client, library, posts };
+}
+
+const zotero = client => new ZoteroLibrary({ client, userId: '42', apiKey: 'secret' });
+
+describe('Zotero Library', () => {
+  test('Items carry split creators, the abstract, tags and the collection', () => {
+    const item = toZoteroItem(source('10.1000/a', { type: 'conference', venue: 'UrbanConf', pages: '1-9' }), {
+      collections: ['COLL1'],
+      tags: ['telegram-chat-7', 'climate']
+    });
+    expect(item).toMatchObject({
+      itemType: 'conferencePaper',
+      creators: [
+        { creatorType: 'author', firstName: 'Jane A.', lastName: 'Doe' },
+        { creatorType: 'author', name: 'UNESCO' }
+      ],
+      abstractNote: 'About heat.',
+      date: '2021',
+      DOI: '10.1000/a',
+      proceedingsTitle: 'UrbanConf',
+      pages: '1-9',
+      collections: ['COLL1'],
+      tags: [{ tag: 'telegram-chat-7' }, { tag: 'climate' }]
+    });
+    expect(toZoteroItem(source('10.1000/b', { journal: 'Nature' }))).toMatchObject({ itemType: 'journalArticle', publicationTitle: 'Nature' });
+  });
+
+  test('Sources are created in batches of 50 in a collection made once per assignment', async () => {
+    const { client, library, posts } = fakeClient();
+    const library42 = zotero(client);
+    const sources = Array.from({ length: 60 }, (_, i) => source(`10.1000/${i}`));
+
+    const keys = await library42.sync([...sources, source('10.1000/0')], { collection: 'Urban heat (2026-11-01)', tags: ['telegram-chat-7'] });
+
+    const itemWrites = posts.filter(post => post.path === '/items');
+    expect(itemWrites.map(post => post.objects.length)).toEqual([50, 10]);
+    expect(itemWrites[0].headers['Zotero-Write-Token']).toMatch(/^[0-9a-f]{32}$/);
+    expect(keys).toHaveLength(61);
+    expect(keys[60]).toBe(keys[0]);
+    expect(library.collections).toHaveLength(1);
+    expect([...library.items.values()][0].data.collections).toEqual([library.collections[0].key]);
+
+    await library42.sync([source('10.1000/new')], { collection: 'Urban heat (2026-11-01)' });
+    expect(posts.filter(post => post.path === '/collections')).toHaveLength(1);
+  });
+
+  test('Papers already in the library are matched by DOI and updated, not created again', async () => {
+    const existing = { key: 'OLD1', version: 3, data: { DOI: '10.1000/X', title: 'Old', collections: ['OTHER'], tags: [{ tag: 'telegram-chat-1' }] } };
+    const { client, library, posts } = fakeClient({ items: [existing], collections: [{ key: 'HEAT', data: { name: 'Heat' } }] });
+
+    const keys = await zotero(client).sync([source('10.1000/x'), source('10.1000/y')], { collection: 'Heat', tags: ['telegram-chat-7'] });
+
+    expect(keys[0]).toBe('OLD1');
+    expect(library.items.get('OLD1').data).toMatchObject({
+      collections: ['OTHER', 'HEAT'],
+      tags: [{ tag: 'telegram-chat-1' }, { tag: 'telegram-chat-7' }]
+    });
+    // One update (with its version, without a write token) and one create
+    expect(posts.map(post => post.objects.length)).toEqual([1, 1]);
+    expect(posts[0].objects[0]).toMatchObject({ key: 'OLD1', version: 3 });
+    expect(posts[0].headers['Zotero-Write-Token']).toBeUndefined();
+  });
+
+  test('An item changed since it was read is re-read and merged instead of overwritten', async () => {
+    const existing = { key: 'OLD1', version: 3, data: { DOI: '10.1000/x', title: 'Old', collections: [], tags: [] } };
+    const { client, library } = fakeClient({ items: [existing], conflictOnce: ['OLD1'] });
+
+    const [key] = await zotero(client).sync([source('10.1000/x')], { tags: ['telegram-chat-7'] });
+
+    expect(key).toBe('OLD1');
+    expect(library.items.get('OLD1').data.tags).toEqual([{ tag: 'edited-elsewhere' }, { tag: 'telegram-chat-7' }]);
+  });
+
+  test('Items Zotero refuses get no key, the rest are kept', async () => {
+    jest.spyOn(console, 'error').mockImplementation();
+    const { client } = fakeClient();
+    const keys = await zotero(client).sync([source('10.1000/a'), source('10.1000/b', { title: '' })]);
+    expect(keys[0]).toMatch(/^ITEM/);
+    expect(keys[1]).toBeNull();
+    console.error.mockRestore();
+  });
+
+  test('Deletes name the library version and retry once after a conflict', async () => {
+    const items = ['A', 'B'].map(key => ({ key, version: 1, data: { tags: [] } }));
+    const { client, library } = fakeClient({ items });
+    // Another client writes between reading the version and deleting
+    client.delete.mockImplementationOnce(async () => {
+      throw Object.assign(new Error('412'), { response: { status: 412 } });
+    });
+
+    await expect(zotero(client).deleteItems(['A', 'B'])).resolves.toBe(2);
+    expect(library.items.size).toBe(0);
+    expect(client.delete).toHaveBeenCalledTimes(2);
+  });
+
+  test('Releasing a chat deletes only items created for it alone; adopted and shared items lose the tag', async () => {
+    const tagged = (key, ...tags) => ({ key, version: 1, data: { DOI: `10.1000/${key}`, title: key, collections: [], tags: tags.map(tag => ({ tag })) } });
+    const { client, library } = fakeClient({ items: [tagged('OWNER', 'reading-list')] });
+    const library42 = zotero(client);
+
+    // The owner's own paper is adopted, a new one is created
+    await library42.sync([source('10.1000/owner'), source('10.1000/new')], { tags: ['telegram-chat-7'], createdTags: ['telegram-created'] });
+    const created = [...library.items.values()].find(item => item.key !== 'OWNER');
+    expect(created.data.tags).toEqual([{ tag: 'telegram-chat-7' }, { tag: 'telegram-created' }]);
+    expect(library.items.get('OWNER').data.tags).toEqual([{ tag: 'reading-list' }, { tag: 'telegram-chat-7' }]);
+    library.items.set('SHARED', tagged('SHARED', 'telegram-chat-7', 'telegram-chat-8', 'telegram-created'));
+
+    const result = await library42.releaseTag('telegram-chat-7', { createdTag: 'telegram-created', ownerPrefix: 'telegram-chat-' });
+
+    expect(result).toEqual({ deleted: 1, untagged: 2, failed: [] });
+    expect(library.items.has(created.key)).toBe(false);
+    expect(library.items.get('OWNER').data.tags).toEqual([{ tag: 'reading-list' }]);
+    expect(library.items.get('SHARED').data.tags).toEqual([{ tag: 'telegram-chat-8' }, { tag: 'telegram-created' }]);
+  });
+
+  test('Items Zotero refuses to untag are reported, not counted', async () => {
+    const tagged = key => ({ key, version: 1, data: { title: key, collections: [], tags: [{ tag: 'telegram-chat-7' }] } });
+    const { client, library } = fakeClient({ items: [tagged('A'), tagged('B')] });
+    client.post.mockImplementationOnce(async (url, objects) => ({
+      data: { success: { 0: objects[0].key }, failed: { 1: { key: objects[1].key, code: 500, message: 'Server error' } } }
+    }));
+
+    const result = await zotero(client).releaseTag('telegram-chat-7', { createdTag: 'telegram-created', ownerPrefix: 'telegram-chat-' });
+
+    expect(result).toEqual({ deleted: 0, untagged: 1, failed: ['B'] });
+    expect(library.items.get('B').data.tags).toEqual([{ tag: 'telegram-chat-7' }]);
+  });
+});
@@ -0,0 +1,129 @@
+// Roles and bans per chat. Admins come from ADMIN_CHAT_IDS (always admin) or
+// are granted with /role; everyone else's role follows the mode picked in /start
+// unless an admin has set one explicitly. The tutor role (student management)
+// is never self-service: it has to be granted with /role.
+
+const ROLES = ['admin', 'tutor', 'student', 'guest'];
+
+const PERMISSIONS = {
+  admin: ['admin', 'manageStudents'],
+  tutor: ['manageStudents'],
+  student: [],
+  guest: []
+};
+
+// Mode chosen in /start -> role (and quota tier) when no role has been assigned. Self-service
+// stops at student: the tutor role and its quota are granted with /role
+const USER_TYPE_ROLES = { tutor: 'student', student: 'student', mixed: 'student', guest: 'guest' };
+
+class AccessControl {
+  constructor({ store, adminChatIds = [], touchIntervalMs = 5 * 60 * 1000 }) {
+    this.store = store;
+    this.adminChatIds = new Set(adminChatIds.map(String));
+    this.touchIntervalMs = touchIntervalMs;
+  }
+
+  static parseAdminIds(value) {
+    return (value || '').split(',').map(id => id.trim()).filter(Boolean);
+  }
+
+  can(role, permission) {
+    return (PERMISSIONS[role] || []).includes(permission);
+  }
+
+  isConfiguredAdmin(chatId) {
+    return this.adminChatIds.has(String(chatId));
+  }
+
+  roleFor(chatId, user, userType) {
+    if (this.isConfiguredAdmin(chatId)) return 'admin';
+    return user?.role || USER_TYPE_ROLES[userType] || 'guest';
+  }
+
+  // Quota tier: the user type picked in /start (guest, or student for students, tutors and mixed
+  // use), unless an admin assigned a role, which can raise it to tutor
+  quotaTier(chatId, user, userType) {
+    return this.roleFor(chatId, user, userType);
+  }
+
+  async getUser(chatId) {
+    return (await this.store.get(String(chatId))) || null;
+  }
+
+  async touch(chatId, profile = {}, now = Date.now()) {
+    // Record who uses the bot (for /users and /broadcast) without writing on every update
+    const user = await this.getUser(chatId);
+    const changed = !user || Object.entries(profile).some(([key, value]) => value !== undefined && user[key] !== value);
+    if (user && !changed && now - user.lastSeen < this.touchIntervalMs) {
+      return user;
+    }
+    return this.store.update(String(chatId), current => ({
+      chatId: String(chatId),
+      firstSeen: now,
+      banned: false,
+      ...current,
+      ...profile,
+      lastSeen: now
+    }));
+  }
+
+  async setRole(chatId, role) {
+    if (role !== null && !ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    return this.store.update(String(chatId), current => {
+      const user = { chatId: String(chatId), firstSeen: Date.now(), lastSeen: Date.now(), banned: false, ...current };
+      if (role) {
+        user.role = role;
+      } else {
+        delete user.role;
+      }
+      return user;
+    });
+  }
+
+  async ban(chatId, { reason = null, by = null } = {}) {
+    return this.store.update(String(chatId), current => ({
+      chatId: String(chatId),
+      firstSeen: Date.now(),
+      lastSeen: Date.now(),
+      ...current,
+      banned: true,
+      banReason: reason,
+      bannedBy: by,
+      bannedAt: Date.now()
+    }));
+  }
+
+  async unban(chatId) {
+    const user = await this.getUser(chatId);
+    if (!user?.banned) return false;
+    await this.store.update(String(chatId), current => {
+      const next = { ...current, banned: false };
+      delete next.banReason;
+      delete next.bannedBy;
+      delete next.bannedAt;
+      return next;
+    });
+    return true;
+  }
+
+  async forget(chatId) {
+    const user = await this.getUser(chatId);
+    await this.store.delete(String(chatId));
+    return user ? 1 : 0;
+  }
+
+  async list({ role, banned } = {}) {
+    const users = (await this.store.entries()).map(([, user]) => ({
+      ...user,
+      role: this.roleFor(user.chatId, user, user.userType)
+    }));
+    return users
+      .filter(user => role === undefined || user.role === role)
+      .filter(user => banned === undefined || Boolean(user.banned) === banned)
+      .sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+}
+
+module.exports = { AccessControl, ROLES, PERMISSIONS };
@@ -0,0 +1,61 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Append-only JSON Lines log of admin actions. The file is rotated to
+// <file>.1 once it grows past maxBytes, so reads stay cheap.
+
+class AuditLog {
+  constructor({ file, maxBytes = 5 * 1024 * 1024 }) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.pending = Promise.resolve();
+  }
+
+  async record({ actor, action, target = null, details = null }) {
+    const entry = { at: new Date().toISOString(), actor: String(actor), action, target, details };
+    // Serialize appends so rotation never races with a write
+    this.pending = this.pending.then(() => this.append(entry)).catch(error => {
+      console.error('Audit log write failed:', error.message);
+    });
+    await this.pending;
+    return entry;
+  }
+
+  async append(entry) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    try {
+      const { size } = await fs.stat(this.file);
+      if (size >= this.maxBytes) {
+        await fs.rename(this.file, `${this.file}.1`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    await fs.appendFile(this.file, JSON.stringify(entry) + '\n');
+  }
+
+  async recent(limit = 20) {
+    // Newest first; unreadable lines are skipped
+    let content;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return content.split('\n')
+      .filter(Boolean)
+      .slice(-limit)
+      .reverse()
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = { AuditLog };
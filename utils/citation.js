@@ -0,0 +1,106 @@
+// Local, plain-text reference formatting for the styles the bot supports.
+// Used where a Zotero round trip is too slow (inline lookups); the drafting
+// pipeline still asks Zotero for its bibliography.
+
+const CITATION_STYLES = ['APA', 'MLA', 'Chicago'];
+
+function resolveStyle(style) {
+  return CITATION_STYLES.find(known => known.toLowerCase() === (style || '').toLowerCase()) || 'APA';
+}
+
+function splitName(name) {
+  // "Jane A. Doe" -> { given: 'Jane A.', family: 'Doe' }; "Doe, Jane" is kept as written
+  const trimmed = (name || '').trim();
+  if (trimmed.includes(',')) {
+    const [family, given] = trimmed.split(',').map(part => part.trim());
+    return { given, family };
+  }
+  const parts = trimmed.split(/\s+/);
+  return { given: parts.slice(0, -1).join(' '), family: parts[parts.length - 1] || '' };
+}
+
+function initials(given) {
+  return given.split(/[\s-]+/).filter(Boolean).map(part => `${part[0].toUpperCase()}.`).join(' ');
+}
+
+function joinList(items, conjunction) {
+  // Serial comma throughout: the first name is inverted ("Doe, Jane, and Bob Smith")
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')}, ${conjunction} ${items[items.length - 1]}`;
+}
+
+function sourceLink(source) {
+  return source.doi ? `https://doi.org/${source.doi}` : (source.url || '');
+}
+
+function stripPeriod(text) {
+  return (text || '').trim().replace(/[.\s]+$/, '');
+}
+
+const formatters = {
+  APA(source, names) {
+    // Up to 20 authors: "Doe, J. A., Smith, B., & Lee, C."
+    const authors = names.slice(0, 20).map(({ given, family }) =>
+      (given ? `${family}, ${initials(given)}` : family));
+    const authorText = authors.length > 1
+      ? `${authors.slice(0, -1).join(', ')}, & ${authors[authors.length - 1]}`
+      : authors[0];
+    const parts = [
+      authorText ? `${stripPeriod(authorText)}.` : null,
+      `(${source.year || 'n.d.'}).`,
+      `${stripPeriod(source.title)}.`,
+      source.venue ? `${stripPeriod(source.venue)}.` : null,
+      sourceLink(source) || null
+    ];
+    return parts.filter(Boolean).join(' ');
+  },
+
+  MLA(source, names) {
+    // One author, two authors, or the first author "et al."
+    const first = names[0] && (names[0].given ? `${names[0].family}, ${names[0].given}` : names[0].family);
+    let authorText = first;
+    if (names.length === 2) {
+      authorText = `${first}, and ${[names[1].given, names[1].family].filter(Boolean).join(' ')}`;
+    } else if (names.length > 2) {
+      authorText = `${first}, et al`;
+    }
+    const parts = [
+      authorText ? `${stripPeriod(authorText)}.` : null,
+      `"${stripPeriod(source.title)}."`,
+      source.venue ? `${stripPeriod(source.venue)},` : null,
+      source.year ? `${source.year}${sourceLink(source) ? ',' : '.'}` : null,
+      sourceLink(source) ? `${sourceLink(source)}.` : null
+    ];
+    return parts.filter(Boolean).join(' ');
+  },
+
+  Chicago(source, names) {
+    // Author-date: first author inverted, the rest in natural order; more than ten -> first seven, et al.
+    const authors = names.slice(0, names.length > 10 ? 7 : 10).map(({ given, family }, i) =>
+      (i === 0 ? [family, given].filter(Boolean).join(', ') : [given, family].filter(Boolean).join(' ')));
+    const authorText = names.length > 10 ? `${authors.join(', ')}, et al` : joinList(authors, 'and');
+    const parts = [
+      authors.length ? `${stripPeriod(authorText)}.` : null,
+      source.year ? `${source.year}.` : 'n.d.',
+      `"${stripPeriod(source.title)}."`,
+      source.venue ? `${stripPeriod(source.venue)}.` : null,
+      sourceLink(source) ? `${sourceLink(source)}.` : null
+    ];
+    return parts.filter(Boolean).join(' ');
+  }
+};
+
+function formatCitation(source, style = 'APA') {
+  const names = (source.authors || []).map(author => splitName(author.name)).filter(name => name.family);
+  return formatters[resolveStyle(style)](source, names);
+}
+
+// Short "Doe, Smith & Lee" / "Doe et al." label for result lists
+function formatAuthorsShort(authors = []) {
+  const families = authors.map(author => splitName(author.name).family).filter(Boolean);
+  if (families.length === 0) return '';
+  if (families.length > 3) return `${families[0]} et al.`;
+  return families.length === 1 ? families[0] : `${families.slice(0, -1).join(', ')} & ${families[families.length - 1]}`;
+}
+
+module.exports = { CITATION_STYLES, resolveStyle, splitName, formatCitation, formatAuthorsShort };
@@ -0,0 +1,156 @@
+const PizZip = require('pizzip');
+const pdfParse = require('pdf-parse');
+const { recognizeText, mergePages } = require('./ocr');
+
+// Supported upload types, matched by MIME type first and file extension second
+const DOCUMENT_TYPES = {
+  pdf: { mimeTypes: ['application/pdf'], extensions: ['.pdf'] },
+  docx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx']
+  },
+  txt: { mimeTypes: ['text/plain', 'text/markdown'], extensions: ['.txt', '.md'] }
+};
+
+// Below this many characters a PDF text layer is treated as missing (scanned document)
+const MIN_TEXT_LAYER_CHARS = 50;
+// Scanned pages OCR'd per PDF; later pages are skipped rather than recognised and then cut
+const MAX_OCR_PAGES = parseInt(process.env.MAX_OCR_PAGES) || 10;
+
+function detectDocumentType({ fileName = '', mimeType = '' } = {}) {
+  const lowerName = fileName.toLowerCase();
+  for (const [type, { mimeTypes }] of Object.entries(DOCUMENT_TYPES)) {
+    if (mimeTypes.includes(mimeType)) return type;
+  }
+  for (const [type, { extensions }] of Object.entries(DOCUMENT_TYPES)) {
+    if (extensions.some(ext => lowerName.endsWith(ext))) return type;
+  }
+  return null;
+}
+
+// Out-of-range character references are left as written
+const fromCodePoint = (code, match) => (code <= 0x10ffff ? String.fromCodePoint(code) : match);
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => fromCodePoint(parseInt(code, 10), match))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => fromCodePoint(parseInt(code, 16), match))
+    .replace(/&amp;/g, '&');
+}
+
+function extractDocxText(buffer) {
+  // DOCX is a ZIP; the body text lives in word/document.xml
+  const zip = new PizZip(buffer);
+  const documentXml = zip.file('word/document.xml');
+  if (!documentXml) {
+    throw new Error('Invalid DOCX: word/document.xml not found');
+  }
+
+  const xml = documentXml.asText()
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:br\/>/g, '\n')
+    .replace(/<\/w:p>/g, '\n');
+
+  return decodeXmlEntities(xml.replace(/<[^>]+>/g, ''))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function extractPdfImages(buffer, { limit = Infinity } = {}) {
+  // Scanned PDFs usually embed each page as a JPEG (DCTDecode) stream,
+  // which Tesseract can read directly without rendering the page.
+  const images = [];
+  const jpegStart = Buffer.from([0xff, 0xd8, 0xff]);
+  let position = buffer.indexOf(jpegStart);
+
+  while (position !== -1 && images.length < limit) {
+    const preceding = buffer.toString('latin1', Math.max(0, position - 8), position);
+    const end = buffer.indexOf('endstream', position, 'latin1');
+    if (/stream\r?\n$/.test(preceding) && end !== -1) {
+      images.push(buffer.subarray(position, end));
+      position = buffer.indexOf(jpegStart, end);
+    } else {
+      position = buffer.indexOf(jpegStart, position + jpegStart.length);
+    }
+  }
+
+  return images;
+}
+
+async function extractPdfText(buffer, { maxOcrPages = MAX_OCR_PAGES } = {}) {
+  const { text, numpages } = await pdfParse(buffer);
+  if (text.trim().length >= MIN_TEXT_LAYER_CHARS) {
+    return { text: text.trim(), method: 'text-layer', pages: numpages };
+  }
+
+  // No usable text layer - OCR the embedded page images, keeping per-line confidence.
+  // One image past the cap is enough to know the document was cut short
+  const images = extractPdfImages(buffer, { limit: maxOcrPages + 1 });
+  const truncated = images.length > maxOcrPages;
+  const pages = [];
+  for (const [index, image] of images.slice(0, maxOcrPages).entries()) {
+    try {
+      pages.push(await recognizeText(image));
+    } catch (error) {
+      console.error(`PDF page ${index + 1} OCR error:`, error.message);
+    }
+  }
+
+  if (pages.length === 0) {
+    return { text: '', lines: [], method: 'ocr', pages: numpages, truncated };
+  }
+  const merged = mergePages(pages);
+  return { text: merged.text, lines: merged.lines, method: 'ocr', pages: numpages, truncated };
+}
+
+// Text layer of each PDF page (1-based page numbers), so quotes can cite their page.
+// Only the first `maxPages` pages are parsed (0 = all)
+async function extractPdfPages(buffer, { maxPages = 0 } = {}) {
+  const pages = [];
+  await pdfParse(buffer, {
+    max: maxPages,
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: true });
+      // Items on a new baseline start a new line
+      let lastY;
+      let text = '';
+      for (const item of content.items) {
+        text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pages.push({ page: pageData.pageNumber, text: text.trim() });
+      return text;
+    }
+  });
+  return pages;
+}
+
+async function extractDocumentText(buffer, { fileName, mimeType } = {}) {
+  const type = detectDocumentType({ fileName, mimeType });
+
+  switch (type) {
+    case 'pdf':
+      return { type, ...(await extractPdfText(buffer)) };
+    case 'docx':
+      return { type, text: extractDocxText(buffer), method: 'docx-xml' };
+    case 'txt':
+      return { type, text: buffer.toString('utf8').replace(/^\uFEFF/, '').trim(), method: 'plain' };
+    default:
+      throw new Error(`Unsupported document type: ${fileName || mimeType}`);
+  }
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  MAX_OCR_PAGES,
+  detectDocumentType,
+  extractDocxText,
+  extractPdfImages,
+  extractPdfText,
+  extractPdfPages,
+  extractDocumentText
+};
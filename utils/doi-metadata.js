@@ -0,0 +1,63 @@
+// DOI lookups with a persistent cache. Found DOIs are kept for `ttlMs`; DOIs the
+// registry does not know are cached as misses for the shorter `missTtlMs`, so a
+// typo is not looked up again on every run. Lookup failures (timeouts, 5xx) are
+// not cached.
+
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const DEFAULT_MISS_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Utility: Map items through an async function, at most `limit` at a time (results keep the input order)
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+class DoiMetadata {
+  // `lookup(doi)` resolves to the DOI's metadata, to null when the DOI does not
+  // exist, and rejects when the registry could not be asked
+  constructor({ store, lookup, ttlMs = DEFAULT_TTL_MS, missTtlMs = DEFAULT_MISS_TTL_MS }) {
+    this.store = store;
+    this.lookup = lookup;
+    this.ttlMs = ttlMs;
+    this.missTtlMs = missTtlMs;
+    // Concurrent requests for the same DOI share one lookup
+    this.pending = new Map();
+  }
+
+  static key(doi) {
+    return String(doi).trim().toLowerCase();
+  }
+
+  // Metadata for a DOI, null when it does not exist; throws when the lookup failed
+  async get(doi) {
+    const key = DoiMetadata.key(doi);
+    const cached = await this.store.get(key);
+    if (cached) return cached.found ? cached.metadata : null;
+
+    if (!this.pending.has(key)) {
+      const request = this.fetch(key, doi).finally(() => this.pending.delete(key));
+      this.pending.set(key, request);
+    }
+    return this.pending.get(key);
+  }
+
+  async fetch(key, doi) {
+    const metadata = await this.lookup(doi);
+    if (metadata) {
+      await this.store.set(key, { found: true, metadata }, this.ttlMs);
+    } else {
+      await this.store.set(key, { found: false }, this.missTtlMs);
+    }
+    return metadata || null;
+  }
+}
+
+module.exports = { DoiMetadata, mapWithConcurrency };
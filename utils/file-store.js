@@ -0,0 +1,229 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Key-value stores with TTL expiry. Same get/set/delete shape as Telegraf's
+// session store, so an instance can be passed straight to session({ store }).
+
+class FileStore {
+  // One JSON file per key. Writes go to a temp file and are renamed into place,
+  // so a crash never leaves a half-written entry; writes to the same key are
+  // serialised so concurrent updates cannot interleave. Temp files older than
+  // `staleTmpMs` are leftovers of a crash; younger ones may be a write in flight.
+  constructor({ dir, ttlMs = Infinity, staleTmpMs = 10 * 60 * 1000 }) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.staleTmpMs = staleTmpMs;
+    this.locks = new Map();
+    this.ready = null;
+  }
+
+  async ensureDir() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.dir, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  async withLock(key, fn) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn);
+    const tail = run.catch(() => {});
+    this.locks.set(key, tail);
+    tail.then(() => {
+      if (this.locks.get(key) === tail) this.locks.delete(key);
+    });
+    return run;
+  }
+
+  async readEntry(key) {
+    try {
+      const raw = await fs.readFile(this.fileFor(key), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`File store read error for ${key}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async writeEntry(key, value, ttlMs) {
+    await this.ensureDir();
+    const file = this.fileFor(key);
+    const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    const entry = {
+      value,
+      updatedAt: Date.now(),
+      expiresAt: Number.isFinite(ttlMs) ? Date.now() + ttlMs : null
+    };
+    await fs.writeFile(tmpFile, JSON.stringify(entry));
+    await fs.rename(tmpFile, file);
+  }
+
+  async removeFile(key) {
+    try {
+      await fs.unlink(this.fileFor(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  async get(key) {
+    // Reads queue behind pending writes so a new update sees the latest session
+    return this.withLock(key, async () => {
+      const entry = await this.readEntry(key);
+      if (!entry) return undefined;
+      if (this.isExpired(entry)) {
+        await this.removeFile(key);
+        return undefined;
+      }
+      return entry.value;
+    });
+  }
+
+  async set(key, value, ttlMs = this.ttlMs) {
+    return this.withLock(key, () => this.writeEntry(key, value, ttlMs));
+  }
+
+  async delete(key) {
+    return this.withLock(key, () => this.removeFile(key));
+  }
+
+  async update(key, fn, ttlMs = this.ttlMs) {
+    // Locked read-modify-write; `fn` receives the current value (or undefined)
+    return this.withLock(key, async () => {
+      const entry = await this.readEntry(key);
+      const current = entry && !this.isExpired(entry) ? entry.value : undefined;
+      const next = await fn(current);
+      if (next === undefined) return current;
+      await this.writeEntry(key, next, ttlMs);
+      return next;
+    });
+  }
+
+  async keys() {
+    try {
+      const files = await fs.readdir(this.dir);
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async entries() {
+    const result = [];
+    for (const key of await this.keys()) {
+      const value = await this.get(key);
+      if (value !== undefined) result.push([key, value]);
+    }
+    return result;
+  }
+
+  async prune() {
+    // Remove expired entries and temp files left behind by a crash
+    let removed = 0;
+    for (const key of await this.keys()) {
+      // Checked under the key's lock, so an entry refreshed meanwhile is kept
+      const expired = await this.withLock(key, async () => {
+        const entry = await this.readEntry(key);
+        if (!entry || !this.isExpired(entry)) return false;
+        await this.removeFile(key);
+        return true;
+      });
+      if (expired) removed++;
+    }
+    try {
+      const cutoff = Date.now() - this.staleTmpMs;
+      const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.tmp'));
+      await Promise.all(files.map(async file => {
+        const tmpFile = path.join(this.dir, file);
+        const stat = await fs.stat(tmpFile).catch(() => null);
+        if (stat && stat.mtimeMs < cutoff) await fs.unlink(tmpFile).catch(() => {});
+      }));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return removed;
+  }
+}
+
+class MemoryStore {
+  // Same API kept in process memory (tests, local development)
+  constructor({ ttlMs = Infinity } = {}) {
+    this.ttlMs = ttlMs;
+    this.map = new Map();
+  }
+
+  async get(key) {
+    const entry = this.map.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.map.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs = this.ttlMs) {
+    this.map.set(key, {
+      value,
+      expiresAt: Number.isFinite(ttlMs) ? Date.now() + ttlMs : null
+    });
+  }
+
+  async delete(key) {
+    this.map.delete(key);
+  }
+
+  async update(key, fn, ttlMs = this.ttlMs) {
+    const current = await this.get(key);
+    const next = await fn(current);
+    if (next === undefined) return current;
+    await this.set(key, next, ttlMs);
+    return next;
+  }
+
+  async keys() {
+    return [...this.map.keys()];
+  }
+
+  async entries() {
+    const result = [];
+    for (const key of await this.keys()) {
+      const value = await this.get(key);
+      if (value !== undefined) result.push([key, value]);
+    }
+    return result;
+  }
+
+  async prune() {
+    let removed = 0;
+    for (const key of await this.keys()) {
+      if ((await this.get(key)) === undefined) removed++;
+    }
+    return removed;
+  }
+}
+
+function createStore({ backend = 'file', dir, ttlMs = Infinity, staleTmpMs } = {}) {
+  if (backend === 'memory') {
+    return new MemoryStore({ ttlMs });
+  }
+  if (backend !== 'file') {
+    throw new Error(`Unknown store backend: ${backend}`);
+  }
+  return new FileStore({ dir, ttlMs, staleTmpMs });
+}
+
+module.exports = { FileStore, MemoryStore, createStore };
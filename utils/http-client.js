@@ -0,0 +1,237 @@
+const axios = require('axios');
+const monitor = require('./monitoring');
+
+// Shared HTTP client for the external APIs. Each service gets its own timeout,
+// retry budget and circuit breaker, and every call reports its latency and
+// outcome to the monitor. When a service is down (network errors, timeouts,
+// 429/5xx after the retries, or an open breaker) callers get a
+// ServiceUnavailableError, so an outage is never mistaken for an empty result.
+// Other errors (4xx answers, bugs) are passed through unchanged; 4xx answers that
+// are an ordinary result (a DOI that isn't registered) are not counted as failures.
+
+const SERVICE_DEFAULTS = {
+  groq: { timeoutMs: 60000, retries: 2 },
+  semanticscholar: { timeoutMs: 15000, retries: 3 },
+  crossref: { timeoutMs: 15000, retries: 3 },
+  openalex: { timeoutMs: 15000, retries: 3 },
+  arxiv: { timeoutMs: 20000, retries: 2 },
+  pubmed: { timeoutMs: 15000, retries: 3 },
+  fulltext: { timeoutMs: 30000, retries: 1 },
+  zotero: { timeoutMs: 20000, retries: 3 },
+  eden: { timeoutMs: 60000, retries: 1 },
+  telegram: { timeoutMs: 15000, retries: 2 }
+};
+
+// Failures that mean the service (or the way to it) is down
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// A POST may have been processed before it failed; only retry it when the service surely didn't act on it
+const UNPROCESSED_STATUSES = [429, 503];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+// Answers callers handle as a normal result: not found, gone, or a version conflict on a conditional write
+const EXPECTED_STATUSES = [404, 410, 412];
+
+class ServiceUnavailableError extends Error {
+  constructor(service, cause) {
+    super(`${service} is unavailable${cause ? `: ${cause.message}` : ''}`);
+    this.name = 'ServiceUnavailableError';
+    this.service = service;
+    this.status = cause?.response?.status ?? null;
+    this.code = cause?.code ?? null;
+    this.cause = cause;
+  }
+}
+
+class CircuitBreaker {
+  // Opens after `failureThreshold` failed calls in a row and rejects calls for
+  // `resetMs`; then lets calls through again until one succeeds (closed) or fails (open).
+  constructor({ failureThreshold = 5, resetMs = 30000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetMs;
+    this.now = now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  allow() {
+    if (this.state !== 'open') return true;
+    if (this.now() - this.openedAt < this.resetMs) return false;
+    this.state = 'half-open';
+    return true;
+  }
+
+  success() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  failure() {
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+}
+
+function isServiceFailure(error) {
+  if (error.response) return RETRYABLE_STATUSES.includes(error.response.status);
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// "Retry-After: 120" or an HTTP date -> milliseconds (null when absent or unreadable)
+function retryAfterMs(error, now = Date.now()) {
+  const value = error.response?.headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - now) : null;
+}
+
+class HttpClient {
+  constructor({
+    service,
+    timeoutMs = 15000,
+    retries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = 10000,
+    // A Retry-After longer than this is treated as the service being down
+    maxRetryAfterMs = 60000,
+    breaker = new CircuitBreaker(),
+    reporter = monitor,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    random = Math.random
+  }) {
+    this.service = service;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.maxRetryAfterMs = maxRetryAfterMs;
+    this.breaker = breaker;
+    this.reporter = reporter;
+    this.sleep = sleep;
+    this.random = random;
+  }
+
+  get(url, config) {
+    return this.request('get', url, undefined, config);
+  }
+
+  delete(url, config) {
+    return this.request('delete', url, undefined, config);
+  }
+
+  post(url, data, config) {
+    return this.request('post', url, data, config);
+  }
+
+  put(url, data, config) {
+    return this.request('put', url, data, config);
+  }
+
+  patch(url, data, config) {
+    return this.request('patch', url, data, config);
+  }
+
+  // Wait before the next attempt, or null when the failure should not be retried
+  retryDelay(error, attempt, method, idempotent) {
+    if (attempt > this.retries || !isServiceFailure(error)) return null;
+    const status = error.response?.status;
+    const unprocessed = UNPROCESSED_STATUSES.includes(status) || error.code === 'ECONNREFUSED';
+    if (!idempotent && !IDEMPOTENT_METHODS.includes(method) && !unprocessed) return null;
+
+    const requested = retryAfterMs(error);
+    if (requested !== null) return requested <= this.maxRetryAfterMs ? requested : null;
+    // Exponential backoff with jitter (half fixed, half random) so clients don't retry in lockstep
+    const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + this.random() * (backoff / 2));
+  }
+
+  report(started, outcome, { status = null, attempts = 1 } = {}) {
+    this.reporter.recordRequest(this.service, {
+      durationMs: Date.now() - started,
+      outcome,
+      status,
+      attempts
+    });
+  }
+
+  // `idempotent: true` lets a POST be retried after any service failure (e.g. a completion request)
+  async request(method, url, data, { idempotent = false, ...config } = {}) {
+    const started = Date.now();
+    if (!this.breaker.allow()) {
+      this.report(started, 'rejected', { attempts: 0 });
+      throw new ServiceUnavailableError(this.service, new Error('circuit open after repeated failures'));
+    }
+
+    const options = { timeout: this.timeoutMs, ...config };
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await (data === undefined ? axios[method](url, options) : axios[method](url, data, options));
+        this.breaker.success();
+        this.report(started, 'ok', { status: response?.status, attempts: attempt });
+        return response;
+      } catch (error) {
+        if (!isServiceFailure(error)) {
+          // The service answered (e.g. 404) or the failure is ours: it is up either way
+          const status = error.response?.status;
+          if (error.response) this.breaker.success();
+          this.report(started, EXPECTED_STATUSES.includes(status) ? 'expected' : 'error', { status, attempts: attempt });
+          throw error;
+        }
+
+        const delay = this.retryDelay(error, attempt, method, idempotent);
+        if (delay === null) {
+          this.breaker.failure();
+          this.report(started, 'unavailable', { status: error.response?.status, attempts: attempt });
+          throw new ServiceUnavailableError(this.service, error);
+        }
+        await this.sleep(delay);
+      }
+    }
+  }
+}
+
+// Per-service settings, e.g. HTTP_CROSSREF_TIMEOUT_MS=5000 HTTP_CROSSREF_RETRIES=1
+function serviceOptions(service, env = process.env) {
+  const defaults = SERVICE_DEFAULTS[service] || {};
+  const prefix = `HTTP_${service.toUpperCase()}`;
+  return {
+    timeoutMs: parseInt(env[`${prefix}_TIMEOUT_MS`]) || defaults.timeoutMs,
+    retries: parseInt(env[`${prefix}_RETRIES`]) >= 0 ? parseInt(env[`${prefix}_RETRIES`]) : defaults.retries,
+    breaker: new CircuitBreaker({
+      failureThreshold: parseInt(env.HTTP_BREAKER_FAILURES) || 5,
+      resetMs: (parseFloat(env.HTTP_BREAKER_RESET_SECONDS) || 30) * 1000
+    })
+  };
+}
+
+const clients = new Map();
+
+// The shared client for a service (created on first use)
+function httpClient(service) {
+  if (!clients.has(service)) {
+    clients.set(service, new HttpClient({ service, ...serviceOptions(service) }));
+  }
+  return clients.get(service);
+}
+
+// Breaker state of every service used so far, e.g. { crossref: 'closed', groq: 'open' }
+function breakerStates() {
+  return Object.fromEntries([...clients].map(([service, client]) => [service, client.breaker.state]));
+}
+
+module.exports = {
+  SERVICE_DEFAULTS,
+  EXPECTED_STATUSES,
+  ServiceUnavailableError,
+  CircuitBreaker,
+  HttpClient,
+  httpClient,
+  breakerStates,
+  retryAfterMs
+};
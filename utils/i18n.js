@@ -0,0 +1,58 @@
+// Message catalogs live in locales/<code>.json as nested objects; keys are
+// dotted paths ("sources.found") and values use {name} placeholders.
+// Missing keys fall back to English, then to the key itself.
+
+const DEFAULT_LOCALE = 'en';
+
+const catalogs = {
+  en: require('../locales/en.json'),
+  fr: require('../locales/fr.json'),
+  sw: require('../locales/sw.json')
+};
+
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+function interpolate(template, vars = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    (vars[name] === undefined || vars[name] === null ? match : String(vars[name])));
+}
+
+function resolveLocale(code) {
+  // Accepts Telegram language codes such as "fr-FR"; anything unsupported is English
+  const base = (code || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : DEFAULT_LOCALE;
+}
+
+function t(locale, key, vars) {
+  const value = lookup(catalogs[resolveLocale(locale)], key) ?? lookup(catalogs[DEFAULT_LOCALE], key);
+  return typeof value === 'string' ? interpolate(value, vars) : key;
+}
+
+function translator(locale) {
+  return (key, vars) => t(locale, key, vars);
+}
+
+function escapeMarkdown(text) {
+  // Messages use Telegram's legacy Markdown: a lone "_" or "*" in user or model text would open
+  // an entity that never closes, and Telegram rejects the whole message
+  return String(text).replace(/[_*`[]/g, '\\$&');
+}
+
+function languageName(locale) {
+  // English name, for prompts asking a model to write in this language
+  return { en: 'English', fr: 'French', sw: 'Swahili' }[resolveLocale(locale)];
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  t,
+  translator,
+  resolveLocale,
+  languageName,
+  escapeMarkdown
+};
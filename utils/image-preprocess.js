@@ -0,0 +1,126 @@
+const Jimp = require('jimp');
+
+// Tesseract works best with ~300 DPI text; phone screenshots are often narrower than this
+const MIN_OCR_WIDTH = parseInt(process.env.OCR_MIN_WIDTH) || 1500;
+
+// Skew search range and resolution (degrees)
+const MAX_SKEW_ANGLE = 10;
+const SKEW_STEP = 0.5;
+
+// Width of the thumbnail used for skew estimation (keeps the search cheap)
+const SKEW_SAMPLE_WIDTH = 400;
+
+function grayHistogram(image) {
+  const histogram = new Array(256).fill(0);
+  image.scan(0, 0, image.bitmap.width, image.bitmap.height, function (x, y, idx) {
+    histogram[this.bitmap.data[idx]]++;
+  });
+  return histogram;
+}
+
+function otsuThreshold(image) {
+  // Otsu's method: pick the threshold that maximises between-class variance
+  const histogram = grayHistogram(image);
+  const total = image.bitmap.width * image.bitmap.height;
+  const sumAll = histogram.reduce((sum, count, value) => sum + value * count, 0);
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestThreshold = 127;
+  let bestVariance = 0;
+
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      bestThreshold = t;
+    }
+  }
+
+  return bestThreshold;
+}
+
+function binarize(image, threshold = otsuThreshold(image)) {
+  image.scan(0, 0, image.bitmap.width, image.bitmap.height, function (x, y, idx) {
+    const value = this.bitmap.data[idx] > threshold ? 255 : 0;
+    this.bitmap.data[idx] = value;
+    this.bitmap.data[idx + 1] = value;
+    this.bitmap.data[idx + 2] = value;
+  });
+  return image;
+}
+
+function estimateSkewAngle(image) {
+  // Projection profile: text rows produce the sharpest horizontal histogram
+  // when projected at the angle that cancels the skew. Returns that angle in
+  // degrees, ready to pass to Jimp's rotate().
+  const sample = image.clone().resize(Math.min(SKEW_SAMPLE_WIDTH, image.bitmap.width), Jimp.AUTO);
+  const threshold = otsuThreshold(sample);
+  const { width, height } = sample.bitmap;
+
+  const darkPixels = [];
+  sample.scan(0, 0, width, height, function (x, y, idx) {
+    if (this.bitmap.data[idx] <= threshold) darkPixels.push([x, y]);
+  });
+  // Blank or fully dark images have nothing to align
+  if (darkPixels.length === 0 || darkPixels.length > width * height * 0.5) return 0;
+
+  let bestAngle = 0;
+  let bestScore = -1;
+  for (let angle = -MAX_SKEW_ANGLE; angle <= MAX_SKEW_ANGLE; angle += SKEW_STEP) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const offset = width;
+    const rows = new Array(height + 2 * width).fill(0);
+
+    for (const [x, y] of darkPixels) {
+      rows[Math.round(y * cos - x * sin) + offset]++;
+    }
+
+    let score = 0;
+    for (let i = 1; i < rows.length; i++) {
+      score += (rows[i] - rows[i - 1]) ** 2;
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  return bestAngle;
+}
+
+async function preprocessImage(input) {
+  // Grayscale -> upscale small images -> deskew -> Otsu binarization
+  const image = await Jimp.read(input);
+  image.greyscale();
+
+  if (image.bitmap.width < MIN_OCR_WIDTH) {
+    image.resize(MIN_OCR_WIDTH, Jimp.AUTO, Jimp.RESIZE_BICUBIC);
+  }
+
+  const correction = estimateSkewAngle(image);
+  if (correction !== 0) {
+    image.background(0xffffffff).rotate(correction, false);
+  }
+
+  binarize(image);
+  return image.getBufferAsync(Jimp.MIME_PNG);
+}
+
+module.exports = {
+  preprocessImage,
+  estimateSkewAngle,
+  otsuThreshold,
+  binarize
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// One bot process per data directory. Sessions, jobs and quotas live in file
+// stores guarded by in-process locks, and every process resumes the queue's
+// running jobs on start, so a second process sharing DATA_DIR (another
+// replica behind a proxy, or a stray restart) would duplicate drafts and race
+// on counters. The lock file is touched every `heartbeatMs`; one left
+// untouched for `staleMs` belongs to a crashed process and is taken over.
+
+class InstanceLockedError extends Error {
+  constructor(holder) {
+    super(`Another bot instance is using this data directory (${holder.host}, pid ${holder.pid}, since ${holder.startedAt})`);
+    this.name = 'InstanceLockedError';
+    this.holder = holder;
+  }
+}
+
+class InstanceLock {
+  constructor({ file, staleMs = 2 * 60 * 1000, heartbeatMs = 30 * 1000 }) {
+    this.file = file;
+    this.staleMs = staleMs;
+    this.heartbeatMs = heartbeatMs;
+    this.token = crypto.randomBytes(8).toString('hex');
+    this.timer = null;
+  }
+
+  async read() {
+    try {
+      const [raw, stat] = await Promise.all([fs.readFile(this.file, 'utf8'), fs.stat(this.file)]);
+      return { holder: JSON.parse(raw), stale: Date.now() - stat.mtimeMs > this.staleMs };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      // A half-written or foreign file is treated as a crashed holder
+      if (error instanceof SyntaxError) return { holder: {}, stale: true };
+      throw error;
+    }
+  }
+
+  async acquire() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const holder = { token: this.token, pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString() };
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        await fs.writeFile(this.file, JSON.stringify(holder), { flag: 'wx' });
+        this.timer = setInterval(() => this.heartbeat(), this.heartbeatMs);
+        this.timer.unref();
+        return holder;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      const current = await this.read();
+      if (current && !current.stale) throw new InstanceLockedError(current.holder);
+      if (current) await this.takeOver(current.holder);
+    }
+    const current = await this.read();
+    throw new InstanceLockedError(current?.holder || {});
+  }
+
+  // Move a stale lock aside. Renames are atomic, so if another process replaced it with a fresh
+  // lock in the meantime, that one is what moved: it is put back and this process gives up.
+  async takeOver(stale) {
+    const aside = `${this.file}.${this.token}.stale`;
+    try {
+      await fs.rename(this.file, aside);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    let moved = {};
+    try {
+      moved = JSON.parse(await fs.readFile(aside, 'utf8'));
+    } catch {
+      // Unreadable: it was the stale one
+    }
+    if (moved.token && moved.token !== stale.token) {
+      await fs.rename(aside, this.file);
+      throw new InstanceLockedError(moved);
+    }
+    await fs.unlink(aside).catch(() => {});
+  }
+
+  async heartbeat() {
+    const now = new Date();
+    try {
+      await fs.utimes(this.file, now, now);
+    } catch (error) {
+      console.error('Instance lock heartbeat failed:', error.message);
+    }
+  }
+
+  async release() {
+    clearInterval(this.timer);
+    this.timer = null;
+    const current = await this.read();
+    if (current?.holder.token === this.token) {
+      await fs.unlink(this.file).catch(() => {});
+    }
+  }
+}
+
+module.exports = { InstanceLock, InstanceLockedError };
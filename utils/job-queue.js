@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+
+// Local background job queue. Jobs are persisted in a key-value store (see
+// file-store.js) so queued and interrupted work resumes after a restart.
+// Handlers split their work into named steps; finished step results are saved
+// on the job, so a resumed or retried job skips the steps it already completed.
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+    this.jobId = jobId;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class JobQueue {
+  constructor({
+    store,
+    concurrency = 2,
+    perUserConcurrency = 1,
+    maxAttempts = 3,
+    retryDelayMs = 2000,
+    retentionMs = 7 * 24 * 60 * 60 * 1000
+  }) {
+    this.store = store;
+    this.concurrency = concurrency;
+    this.perUserConcurrency = perUserConcurrency;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.retentionMs = retentionMs;
+    this.handlers = new Map();
+    this.jobs = new Map();
+    this.running = new Set();
+    this.idleWaiters = [];
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  async start() {
+    // Reload unfinished jobs; anything that was running when the process died runs again
+    let resumed = 0;
+    for (const [id, job] of await this.store.entries()) {
+      this.jobs.set(id, job);
+      if (ACTIVE_STATUSES.includes(job.status)) {
+        if (job.status === 'running') {
+          job.status = 'queued';
+          job.resumed = true;
+          await this.save(job);
+        }
+        resumed++;
+      }
+    }
+    this.schedule();
+    return resumed;
+  }
+
+  async enqueue(type, { chatId, payload = {} }) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      chatId: String(chatId),
+      payload,
+      status: 'queued',
+      progress: 0,
+      step: null,
+      steps: {},
+      error: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    this.jobs.set(job.id, job);
+    await this.save(job);
+    this.schedule();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  isActive(id) {
+    return ACTIVE_STATUSES.includes(this.jobs.get(id)?.status);
+  }
+
+  list({ chatId, status } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => chatId === undefined || job.chatId === String(chatId))
+      .filter(job => status === undefined || [].concat(status).includes(job.status))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  position(id) {
+    // 1-based place among queued jobs (0 when not queued)
+    return this.list({ status: 'queued' }).findIndex(job => job.id === id) + 1;
+  }
+
+  stats() {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const job of this.jobs.values()) counts[job.status]++;
+    return counts;
+  }
+
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || !ACTIVE_STATUSES.includes(job.status)) return false;
+    // A running handler notices at its next step or progress report
+    job.cancelRequested = true;
+    if (job.status === 'queued') {
+      await this.finish(job, 'cancelled');
+    } else {
+      await this.save(job);
+    }
+    return true;
+  }
+
+  async cancelForChat(chatId) {
+    let cancelled = 0;
+    for (const job of this.list({ chatId, status: ACTIVE_STATUSES })) {
+      if (await this.cancel(job.id)) cancelled++;
+    }
+    return cancelled;
+  }
+
+  async forChat(chatId) {
+    // Every stored job of a chat, including finished ones still within retention
+    return (await this.store.entries())
+      .map(([, job]) => job)
+      .filter(job => job.chatId === String(chatId));
+  }
+
+  async purgeChat(chatId) {
+    // Cancel the chat's jobs and delete their records; a running job is deleted once it stops
+    await this.cancelForChat(chatId);
+    const jobs = await this.forChat(chatId);
+    for (const { id } of jobs) {
+      if (this.running.has(id)) {
+        this.jobs.get(id).purge = true;
+      } else {
+        this.jobs.delete(id);
+        await this.store.delete(id);
+      }
+    }
+    return jobs.length;
+  }
+
+  onIdle() {
+    if (this.running.size === 0 && this.list({ status: 'queued' }).length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  schedule() {
+    for (const job of this.list({ status: 'queued' })) {
+      if (this.running.size >= this.concurrency) break;
+      const userRunning = [...this.running].filter(id => this.jobs.get(id).chatId === job.chatId).length;
+      if (userRunning >= this.perUserConcurrency) continue;
+      this.run(job);
+    }
+
+    if (this.running.size === 0 && this.list({ status: 'queued' }).length === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  async run(job) {
+    this.running.add(job.id);
+    job.status = 'running';
+    job.startedAt = job.startedAt || Date.now();
+
+    try {
+      await this.save(job);
+      const handler = this.handlers.get(job.type);
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+      const result = await handler(job, this.createContext(job));
+      job.progress = 100;
+      job.result = result === undefined ? null : result;
+      await this.finish(job, 'completed');
+    } catch (error) {
+      if (error instanceof JobCancelledError || job.cancelRequested) {
+        await this.finish(job, 'cancelled');
+      } else {
+        console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+        job.error = error.message;
+        await this.finish(job, 'failed');
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.schedule();
+    }
+  }
+
+  createContext(job) {
+    const checkCancelled = () => {
+      if (job.cancelRequested) throw new JobCancelledError(job.id);
+    };
+
+    return {
+      checkCancelled,
+
+      progress: async (percent, label = job.step) => {
+        checkCancelled();
+        job.progress = Math.max(0, Math.min(100, Math.round(percent)));
+        job.step = label;
+        await this.save(job);
+      },
+
+      // Run a named step with retries; a step that already succeeded returns its saved result
+      step: async (name, fn, { attempts = this.maxAttempts } = {}) => {
+        const saved = job.steps[name];
+        if (saved?.done) return saved.result;
+
+        const record = saved || { attempts: 0 };
+        job.steps[name] = record;
+        job.step = name;
+
+        while (true) {
+          checkCancelled();
+          record.attempts++;
+          await this.save(job);
+          try {
+            const result = await fn(record.attempts);
+            record.done = true;
+            record.result = result === undefined ? null : result;
+            delete record.error;
+            await this.save(job);
+            return result;
+          } catch (error) {
+            record.error = error.message;
+            if (record.attempts >= attempts || error instanceof JobCancelledError) {
+              throw error;
+            }
+            console.log(`Job ${job.id} step ${name} failed (attempt ${record.attempts}), retrying...`);
+            await sleep(this.retryDelayMs * record.attempts);
+          }
+        }
+      }
+    };
+  }
+
+  async finish(job, status) {
+    job.status = status;
+    job.finishedAt = Date.now();
+    if (job.purge) {
+      this.jobs.delete(job.id);
+      await this.store.delete(job.id);
+      return;
+    }
+    await this.save(job, this.retentionMs);
+
+    // The store expires finished jobs on its own; forget them in memory too
+    for (const [id, old] of this.jobs) {
+      if (old.finishedAt && old.finishedAt < job.finishedAt - this.retentionMs) this.jobs.delete(id);
+    }
+  }
+
+  async save(job, ttlMs = Infinity) {
+    job.updatedAt = Date.now();
+    await this.store.set(job.id, job, ttlMs);
+  }
+}
+
+module.exports = { JobQueue, JobCancelledError };
@@ -0,0 +1,90 @@
+// Session changes from outside an update (album flushes, background jobs).
+// Telegraf's session middleware keeps one in-memory copy per key for the
+// updates currently in their middleware chain and writes it back when the
+// last of them ends, so writing the store directly meanwhile would be
+// overwritten. `withSession` therefore changes that live copy while updates
+// are running, and otherwise does a locked read-modify-write on the store.
+//
+// `track` must run before Telegraf's session() middleware (so it outlives the
+// write-back) and `attach` right after it.
+
+// Top-level fields of a session, serialised for comparison
+const snapshot = session => Object.fromEntries(Object.entries(session || {}).map(([field, value]) => [field, JSON.stringify(value)]));
+
+function createLiveSessions({ store, getSessionKey }) {
+  const live = new Map();
+
+  function release(key, entry) {
+    if (--entry.count > 0) return;
+    live.delete(key);
+    // Never attached (the session could not be loaded): waiters fall back to the store
+    entry.attach(null);
+  }
+
+  return {
+    async track(ctx, next) {
+      const key = await getSessionKey(ctx);
+      if (!key) return next();
+      let entry = live.get(key);
+      if (!entry) {
+        entry = { count: 0 };
+        entry.attached = new Promise(resolve => { entry.attach = resolve; });
+        live.set(key, entry);
+      }
+      entry.count++;
+      try {
+        return await next();
+      } finally {
+        release(key, entry);
+      }
+    },
+
+    async attach(ctx, next) {
+      live.get(await getSessionKey(ctx))?.attach(ctx);
+      return next();
+    },
+
+    // `fn(sessionCtx)` reads and changes sessionCtx.session (setting it to null deletes it)
+    async withSession(ctx, fn) {
+      const key = await getSessionKey(ctx);
+      const entry = live.get(key);
+      const liveCtx = entry && await entry.attached;
+
+      if (liveCtx) {
+        const before = snapshot(liveCtx.session);
+        const sessionCtx = Object.create(ctx, {
+          session: { get: () => liveCtx.session, set: value => { liveCtx.session = value; } }
+        });
+        const result = await fn(sessionCtx);
+        // The updates ended while `fn` was running, so their write-back may have missed some of
+        // its changes: apply the fields it changed to the stored session (never the whole copy)
+        if (live.get(key) !== entry && liveCtx.session) {
+          const after = snapshot(liveCtx.session);
+          const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(field => before[field] !== after[field]);
+          if (changed.length) {
+            await store.update(key, current => current && Object.fromEntries([
+              ...Object.entries(current).filter(([field]) => !changed.includes(field)),
+              ...changed.filter(field => field in after).map(field => [field, liveCtx.session[field]])
+            ]));
+          }
+        }
+        return result;
+      }
+
+      let result;
+      let removed = false;
+      await store.update(key, async current => {
+        const sessionCtx = Object.create(ctx, { session: { value: current || {}, writable: true } });
+        result = await fn(sessionCtx);
+        removed = !sessionCtx.session;
+        const untouched = current === undefined && Object.keys(sessionCtx.session || {}).length === 0;
+        return removed || untouched ? undefined : sessionCtx.session;
+      });
+      if (removed) await store.delete(key);
+      return result;
+    }
+  };
+}
+
+module.exports = { createLiveSessions };
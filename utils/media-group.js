@@ -0,0 +1,38 @@
+// Telegram delivers each photo of an album as its own update sharing a media_group_id.
+// The collector buffers them until the group has been quiet for `quietMs`, then hands
+// the whole group (ordered by message_id) to `onComplete` in one call.
+
+function createMediaGroupCollector({ quietMs = 1500, onComplete }) {
+  const groups = new Map();
+
+  function flush(key) {
+    const group = groups.get(key);
+    groups.delete(key);
+    const items = group.items.sort((a, b) => a.messageId - b.messageId);
+
+    Promise.resolve()
+      .then(() => onComplete(items))
+      .catch(error => console.error('Media group processing error:', error.message));
+  }
+
+  return {
+    add(key, item) {
+      let group = groups.get(key);
+      if (!group) {
+        group = { items: [] };
+        groups.set(key, group);
+      }
+      group.items.push(item);
+
+      // Restart the quiet period on every new member
+      clearTimeout(group.timer);
+      group.timer = setTimeout(() => flush(key), quietMs);
+    },
+
+    pendingCount() {
+      return groups.size;
+    }
+  };
+}
+
+module.exports = { createMediaGroupCollector };
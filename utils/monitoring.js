@@ -1,37 +1,67 @@
 const axios = require('axios');
 
+// Outcomes reported by utils/http-client.js that are not failures
+const SUCCESS_OUTCOMES = ['ok', 'expected'];
+// Only the most recent errors are kept; errorCount still counts all of them
+const MAX_ERRORS = 100;
+
 class ApiMonitor {
-  constructor() {
+  constructor({ maxErrors = MAX_ERRORS } = {}) {
     this.calls = {
       groq: 0,
       zotero: 0,
       eden: 0,
       telegram: 0
     };
+    // Latency and outcomes per service, reported by utils/http-client.js
+    this.services = {};
+    this.maxErrors = maxErrors;
     this.errors = [];
+    this.errorCount = 0;
     this.startTime = Date.now();
   }
 
+  pushError(api, message, timestamp = new Date().toISOString()) {
+    this.errorCount++;
+    this.errors.push({ api, timestamp, message });
+    if (this.errors.length > this.maxErrors) this.errors.shift();
+  }
+
+  recordRequest(api, { durationMs, outcome, status = null, attempts = 1 }) {
+    this.calls[api] = (this.calls[api] || 0) + 1;
+    const service = this.services[api] || (this.services[api] = {
+      calls: 0,
+      failures: 0,
+      totalMs: 0,
+      maxMs: 0,
+      retries: 0
+    });
+    service.calls++;
+    service.totalMs += durationMs;
+    service.maxMs = Math.max(service.maxMs, durationMs);
+    service.retries += Math.max(0, attempts - 1);
+    service.lastOutcome = outcome;
+    service.lastStatus = status;
+    service.lastAt = new Date().toISOString();
+
+    if (!SUCCESS_OUTCOMES.includes(outcome)) {
+      service.failures++;
+      this.pushError(api, `${outcome}${status ? ` (HTTP ${status})` : ''} after ${durationMs} ms`, service.lastAt);
+    }
+  }
+
   logCall(api, success = true) {
     if (this.calls[api] !== undefined) {
       this.calls[api]++;
     }
     
     if (!success) {
-      this.errors.push({
-        api,
-        timestamp: new Date().toISOString(),
-        message: 'API call failed'
-      });
+      this.pushError(api, 'API call failed');
     }
   }
 
   logError(api, error) {
-    this.errors.push({
-      api,
-      timestamp: new Date().toISOString(),
-      message: error.message || error
-    });
+    this.pushError(api, error.message || error);
   }
 
   getStats() {
@@ -39,8 +69,12 @@ class ApiMonitor {
     return {
       uptime,
       calls: this.calls,
+      services: Object.fromEntries(Object.entries(this.services).map(([api, service]) => [api, {
+        ...service,
+        avgMs: Math.round(service.totalMs / service.calls)
+      }])),
       errors: this.errors.slice(-10), // Last 10 errors
-      errorCount: this.errors.length
+      errorCount: this.errorCount
     };
   }
 
@@ -59,4 +93,5 @@ class ApiMonitor {
 // Global monitor instance
 const monitor = new ApiMonitor();
 
-module.exports = monitor;
\ No newline at end of file
+module.exports = monitor;
+module.exports.ApiMonitor = ApiMonitor;
\ No newline at end of file
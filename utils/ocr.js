@@ -1,43 +1,143 @@
 const Tesseract = require('tesseract.js');
-const axios = require('axios');
+const { httpClient } = require('./http-client');
+const { preprocessImage } = require('./image-preprocess');
+
+// Lines below this Tesseract confidence go to human review
+const OCR_CONFIDENCE_THRESHOLD = parseFloat(process.env.OCR_CONFIDENCE_THRESHOLD) || 70;
+
+// Eden AI does not report confidence; it is generally accurate
+const EDEN_CONFIDENCE = 95;
+
+function toLines(text, confidence) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => ({ text: line, confidence }));
+}
+
+function tesseractLines(data) {
+  // Tesseract reports confidence per recognised line; fall back to page confidence
+  if (Array.isArray(data.lines) && data.lines.length) {
+    return data.lines
+      .map(line => ({ text: line.text.trim(), confidence: Math.round(line.confidence) }))
+      .filter(line => line.text);
+  }
+  return toLines(data.text, Math.round(data.confidence ?? 0));
+}
+
+async function recognizeText(image, { edenApiKey, language = 'eng', preprocess = true } = {}) {
+  // Single OCR service: Eden AI for hosted images when configured, Tesseract otherwise.
+  // Returns the text plus per-line confidence so callers can gate on it.
+  if (edenApiKey && typeof image === 'string') {
+    try {
+      const response = await httpClient('eden').post('https://api.edenai.run/v2/ocr', {
+        providers: 'google', // Or 'microsoft' for better handwriting
+        file_url: image,
+        language: language.slice(0, 2)
+      }, {
+        headers: { 'Authorization': `Bearer ${edenApiKey}` },
+        idempotent: true
+      });
+
+      const text = response.data.google.predicted_text || '';
+      return {
+        text,
+        confidence: EDEN_CONFIDENCE,
+        lines: toLines(text, EDEN_CONFIDENCE),
+        provider: 'eden'
+      };
+    } catch (error) {
+      console.log('Eden OCR failed, using Tesseract fallback');
+    }
+  }
+
+  let input = image;
+  if (preprocess) {
+    try {
+      input = await preprocessImage(image);
+    } catch (error) {
+      console.error('Image preprocessing error:', error.message);
+    }
+  }
+
+  const { data } = await Tesseract.recognize(input, language);
+  const lines = tesseractLines(data);
+  return {
+    text: data.text || '',
+    confidence: Math.round(data.confidence ?? 0),
+    lines,
+    provider: 'tesseract'
+  };
+}
+
+function mergePages(pages) {
+  // Combine per-page OCR results into one document with page markers
+  if (pages.length === 1) return pages[0];
+
+  const lines = [];
+  pages.forEach((page, i) => {
+    lines.push({ text: `--- Page ${i + 1} ---`, confidence: 100, marker: true });
+    lines.push(...page.lines);
+  });
+  const confidences = pages.map(page => page.confidence);
+
+  return {
+    text: lines.map(line => line.text).join('\n'),
+    confidence: Math.round(confidences.reduce((a, b) => a + b, 0) / confidences.length),
+    lines,
+    provider: [...new Set(pages.map(page => page.provider))].join('+')
+  };
+}
+
+function truncateLines(result, maxChars) {
+  // Keep the lines that fit in maxChars (joined by newlines), cutting the last one short
+  const lines = [];
+  let length = 0;
+  for (const line of result.lines) {
+    const room = maxChars - length;
+    if (room <= 0) break;
+    lines.push(line.text.length > room ? { ...line, text: line.text.substring(0, room) } : line);
+    length += line.text.length + 1;
+  }
+  return { ...result, text: result.text.substring(0, maxChars), lines };
+}
+
+function findUncertainLines(lines, threshold = OCR_CONFIDENCE_THRESHOLD) {
+  return lines
+    .map((line, index) => ({ ...line, index }))
+    .filter(line => line.confidence < threshold);
+}
 
 async function advancedOCR(imageBuffer, language = 'eng') {
   // Advanced OCR with confidence scores
   const { data: { text, confidence } } = await Tesseract.recognize(imageBuffer, language, {
     logger: m => console.log(m) // Progress log
   });
-  
-  if (confidence < 70) {
+
+  if (confidence < OCR_CONFIDENCE_THRESHOLD) {
     throw new Error('Low OCR confidence - human review needed');
   }
-  
+
   return { text, confidence };
 }
 
 async function processImageFromUrl(imageUrl, edenApiKey) {
   try {
-    if (edenApiKey) {
-      const response = await axios.post('https://api.edenai.run/v2/ocr', {
-        providers: 'google',
-        file_url: imageUrl,
-        language: 'en'
-      }, {
-        headers: { 'Authorization': `Bearer ${edenApiKey}` }
-      });
-      
-      return {
-        text: response.data.google.predicted_text || '',
-        confidence: 95 // Eden AI generally has high confidence
-      };
-    } else {
-      // Fallback to Tesseract
-      const { data: { text, confidence } } = await Tesseract.recognize(imageUrl, 'eng');
-      return { text, confidence };
-    }
+    const { text, confidence } = await recognizeText(imageUrl, { edenApiKey });
+    return { text, confidence };
   } catch (error) {
     console.error('OCR processing error:', error.message);
     throw error;
   }
 }
 
-module.exports = { advancedOCR, processImageFromUrl };
\ No newline at end of file
+module.exports = {
+  OCR_CONFIDENCE_THRESHOLD,
+  recognizeText,
+  mergePages,
+  truncateLines,
+  findUncertainLines,
+  advancedOCR,
+  processImageFromUrl
+};
@@ -0,0 +1,102 @@
+const { STOPWORDS } = require('./ranking');
+
+// Full-text passages of an assignment's sources, searchable with BM25. Page text
+// is cut into overlapping word windows that never cross a page, so every passage
+// can be quoted with the page it came from.
+
+const CHUNK_WORDS = 120;
+const CHUNK_OVERLAP = 30;
+// BM25 term-frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Every occurrence counts (unlike ranking's terms(), which keeps each term once)
+function tokenize(text) {
+  return ((text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 2 && !STOPWORDS.has(term));
+}
+
+// [{ page, text }] -> [{ page, text }] chunks of about `size` words
+function chunkPages(pages, { size = CHUNK_WORDS, overlap = CHUNK_OVERLAP } = {}) {
+  const step = Math.max(1, size - overlap);
+  const chunks = [];
+  for (const { page, text } of pages) {
+    const words = (text || '').split(/\s+/).filter(Boolean);
+    for (let start = 0; start < words.length; start += step) {
+      chunks.push({ page, text: words.slice(start, start + size).join(' ') });
+      if (start + size >= words.length) break;
+    }
+  }
+  return chunks;
+}
+
+class PassageIndex {
+  constructor(passages = []) {
+    this.passages = [];
+    this.postings = new Map();
+    this.totalLength = 0;
+    for (const passage of passages) this.addPassage(passage);
+  }
+
+  static from(data) {
+    return new PassageIndex(data?.passages || []);
+  }
+
+  addPassage({ source, page, text }) {
+    const tokens = tokenize(text);
+    const id = this.passages.length;
+    this.passages.push({ source, page, text, length: tokens.length });
+    this.totalLength += tokens.length;
+
+    const frequencies = new Map();
+    for (const token of tokens) frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    for (const [token, frequency] of frequencies) {
+      if (!this.postings.has(token)) this.postings.set(token, []);
+      this.postings.get(token).push([id, frequency]);
+    }
+  }
+
+  // Index one source's pages under its key (usually the DOI)
+  add(source, pages, options) {
+    const chunks = chunkPages(pages, options);
+    for (const chunk of chunks) this.addPassage({ source, ...chunk });
+    return chunks.length;
+  }
+
+  sources() {
+    return [...new Set(this.passages.map(passage => passage.source))];
+  }
+
+  // Best-matching passages for a query, optionally of one source only
+  search(query, { limit = 5, source = null } = {}) {
+    if (!this.passages.length) return [];
+    const averageLength = this.totalLength / this.passages.length || 1;
+    const scores = new Map();
+
+    for (const token of new Set(tokenize(query))) {
+      const postings = this.postings.get(token);
+      if (!postings) continue;
+      const idf = Math.log(1 + (this.passages.length - postings.length + 0.5) / (postings.length + 0.5));
+      for (const [id, frequency] of postings) {
+        const passage = this.passages[id];
+        if (source && passage.source !== source) continue;
+        const norm = frequency + K1 * (1 - B + B * (passage.length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + idf * ((frequency * (K1 + 1)) / norm));
+      }
+    }
+
+    return [...scores]
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .slice(0, limit)
+      .map(([id, score]) => {
+        const { source: key, page, text } = this.passages[id];
+        return { source: key, page, text, score: Math.round(score * 1000) / 1000 };
+      });
+  }
+
+  toJSON() {
+    return { passages: this.passages.map(({ source, page, text }) => ({ source, page, text })) };
+  }
+}
+
+module.exports = { PassageIndex, chunkPages, tokenize, CHUNK_WORDS, CHUNK_OVERLAP };
@@ -0,0 +1,57 @@
+const PizZip = require('pizzip');
+
+// Everything the bot keeps about a chat, gathered from registered sources.
+// A source is { name, export(chatId), files?(chatId), erase(chatId) }:
+// export returns JSON-able data, files returns [{ name, content }] to include
+// in the archive, and erase removes the data and returns how much it removed.
+// Sources run in registration order, so register ones that need another
+// source's data (e.g. file names from history) before that source.
+
+class PersonalData {
+  constructor(sources = []) {
+    this.sources = sources;
+  }
+
+  register(source) {
+    this.sources.push(source);
+    return this;
+  }
+
+  async exportZip(chatId, now = new Date()) {
+    const zip = new PizZip();
+    const summary = { chatId: String(chatId), exportedAt: now.toISOString(), sources: {} };
+
+    for (const source of this.sources) {
+      try {
+        const data = await source.export(chatId);
+        zip.file(`${source.name}.json`, JSON.stringify(data === undefined ? null : data, null, 2));
+        const files = source.files ? await source.files(chatId) : [];
+        for (const file of files) {
+          zip.file(`${source.name}/${file.name}`, file.content);
+        }
+        summary.sources[source.name] = { exported: true, files: files.length };
+      } catch (error) {
+        // One unreachable backend shouldn't block the rest of the export
+        summary.sources[source.name] = { exported: false, error: error.message };
+      }
+    }
+
+    zip.file('summary.json', JSON.stringify(summary, null, 2));
+    return zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  async erase(chatId) {
+    // Every source is attempted even when an earlier one fails
+    const results = [];
+    for (const source of this.sources) {
+      try {
+        results.push({ name: source.name, removed: (await source.erase(chatId)) || 0 });
+      } catch (error) {
+        results.push({ name: source.name, error: error.message });
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = { PersonalData };
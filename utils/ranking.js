@@ -0,0 +1,110 @@
+// Relevance ranking for retrieved sources. Each factor scores 0..1, the weighted
+// factors add up to a 0..100 score, and every source keeps the reasons (factor,
+// points and details) so users can see why it was picked.
+
+const RANKING_FACTORS = ['title', 'abstract', 'citations', 'venue', 'recency', 'openAccess'];
+
+const DEFAULT_WEIGHTS = {
+  title: 3,
+  abstract: 2,
+  citations: 2,
+  venue: 1,
+  recency: 1,
+  openAccess: 1
+};
+
+// Papers this old (in years) get no recency credit
+const RECENCY_HORIZON_YEARS = 10;
+// log10(1 + citations) / 3: 1000 citations earn the full citation score
+const CITATION_SATURATION = 3;
+// Preprint servers count for less than a journal or proceedings venue
+const PREPRINT_VENUES = /arxiv|biorxiv|medrxiv|ssrn|preprints|research square/i;
+
+const STOPWORDS = new Set(('a an and are as at be by for from has have how in into is it its of on or that the ' +
+  'their this to was were what when which with within without why effect effects impact study analysis research').split(' '));
+
+function terms(text) {
+  return [...new Set((text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])]
+    .filter(term => term.length > 2 && !STOPWORDS.has(term));
+}
+
+// "title=3, citations=0" -> { weights: { title: 3, citations: 0 }, unknown: [] }
+function parseWeights(text) {
+  const weights = {};
+  const unknown = [];
+  for (const pair of (text || '').split(/[\s,;]+/).filter(Boolean)) {
+    const [name, value] = pair.split('=');
+    const factor = RANKING_FACTORS.find(known => known.toLowerCase() === (name || '').toLowerCase());
+    const weight = parseFloat(value);
+    if (factor && Number.isFinite(weight) && weight >= 0) {
+      weights[factor] = weight;
+    } else {
+      unknown.push(pair);
+    }
+  }
+  return { weights, unknown };
+}
+
+function resolveWeights(...overrides) {
+  const weights = Object.assign({}, DEFAULT_WEIGHTS, ...overrides);
+  // All-zero weights would make every score 0/0; fall back to the defaults
+  return RANKING_FACTORS.some(factor => weights[factor] > 0) ? weights : { ...DEFAULT_WEIGHTS };
+}
+
+function overlap(queryTerms, text) {
+  const found = new Set(terms(text));
+  const matched = queryTerms.filter(term => found.has(term)).length;
+  return { value: queryTerms.length ? matched / queryTerms.length : 0, matched, total: queryTerms.length };
+}
+
+const FACTORS = {
+  title: (source, { queryTerms }) => overlap(queryTerms, source.title),
+  abstract: (source, { queryTerms }) => overlap(queryTerms, source.abstract),
+  citations: (source) => {
+    const count = source.citationCount || 0;
+    return { value: Math.min(1, Math.log10(1 + count) / CITATION_SATURATION), count };
+  },
+  venue: (source) => {
+    if (!source.venue) return { value: 0 };
+    return { value: PREPRINT_VENUES.test(source.venue) ? 0.5 : 1, venue: source.venue };
+  },
+  recency: (source, { year }) => {
+    if (!source.year) return { value: 0 };
+    const age = Math.max(0, year - source.year);
+    return { value: Math.max(0, 1 - age / RECENCY_HORIZON_YEARS), year: source.year };
+  },
+  openAccess: (source) => ({ value: source.url ? 1 : 0 })
+};
+
+// Score one source; reasons are sorted by the points they contributed
+function scoreSource(source, { queryTerms, weights, year }) {
+  const total = RANKING_FACTORS.reduce((sum, factor) => sum + weights[factor], 0);
+  const reasons = [];
+  let score = 0;
+
+  for (const factor of RANKING_FACTORS) {
+    if (!weights[factor]) continue;
+    const { value, ...details } = FACTORS[factor](source, { queryTerms, year });
+    const points = (weights[factor] / total) * value * 100;
+    score += points;
+    if (points > 0) reasons.push({ factor, points: Math.round(points), ...details });
+  }
+
+  reasons.sort((a, b) => b.points - a.points);
+  return { score: Math.round(score), reasons };
+}
+
+// Rank sources against the topic, best first (search keywords stand in for a topic without usable terms)
+function rankSources(sources, { topic, keywords = [], weights = {}, now = new Date() } = {}) {
+  const topicTerms = terms(topic);
+  const queryTerms = topicTerms.length ? topicTerms : terms(keywords.join(' '));
+  const context = { queryTerms, weights: resolveWeights(weights), year: now.getFullYear() };
+
+  return sources
+    .map((source, index) => ({ source: { ...source, ranking: scoreSource(source, context) }, index }))
+    // Ties keep the providers' own order
+    .sort((a, b) => b.source.ranking.score - a.source.ranking.score || a.index - b.index)
+    .map(({ source }) => source);
+}
+
+module.exports = { RANKING_FACTORS, DEFAULT_WEIGHTS, STOPWORDS, parseWeights, resolveWeights, rankSources, terms };
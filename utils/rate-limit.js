@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+// Rate limiting and usage quotas.
+// - Token buckets smooth out bursts per chat and per command. They refill within
+//   minutes, so they live in memory; a restart simply starts every bucket full.
+// - Quotas cap the expensive runs (source searches, drafts, revisions) per day and
+//   per month by user type. Counters are kept in a store (see file-store.js) so they
+//   survive restarts.
+
+class TokenBucketLimiter {
+  // limits: { name: { capacity, refillPerMinute } }; each key gets its own bucket
+  constructor(limits) {
+    this.limits = limits;
+    this.buckets = new Map();
+  }
+
+  take(key, limitName, now = Date.now()) {
+    const bucketKey = `${key}|${limitName}`;
+    const { capacity, refillPerMinute } = this.limits[limitName];
+    const refillPerMs = refillPerMinute / 60000;
+    const bucket = this.buckets.get(bucketKey) || { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(bucketKey, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, retryAfterMs: 0 };
+    }
+    return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+  }
+
+  sweep(now = Date.now()) {
+    // Full buckets carry no state worth keeping
+    for (const [key, bucket] of this.buckets) {
+      const limitName = key.slice(key.lastIndexOf('|') + 1);
+      const { capacity, refillPerMinute } = this.limits[limitName];
+      if (bucket.tokens + (now - bucket.updatedAt) * (refillPerMinute / 60000) >= capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+function periodKeys(now) {
+  const iso = new Date(now).toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+class UsageQuota {
+  // limits: { userType: { daily, monthly } }; unknown user types get `fallbackType`.
+  // With a `keySecret`, counters are stored under an HMAC of the chat id: they hold no
+  // chat id, so they can outlive a data deletion that would otherwise reset the quota.
+  constructor({ store, limits, fallbackType = 'guest', keySecret = null }) {
+    this.store = store;
+    this.limits = limits;
+    this.fallbackType = fallbackType;
+    this.keySecret = keySecret;
+  }
+
+  keyFor(chatId) {
+    return this.keySecret
+      ? crypto.createHmac('sha256', this.keySecret).update(String(chatId)).digest('hex')
+      : String(chatId);
+  }
+
+  limitsFor(userType) {
+    return this.limits[userType] || this.limits[this.fallbackType];
+  }
+
+  summarize(record, userType, now) {
+    // Counters from an earlier day or month no longer count
+    const { day, month } = periodKeys(now);
+    const limits = this.limitsFor(userType);
+    const daily = record?.day === day ? record.dailyCount : 0;
+    const monthly = record?.month === month ? record.monthlyCount : 0;
+    const exceeded = daily >= limits.daily ? 'daily' : monthly >= limits.monthly ? 'monthly' : null;
+
+    return {
+      allowed: !exceeded,
+      exceeded,
+      daily: { used: daily, limit: limits.daily, remaining: Math.max(0, limits.daily - daily) },
+      monthly: { used: monthly, limit: limits.monthly, remaining: Math.max(0, limits.monthly - monthly) }
+    };
+  }
+
+  async usage(chatId, userType, now = Date.now()) {
+    return this.summarize(await this.store.get(this.keyFor(chatId)), userType, now);
+  }
+
+  async consume(chatId, userType, now = Date.now()) {
+    // Counts one run if the quota allows it; returns the usage after the attempt
+    let summary;
+    await this.store.update(this.keyFor(chatId), record => {
+      summary = this.summarize(record, userType, now);
+      if (!summary.allowed) return undefined;
+
+      const { day, month } = periodKeys(now);
+      summary = this.summarize({
+        day,
+        month,
+        dailyCount: summary.daily.used + 1,
+        monthlyCount: summary.monthly.used + 1
+      }, userType, now);
+      summary.allowed = true;
+      summary.exceeded = null;
+      return { day, month, dailyCount: summary.daily.used, monthlyCount: summary.monthly.used };
+    });
+    return summary;
+  }
+}
+
+module.exports = { TokenBucketLimiter, UsageQuota };
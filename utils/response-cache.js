@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { FileStore } = require('./file-store');
+
+// Disk cache for external API responses. Keys are the API name plus a hash of
+// the normalized request (key order, case and whitespace don't matter). Each
+// API has its own TTL; after it an entry is served stale for `staleMs` while a
+// background fetch refreshes it. When the directory grows past `maxBytes` the
+// oldest-written entries are evicted.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_POLICY = { ttlMs: 24 * HOUR_MS, staleMs: 24 * HOUR_MS };
+const DEFAULT_TTL_HOURS = {
+  groq: 7 * 24,
+  semanticscholar: 24,
+  crossref: 24,
+  openalex: 24,
+  arxiv: 12,
+  pubmed: 24
+};
+// Eviction frees space down to this share of maxBytes, so it doesn't run on every write
+const EVICT_TO = 0.9;
+
+function normalizeRequest(value) {
+  if (Array.isArray(value)) return value.map(normalizeRequest);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => [key, normalizeRequest(value[key])]));
+  }
+  if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ').toLowerCase();
+  return value;
+}
+
+function cacheKey(api, request) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(normalizeRequest(request))).digest('hex');
+  return `${api}:${hash.slice(0, 32)}`;
+}
+
+// "groq=168, crossref=12" -> { groq: 168, crossref: 12 } (hours)
+function parseTtlHours(text) {
+  const hours = {};
+  for (const pair of (text || '').split(/[\s,;]+/).filter(Boolean)) {
+    const [api, value] = pair.split('=');
+    const parsed = parseFloat(value);
+    if (api && Number.isFinite(parsed) && parsed >= 0) hours[api.toLowerCase()] = parsed;
+  }
+  return hours;
+}
+
+class ResponseCache {
+  constructor({ dir, ttlHours = {}, staleHours = 24, maxBytes = 50 * 1024 * 1024, enabled = true, now = Date.now }) {
+    this.dir = dir;
+    this.enabled = enabled;
+    this.maxBytes = maxBytes;
+    this.now = now;
+    this.policies = Object.fromEntries(Object.entries({ ...DEFAULT_TTL_HOURS, ...ttlHours })
+      .map(([api, hours]) => [api, { ttlMs: hours * HOUR_MS, staleMs: staleHours * HOUR_MS }]));
+    this.defaultPolicy = { ...DEFAULT_POLICY, staleMs: staleHours * HOUR_MS };
+    // Entries are removed for good once they are too old to serve even stale
+    this.store = new FileStore({ dir });
+    this.revalidating = new Map();
+    this.bytes = null;
+    this.counters = {};
+  }
+
+  policy(api) {
+    return this.policies[api] || this.defaultPolicy;
+  }
+
+  count(api, outcome) {
+    const counters = this.counters[api] || (this.counters[api] = { hits: 0, stale: 0, misses: 0 });
+    counters[outcome]++;
+  }
+
+  // The cached response for a request, or fetch() it and cache the result.
+  // Failed fetches are never cached; a failed revalidation keeps the stale entry.
+  async wrap(api, request, fetch) {
+    if (!this.enabled) return fetch();
+    const key = cacheKey(api, request);
+    const entry = await this.store.get(key);
+    const age = entry ? this.now() - entry.fetchedAt : Infinity;
+    const { ttlMs, staleMs } = this.policy(api);
+
+    if (age < ttlMs) {
+      this.count(api, 'hits');
+      return entry.value;
+    }
+    if (age < ttlMs + staleMs) {
+      this.count(api, 'stale');
+      this.revalidate(api, key, request, fetch);
+      return entry.value;
+    }
+    this.count(api, 'misses');
+    return this.fetchAndStore(api, key, request, fetch);
+  }
+
+  revalidate(api, key, request, fetch) {
+    if (this.revalidating.has(key)) return;
+    const refresh = this.fetchAndStore(api, key, request, fetch)
+      .catch(error => console.error(`Cache revalidation failed for ${api}:`, error.message))
+      .finally(() => this.revalidating.delete(key));
+    this.revalidating.set(key, refresh);
+  }
+
+  // Wait for background revalidations (tests, shutdown)
+  async idle() {
+    await Promise.all([...this.revalidating.values()]);
+  }
+
+  async fetchAndStore(api, key, request, fetch) {
+    const value = await fetch();
+    const { ttlMs, staleMs } = this.policy(api);
+    const entry = { api, request: normalizeRequest(request), value, fetchedAt: this.now() };
+    await this.store.set(key, entry, ttlMs + staleMs);
+    await this.trackSize(Buffer.byteLength(JSON.stringify(entry)));
+    return value;
+  }
+
+  async files() {
+    try {
+      const names = (await fs.readdir(this.dir)).filter(name => name.endsWith('.json'));
+      const files = await Promise.all(names.map(async name => {
+        try {
+          const stat = await fs.stat(path.join(this.dir, name));
+          return { name, key: decodeURIComponent(name.slice(0, -'.json'.length)), size: stat.size, mtimeMs: stat.mtimeMs };
+        } catch {
+          return null;
+        }
+      }));
+      return files.filter(Boolean);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async trackSize(written) {
+    if (this.bytes === null) {
+      this.bytes = (await this.files()).reduce((sum, file) => sum + file.size, 0);
+    } else {
+      this.bytes += written;
+    }
+    if (this.bytes > this.maxBytes) await this.evict();
+  }
+
+  // Remove the oldest-written entries until the cache fits (returns how many were removed)
+  async evict(targetBytes = this.maxBytes * EVICT_TO) {
+    const files = (await this.files()).sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let bytes = files.reduce((sum, file) => sum + file.size, 0);
+    let removed = 0;
+    for (const file of files) {
+      if (bytes <= targetBytes) break;
+      await this.store.delete(file.key);
+      bytes -= file.size;
+      removed++;
+    }
+    this.bytes = bytes;
+    return removed;
+  }
+
+  // Entries and bytes per API, with this process's hit/stale/miss counts
+  async stats() {
+    const apis = {};
+    for (const file of await this.files()) {
+      const api = file.key.split(':')[0];
+      const stats = apis[api] || (apis[api] = { entries: 0, bytes: 0, hits: 0, stale: 0, misses: 0 });
+      stats.entries++;
+      stats.bytes += file.size;
+    }
+    for (const [api, counters] of Object.entries(this.counters)) {
+      Object.assign(apis[api] || (apis[api] = { entries: 0, bytes: 0 }), counters);
+    }
+    const bytes = Object.values(apis).reduce((sum, stats) => sum + stats.bytes, 0);
+    return { apis, bytes, maxBytes: this.maxBytes };
+  }
+
+  // Most recently fetched entries of one API: normalized request, age and whether it is still fresh
+  async inspect(api, limit = 10) {
+    const files = (await this.files())
+      .filter(file => file.key.startsWith(`${api}:`))
+      .sort((a, b) => b.mtimeMs - a.mtimeMs)
+      .slice(0, limit);
+    const { ttlMs } = this.policy(api);
+    const entries = [];
+    for (const file of files) {
+      const entry = await this.store.get(file.key);
+      if (!entry) continue;
+      const ageMs = this.now() - entry.fetchedAt;
+      entries.push({ key: file.key, request: entry.request, ageMs, fresh: ageMs < ttlMs, bytes: file.size });
+    }
+    return entries;
+  }
+
+  // Delete every entry, or one API's (returns how many were removed)
+  async purge(api = null) {
+    const files = (await this.files()).filter(file => !api || file.key.startsWith(`${api}:`));
+    for (const file of files) {
+      await this.store.delete(file.key);
+    }
+    this.bytes = null;
+    return files.length;
+  }
+}
+
+module.exports = { ResponseCache, normalizeRequest, cacheKey, parseTtlHours, DEFAULT_TTL_HOURS };
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+// Tutor rosters: each tutor chat keeps a list of students with their own
+// assignments, files, feedback and tags. Students can be added by name or
+// invited with a one-time code (also usable as a /start deep-link payload).
+
+// Unambiguous characters for codes people may have to type
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_LENGTH = 8;
+
+function generateInviteCode() {
+  const bytes = crypto.randomBytes(INVITE_LENGTH);
+  return [...bytes].map(byte => INVITE_ALPHABET[byte % INVITE_ALPHABET.length]).join('');
+}
+
+class Roster {
+  constructor({ store, inviteStore, inviteTtlMs = 7 * 24 * 60 * 60 * 1000 }) {
+    this.store = store;
+    this.inviteStore = inviteStore;
+    this.inviteTtlMs = inviteTtlMs;
+  }
+
+  // Id used for the student's Drive folder and file prefix, unique across tutors
+  static workspaceId(tutorChatId, studentId) {
+    return `tutor_${tutorChatId}_${studentId}`;
+  }
+
+  async list(tutorChatId) {
+    const roster = await this.store.get(String(tutorChatId));
+    return roster?.students || [];
+  }
+
+  async get(tutorChatId, studentId) {
+    return (await this.list(tutorChatId)).find(student => student.id === studentId) || null;
+  }
+
+  async find(tutorChatId, query) {
+    // Match by id, then by name (case-insensitive, exact before prefix)
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return null;
+    const students = await this.list(tutorChatId);
+    return students.find(student => student.id === needle) ||
+      students.find(student => student.name.toLowerCase() === needle) ||
+      students.find(student => student.name.toLowerCase().startsWith(needle)) ||
+      null;
+  }
+
+  async updateStudent(tutorChatId, studentId, fn) {
+    let updated = null;
+    await this.store.update(String(tutorChatId), roster => {
+      const student = roster?.students.find(entry => entry.id === studentId);
+      if (!student) return undefined;
+      fn(student);
+      updated = student;
+      return roster;
+    });
+    return updated;
+  }
+
+  async addStudent(tutorChatId, name) {
+    const student = {
+      id: `s${crypto.randomBytes(3).toString('hex')}`,
+      name: name.trim(),
+      chatId: null,
+      tags: [],
+      assignments: [],
+      feedback: [],
+      createdAt: new Date().toISOString()
+    };
+    await this.store.update(String(tutorChatId), roster => {
+      const current = roster || { tutorChatId: String(tutorChatId), students: [] };
+      current.students.push(student);
+      return current;
+    });
+    return student;
+  }
+
+  async createInvite(tutorChatId, studentId) {
+    const code = generateInviteCode();
+    await this.inviteStore.set(code, {
+      tutorChatId: String(tutorChatId),
+      studentId,
+      createdAt: new Date().toISOString()
+    }, this.inviteTtlMs);
+    return code;
+  }
+
+  async redeemInvite(code, chatId) {
+    // One-time: the code is removed once a student chat is linked
+    const key = (code || '').trim().toUpperCase();
+    const invite = key && await this.inviteStore.get(key);
+    if (!invite) return null;
+
+    const student = await this.updateStudent(invite.tutorChatId, invite.studentId, entry => {
+      entry.chatId = String(chatId);
+      entry.joinedAt = new Date().toISOString();
+    });
+    await this.inviteStore.delete(key);
+    return student ? { tutorChatId: invite.tutorChatId, student } : null;
+  }
+
+  async linkedEntries(chatId) {
+    // Roster entries (in any tutor's roster) that a student chat has joined
+    const linked = [];
+    for (const [tutorChatId, roster] of await this.store.entries()) {
+      for (const student of roster.students) {
+        if (student.chatId === String(chatId)) linked.push({ tutorChatId, student });
+      }
+    }
+    return linked;
+  }
+
+  async unlink(chatId) {
+    // The entries stay with their tutors; only the link to this chat is removed
+    const linked = await this.linkedEntries(chatId);
+    for (const { tutorChatId, student } of linked) {
+      await this.updateStudent(tutorChatId, student.id, entry => {
+        entry.chatId = null;
+        delete entry.joinedAt;
+      });
+    }
+    return linked.length;
+  }
+
+  async deleteRoster(tutorChatId) {
+    // Remove a tutor's roster and any invites they still have outstanding
+    const students = await this.list(tutorChatId);
+    await this.store.delete(String(tutorChatId));
+    for (const [code, invite] of await this.inviteStore.entries()) {
+      if (invite.tutorChatId === String(tutorChatId)) await this.inviteStore.delete(code);
+    }
+    return students.length;
+  }
+
+  async recordAssignment(tutorChatId, studentId, entry) {
+    return this.updateStudent(tutorChatId, studentId, student => {
+      student.assignments.push({ ...entry, createdAt: new Date().toISOString() });
+      student.tags = [...new Set([...student.tags, ...(entry.tags || [])])];
+    });
+  }
+
+  async recordFeedback(tutorChatId, studentId, feedback) {
+    return this.updateStudent(tutorChatId, studentId, student => {
+      student.feedback.push({ ...feedback, createdAt: new Date().toISOString() });
+    });
+  }
+}
+
+module.exports = { Roster, generateInviteCode };
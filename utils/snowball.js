@@ -0,0 +1,98 @@
+const { terms } = require('./ranking');
+const { mapWithConcurrency } = require('./doi-metadata');
+
+// Citation snowballing: the references and citing papers of seed papers, explored
+// level by level. A candidate linked to several seeds (cited together with them,
+// or citing several of them) is part of their neighbourhood; candidates are
+// scored by those links and by how well they match the topic. API use is bounded
+// by `depth` levels of at most `maxFrontier` papers, each asked for at most
+// `fanOut` references and `fanOut` citations.
+
+const MAX_DEPTH = 2;
+// Share of the 0..100 score from seed links; the rest comes from the topic
+const LINK_WEIGHT = 0.6;
+
+// `neighbours(doi, { limit })` resolves to { references: [sources], citations: [sources] }
+async function expandCitations(seeds, { neighbours, depth = 1, fanOut = 20, maxFrontier = 5, concurrency = 4 }) {
+  const seedDois = [...new Set(seeds.map(doi => doi.toLowerCase()))];
+  const seedSet = new Set(seedDois);
+  const candidates = new Map();
+  // Each paper to explore remembers which seeds it descends from
+  let frontier = seedDois.slice(0, maxFrontier).map(doi => ({ doi, roots: [doi] }));
+  let calls = 0;
+
+  for (let level = 1; level <= Math.min(depth, MAX_DEPTH) && frontier.length; level++) {
+    const failures = [];
+    const results = await mapWithConcurrency(frontier, concurrency, async paper => {
+      calls++;
+      try {
+        return await neighbours(paper.doi, { limit: fanOut });
+      } catch (error) {
+        failures.push(error);
+        return { references: [], citations: [] };
+      }
+    });
+    // Nothing could be fetched at all: an outage, not an empty neighbourhood
+    if (failures.length === frontier.length) throw failures[0];
+
+    const found = [];
+    frontier.forEach((paper, i) => {
+      const { references = [], citations = [] } = results[i];
+      for (const [relation, sources] of [['reference', references], ['citation', citations]]) {
+        for (const source of sources) {
+          const doi = source.doi?.toLowerCase();
+          if (!doi || seedSet.has(doi)) continue;
+          let candidate = candidates.get(doi);
+          if (!candidate) {
+            candidate = { source, level, links: new Set(), roots: new Set(), relations: new Set() };
+            candidates.set(doi, candidate);
+            found.push(candidate);
+          }
+          candidate.links.add(paper.doi);
+          paper.roots.forEach(root => candidate.roots.add(root));
+          candidate.relations.add(relation);
+        }
+      }
+    });
+
+    // The best-linked new papers are explored next
+    frontier = found
+      .sort((a, b) => b.links.size - a.links.size || (b.source.citationCount || 0) - (a.source.citationCount || 0))
+      .slice(0, maxFrontier)
+      .map(candidate => ({ doi: candidate.source.doi.toLowerCase(), roots: [...candidate.roots] }));
+  }
+
+  return {
+    calls,
+    candidates: [...candidates.values()].map(({ source, level, links, roots, relations }) => ({
+      ...source,
+      snowball: { level, links: links.size, seeds: roots.size, relations: [...relations] }
+    }))
+  };
+}
+
+// Score candidates 0..100, best first, with ranking-style reasons
+function scoreCandidates(candidates, { topic, seedCount }) {
+  const topicTerms = terms(topic);
+  return candidates
+    .map((candidate, index) => {
+      const { links, seeds } = candidate.snowball;
+      const found = new Set(terms(`${candidate.title} ${candidate.abstract || ''}`));
+      const matched = topicTerms.filter(term => found.has(term)).length;
+
+      const linkPoints = LINK_WEIGHT * Math.min(1, seeds / Math.max(1, seedCount)) * 100;
+      const topicPoints = (1 - LINK_WEIGHT) * (topicTerms.length ? matched / topicTerms.length : 0) * 100;
+      const reasons = [
+        { factor: 'cocitation', points: Math.round(linkPoints), links, seeds, total: seedCount },
+        { factor: 'topic', points: Math.round(topicPoints), matched, total: topicTerms.length }
+      ].filter(reason => reason.points > 0).sort((a, b) => b.points - a.points);
+
+      return { source: { ...candidate, ranking: { score: Math.round(linkPoints + topicPoints), reasons } }, index };
+    })
+    .sort((a, b) => b.source.ranking.score - a.source.ranking.score
+      || b.source.snowball.links - a.source.snowball.links
+      || a.index - b.index)
+    .map(({ source }) => source);
+}
+
+module.exports = { expandCitations, scoreCandidates, MAX_DEPTH };
@@ -0,0 +1,113 @@
+const Joi = require('joi');
+
+// Per-request source filters: publication years, types, open access, minimum
+// citations and language. Providers translate what their API supports into
+// query parameters; matchesFilters applies the same rules to every merged result.
+
+const PUBLICATION_TYPES = ['journal', 'conference', 'review', 'preprint'];
+
+const filtersSchema = Joi.object({
+  yearFrom: Joi.number().integer().min(1000).max(3000),
+  yearTo: Joi.number().integer().min(1000).max(3000)
+    .when('yearFrom', { is: Joi.exist(), then: Joi.number().min(Joi.ref('yearFrom')) }),
+  types: Joi.array().items(Joi.string().valid(...PUBLICATION_TYPES)).unique(),
+  openAccess: Joi.boolean(),
+  minCitations: Joi.number().integer().min(0),
+  language: Joi.string().lowercase().pattern(/^[a-z]{2}$/)
+});
+
+const YES = ['yes', 'true', 'on', '1'];
+const NO = ['no', 'false', 'off', '0'];
+
+// "1950-1990", "1950-", "-1990" or a single year
+function parseYears(value) {
+  const match = value.match(/^(\d{4})?(-)?(\d{4})?$/);
+  if (!match || (!match[1] && !match[3])) return null;
+  const [, from, range, to] = match;
+  if (!range) return { yearFrom: parseInt(from, 10), yearTo: parseInt(from, 10) };
+  return {
+    ...(from ? { yearFrom: parseInt(from, 10) } : {}),
+    ...(to ? { yearTo: parseInt(to, 10) } : {})
+  };
+}
+
+// One "name=value" (or bare "oa" / "1950-1990") token -> filter fields, or null when it isn't a filter
+function parseToken(token) {
+  if (!token.includes('=') && /\d/.test(token)) return parseYears(token);
+  const [rawName, value = ''] = token.split('=');
+  const name = rawName.toLowerCase();
+
+  if (['year', 'years'].includes(name)) return parseYears(value);
+  if (name === 'from') return { yearFrom: parseInt(value, 10) };
+  if (name === 'to') return { yearTo: parseInt(value, 10) };
+  if (['type', 'types'].includes(name)) return { types: value.toLowerCase().split(/[,|]/).filter(Boolean) };
+  // Only "oa": "openAccess=<n>" is the ranking weight
+  if (name === 'oa' && !value) return { openAccess: true };
+  if (name === 'oa' && [...YES, ...NO].includes(value.toLowerCase())) {
+    return { openAccess: YES.includes(value.toLowerCase()) };
+  }
+  if (['mincites', 'mincitations'].includes(name)) return { minCitations: parseInt(value, 10) };
+  if (['lang', 'language'].includes(name)) return { language: value };
+  return null;
+}
+
+// "year=1950-1990 type=journal,review oa mincites=10 lang=en" -> { filters, rest, error }
+// rest keeps the tokens that aren't filters (e.g. ranking weights) in order
+function parseFilters(text, base = {}) {
+  const parsed = { ...base };
+  const rest = [];
+  for (const token of (text || '').split(/\s+/).filter(Boolean)) {
+    const fields = parseToken(token);
+    if (fields) {
+      Object.assign(parsed, fields);
+    } else {
+      rest.push(token);
+    }
+  }
+
+  const { error, value } = filtersSchema.validate(parsed);
+  return error
+    ? { filters: base, rest, error: error.details[0].message }
+    : { filters: value, rest, error: null };
+}
+
+// Does a normalized source pass? Unknown types and languages pass (not every
+// provider reports them); a missing citation count counts as zero.
+function matchesFilters(source, filters = {}) {
+  const { yearFrom, yearTo, types, openAccess, minCitations, language } = filters;
+  if ((yearFrom || yearTo) && !source.year) return false;
+  if (yearFrom && source.year < yearFrom) return false;
+  if (yearTo && source.year > yearTo) return false;
+  if (types?.length && source.type && !types.includes(source.type)) return false;
+  if (openAccess && !(source.openAccess ?? Boolean(source.url))) return false;
+  if (minCitations && (source.citationCount || 0) < minCitations) return false;
+  if (language && source.language && source.language !== language) return false;
+  return true;
+}
+
+function hasFilters(filters = {}) {
+  return Object.values(filters).some(value => (Array.isArray(value) ? value.length > 0 : value !== undefined && value !== false && value !== 0));
+}
+
+// Compact "1950–1990 · journal, review · open access · 10+ citations · en" summary
+function describeFilters(filters = {}, labels = {}) {
+  const { yearFrom, yearTo, types, openAccess, minCitations, language } = filters;
+  const parts = [];
+  if (yearFrom || yearTo) {
+    parts.push(yearFrom === yearTo ? `${yearFrom}` : `${yearFrom || '…'}–${yearTo || '…'}`);
+  }
+  if (types?.length) parts.push(types.join(', '));
+  if (openAccess) parts.push(labels.openAccess || 'open access');
+  if (minCitations) parts.push(`${minCitations}+ ${labels.citations || 'citations'}`);
+  if (language) parts.push(language);
+  return parts.join(' · ');
+}
+
+module.exports = {
+  PUBLICATION_TYPES,
+  filtersSchema,
+  parseFilters,
+  matchesFilters,
+  hasFilters,
+  describeFilters
+};
@@ -0,0 +1,137 @@
+// Recognizes when records from different providers describe the same work
+// (including an arXiv preprint and its journal version) and merges them.
+
+// Titles at least this similar (Dice coefficient over character bigrams) are the same title
+const TITLE_SIMILARITY = 0.9;
+// Years apart a record may be from another version of the same work
+const MAX_YEAR_GAP = 1;
+const MAX_PREPRINT_YEAR_GAP = 3;
+
+const PREPRINT_DOI = /^10\.(48550|1101|2139|21203|31234|20944)\//;
+
+function normalizeTitle(title) {
+  return (title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const compact = text.replace(/\s+/g, '');
+  const pairs = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const pair = compact.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+}
+
+function titleSimilarity(a, b) {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let shared = 0;
+  let total = 0;
+  for (const [pair, count] of leftPairs) {
+    shared += Math.min(count, rightPairs.get(pair) || 0);
+    total += count;
+  }
+  for (const count of rightPairs.values()) total += count;
+  return total ? (2 * shared) / total : 0;
+}
+
+// "Jane A. Doe" / "Doe, Jane" / "Doe J" -> "doe"
+function familyName(name) {
+  const clean = normalizeTitle(name);
+  if ((name || '').includes(',')) return clean.split(' ')[0];
+  const parts = clean.split(' ').filter(Boolean);
+  // PubMed writes "Doe J": a short trailing token is initials
+  if (parts.length > 1 && parts[parts.length - 1].length <= 2) return parts[0];
+  return parts[parts.length - 1] || '';
+}
+
+function isPreprint(source) {
+  return source.type === 'preprint' || PREPRINT_DOI.test(source.doi || '');
+}
+
+function sameWork(a, b) {
+  const doiA = (a.doi || '').toLowerCase();
+  const doiB = (b.doi || '').toLowerCase();
+  if (doiA && doiA === doiB) return true;
+  // Two published records with different DOIs are different works, however alike their titles
+  const preprintPair = isPreprint(a) || isPreprint(b);
+  if (doiA && doiB && !preprintPair) return false;
+
+  if (titleSimilarity(a.title, b.title) < TITLE_SIMILARITY) return false;
+
+  if (a.year && b.year && Math.abs(a.year - b.year) > (preprintPair ? MAX_PREPRINT_YEAR_GAP : MAX_YEAR_GAP)) {
+    return false;
+  }
+  if (a.authors?.length && b.authors?.length) {
+    const families = new Set(a.authors.map(author => familyName(author.name)));
+    if (!b.authors.some(author => families.has(familyName(author.name)))) return false;
+  }
+  return true;
+}
+
+// The published version's DOI wins over a preprint DOI
+function bestRecord(records) {
+  return records.find(record => record.doi && !isPreprint(record)) || records.find(record => record.doi) || records[0];
+}
+
+function mergeRecords(records) {
+  if (records.length === 1) return { ...records[0] };
+  const best = bestRecord(records);
+  const merged = { ...best };
+
+  // Fill in what the best record lacks from the others, in their original order
+  for (const record of records) {
+    for (const [field, value] of Object.entries(record)) {
+      if (merged[field] === undefined || (Array.isArray(merged[field]) && merged[field].length === 0)) {
+        merged[field] = value;
+      }
+    }
+  }
+
+  const openAccessRecord = records.find(record => record.url && record.openAccess !== false);
+  if (openAccessRecord) {
+    merged.url = openAccessRecord.url;
+    merged.openAccess = true;
+  }
+  const abstracts = records.map(record => record.abstract).filter(Boolean);
+  if (abstracts.length) {
+    merged.abstract = abstracts.reduce((richest, abstract) => (abstract.length > richest.length ? abstract : richest));
+  }
+  const counts = records.map(record => record.citationCount).filter(count => count !== undefined);
+  if (counts.length) merged.citationCount = Math.max(...counts);
+
+  merged.providers = [...new Set(records.flatMap(record => record.providers || []))];
+  merged.mergedFrom = records.map(record => ({
+    doi: record.doi,
+    providers: record.providers || [],
+    ...(record.type ? { type: record.type } : {})
+  }));
+  return merged;
+}
+
+// Group records of the same work (kept in the order each work first appeared) and merge each group
+function mergeDuplicates(sources) {
+  const groups = [];
+  for (const source of sources) {
+    const group = groups.find(records => records.some(record => sameWork(record, source)));
+    if (group) {
+      group.push(source);
+    } else {
+      groups.push([source]);
+    }
+  }
+  return groups.map(mergeRecords);
+}
+
+module.exports = { normalizeTitle, titleSimilarity, sameWork, mergeRecords, mergeDuplicates };
@@ -0,0 +1,74 @@
+// Minimal finite state machine for per-chat conversation state.
+// State lives in the session (`state`, `stateEnteredAt`) so it survives restarts.
+
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Invalid transition from "${from}" to "${to}"`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+class StateMachine {
+  // states: { name: { on: [allowed targets], timeoutMs, description, hint } }
+  constructor({ initial, states }) {
+    if (!states[initial]) {
+      throw new Error(`Unknown initial state: ${initial}`);
+    }
+    for (const [name, config] of Object.entries(states)) {
+      for (const target of config.on || []) {
+        if (!states[target]) {
+          throw new Error(`State "${name}" declares unknown target "${target}"`);
+        }
+      }
+    }
+    this.initial = initial;
+    this.states = states;
+  }
+
+  current(session) {
+    return session?.state && this.states[session.state] ? session.state : this.initial;
+  }
+
+  describe(state) {
+    return this.states[state] || {};
+  }
+
+  allowedTransitions(state) {
+    return this.states[state]?.on || [];
+  }
+
+  can(session, to) {
+    return this.allowedTransitions(this.current(session)).includes(to);
+  }
+
+  transition(session, to) {
+    const from = this.current(session);
+    if (from === to) return from;
+    if (!this.can(session, to)) {
+      throw new InvalidTransitionError(from, to);
+    }
+    session.state = to;
+    session.stateEnteredAt = Date.now();
+    return from;
+  }
+
+  reset(session) {
+    // Cancels and timeouts may leave any state
+    session.state = this.initial;
+    session.stateEnteredAt = Date.now();
+  }
+
+  timeRemaining(session, now = Date.now()) {
+    const { timeoutMs } = this.describe(this.current(session));
+    if (!timeoutMs || !session?.stateEnteredAt) return Infinity;
+    return session.stateEnteredAt + timeoutMs - now;
+  }
+
+  isTimedOut(session, now = Date.now()) {
+    return this.timeRemaining(session, now) <= 0;
+  }
+}
+
+module.exports = { StateMachine, InvalidTransitionError };
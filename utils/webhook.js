@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+// Telegram webhook endpoint for the bot's existing http server. Telegram sends
+// the secret given to setWebhook in X-Telegram-Bot-Api-Secret-Token; requests
+// without it, or with bodies over the size limit, never reach the bot.
+// Verified updates are acknowledged with 200 before they are processed: a slow
+// update (an inline search, a long command) would otherwise hold the response
+// past Telegram's timeout and be delivered again.
+
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+class BodyTooLargeError extends Error {
+  constructor(limit) {
+    super(`Request body exceeds ${limit} bytes`);
+    this.name = 'BodyTooLargeError';
+  }
+}
+
+function secretMatches(received, expected) {
+  // Constant-time comparison so the secret cannot be guessed byte by byte
+  if (typeof received !== 'string') return false;
+  const a = Buffer.from(received);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.removeAllListeners('data');
+        req.resume();
+        reject(new BodyTooLargeError(maxBytes));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function reply(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain' });
+  res.end(message);
+}
+
+function createWebhookHandler({ secretToken, maxBodyBytes = 1024 * 1024, onUpdate }) {
+  if (!secretToken) {
+    throw new Error('A secret token is required for webhook mode');
+  }
+
+  // Returns an (req, res) handler; the caller routes only the webhook path here
+  return async (req, res) => {
+    if (req.method !== 'POST') {
+      return reply(res, 405, 'Method Not Allowed');
+    }
+    if (!secretMatches(req.headers[SECRET_HEADER], secretToken)) {
+      return reply(res, 401, 'Unauthorized');
+    }
+    if (parseInt(req.headers['content-length']) > maxBodyBytes) {
+      return reply(res, 413, 'Payload Too Large');
+    }
+
+    let update;
+    try {
+      update = JSON.parse((await readBody(req, maxBodyBytes)).toString('utf8'));
+    } catch (error) {
+      if (error instanceof BodyTooLargeError) {
+        return reply(res, 413, 'Payload Too Large');
+      }
+      return reply(res, 400, 'Bad Request');
+    }
+    if (!update || typeof update.update_id !== 'number') {
+      return reply(res, 400, 'Bad Request');
+    }
+
+    reply(res, 200, 'OK');
+    // Failures are only logged: Telegram already has its 200 and won't redeliver the update
+    Promise.resolve()
+      .then(() => onUpdate(update))
+      .catch(error => console.error('Webhook update error:', error.message));
+  };
+}
+
+module.exports = { createWebhookHandler, secretMatches, BodyTooLargeError };
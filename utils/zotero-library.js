@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const { splitName } = require('./citation');
+const { mapWithConcurrency } = require('./doi-metadata');
+
+// Writes sources into a Zotero user library. Every assignment gets its own
+// collection; papers already in the library (matched by DOI) are added to it
+// instead of being created again, the rest are created in batches. Writes
+// carry the version they were based on, so an item changed elsewhere in the
+// meantime is re-read and merged rather than overwritten.
+
+// Zotero accepts at most 50 objects per write request
+const BATCH_SIZE = 50;
+const PAGE_SIZE = 100;
+const MAX_COLLECTION_NAME = 120;
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+const union = (a, b) => [...new Set([...a, ...b])];
+
+// "Jane A. Doe" -> firstName/lastName; a single word (an organization) stays one field
+function toCreator(author) {
+  const { given, family } = splitName(author.name);
+  return given
+    ? { creatorType: 'author', firstName: given, lastName: family }
+    : { creatorType: 'author', name: family };
+}
+
+// Zotero item data for a source (journalArticle, or conferencePaper for proceedings)
+function toZoteroItem(source, { collections = [], tags = [] } = {}) {
+  const conference = source.type === 'conference';
+  const item = {
+    itemType: conference ? 'conferencePaper' : 'journalArticle',
+    title: source.title,
+    creators: (source.authors || []).filter(author => author.name?.trim()).map(toCreator),
+    date: source.year?.toString() || '',
+    DOI: source.doi,
+    abstractNote: source.abstract || '',
+    url: source.url || '',
+    volume: source.volume || '',
+    pages: source.pages || '',
+    language: source.language || '',
+    collections,
+    tags: tags.map(tag => ({ tag }))
+  };
+  if (conference) {
+    item.proceedingsTitle = source.journal || source.venue || '';
+    item.publisher = source.publisher || '';
+  } else {
+    item.publicationTitle = source.journal || source.venue || '';
+    item.issue = source.issue || '';
+  }
+  return item;
+}
+
+class ZoteroLibrary {
+  constructor({ client, userId, apiKey, baseUrl = 'https://api.zotero.org', parentCollection = null, concurrency = 4 }) {
+    this.client = client;
+    this.userId = userId;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.parentCollection = parentCollection;
+    this.concurrency = concurrency;
+    // Collection name -> key, so repeated runs for an assignment skip the listing
+    this.collectionKeys = new Map();
+  }
+
+  get configured() {
+    return Boolean(this.userId && this.apiKey);
+  }
+
+  url(path) {
+    return `${this.baseUrl}/users/${this.userId}${path}`;
+  }
+
+  headers(extra = {}) {
+    return { 'Zotero-API-Key': this.apiKey, 'Zotero-API-Version': '3', ...extra };
+  }
+
+  // All pages of a listing
+  async list(path, params = {}) {
+    const results = [];
+    for (let start = 0; ; start += PAGE_SIZE) {
+      const response = await this.client.get(this.url(path), {
+        params: { ...params, limit: PAGE_SIZE, start },
+        headers: this.headers()
+      });
+      results.push(...response.data);
+      if (response.data.length < PAGE_SIZE) return results;
+    }
+  }
+
+  // Write up to BATCH_SIZE objects in one request. Creates carry a write token, so a
+  // retried request can't create them twice; updates are guarded by their versions.
+  // Returns { keys: { index: key }, failed: { index: { code, message } } }
+  async write(path, objects) {
+    const creating = objects.every(object => !object.key);
+    const response = await this.client.post(this.url(path), objects, {
+      headers: this.headers({
+        'Content-Type': 'application/json',
+        ...(creating ? { 'Zotero-Write-Token': crypto.randomBytes(16).toString('hex') } : {})
+      }),
+      idempotent: true
+    });
+    const { successful = {}, success = {}, unchanged = {}, failed = {} } = response.data || {};
+    const keys = { ...unchanged, ...success };
+    for (const [index, object] of Object.entries(successful)) keys[index] = object.key;
+    return { keys, failed };
+  }
+
+  // Key of the collection with this name (under the parent collection), created when missing
+  async ensureCollection(name) {
+    const title = name.trim().replace(/\s+/g, ' ').slice(0, MAX_COLLECTION_NAME);
+    if (this.collectionKeys.has(title)) return this.collectionKeys.get(title);
+
+    const path = this.parentCollection ? `/collections/${this.parentCollection}/collections` : '/collections/top';
+    const existing = (await this.list(path)).find(collection => collection.data.name === title);
+    let key = existing?.key;
+    if (!key) {
+      const { keys, failed } = await this.write('/collections', [{ name: title, parentCollection: this.parentCollection || false }]);
+      if (!keys[0]) throw new Error(`Zotero refused collection "${title}": ${failed[0]?.message || 'unknown error'}`);
+      key = keys[0];
+    }
+    this.collectionKeys.set(title, key);
+    return key;
+  }
+
+  // Library items with these DOIs (Map of lowercase DOI -> item); attachments and notes are skipped
+  async findByDoi(dois) {
+    const wanted = [...new Set(dois.filter(Boolean).map(doi => doi.toLowerCase()))];
+    const found = new Map();
+    await mapWithConcurrency(wanted, this.concurrency, async doi => {
+      const response = await this.client.get(this.url('/items'), {
+        params: { q: doi, qmode: 'everything', itemType: '-attachment', limit: 10 },
+        headers: this.headers()
+      });
+      const item = response.data.find(candidate => candidate.data.DOI?.toLowerCase() === doi);
+      if (item) found.set(doi, item);
+    });
+    return found;
+  }
+
+  // Current versions of items, by key
+  async fetchItems(keys) {
+    const items = new Map();
+    for (const batch of chunk(keys, BATCH_SIZE)) {
+      const response = await this.client.get(this.url('/items'), {
+        params: { itemKey: batch.join(','), limit: BATCH_SIZE },
+        headers: this.headers()
+      });
+      response.data.forEach(item => items.set(item.key, item));
+    }
+    return items;
+  }
+
+  // Change existing items: `patch(item)` gives the fields to write. Each update names the item version
+  // it was based on; items changed since (412) are re-read and patched once more. Returns the keys that failed.
+  async updateItems(items, patch) {
+    const failedKeys = [];
+    let pending = items;
+    for (let attempt = 0; attempt < 2 && pending.length; attempt++) {
+      const conflicts = [];
+      for (const batch of chunk(pending, BATCH_SIZE)) {
+        const { failed } = await this.write('/items', batch.map(item => ({ key: item.key, version: item.version, ...patch(item) })));
+        for (const [index, error] of Object.entries(failed)) {
+          (error.code === 412 && attempt === 0 ? conflicts : failedKeys).push(batch[index].key);
+        }
+      }
+      if (conflicts.length) {
+        const current = await this.fetchItems(conflicts);
+        pending = conflicts.map(key => current.get(key)).filter(Boolean);
+      } else {
+        pending = [];
+      }
+    }
+    return failedKeys;
+  }
+
+  // Delete items by key. Deletes name the library version they were based on; when the
+  // library changed in between (412), the version is read again once
+  async deleteItems(keys) {
+    for (const batch of chunk(keys, BATCH_SIZE)) {
+      const itemKey = batch.join(',');
+      for (let attempt = 0; ; attempt++) {
+        const versions = await this.client.get(this.url('/items'), {
+          params: { itemKey, format: 'versions' },
+          headers: this.headers()
+        });
+        try {
+          await this.client.delete(this.url('/items'), {
+            params: { itemKey },
+            headers: this.headers({ 'If-Unmodified-Since-Version': versions.headers['last-modified-version'] })
+          });
+          break;
+        } catch (error) {
+          if (error.response?.status !== 412 || attempt > 0) throw error;
+        }
+      }
+    }
+    return keys.length;
+  }
+
+  // Remove `tag` from every item carrying it. Items created with `createdTag` that no other
+  // owner (a tag starting with `ownerPrefix`) still claims are deleted; items that were already
+  // in the library, or that other owners share, only lose the tag.
+  // Returns { deleted, untagged, failed } (failed: keys that kept the tag)
+  async releaseTag(tag, { createdTag, ownerPrefix }) {
+    const items = await this.list('/items', { tag });
+    const tagsOf = item => (item.data.tags || []).map(entry => entry.tag);
+    const owned = items.filter(item => tagsOf(item).includes(createdTag)
+      && !tagsOf(item).some(other => other !== tag && other.startsWith(ownerPrefix)));
+    const kept = items.filter(item => !owned.includes(item));
+
+    const failed = await this.updateItems(kept, item => ({
+      tags: (item.data.tags || []).filter(entry => entry.tag !== tag)
+    }));
+    const deleted = await this.deleteItems(owned.map(item => item.key));
+    return { deleted, untagged: kept.length - failed.length, failed };
+  }
+
+  // Put every source in the collection (when given) with the tags. Items created here also get
+  // `createdTags` (papers that were already in the library don't). Returns the Zotero item key
+  // for each source, in order, null where Zotero refused it
+  async sync(sources, { collection = null, tags = [], createdTags = [] } = {}) {
+    const collectionKey = collection ? await this.ensureCollection(collection) : null;
+    const existing = await this.findByDoi(sources.map(source => source.doi));
+    const keys = new Map();
+
+    // Items already there only need the collection or a tag they are missing
+    const stale = [...existing.values()].filter(item =>
+      (collectionKey && !(item.data.collections || []).includes(collectionKey))
+      || tags.some(tag => !(item.data.tags || []).some(entry => entry.tag === tag)));
+    const failedUpdates = new Set(await this.updateItems(stale, item => ({
+      collections: union(item.data.collections || [], collectionKey ? [collectionKey] : []),
+      tags: union((item.data.tags || []).map(entry => entry.tag), tags).map(tag => ({ tag }))
+    })));
+    for (const [doi, item] of existing) {
+      if (!failedUpdates.has(item.key)) keys.set(doi, item.key);
+    }
+
+    // The same DOI twice in one run is created once
+    const created = new Map();
+    for (const source of sources) {
+      const doi = source.doi.toLowerCase();
+      if (!existing.has(doi) && !created.has(doi)) created.set(doi, source);
+    }
+    for (const batch of chunk([...created], BATCH_SIZE)) {
+      const { keys: createdKeys, failed } = await this.write('/items', batch.map(([, source]) =>
+        toZoteroItem(source, { collections: collectionKey ? [collectionKey] : [], tags: union(tags, createdTags) })));
+      batch.forEach(([doi], index) => {
+        if (createdKeys[index]) keys.set(doi, createdKeys[index]);
+        else console.error(`Zotero refused ${doi}:`, failed[index]?.message || 'unknown error');
+      });
+    }
+
+    return sources.map(source => keys.get(source.doi.toLowerCase()) || null);
+  }
+}
+
+module.exports = { ZoteroLibrary, toZoteroItem, toCreator, BATCH_SIZE };